@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+// Command-line front end to the A/B engine (src/abEngine.js): the same simulation, readout and
+// sizing as the playground, printed as tables or JSON. No dependencies beyond Node itself.
+import { readFileSync } from "node:fs";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_METRICS,
+  COHORT_KEY,
+  MAX_VARIANTS,
+  VARIANT_IDS,
+  MT_CORRECTIONS,
+  MT_SCOPES,
+  INFERENCE_METHODS,
+  DEFAULT_CONFIDENCE,
+  DEFAULT_POPULATION,
+  DEFAULT_PRE_PERIOD,
+  SCENARIO_EVENTS,
+  ANOMALY_THRESHOLD,
+  applyScenarioEvents,
+  detectAnomalies,
+  validateCatalog,
+  parseDailyImport,
+  generateData,
+  simulateAB,
+  srmCheck,
+  analyzeResults,
+  ruleSampleSizes,
+  forecastDAU,
+  planDuration,
+  rulePowerAtN,
+  parseRatioKey,
+  ratioDef,
+  ratioKey,
+  metricLabel,
+  numberFmt,
+  percentFmt,
+  pFmt,
+} from "../src/abEngine.js";
+
+const USAGE = `Usage: abp <command> [options]
+
+Commands:
+  analyze <file>    Simulate an A/B test on a daily export (CSV or JSON) and print the readout
+  simulate          The same on generated data (--seed, --days); --daily prints the generated rows
+  size              Sample size per arm for one or more metrics, and the days needed at a share
+
+Common options:
+  --catalog <file>  Metric catalog JSON (default: built-in metrics)
+  --winsor <q|off>  Cap every metric's per-user values at this quantile (e.g. 0.99), or none; overrides the catalog
+  --json            Print JSON instead of tables
+  -h, --help        Show this help
+
+analyze / simulate:
+  --metrics a,b     Metrics to report (default: all catalog metrics)
+  --ratios n/d,...  Ratio metrics, e.g. Likes/VideoViews
+  --window <days>   Test length at the end of the history (default 14)
+  --split c,t[,v…]  Share of DAU for Control, Experiment and extra arms (default 0.49,0.49, as in the playground)
+  --seed <n>        Seed for the generated data and the simulation (default 42)
+  --days <n>        Days of generated history (simulate only, default 90)
+  --cuped <rho>     Simulate a pre-period covariate with this pre/post correlation and apply CUPED (default off)
+  --mc <method>     Arm adjustment with several arms: dunnett | holm (default dunnett)
+  --mt <method>     Correction across metrics: ${MT_CORRECTIONS.map(c => c.id.toLowerCase()).join(" | ")} (default none)
+  --mt-scope <s>    ${MT_SCOPES.map(c => c.id.toLowerCase()).join(" | ")} (default family)
+  --rule <rule>     Decision rule: primary | co_primary | any_of (default primary)
+  --primary <key>   Primary metric (default: first success metric)
+  --alpha <a>       Decision rule alpha (default 0.05)
+  --conf <level>    Confidence level of the CIs and the table's corrections (default ${DEFAULT_CONFIDENCE})
+  --inference <m>   Test for every metric, overriding the catalog: ${INFERENCE_METHODS.map(m => m.id.toLowerCase()).join(" | ")}
+  --aa              A/A test: zero true lift for every metric
+  --users           Simulate a persistent user population with hash bucketing; analyze distinct users
+  --salt <s>        Bucketing salt with --users (default ${DEFAULT_POPULATION.salt})
+  --visit <p>       Mean daily visit probability with --users (default ${DEFAULT_POPULATION.visitRate})
+  --pre <days>      Backfill a pre-period of this many days: balance check and difference-in-differences
+  --pre-bias <frac> Pre-existing gap of Experiment over Control with --pre (default ${DEFAULT_PRE_PERIOD.bias})
+  --event <spec>    Scenario event, repeatable: type:start[:days[:size[:metric]]] with type
+                    ${SCENARIO_EVENTS.map(e => e.id.toLowerCase()).join(" | ")} and start a date or days before the last day
+  --anomaly-z <z>   Robust z-score above which a day is anomalous (default ${ANOMALY_THRESHOLD})
+  --exclude-anomalies  Leave anomalous test-window days out of the analysis
+
+size:
+  --metric <key>    Metric to size (or --metrics a,b with --rule)
+  --mde <frac>      Minimum detectable effect, relative (default 0.1)
+  --power <p>       Target power (default 0.8)
+  --arms <k>        Treatment arms compared to Control (default 1)
+  --share <frac>    Share of DAU per arm: also forecast how many days it takes
+  --data <file>     Daily export for baselines (default: generated with --seed / --days)
+`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  catalog: { type: "string" }, winsor: { type: "string" }, json: { type: "boolean" }, help: { type: "boolean", short: "h" },
+  metrics: { type: "string" }, metric: { type: "string" }, ratios: { type: "string" },
+  window: { type: "string" }, split: { type: "string" }, seed: { type: "string" }, days: { type: "string" },
+  cuped: { type: "string" }, mc: { type: "string" }, mt: { type: "string" }, "mt-scope": { type: "string" },
+  rule: { type: "string" }, primary: { type: "string" }, alpha: { type: "string" }, aa: { type: "boolean" },
+  conf: { type: "string" }, inference: { type: "string" },
+  users: { type: "boolean" }, salt: { type: "string" }, visit: { type: "string" }, pre: { type: "string" }, "pre-bias": { type: "string" },
+  event: { type: "string", multiple: true }, "anomaly-z": { type: "string" }, "exclude-anomalies": { type: "boolean" },
+  daily: { type: "boolean" }, mde: { type: "string" }, power: { type: "string" }, arms: { type: "string" },
+  share: { type: "string" }, data: { type: "string" },
+};
+
+function num(opts, name, fallback, lo, hi, { integer = false } = {}){
+  if (opts[name] == null) return fallback;
+  const x = Number(opts[name]);
+  if (!Number.isFinite(x) || x < lo || x > hi || (integer && !Number.isInteger(x))) {
+    throw new UsageError(`--${name} must be ${integer ? "an integer" : "a number"} between ${lo} and ${hi}`);
+  }
+  return x;
+}
+
+function oneOf(opts, name, allowed, fallback){
+  if (opts[name] == null) return fallback;
+  const v = opts[name].toUpperCase();
+  if (!allowed.includes(v)) throw new UsageError(`--${name} must be one of ${allowed.map(a => a.toLowerCase()).join(", ")}`);
+  return v;
+}
+
+const list = (s) => String(s).split(",").map(x => x.trim()).filter(Boolean);
+
+function loadCatalog(opts){
+  let catalog = DEFAULT_METRICS;
+  if (opts.catalog) {
+    const checked = validateCatalog(JSON.parse(readFileSync(opts.catalog, "utf8")));
+    if (!checked.catalog) throw new UsageError(`Invalid catalog ${opts.catalog}:\n  ${checked.errors.join("\n  ")}`);
+    catalog = checked.catalog;
+  }
+  if (opts.winsor == null) return catalog;
+  const winsor = opts.winsor.toLowerCase() === "off" ? null : num(opts, "winsor", null, 0.5, 0.9999);
+  return catalog.map(m => m.key === COHORT_KEY ? m : { ...m, winsor });
+}
+
+// --event type:start[:days[:size[:metric]]] → the history with the events applied
+function withEvents(data, opts, catalog){
+  const events = (opts.event || []).map(spec => {
+    const [type, start, days, size, metric] = spec.split(":");
+    const def = SCENARIO_EVENTS.find(e => e.id === String(type).toUpperCase());
+    if (!def) throw new UsageError(`--event: unknown type "${type}" (${SCENARIO_EVENTS.map(e => e.id.toLowerCase()).join(", ")})`);
+    const at = /^\d{4}-\d{2}-\d{2}$/.test(start ?? "") ? data.findIndex(r => r.date === start) : data.length - 1 - Number(start);
+    if (!Number.isInteger(at) || at < 0 || at >= data.length) throw new UsageError(`--event ${spec}: start must be a date in the data or 0 to ${data.length - 1} days before the last day`);
+    const ev = { type: def.id, ago: data.length - 1 - at, days: def.days, size: def.size, metric: null };
+    if (days) ev.days = Number(days);
+    if (size) ev.size = Number(size);
+    if (!Number.isInteger(ev.days) || ev.days < 1 || ev.days > 60) throw new UsageError(`--event ${spec}: days must be an integer between 1 and 60`);
+    if (!(ev.size >= 0 && ev.size <= def.maxSize)) throw new UsageError(`--event ${spec}: size must be between 0 and ${def.maxSize}`);
+    if (metric) {
+      if (!def.metric) throw new UsageError(`--event ${spec}: ${def.id.toLowerCase()} takes no metric`);
+      ev.metric = checkKeys([metric], catalog)[0];
+    } else if (def.id === "OUTAGE") throw new UsageError(`--event ${spec}: an outage needs the metric it loses`);
+    return ev;
+  });
+  return applyScenarioEvents(data, events, catalog);
+}
+
+function loadData(file, catalog){
+  const report = parseDailyImport(readFileSync(file, "utf8"), basename(file), catalog);
+  if (report.errors.length) throw new UsageError(`${file}: ${report.errors.join("; ")}`);
+  report.badRows.forEach(b => process.stderr.write(`${file}:${b.line}: skipped — ${b.reason}\n`));
+  report.gaps.forEach(g => process.stderr.write(`${file}: ${g.missingDays} day(s) missing between ${g.after} and ${g.before}\n`));
+  return report.rows;
+}
+
+// Left-aligned first column, right-aligned numbers
+function printTable(headers, rows){
+  const widths = headers.map((h, j) => Math.max(h.length, ...rows.map(r => String(r[j]).length)));
+  const line = (cells) => cells.map((c, j) => j === 0 ? String(c).padEnd(widths[j]) : String(c).padStart(widths[j])).join("  ");
+  console.log(line(headers));
+  console.log(widths.map(w => "-".repeat(w)).join("  "));
+  rows.forEach(r => console.log(line(r)));
+}
+
+function checkKeys(keys, catalog){
+  const unknown = keys.filter(k => !catalog.some(m => m.key === k));
+  if (unknown.length) throw new UsageError(`Unknown metric(s): ${unknown.join(", ")} (catalog: ${catalog.map(m => m.key).join(", ")})`);
+  return keys;
+}
+
+// ===================== analyze / simulate ===================== //
+function readout(data, opts, baseCatalog, source){
+  const inference = oneOf(opts, "inference", INFERENCE_METHODS.map(m => m.id), null);
+  const catalog = inference ? baseCatalog.map(m => ({ ...m, inference })) : baseCatalog;
+  const conf = num(opts, "conf", DEFAULT_CONFIDENCE, 0.5, 0.999);
+  const seed = num(opts, "seed", 42, 0, 2 ** 32, { integer: true });
+  const testLen = num(opts, "window", 14, 1, data.length - 1, { integer: true });
+  const shares = opts.split ? list(opts.split).map(Number) : [0.49, 0.49];
+  if (shares.length < 2 || shares.length > 2 + MAX_VARIANTS || shares.some(x => !(x > 0 && x <= 1))) throw new UsageError(`--split needs 2 to ${2 + MAX_VARIANTS} shares between 0 and 1`);
+  if (shares.reduce((a, b) => a + b, 0) > 1 + 1e-9) throw new UsageError("--split shares add up to more than 1");
+  const [splitC, splitT, ...extra] = shares;
+  const variants = extra.map((split, i) => ({ id: VARIANT_IDS[i], split, liftScale: 1 }));
+  const arms = ["Experiment", ...variants.map(v => v.id)];
+  const cupedRho = num(opts, "cuped", 0, 0, 0.99);
+  const mcMethod = oneOf(opts, "mc", ["DUNNETT", "HOLM"], "DUNNETT");
+  const mt = { method: oneOf(opts, "mt", MT_CORRECTIONS.map(c => c.id), "NONE"), scope: oneOf(opts, "mt-scope", MT_SCOPES.map(c => c.id), "FAMILY") };
+
+  const ratios = opts.ratios ? list(opts.ratios).map(r => {
+    const [n, d] = r.split("/");
+    if (!parseRatioKey(ratioKey(n, d), catalog)) throw new UsageError(`Bad ratio "${r}" (expected num/den of two different catalog metrics)`);
+    return ratioDef(n, d, catalog);
+  }) : [];
+  const keys = opts.metrics ? checkKeys(list(opts.metrics), catalog) : catalog.map(m => m.key);
+  const ofRole = (role) => catalog.filter(m => m.role === role && keys.includes(m.key)).map(m => m.key);
+  const families = { Guardrail: ofRole("guardrail"), Success: ofRole("success"), Diagnostic: ofRole("diagnostic"), Ratio: ratios.map(r => r.key) };
+  const rule = {
+    rule: oneOf(opts, "rule", ["PRIMARY", "CO_PRIMARY", "ANY_OF"], "PRIMARY"),
+    primary: opts.primary ?? families.Success[0] ?? catalog.find(m => m.role === "success")?.key ?? COHORT_KEY,
+    alpha: num(opts, "alpha", 0.05, 0.0001, 0.5),
+  };
+
+  if (!opts.users && (opts.salt != null || opts.visit != null)) throw new UsageError("--salt and --visit need --users");
+  if (opts.salt != null && !/^[\w.-]{1,40}$/.test(opts.salt)) throw new UsageError("--salt must be 1 to 40 letters, digits, '.', '-' or '_'");
+  const population = opts.users ? { salt: opts.salt ?? DEFAULT_POPULATION.salt, visitRate: num(opts, "visit", DEFAULT_POPULATION.visitRate, 0.05, 1) } : null;
+  if (opts["pre-bias"] != null && opts.pre == null) throw new UsageError("--pre-bias needs --pre");
+  if (opts.pre != null && opts.users) throw new UsageError("--pre is not simulated with --users");
+  const prePeriod = opts.pre != null ? { days: num(opts, "pre", DEFAULT_PRE_PERIOD.days, 1, 365, { integer: true }), bias: num(opts, "pre-bias", DEFAULT_PRE_PERIOD.bias, -0.5, 0.5) } : null;
+  const anomalies = detectAnomalies(data, { keys: catalog.map(m => m.key), threshold: num(opts, "anomaly-z", ANOMALY_THRESHOLD, 2, 50) });
+  const design = { seed, splitC, splitT, testLen, enforceNoDecline: false, cupedRho, variants, ratios, catalog, aaMode: !!opts.aa, population, prePeriod };
+  const exclude = opts["exclude-anomalies"] ? anomalies.days.map(d => d.index) : null;
+  const { simData, aggregates, startIndex, cohorts, units, users, excluded } = simulateAB(data, { ...design, exclude });
+  const srm = srmCheck(simData, startIndex, [{ id: "Control", split: splitC }, { id: "Experiment", split: splitT }, ...variants], cohorts, users);
+  const out = analyzeResults({ data, aggregates, seed, catalog, families, arms, cupedRho, mcMethod, mt, srmFlagged: srm.flagged, rule, conf, sim: { simData, cohorts, startIndex, units, users, excluded } });
+  // Verdicts with every day kept, when flagged days were left out
+  const fullDecisions = excluded.length ? (() => {
+    const full = simulateAB(data, design);
+    return analyzeResults({ data, aggregates: full.aggregates, seed, catalog, families, arms, cupedRho, mcMethod, mt, srmFlagged: srm.flagged, rule, conf, sim: full }).decisions;
+  })() : null;
+  const config = { source, days: data.length, seed, testStart: simData[startIndex]?.date, testEnd: simData[simData.length - 1]?.date, testLen, splitC, splitT, variants, cupedRho, mcMethod, mt, rule, conf, aaMode: !!opts.aa, population, prePeriod, excluded: excluded.map(i => simData[i].date) };
+  const flagged = anomalies.days.map(d => ({ date: data[d.index].date, inTest: d.index >= startIndex,
+    metrics: d.keys.map(key => { const a = anomalies.byMetric[key].find(x => x.index === d.index); return { key, value: a.value, expected: a.expected, z: a.z }; }) }));
+
+  if (opts.json) {
+    const usersSummary = users && { size: users.size, exposed: users.exposed, userDays: users.userDays };
+    console.log(JSON.stringify({ config, users: usersSummary, anomalies: flagged, fullDecisions, srm: srm.overall, srmFlagged: srm.flagged, results: out, decisions: out.decisions }, null, 2));
+    return;
+  }
+  console.log(`${source} · ${data.length} days · test ${config.testStart} → ${config.testEnd} (${testLen} days) · seed ${seed}${opts.aa ? " · A/A" : ""}`);
+  if (users) console.log(`Distinct users (population ${users.size.toLocaleString()}, salt ${users.salt}): ${Object.entries(users.exposed).map(([id, n]) => `${id} ${n.toLocaleString()} (${users.userDays[id].toLocaleString()} user-days)`).join(", ")}`);
+  if (prePeriod) console.log(`Pre-period: ${prePeriod.days} backfilled days before the test${prePeriod.bias ? `, Experiment ${percentFmt(prePeriod.bias, 1)} vs Control from before assignment` : ""} (! = arms differ at α)`);
+  if (flagged.length) {
+    console.log(`Anomalous days (robust |z| > ${anomalies.threshold}):`);
+    flagged.forEach(f => console.log(`  ${f.date}${f.inTest ? " (test)" : ""}: ${f.metrics.map(m => `${m.key} ${numberFmt(m.value, 0)} vs ~${numberFmt(m.expected, 0)} (z ${numberFmt(m.z, 1)})`).join(", ")}`));
+  }
+  if (excluded.length) console.log(`Excluded from the analysis: ${config.excluded.join(", ")} — with every day kept the verdict is ${fullDecisions.map(d => `${arms.length > 1 ? `${d.armLabel}: ` : ""}${d.label.toUpperCase()}`).join(" / ")}`);
+  console.log(`SRM: χ² = ${srm.overall.chi2.toFixed(2)} (df ${srm.overall.df}), p = ${pFmt(srm.overall.p)}${srm.flagged ? " — MISMATCH, results untrustworthy" : ""}`);
+  const multiArm = arms.length > 1, adjusted = multiArm || mt.method !== "NONE", cuped = cupedRho > 0;
+  ["Guardrail", "Success", "Diagnostic", "Ratio"].forEach(family => {
+    if (!out[family].length) return;
+    console.log(`\n${family} metrics`);
+    const winsorized = out[family].some(r => r.winsor);
+    printTable(
+      ["Metric", ...(multiArm ? ["Arm"] : []), "Method", "Control", "Treatment", "Lift", `Diff ${Number((conf * 100).toFixed(2))}% CI`, "p", ...(adjusted ? ["adj. p"] : []), ...(cuped ? ["CUPED lift", "CUPED p"] : []), ...(winsorized ? ["Cap", "Raw lift", "Var"] : []), ...(users ? ["Naive lift", "Naive p"] : []), ...(prePeriod ? ["Pre gap", "Pre p", "DiD lift", "DiD p"] : []), ...(family === "Guardrail" ? ["Non-inferiority"] : [])],
+      out[family].map(r => {
+        const d = r.isRatio ? 4 : 2;
+        const method = !(r.se > 0) ? "–" : r.isRatio ? "delta-method z" : INFERENCE_METHODS.find(m => m.id === r.inference).short;
+        return [r.label, ...(multiArm ? [r.armLabel] : []), method, numberFmt(r.muC, d), numberFmt(r.muT, d), percentFmt(r.lift),
+          Number.isFinite(r.ciLow) ? `[${numberFmt(r.ciLow, d)}, ${numberFmt(r.ciHigh, d)}]` : "–", pFmt(r.p),
+          ...(adjusted ? [`${pFmt(r.pMT)}${r.pMT < r.alpha ? "*" : ""}`] : []),
+          ...(cuped ? (r.cuped ? [percentFmt(r.cuped.lift), pFmt(r.cuped.p)] : ["–", "–"]) : []),
+          ...(winsorized ? (r.winsor ? [`p${Number((r.winsor.q * 100).toFixed(2))} ${numberFmt(r.winsor.cap, d)}`, percentFmt(r.winsor.rawLift), `×${numberFmt(r.winsor.varianceRatio, 2)}`] : ["–", "–", "–"]) : []),
+          ...(users ? (r.naive ? [percentFmt(r.naive.lift), pFmt(r.naive.p)] : ["–", "–"]) : []),
+          ...(prePeriod ? (r.balance ? [percentFmt(r.balance.lift), `${pFmt(r.balance.p)}${r.balance.p < r.alpha ? "!" : ""}`, percentFmt(r.did.lift), pFmt(r.did.p)] : ["–", "–", "–", "–"]) : []),
+          ...(family === "Guardrail" ? [r.ni ? `${r.ni.status.toLowerCase()} (−${percentFmt(r.ni.margin, 1)})` : "–"] : [])];
+      })
+    );
+  });
+  out.decisions.forEach(d => {
+    console.log(`\nDecision${multiArm ? ` — ${d.armLabel}` : ""}: ${d.label.toUpperCase()}`);
+    d.reasons.forEach(r => console.log(`  ${{ good: "✓", bad: "✗", neutral: "•" }[r.tone]} ${r.text}`));
+  });
+}
+
+function analyze(opts, positionals, catalog){
+  const file = positionals[0];
+  if (!file) throw new UsageError("analyze needs a data file (CSV or JSON daily export)");
+  const data = withEvents(loadData(file, catalog), opts, catalog);
+  if (data.length < 2) throw new UsageError(`${file}: need at least 2 days of data`);
+  readout(data, opts, catalog, basename(file));
+}
+
+function simulate(opts, catalog){
+  const seed = num(opts, "seed", 42, 0, 2 ** 32, { integer: true });
+  const days = num(opts, "days", 90, 7, 3650, { integer: true });
+  const data = withEvents(generateData({ days, seed, catalog }), opts, catalog);
+  if (opts.daily) {
+    const cols = ["date", ...catalog.map(m => m.key)];
+    if (opts.json) console.log(JSON.stringify(data.map(r => Object.fromEntries(cols.map(c => [c, r[c]]))), null, 2));
+    else [cols.join(","), ...data.map(r => cols.map(c => r[c]).join(","))].forEach(l => console.log(l));
+    return;
+  }
+  readout(data, opts, catalog, `generated (seed ${seed})`);
+}
+
+// ===================== size ===================== //
+function size(opts, catalog){
+  if (opts.metric && opts.metrics) throw new UsageError("Use either --metric or --metrics");
+  const seed = num(opts, "seed", 42, 0, 2 ** 32, { integer: true });
+  const data = opts.data ? loadData(opts.data, catalog) : generateData({ days: num(opts, "days", 90, 7, 3650, { integer: true }), seed, catalog });
+  const keys = checkKeys(opts.metric ? [opts.metric] : opts.metrics ? list(opts.metrics) : catalog.filter(m => m.role === "success").map(m => m.key), catalog);
+  const rule = opts.metric ? "PRIMARY" : oneOf(opts, "rule", ["PRIMARY", "CO_PRIMARY", "ANY_OF"], "PRIMARY");
+  const cupedRho = num(opts, "cuped", 0, 0, 0.99);
+  const sizing = ruleSampleSizes({
+    data, catalog, keys, rule, primary: opts.primary ?? keys[0],
+    alpha: num(opts, "alpha", 0.05, 0.0001, 0.5), power: num(opts, "power", 0.8, 0.5, 0.999), mdePct: num(opts, "mde", 0.1, 0.0001, 5),
+    varianceFactor: 1 - cupedRho * cupedRho, comparisons: num(opts, "arms", 1, 1, 1 + MAX_VARIANTS, { integer: true }),
+    mcMethod: oneOf(opts, "mc", ["DUNNETT", "HOLM"], "DUNNETT"),
+  });
+  const share = opts.share == null ? null : num(opts, "share", null, 0.0001, 1);
+  let plan = null;
+  if (share != null && Number.isFinite(sizing.recommendedN)) {
+    const p = planDuration(forecastDAU(data, 182), { n: sizing.recommendedN, share });
+    plan = { share, daysNeeded: p.daysNeeded, weeks: p.weeks, days: p.days, power: p.days != null ? rulePowerAtN(sizing, p.curve[p.days - 1].nPerArm) : null };
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify({ rule, recommendedN: sizing.recommendedN, metrics: sizing.rows.map(({ key, label, mu, sigma2, cap, mdeAbs, alphaAdj, n }) => ({ key, label, mu, sigma2, cap, mdeAbs, alphaAdj, n })), plan }, null, 2));
+    return;
+  }
+  const capped = sizing.rows.some(r => r.cap != null);
+  printTable(["Metric", "μ per user", "σ²", ...(capped ? ["Cap"] : []), "MDE (abs)", "α used", "n per arm"],
+    sizing.rows.map(r => [r.label, numberFmt(r.mu, 4), numberFmt(r.sigma2, 4), ...(capped ? [r.cap != null ? numberFmt(r.cap, 2) : "–"] : []), numberFmt(r.mdeAbs, 4), r.alphaAdj.toFixed(4), Number.isFinite(r.n) ? r.n.toLocaleString() : "–"]));
+  if (capped) console.log("(winsorized metrics: μ and σ² of the values capped at the catalog quantile)");
+  console.log(`\nRecommended n per arm (${rule}${rule === "PRIMARY" ? `, ${metricLabel(sizing.primaryRow?.key, catalog)}` : ""}): ${Number.isFinite(sizing.recommendedN) ? sizing.recommendedN.toLocaleString() : "–"}`);
+  if (plan) {
+    console.log(plan.days != null
+      ? `At ${percentFmt(plan.share, 1)} of forecast DAU per arm: n reached on day ${plan.daysNeeded} → ${plan.weeks} week(s) = ${plan.days} days (power ≈ ${percentFmt(plan.power, 1)})`
+      : `At ${percentFmt(plan.share, 1)} of forecast DAU per arm: not reached within 26 weeks`);
+  }
+}
+
+// ===================== main ===================== //
+try {
+  const { values: opts, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (opts.help || !command) {
+    console.log(USAGE);
+  } else {
+    const catalog = loadCatalog(opts);
+    if (command === "analyze") analyze(opts, rest, catalog);
+    else if (command === "simulate") simulate(opts, catalog);
+    else if (command === "size") size(opts, catalog);
+    else throw new UsageError(`Unknown command "${command}"`);
+  }
+} catch (err) {
+  // parseArgs reports unknown / malformed options as TypeErrors with an ERR_PARSE_ARGS code
+  const usage = err instanceof UsageError || String(err.code).startsWith("ERR_PARSE_ARGS");
+  process.stderr.write(`abp: ${err.message}\n${usage ? "Run abp --help for usage.\n" : ""}`);
+  process.exitCode = usage ? 2 : 1;
+}
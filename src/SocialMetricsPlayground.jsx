@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo, useState, useEffect, useRef } from "react";
 import {
   LineChart,
   Line,
@@ -9,264 +9,144 @@ import {
   CartesianGrid,
   LabelList,
   ReferenceArea,
+  ReferenceLine,
+  ReferenceDot,
+  Legend,
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  ComposedChart,
 } from "recharts";
 
-// ===================== Helpers ===================== //
-function createPRNG(seed) {
-  let s = seed >>> 0;
-  return function rand() {
-    s ^= s << 13; s ^= s >>> 17; s ^= s << 5; // xorshift32
-    return (s >>> 0) / 4294967295;
-  };
-}
-
-function boxMuller(rand){
-  // ~ N(0,1)
-  let u = 0, v = 0;
-  while (u === 0) u = rand();
-  while (v === 0) v = rand();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
-function clamp(x, lo, hi){ return Math.max(lo, Math.min(hi, x)); }
-
-function formatDateLabel(date) {
-  const d = new Date(date);
-  return `${d.getMonth() + 1}/${d.getDate()}`;
-}
-
-// Standard normal CDF (Abramowitz & Stegun 7.1.26)
-function stdNormCDF(x){
-  const t = 1 / (1 + 0.2316419 * Math.abs(x));
-  const d = 0.3989423 * Math.exp(-x*x/2);
-  const prob = 1 - d * t * (1.330274429 + t*(-1.821255978 + t*(1.781477937 + t*(-0.356563782 + t*0.319381530))));
-  return x >= 0 ? prob : 1 - prob;
-}
-
-function twoTailedP(z){
-  return 2 * (1 - stdNormCDF(Math.abs(z)));
-}
-
-// Inverse standard normal CDF (Acklam's approximation)
-function invNorm(p){
-  if (p <= 0 || p >= 1 || Number.isNaN(p)) return NaN;
-  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
-  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
-  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
-  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
-  const plow = 0.02425, phigh = 1 - plow;
-  let q, r;
-  if (p < plow) {
-    q = Math.sqrt(-2 * Math.log(p));
-    return (((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) /
-           ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
-  }
-  if (p > phigh) {
-    q = Math.sqrt(-2 * Math.log(1 - p));
-    return -(((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) /
-             ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
-  }
-  q = p - 0.5; r = q*q;
-  return (((((a[0]*r + a[1])*r + a[2])*r + a[3])*r + a[4])*r + a[5]) * q /
-         (((((b[0]*r + b[1])*r + b[2])*r + b[3])*r + b[4])*r + 1);
-}
-
-// Target n per arm for two-sample diff-in-means (z-approx, equal n)
-function computeSampleSize({ sigma2, mdeAbs, alpha=0.05, power=0.8 }){
-  const zAlpha = invNorm(1 - alpha/2);
-  const zPower = invNorm(power);
-  if (!Number.isNaN(zAlpha) && !Number.isNaN(zPower) && mdeAbs > 0 && sigma2 > 0) {
-    const num = 2 * (zAlpha + zPower) * (zAlpha + zPower) * sigma2; // 2 groups
-    const n = Math.ceil(num / (mdeAbs * mdeAbs));
-    return Math.max(2, n);
-  }
-  return NaN;
-}
-
-function numberFmt(x, digits=2){
-  return (Math.abs(x) >= 1000 ? Math.round(x).toString() : Number(x).toFixed(digits));
-}
-
-function percentFmt(x, digits=2){
-  return `${(x*100).toFixed(digits)}%`;
-}
-
-function hashStr(s){
-  let h = 0; for (let i=0;i<s.length;i++){ h = ((h<<5)-h) + s.charCodeAt(i); h|=0; }
-  return h >>> 0;
-}
-
-// ===================== Data gen ===================== //
-// Unified metrics list — includes success metrics so they appear on the main chart
-const METRICS = [
-  { key: "DAU", label: "DAU", color: "#2563eb" },
-  { key: "WAU", label: "WAU", color: "#16a34a" },
-  { key: "Sessions", label: "Sessions", color: "#9333ea" },
-  { key: "Logins", label: "Logins", color: "#f59e0b" },
-  { key: "Signups", label: "Signups", color: "#ef4444" },
-  { key: "VideoViews", label: "Video Views", color: "#0ea5e9" },
-  { key: "Shares", label: "Shares", color: "#22c55e" },
-  { key: "Comments", label: "Comments", color: "#a855f7" },
-  { key: "Likes", label: "Likes", color: "#f97316" },
-];
-
-const SUCCESS_KEYS = ["VideoViews", "Shares", "Comments", "Likes"];
-const GUARDRAIL_KEYS = ["DAU", "WAU", "Sessions", "Logins", "Signups"];
-
-function generateData({ days = 90, seed = 42, varBoost = 0.05 }) {
-  const rand = createPRNG(seed);
-  const today = new Date();
-  const start = new Date(today);
-  start.setDate(today.getDate() - (days - 1));
-
-  const daily = [];
-
-  let dau = 1000 + Math.floor(rand() * 500);
-  let sessionsPerUser = 1.6 + rand() * 0.7;
-  let loginRate = 0.65 + rand() * 0.2;
-
-  for (let i = 0; i < days; i++) {
-    const d = new Date(start);
-    d.setDate(start.getDate() + i);
-
-    // DAU random walk + weekly seasonality, inflated variance
-    const drift = (rand() - 0.48) * (25 * (1 + varBoost));
-    const season = 60 * Math.sin((2 * Math.PI * i) / 7);
-    dau = Math.max(200, dau + drift + season * (0.2 + rand() * (0.1 + varBoost)));
-
-    const sessions = Math.max(300, dau * (sessionsPerUser + (rand() - 0.5) * (0.3 + varBoost)));
-    const logins = Math.max(150, dau * (loginRate + (rand() - 0.5) * (0.08 + varBoost)));
-    const signups = Math.max(20, (dau * (0.04 + (rand() * (0.02 + varBoost/2)))) + (rand() * 15 * (1 + varBoost)));
-
-    // Success metrics per-user rates with extra variance via Box–Muller noise
-    const viewsPerUser    = 2.2  + 0.7  * rand() + 0.20 * boxMuller(rand) * (1 + varBoost);
-    const sharesPerUser   = 0.12 + 0.06 * rand() + 0.02 * boxMuller(rand) * (1 + varBoost);
-    const commentsPerUser = 0.18 + 0.08 * rand() + 0.025* boxMuller(rand) * (1 + varBoost);
-    const likesPerUser    = 0.65 + 0.12 * rand() + 0.05 * boxMuller(rand) * (1 + varBoost);
-
-    const VideoViews = Math.max(50, Math.round(dau * Math.max(0, viewsPerUser)));
-    const Shares     = Math.max(5,  Math.round(dau * Math.max(0, sharesPerUser)));
-    const Comments   = Math.max(8,  Math.round(dau * Math.max(0, commentsPerUser)));
-    const Likes      = Math.max(20, Math.round(dau * Math.max(0, likesPerUser)));
-
-    daily.push({
-      date: d.toISOString().slice(0, 10),
-      DAU: Math.round(dau),
-      Sessions: Math.round(sessions),
-      Logins: Math.round(logins),
-      Signups: Math.round(signups),
-      VideoViews, Shares, Comments, Likes,
-    });
-  }
-
-  // WAU from 7-day rolling
-  const rand2 = createPRNG(seed ^ 0x9e3779b9);
-  const wauShrink = 0.55 + rand2() * 0.1;
-  for (let i = 0; i < daily.length; i++) {
-    const window = daily.slice(Math.max(0, i - 6), i + 1);
-    const rollingSum = window.reduce((s, r) => s + r.DAU, 0);
-    daily[i].WAU = Math.round(rollingSum * wauShrink);
-  }
-
-  return daily.map(row => ({ ...row, label: formatDateLabel(row.date) }));
-}
-
-// ===================== A/B Stats & Simulation ===================== //
-const zCritical = 1.96; // 95% CI
-
-function basePerUser(metricKey, data){
-  const totals = data.reduce((acc, d)=>{ acc.metric += d[metricKey]; acc.users += d.DAU; return acc; }, {metric:0, users:0});
-  return totals.users > 0 ? totals.metric / totals.users : 0;
-}
-
-function basePerUserUntil(metricKey, data, endIndex){
-  const slice = data.slice(0, Math.max(0, endIndex));
-  if (slice.length === 0) return basePerUser(metricKey, data);
-  const totals = slice.reduce((acc, d)=>{ acc.metric += d[metricKey]; acc.users += d.DAU; return acc; }, {metric:0, users:0});
-  return totals.users > 0 ? totals.metric / totals.users : basePerUser(metricKey, data);
+import {
+  clamp,
+  invNorm,
+  computeSampleSize,
+  numberFmt,
+  percentFmt,
+  COHORT_KEY,
+  AA_FLAG_ALPHA,
+  LIFT_TRAJECTORIES,
+  DEFAULT_TRAJECTORIES,
+  dailyLiftAnalysis,
+  SEGMENT_DIMENSIONS,
+  segmentMixCheck,
+  segmentBreakdown,
+  RAMP_CONTROL_MODES,
+  RAMP_POOLING,
+  DEFAULT_NI_MARGIN,
+  analyzeResults,
+  MT_CORRECTIONS,
+  MT_SCOPES,
+  INFERENCE_METHODS,
+  DEFAULT_CONFIDENCE,
+  ruleSampleSizes,
+  rulePowerAtN,
+  forecastDAU,
+  planDuration,
+  powerAtN,
+  mdeAtN,
+  METRIC_ROLES,
+  METRIC_DIRECTIONS,
+  VARIANCE_MODELS,
+  DIST_PARAMS,
+  WINSOR_QUANTILES,
+  DEFAULT_POPULATION,
+  DEFAULT_PRE_PERIOD,
+  DEFAULT_METRICS,
+  METRIC_KEY_RE,
+  metricsByRole,
+  metricMoments,
+  distParams,
+  isHarmful,
+  validateCatalog,
+  DEFAULT_RATIO_METRICS,
+  RATIO_NUM_DEN_CORR,
+  ratioKey,
+  parseRatioKey,
+  ratioDef,
+  metricLabel,
+  generateData,
+  SCENARIO_EVENTS,
+  MAX_EVENTS,
+  ANOMALY_THRESHOLD,
+  eventRange,
+  applyScenarioEvents,
+  detectAnomalies,
+  requiredImportColumns,
+  parseDailyImport,
+  basePerUser,
+  MAX_VARIANTS,
+  VARIANT_IDS,
+  variantLabel,
+  ASSIGNMENT_BUGS,
+  simulateAB,
+  ratioArmVariance,
+  SRM_ALPHA,
+  srmCheck,
+  perComparisonAlpha,
+  pFmt,
+  sequentialAnalysis,
+  bayesLift,
+  posteriorCurve,
+} from "./abEngine.js";
+import {
+  clampTestLen,
+  MAX_RAMP_PHASES,
+  encodeCatalogParam,
+  readUrlState,
+  serializeUrlState,
+} from "./urlState.js";
+import {
+  ciFmt,
+  levelFmt,
+  winsorFmt,
+  winsorSummary,
+  inferenceLabel,
+  inferenceNote,
+  toCSV,
+  STATS_EXPORT_COLUMNS,
+  statsExportRows,
+  dailyExportColumns,
+  dailyExportRows,
+  REASON_MARK,
+  buildReportMarkdown,
+  buildReportHTML,
+} from "./report.js";
+
+const VARIANT_DASHES = ["2 3", "8 3 2 3", "1 3", "12 4"]; // chart dash pattern per extra arm
+const EVENT_COLORS = { HOLIDAY: "#0ea5e9", MARKETING: "#22c55e", OUTAGE: "#ef4444", BOTS: "#a855f7" }; // chart shading per scenario event
+
+// The user-level simulation runs on the main thread on every change; beyond this many users it
+// simulates a random sample of them (simulateUsers' maxUsers), which keeps a run under a second
+const MAX_SIMULATED_USERS = 50000;
+
+// ===================== Metric catalog persistence ===================== //
+const CATALOG_STORAGE_KEY = "abPlayground.metricCatalog.v1";
+
+function loadMetricCatalog(){
+  try {
+    const raw = window.localStorage?.getItem(CATALOG_STORAGE_KEY);
+    if (raw) {
+      const { catalog } = validateCatalog(JSON.parse(raw));
+      if (catalog) return catalog;
+    }
+  } catch {}
+  return DEFAULT_METRICS;
 }
 
-function deriveDataDrivenLift(metricKey, data, seed){
-  // Deterministic "random" lift driven by both seed and data totals — endless possibilities when data regenerates
-  const sum = data.reduce((s,d)=> s + d[metricKey], 0);
-  const mixedSeed = (seed ^ 0x9e3779b9) ^ (sum | 0);
-  const r = createPRNG(mixedSeed);
-  const lift = 0.10 + 0.10 * boxMuller(r); // ~N(0.10, 0.10)
-  return clamp(lift, -0.5, 2.0);
+function saveMetricCatalog(catalog){
+  try { window.localStorage?.setItem(CATALOG_STORAGE_KEY, JSON.stringify(catalog)); } catch {}
 }
 
-function computeStats({ muC, liftPct, nC, nT, varBoost=0.05 }){
-  const muT = muC * (1 + liftPct);
-  const varC = muC * (1 + varBoost); // Poisson-ish variance inflated by +0.05
-  const varT = muT * (1 + varBoost);
-  const diff = muT - muC;
-  const se = Math.sqrt(varT / nT + varC / nC);
-  const z = diff / se;
-  const p = twoTailedP(z);
-  const ciLow = diff - zCritical * se;
-  const ciHigh = diff + zCritical * se;
-  return { muC, muT, diff, z, p, ciLow, ciHigh, lift: diff / muC };
-}
-
-function simulateAB(data, { seed, splitC, splitT, testLen, enforceNoDecline }){
-  const len = data.length;
-  const startIndex = Math.max(0, len - testLen);
-  const out = data.map(row => ({ ...row }));
-  const aggregates = {};
-
-  METRICS.forEach(m => {
-    const key = m.key;
-    const muC_pre = basePerUserUntil(key, data, startIndex);
-    let lift = deriveDataDrivenLift(key, data, seed);
-    if (enforceNoDecline && GUARDRAIL_KEYS.includes(key)) lift = Math.max(0, lift);
-
-    let sumC = 0, sumE = 0, NtotC = 0, NtotT = 0;
-
-    for (let i = 0; i < len; i++) {
-      out[i][`${key}_Control`] = null;
-      out[i][`${key}_Experiment`] = null;
-    }
-
-    for (let i = startIndex; i < len; i++) {
-      const r = createPRNG((seed ^ hashStr(key) ^ i) >>> 0);
-      const dauDay = out[i].DAU;
-      const nC_day = Math.max(0, Math.floor(dauDay * clamp(splitC, 0, 1)));
-      const nT_day = Math.max(0, Math.floor(dauDay * clamp(splitT, 0, 1)));
-
-      // Special-case DAU to be exactly the cohort sizes
-      if (key === "DAU") {
-        out[i][`${key}_Control`] = nC_day;
-        out[i][`${key}_Experiment`] = nT_day;
-        sumC += nC_day; sumE += nT_day; NtotC += nC_day; NtotT += nT_day;
-        continue;
-      }
-
-      const varPerUserC = muC_pre * (1 + 0.05);
-      const varPerUserE = muC_pre * (1 + lift) * (1 + 0.05);
-
-      const meanC = muC_pre * nC_day;
-      const meanE = muC_pre * (1 + lift) * nT_day;
-
-      const sdC = Math.sqrt(Math.max(1e-9, varPerUserC * nC_day));
-      const sdE = Math.sqrt(Math.max(1e-9, varPerUserE * nT_day));
-
-      const sampleC = Math.max(0, Math.round(meanC + sdC * boxMuller(r)));
-      const sampleE = Math.max(0, Math.round(meanE + sdE * boxMuller(r)));
-
-      out[i][`${key}_Control`] = sampleC;
-      out[i][`${key}_Experiment`] = sampleE;
-      sumC += sampleC; sumE += sampleE; NtotC += nC_day; NtotT += nT_day;
-    }
-
-    const daysInTest = Math.max(1, len - startIndex);
-    const muC_real = NtotC > 0 ? (sumC / NtotC) : 0;
-    const muT_real = NtotT > 0 ? (sumE / NtotT) : 0;
-    const lift_real = muC_real > 0 ? (muT_real / muC_real - 1) : 0;
-
-    aggregates[key] = { muC: muC_real, muT: muT_real, liftPct: lift_real, startIndex, daysInTest, NtotC, NtotT };
-  });
-
-  return { simData: out, aggregates, startIndex };
+// ===================== Export ===================== //
+function downloadFile(fileName, content, mime){
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 // Small right-edge label for a single series point (used on Experiment lines)
@@ -285,23 +165,130 @@ function RightEdgeNameLabel({ x, y, index, value, lastIndex, text, color }){
 
 // ===================== Component ===================== //
 export default function SocialMetricsPlayground() {
-  const [days, setDays] = useState(90);
-  const [seed, setSeed] = useState(42);
-  const [selected, setSelected] = useState(new Set(METRICS.map(m=>m.key)));
+  // Initial config comes from the shareable link (if any)
+  const [initialUrl] = useState(() => readUrlState(window.location.hash));
+  const url = initialUrl.values;
+  const [urlNotices, setUrlNotices] = useState(initialUrl.notices);
+
+  // Metric catalog: a link brings its own (none = the default one); without a link, the one saved
+  // in this browser. Only the user's edits are saved, so opening a link never overwrites it.
+  const [hasLink] = useState(() => window.location.hash.length > 1);
+  const [catalog, setCatalog] = useState(() => url.catalog ?? (hasLink ? DEFAULT_METRICS : loadMetricCatalog()));
+  const [savedCatalogSkipped, setSavedCatalogSkipped] = useState(() => hasLink && encodeCatalogParam(loadMetricCatalog()) !== encodeCatalogParam(catalog));
+  const [showCatalog, setShowCatalog] = useState(false);
+
+  const [days, setDays] = useState(url.days ?? 90);
+  const [seed, setSeed] = useState(url.seed ?? 42);
+  const [selected, setSelected] = useState(new Set(url.metrics ?? catalog.map(m=>m.key)));
+
+  // User-defined ratio metrics (numerator / denominator); dropped when a side leaves the catalog
+  const [ratioDefs, setRatioDefs] = useState(url.ratios ?? DEFAULT_RATIO_METRICS);
+  const ratioMetrics = useMemo(() => ratioDefs
+    .filter(d => parseRatioKey(ratioKey(d.num, d.den), catalog))
+    .map(d => ratioDef(d.num, d.den, catalog)), [ratioDefs, catalog]);
+  const [newRatio, setNewRatio] = useState({ num: catalog[1]?.key ?? COHORT_KEY, den: COHORT_KEY });
 
   // Traffic split mode (per-day cohorts are split of DAU)
-  const [splitC, setSplitC] = useState(0.5); // 50% control
-  const [splitT, setSplitT] = useState(0.5); // 50% experiment
+  const [splitC, setSplitC] = useState(url.splitC ?? 0.5); // 50% control
+  const [splitT, setSplitT] = useState(url.splitT ?? 0.5); // 50% experiment
 
   // Test window & behavior
-  const [testLen, setTestLen] = useState(14);
-  const [enforceNoDecline, setEnforceNoDecline] = useState(true);
-
-  const data = useMemo(() => generateData({ days, seed, varBoost: 0.05 }), [days, seed]);
-
-  const { simData, aggregates, startIndex } = useMemo(() =>
-    simulateAB(data, { seed, splitC, splitT, testLen: clamp(testLen, 1, data.length), enforceNoDecline })
-  , [data, seed, splitC, splitT, testLen, enforceNoDecline]);
+  // Extra treatment arms (A/B/n) beyond Control/Experiment, and their multiplicity correction
+  const [variants, setVariants] = useState(() => (url.arms || []).map((a, i) => ({ id: VARIANT_IDS[i], ...a })));
+  const [mcMethod, setMcMethod] = useState(url.mc ?? "DUNNETT"); // DUNNETT | HOLM
+  const [mt, setMt] = useState({ method: url.mt ?? "NONE", scope: url.mtScope ?? "FAMILY" }); // across metrics
+  const [conf, setConf] = useState(url.conf ?? DEFAULT_CONFIDENCE); // results-table confidence level
+  const arms = ["Experiment", ...variants.map(v => v.id)];
+
+  const [testLen, setTestLen] = useState(url.testLen ?? 14);
+  const [enforceNoDecline, setEnforceNoDecline] = useState(url.noDecline ?? true);
+  const [aaMode, setAaMode] = useState(url.aa ?? false);
+  const [segmentsOn, setSegmentsOn] = useState(url.seg ?? false);
+  // User-level simulation: persistent users, assigned by hashing user id + salt
+  const [population, setPopulation] = useState({ on: url.users ?? false, salt: url.salt ?? DEFAULT_POPULATION.salt, visitRate: url.visit ?? DEFAULT_POPULATION.visitRate });
+  // Backfilled pre-period before the test, optionally with a gap between the arms that predates it
+  const [prePeriod, setPrePeriod] = useState({ on: url.pre != null, days: url.pre ?? DEFAULT_PRE_PERIOD.days, bias: url.preBias ?? DEFAULT_PRE_PERIOD.bias });
+  const [ramp, setRamp] = useState({ schedule: url.ramp ?? [], control: url.rampCtl ?? "SCALE", pooling: url.pool ?? "STRATIFIED" });
+  const [segmentDim, setSegmentDim] = useState(SEGMENT_DIMENSIONS[0].id);
+  const [expanded, setExpanded] = useState(() => new Set()); // "<metric>-<arm>" rows showing segments
+
+  // CUPED: use each metric's pre-period value as covariate (rho = simulated pre/post per-user correlation)
+  const [cuped, setCuped] = useState(url.cuped ?? false);
+  const [cupedRho, setCupedRho] = useState(url.rho ?? 0.5);
+  const activeRho = cuped ? cupedRho : 0;
+
+  // Injected assignment bug (SRM practice)
+  const [bug, setBug] = useState({ mode: url.bug ?? "NONE", dropPct: url.bugDrop ?? 0.2 });
+
+  // Sizer inputs (lifted so they can be shared via the URL)
+  const [ruleConfig, setRuleConfig] = useState({
+    rule: url.rule ?? "PRIMARY",
+    primary: url.primary ?? metricsByRole(catalog, "success")[0] ?? COHORT_KEY,
+    alpha: url.alpha ?? 0.05,
+    power: url.power ?? 0.8,
+    mdePct: url.mde ?? 0.10,
+  });
+  const [sizeConfig, setSizeConfig] = useState({
+    metric: url.ssMetric ?? metricsByRole(catalog, "success")[0] ?? COHORT_KEY,
+    alpha: url.ssAlpha ?? 0.05,
+    power: url.ssPower ?? 0.8,
+    mdePct: url.ssMde ?? 0.10,
+    varOverride: url.ssVar != null ? String(url.ssVar) : "",
+  });
+  // Bayesian and sequential panel inputs (lifted so a link reproduces their verdicts)
+  const [showBayes, setShowBayes] = useState(url.bayes ?? false);
+  const [bayesConfig, setBayesConfig] = useState({
+    model: url.bModel ?? DEFAULT_BAYES_CONFIG.model,
+    priorUsers: url.bPrior ?? DEFAULT_BAYES_CONFIG.priorUsers,
+    priorMean: url.bMean ?? DEFAULT_BAYES_CONFIG.priorMean,
+    priorSd: url.bSd ?? DEFAULT_BAYES_CONFIG.priorSd,
+    lossThreshold: url.bLoss ?? DEFAULT_BAYES_CONFIG.lossThreshold,
+  });
+  const [seqConfig, setSeqConfig] = useState({
+    metric: url.seqMetric ?? metricsByRole(catalog, "success")[0] ?? COHORT_KEY,
+    method: url.seqMethod ?? DEFAULT_SEQ_CONFIG.method,
+    alpha: url.seqAlpha ?? DEFAULT_SEQ_CONFIG.alpha,
+    tauPct: url.seqTau ?? DEFAULT_SEQ_CONFIG.tauPct,
+  });
+  const [copied, setCopied] = useState(false);
+
+  // Data source: synthetic generator (default) or an imported daily export
+  const [dataSource, setDataSource] = useState("generated"); // generated | imported
+  const [importReport, setImportReport] = useState(null); // result of parseDailyImport
+  const [importText, setImportText] = useState(null);
+
+  const generated = useMemo(() => generateData({ days, seed, varBoost: 0.05, catalog }), [days, seed, catalog]);
+  const usingImport = dataSource === "imported" && importReport?.errors.length === 0;
+  const history = usingImport ? importReport.rows : generated;
+
+  // Scenario events laid over either source; anomalous days flagged on every catalog metric
+  const [events, setEvents] = useState(url.events ?? []);
+  const [anomaly, setAnomaly] = useState({ threshold: url.anomZ ?? ANOMALY_THRESHOLD, exclude: url.dropAnom ?? false });
+  const data = useMemo(() => applyScenarioEvents(history, events, catalog), [history, events, catalog]);
+  const anomalies = useMemo(() => detectAnomalies(data, { keys: catalog.map(m => m.key), threshold: anomaly.threshold }), [data, catalog, anomaly.threshold]);
+  const excludeDays = useMemo(() => anomaly.exclude ? anomalies.days.map(d => d.index) : null, [anomaly.exclude, anomalies]);
+
+  // None of these applies to the user-level simulation
+  const segmentDims = segmentsOn && !population.on ? SEGMENT_DIMENSIONS : null;
+  const rampConfig = ramp.schedule.length && !population.on ? ramp : null;
+  const prePeriodConfig = useMemo(() => prePeriod.on && !population.on ? { days: prePeriod.days, bias: prePeriod.bias } : null, [prePeriod, population.on]);
+  const populationConfig = useMemo(() => population.on ? { salt: population.salt || DEFAULT_POPULATION.salt, visitRate: population.visitRate, maxUsers: MAX_SIMULATED_USERS } : null, [population]);
+  const windowLen = clampTestLen(testLen, data.length);
+  // A restored link or a shorter series can leave testLen past the data — keep the state clamped too
+  useEffect(() => { if (windowLen !== testLen) setTestLen(windowLen); }, [windowLen, testLen]);
+  const simConfig = { seed, splitC, splitT, testLen: windowLen, enforceNoDecline, cupedRho, variants, ratios: ratioMetrics, bug, catalog, aaMode, segments: segmentDims, ramp: rampConfig, population: populationConfig, prePeriod: prePeriodConfig };
+  const simDeps = [data, seed, splitC, splitT, testLen, enforceNoDecline, cupedRho, variants, ratioMetrics, bug, catalog, aaMode, segmentDims, rampConfig, populationConfig, prePeriodConfig];
+  const { simData, aggregates, startIndex, cohorts, phases, segments: segmentInfo, units, users, excluded, full } = useMemo(() =>
+    simulateAB(data, { ...simConfig, exclude: excludeDays })
+  , [...simDeps, excludeDays]);
+  // The same test with every day kept, to show what excluding the flagged days changed (the
+  // user-level simulation returns it from the same pass)
+  const fullSim = useMemo(() => users ? full : excluded.length ? simulateAB(data, simConfig) : null, [...simDeps, excluded.length > 0, users, full]);
+
+  // Sample ratio mismatch: observed cohort counts vs configured shares
+  const srm = useMemo(() => srmCheck(simData, startIndex, [
+    { id: "Control", split: splitC }, { id: "Experiment", split: splitT }, ...variants,
+  ], cohorts, users), [simData, startIndex, splitC, splitT, variants, cohorts, users]);
 
   // sum of baseline DAU over test window — used to translate sample-size n to split %
   const { sumDAUWindow, daysInTest } = useMemo(() => {
@@ -320,9 +307,148 @@ export default function SocialMetricsPlayground() {
 
   function randomize() { setSeed(Math.floor(Math.random() * 1e9)); }
 
+  function addRampPhase(){
+    setRamp(r => {
+      const last = r.schedule[r.schedule.length - 1];
+      const pct = last ? Math.min(splitT, last.pct * 4) : Math.min(splitT, 0.01);
+      return { ...r, schedule: [...r.schedule, { days: 3, pct }] };
+    });
+  }
+  const updateRampPhase = (k, patch) => setRamp(r => ({ ...r, schedule: r.schedule.map((ph, j) => j === k ? { ...ph, ...patch } : ph) }));
+
+  // Keep the URL hash in sync with the full config
+  const urlHash = serializeUrlState({
+    days, seed, metrics: [...catalog.map(m=>m.key), ...ratioMetrics.map(r=>r.key)].filter(k => selected.has(k)), ratios: ratioDefs, splitC, splitT, testLen, noDecline: enforceNoDecline, aa: aaMode || null, seg: segmentsOn || null,
+    users: population.on || null, salt: population.on && population.salt && population.salt !== DEFAULT_POPULATION.salt ? population.salt : null, visit: population.on && population.visitRate !== DEFAULT_POPULATION.visitRate ? population.visitRate : null,
+    pre: prePeriod.on ? prePeriod.days : null, preBias: prePeriod.on && prePeriod.bias ? prePeriod.bias : null,
+    events, anomZ: anomaly.threshold === ANOMALY_THRESHOLD ? null : anomaly.threshold, dropAnom: anomaly.exclude || null,
+    ramp: ramp.schedule, rampCtl: ramp.schedule.length ? ramp.control : null, pool: ramp.schedule.length ? ramp.pooling : null,
+    arms: variants, mc: mcMethod, mt: mt.method === "NONE" ? null : mt.method, mtScope: mt.method === "NONE" ? null : mt.scope, conf: conf === DEFAULT_CONFIDENCE ? null : conf, cuped, rho: cupedRho, bug: bug.mode === "NONE" ? null : bug.mode, bugDrop: bug.mode === "NONE" ? null : bug.dropPct,
+    rule: ruleConfig.rule, primary: ruleConfig.primary, alpha: ruleConfig.alpha, power: ruleConfig.power, mde: ruleConfig.mdePct,
+    ssMetric: sizeConfig.metric, ssAlpha: sizeConfig.alpha, ssPower: sizeConfig.power, ssMde: sizeConfig.mdePct,
+    ssVar: sizeConfig.varOverride === "" ? null : Number(sizeConfig.varOverride),
+    catalog: encodeCatalogParam(catalog),
+    bayes: showBayes || null, ...(showBayes && {
+      bModel: bayesConfig.model === DEFAULT_BAYES_CONFIG.model ? null : bayesConfig.model,
+      bPrior: bayesConfig.model === "GAMMA_POISSON" && bayesConfig.priorUsers !== DEFAULT_BAYES_CONFIG.priorUsers ? bayesConfig.priorUsers : null,
+      bMean: bayesConfig.model === "NORMAL" && bayesConfig.priorMean !== DEFAULT_BAYES_CONFIG.priorMean ? bayesConfig.priorMean : null,
+      bSd: bayesConfig.model === "NORMAL" && bayesConfig.priorSd !== DEFAULT_BAYES_CONFIG.priorSd ? bayesConfig.priorSd : null,
+      bLoss: bayesConfig.lossThreshold === DEFAULT_BAYES_CONFIG.lossThreshold ? null : bayesConfig.lossThreshold,
+    }),
+    seqMetric: seqConfig.metric, seqMethod: seqConfig.method === DEFAULT_SEQ_CONFIG.method ? null : seqConfig.method,
+    seqAlpha: seqConfig.alpha === DEFAULT_SEQ_CONFIG.alpha ? null : seqConfig.alpha,
+    seqTau: seqConfig.method === "MSPRT" && seqConfig.tauPct !== DEFAULT_SEQ_CONFIG.tauPct ? seqConfig.tauPct : null,
+  });
+  useEffect(() => {
+    if (window.location.hash.replace(/^#/, "") !== urlHash) window.history.replaceState(null, "", `#${urlHash}`);
+  }, [urlHash]);
+
+  // A pasted link in the same tab only changes the hash — re-apply it; whatever the link
+  // leaves out goes back to the default a fresh load would use
+  useEffect(() => {
+    function onHashChange(){
+      const { values: v, notices } = readUrlState(window.location.hash);
+      const linkCatalog = v.catalog ?? DEFAULT_METRICS;
+      const successMetric = metricsByRole(linkCatalog, "success")[0] ?? COHORT_KEY;
+      setCatalog(linkCatalog);
+      setDays(v.days ?? 90);
+      setSeed(v.seed ?? 42);
+      setSelected(new Set(v.metrics ?? linkCatalog.map(m => m.key)));
+      setRatioDefs(v.ratios ?? DEFAULT_RATIO_METRICS);
+      setSplitC(v.splitC ?? 0.5);
+      setSplitT(v.splitT ?? 0.5);
+      setTestLen(v.testLen ?? 14);
+      setEnforceNoDecline(v.noDecline ?? true);
+      setAaMode(v.aa ?? false);
+      setSegmentsOn(v.seg ?? false);
+      setPopulation({ on: v.users ?? false, salt: v.salt ?? DEFAULT_POPULATION.salt, visitRate: v.visit ?? DEFAULT_POPULATION.visitRate });
+      setPrePeriod({ on: v.pre != null, days: v.pre ?? DEFAULT_PRE_PERIOD.days, bias: v.preBias ?? DEFAULT_PRE_PERIOD.bias });
+      setEvents(v.events ?? []);
+      setAnomaly({ threshold: v.anomZ ?? ANOMALY_THRESHOLD, exclude: v.dropAnom ?? false });
+      setRamp({ schedule: v.ramp ?? [], control: v.rampCtl ?? "SCALE", pooling: v.pool ?? "STRATIFIED" });
+      setVariants((v.arms || []).map((a, i) => ({ id: VARIANT_IDS[i], ...a })));
+      setMcMethod(v.mc ?? "DUNNETT");
+      setMt({ method: v.mt ?? "NONE", scope: v.mtScope ?? "FAMILY" });
+      setConf(v.conf ?? DEFAULT_CONFIDENCE);
+      setCuped(v.cuped ?? false);
+      setCupedRho(v.rho ?? 0.5);
+      setBug({ mode: v.bug ?? "NONE", dropPct: v.bugDrop ?? 0.2 });
+      setRuleConfig({
+        rule: v.rule ?? "PRIMARY", primary: v.primary ?? successMetric,
+        alpha: v.alpha ?? 0.05, power: v.power ?? 0.8, mdePct: v.mde ?? 0.10,
+      });
+      setSizeConfig({
+        metric: v.ssMetric ?? successMetric, alpha: v.ssAlpha ?? 0.05, power: v.ssPower ?? 0.8, mdePct: v.ssMde ?? 0.10,
+        varOverride: v.ssVar != null ? String(v.ssVar) : "",
+      });
+      setShowBayes(v.bayes ?? false);
+      setBayesConfig({
+        model: v.bModel ?? DEFAULT_BAYES_CONFIG.model, priorUsers: v.bPrior ?? DEFAULT_BAYES_CONFIG.priorUsers,
+        priorMean: v.bMean ?? DEFAULT_BAYES_CONFIG.priorMean, priorSd: v.bSd ?? DEFAULT_BAYES_CONFIG.priorSd,
+        lossThreshold: v.bLoss ?? DEFAULT_BAYES_CONFIG.lossThreshold,
+      });
+      setSeqConfig({ metric: v.seqMetric ?? successMetric, method: v.seqMethod ?? DEFAULT_SEQ_CONFIG.method,
+        alpha: v.seqAlpha ?? DEFAULT_SEQ_CONFIG.alpha, tauPct: v.seqTau ?? DEFAULT_SEQ_CONFIG.tauPct });
+      setUrlNotices(notices);
+    }
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [catalog]);
+
+  async function copyLink(){
+    const link = `${window.location.origin}${window.location.pathname}#${urlHash}`;
+    try { await navigator.clipboard.writeText(link); }
+    catch { window.prompt("Copy this link", link); return; }
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  }
+
+  function handleImport(report, text = null){
+    setImportReport(report);
+    setImportText(text);
+    if (report.errors.length === 0) {
+      setDataSource("imported");
+      setTestLen(t => clampTestLen(t, report.rows.length));
+    }
+  }
+
+  // An imported file must carry every catalog metric — re-validate it when the catalog changes
+  useEffect(() => {
+    if (importText != null && importReport) setImportReport(parseDailyImport(importText, importReport.fileName, catalog));
+  }, [catalog]);
+
+  // Catalog edits: select metrics as they are added, forget removed ones
+  function updateCatalog(next){
+    const before = new Set(catalog.map(m => m.key));
+    const after = new Set(next.map(m => m.key));
+    setCatalog(next);
+    saveMetricCatalog(next);
+    setSavedCatalogSkipped(false);
+    setSelected(prev => {
+      const sel = new Set([...prev].filter(k => after.has(k) || parseRatioKey(k, next)));
+      next.forEach(m => { if (!before.has(m.key)) sel.add(m.key); });
+      return sel;
+    });
+  }
+
   // Computed groups for the dropdowns
-  const guardrailMetrics = METRICS.filter(m => GUARDRAIL_KEYS.includes(m.key));
-  const successMetrics = METRICS.filter(m => SUCCESS_KEYS.includes(m.key));
+  const guardrailMetrics = catalog.filter(m => m.role === "guardrail");
+  const successMetrics = catalog.filter(m => m.role === "success");
+  const diagnosticMetrics = catalog.filter(m => m.role === "diagnostic");
+  const keysOf = (metrics) => metrics.map(m => m.key);
+
+  function addRatio(){
+    const { num, den } = newRatio;
+    const key = ratioKey(num, den);
+    if (!parseRatioKey(key, catalog) || ratioDefs.some(d => ratioKey(d.num, d.den) === key)) return;
+    setRatioDefs(defs => [...defs, { num, den }]);
+    setSelected(prev => new Set(prev).add(key));
+  }
+
+  function removeRatio(key){
+    setRatioDefs(defs => defs.filter(d => ratioKey(d.num, d.den) !== key));
+    setSelected(prev => { const next = new Set(prev); next.delete(key); return next; });
+  }
 
   function setGroup(keys, checked){
     setSelected(prev => {
@@ -332,38 +458,120 @@ export default function SocialMetricsPlayground() {
     });
   }
 
-  // Helper to safely set splits and keep total <= 98% (leave small remainder)
-  function setSplitPair(c, t){
+  // Helper to safely set all arm shares and keep total <= 98% (leave small remainder)
+  function setShares(c, t, vs = variants){
     let c0 = clamp(Number(c) || 0, 0, 1);
     let t0 = clamp(Number(t) || 0, 0, 1);
-    const tot = c0 + t0;
+    let v0 = vs.map(v => ({ ...v, split: clamp(Number(v.split) || 0, 0, 1) }));
+    const tot = c0 + t0 + v0.reduce((sum, v) => sum + v.split, 0);
     if (tot > 0.98) { // keep slight headroom
       c0 = (c0 / tot) * 0.98;
       t0 = (t0 / tot) * 0.98;
+      v0 = v0.map(v => ({ ...v, split: (v.split / tot) * 0.98 }));
     }
     setSplitC(c0);
     setSplitT(t0);
+    setVariants(v0);
+  }
+
+  function setSplitPair(c, t){ setShares(c, t); }
+
+  function updateVariant(id, patch){
+    setShares(splitC, splitT, variants.map(v => v.id === id ? { ...v, ...patch } : v));
+  }
+
+  function addVariant(){
+    if (variants.length >= MAX_VARIANTS) return;
+    const id = VARIANT_IDS.find(vid => !variants.some(v => v.id === vid));
+    // Re-balance to equal shares across all arms
+    const share = Math.min(splitC, 0.98 / (arms.length + 2));
+    setShares(share, share, [...variants.map(v => ({ ...v, split: share })), { id, split: share, liftScale: 1 }]);
+  }
+
+  function removeVariant(id){
+    setVariants(variants.filter(v => v.id !== id).map((v, i) => ({ ...v, id: VARIANT_IDS[i] })));
+  }
+
+  // Equal share per arm that reaches n users per arm over the window
+  function applyToSplit(n){
+    if (Number.isFinite(n) && sumDAUWindow>0) {
+      const frac = clamp(n / sumDAUWindow, 0, 0.98);
+      setShares(frac, frac, variants.map(v => ({ ...v, split: frac })));
+    }
   }
 
   // --- sanity tests (dev only; no user impact) ---
   useEffect(() => {
     try {
       console.assert(Array.isArray(data) && data.length > 0, "Data should be non-empty");
-      const mu = basePerUser("VideoViews", data);
+      const mu = basePerUser(catalog.find(m => m.key !== COHORT_KEY)?.key ?? COHORT_KEY, data);
       console.assert(Number.isFinite(mu) && mu > 0, "Base per-user mean should be positive");
-      const metricKeys = new Set(METRICS.map(m=>m.key));
-      [...SUCCESS_KEYS, ...GUARDRAIL_KEYS].forEach(k => console.assert(metricKeys.has(k), `Unknown metric key: ${k}`));
+      console.assert(validateCatalog(catalog).errors.length === 0, "Metric catalog should validate");
       console.assert(Math.abs(invNorm(0.975) - 1.95996) < 0.02, "invNorm sanity");
       const sigma2 = mu*(1+0.05);
       const n1 = computeSampleSize({ sigma2, mdeAbs: mu*0.1, alpha: 0.05, power: 0.8 });
       const n2 = computeSampleSize({ sigma2, mdeAbs: mu*0.2, alpha: 0.05, power: 0.8 });
       console.assert(n2 <= n1, "Larger MDE should reduce required n");
     } catch {}
-  }, [data]);
+  }, [data, catalog]);
 
   // ===== AB table keys based on selection =====
-  const selectedGuardrails = GUARDRAIL_KEYS.filter(k => selected.has(k));
-  const selectedSuccess = SUCCESS_KEYS.filter(k => selected.has(k));
+  const selectedGuardrails = guardrailMetrics.map(m => m.key).filter(k => selected.has(k));
+  const selectedSuccess = successMetrics.map(m => m.key).filter(k => selected.has(k));
+  const selectedDiagnostics = diagnosticMetrics.map(m => m.key).filter(k => selected.has(k));
+  const selectedRatios = ratioMetrics.map(r => r.key).filter(k => selected.has(k));
+
+  const multiArm = arms.length > 1;
+  // Memoized: bootstrap and permutation tests resample every selected metric
+  const { Guardrail: guardrailResults, Success: successResults, Diagnostic: diagnosticResults, Ratio: ratioResults, decisions } = useMemo(() => analyzeResults({
+    data, aggregates, seed, catalog, arms, cupedRho: activeRho, mcMethod, mt, srmFlagged: srm.flagged, rule: ruleConfig, conf,
+    families: { Guardrail: selectedGuardrails, Success: selectedSuccess, Diagnostic: selectedDiagnostics, Ratio: selectedRatios },
+    sim: { simData, cohorts, startIndex, units, users, excluded },
+  }), [data, aggregates, seed, catalog, variants, activeRho, mcMethod, mt, srm.flagged, ruleConfig, conf, selected, ratioMetrics, simData, cohorts, startIndex, units, users, excluded]);
+  // With flagged days excluded: the same readout over every day of the window, for comparison
+  const fullResults = useMemo(() => fullSim && analyzeResults({
+    data, aggregates: fullSim.aggregates, seed, catalog, arms, cupedRho: activeRho, mcMethod, mt, srmFlagged: srm.flagged, rule: ruleConfig, conf,
+    families: { Guardrail: selectedGuardrails, Success: selectedSuccess, Diagnostic: selectedDiagnostics, Ratio: selectedRatios },
+    sim: fullSim,
+  }), [fullSim, data, seed, catalog, variants, activeRho, mcMethod, mt, srm.flagged, ruleConfig, conf, selected, ratioMetrics]);
+  const unitLevel = [...guardrailResults, ...successResults, ...diagnosticResults].some(r => r.inference !== "Z" || r.winsor);
+  const winsorized = [...guardrailResults, ...successResults, ...diagnosticResults].some(r => r.winsor);
+  const showNI = selectedGuardrails.length > 0;
+  const showAdj = multiArm || mt.method !== "NONE";
+  const adjLabel = [multiArm && (mcMethod === "DUNNETT" ? "Dunnett" : "Holm"), mt.method !== "NONE" && MT_CORRECTIONS.find(c => c.id === mt.method).label.replace(/ \(FDR\)$/, "")].filter(Boolean).join(" + ");
+  const showPre = !!prePeriodConfig;
+  const resultCols = 7 + (multiArm ? 1 : 0) + (showAdj ? 1 : 0) + (showNI ? 1 : 0) + (users ? 1 : 0) + (showPre ? 2 : 0) + (cuped ? 3 : 0);
+
+  function toggleExpanded(id){
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  }
+  const mixChecks = segmentInfo ? arms.flatMap(arm => segmentInfo.dims.map(dim => segmentMixCheck(aggregates, segmentInfo, dim.id, arm))).filter(Boolean) : [];
+  const renderResult = (s) => {
+    const id = `${s.key}-${s.arm}`;
+    const drillable = segmentInfo && s.key !== COHORT_KEY; // DAU per segment is just the mix above
+    return (
+      <React.Fragment key={id}>
+        <ResultRow s={s} showCuped={cuped} showArm={multiArm} showAdj={showAdj} showNI={showNI} showNaive={!!users} showPre={showPre} expanded={drillable ? expanded.has(id) : null} onToggle={() => toggleExpanded(id)} />
+        {drillable && expanded.has(id) && (
+          <SegmentBreakdownRow s={s} aggregates={aggregates} segmentInfo={segmentInfo} dimId={segmentDim} catalog={catalog} colSpan={resultCols} />
+        )}
+      </React.Fragment>
+    );
+  };
+
+  // Planning: the decision rule's sizing, the smallest arm's share and a DAU forecast past the history
+  const ruleSizingArgs = {
+    data, catalog, keys: selectedSuccess.length ? selectedSuccess : metricsByRole(catalog, "success"),
+    rule: ruleConfig.rule, primary: ruleConfig.primary, alpha: ruleConfig.alpha, power: ruleConfig.power, mdePct: ruleConfig.mdePct,
+    varianceFactor: 1 - activeRho * activeRho, comparisons: arms.length, mcMethod,
+  };
+  const ruleSizing = ruleSampleSizes(ruleSizingArgs);
+  const armShare = Math.min(splitC, splitT, ...variants.map(v => v.split));
+  const dauForecast = useMemo(() => forecastDAU(data, PLANNER_HORIZON), [data]);
 
   const testStartLabel = simData[startIndex]?.label;
   const testEndLabel = simData[simData.length - 1]?.label;
@@ -373,14 +581,36 @@ export default function SocialMetricsPlayground() {
   // Estimated total n in window from splits
   const NtotC_est = Math.round(sumDAUWindow * splitC);
   const NtotT_est = Math.round(sumDAUWindow * splitT);
-  const remainderPct = Math.max(0, 1 - splitC - splitT);
+  const remainderPct = Math.max(0, 1 - splitC - splitT - variants.reduce((sum, v) => sum + v.split, 0));
 
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900">
       <div className="max-w-6xl mx-auto p-6">
         <header className="mb-6">
-          <h1 className="text-2xl md:text-3xl font-semibold">Social Metrics Playground</h1>
-          <p className="text-gray-600 mt-1">Traffic‑split mode: each day, Control/Experiment get a % of that day's DAU. Random data drives both guardrails and success metrics; variance inflated by +0.05.</p>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h1 className="text-2xl md:text-3xl font-semibold">Social Metrics Playground</h1>
+            <button type="button" onClick={copyLink} className="rounded-xl px-3 py-1.5 bg-white border border-gray-300 text-sm text-gray-700 hover:bg-gray-100 shadow-sm" title="Copy a link that restores this exact configuration">
+              {copied ? "Copied!" : "Copy link"}
+            </button>
+          </div>
+          <p className="text-gray-600 mt-1">Traffic‑split mode: each day, Control/Experiment get a % of that day's DAU. Random (or imported) data drives both guardrails and success metrics; variance inflated by +0.05.</p>
+          {usingImport && (
+            <p className="text-xs text-gray-500 mt-1">Shared links carry the configuration only — recipients see generated data unless they import the same file.</p>
+          )}
+          {savedCatalogSkipped && (
+            <p className="text-xs text-gray-500 mt-1">This link uses {url.catalog ? "its own" : "the default"} metric catalog. The catalog saved in this browser is unchanged and loads again when you open the playground without a link.</p>
+          )}
+          {urlNotices.length > 0 && (
+            <div className="mt-3 rounded-xl border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-800 flex items-start justify-between gap-3">
+              <div>
+                <div className="font-medium">Some link settings were adjusted:</div>
+                <ul className="list-disc ml-5 text-xs mt-1">
+                  {urlNotices.map((n, i) => <li key={i}>{n}</li>)}
+                </ul>
+              </div>
+              <button type="button" onClick={() => setUrlNotices([])} className="text-xs px-2 py-1 rounded bg-amber-100 hover:bg-amber-200">Dismiss</button>
+            </div>
+          )}
         </header>
 
         {/* SECTION: Chart + Right Panel */}
@@ -394,19 +624,38 @@ export default function SocialMetricsPlayground() {
                 max={365}
                 value={days}
                 onChange={e => setDays(Number(e.target.value) || 7)}
-                className="w-24 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                disabled={usingImport}
+                className="w-24 disabled:bg-gray-100 disabled:text-gray-400 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"
               />
-              <button onClick={randomize} className="rounded-xl px-3 py-1.5 bg-indigo-600 text-white hover:bg-indigo-700 transition shadow" title="Regenerate data with a new seed">
+              <button onClick={randomize} disabled={usingImport}
+                className="rounded-xl px-3 py-1.5 bg-indigo-600 text-white hover:bg-indigo-700 transition shadow disabled:opacity-40 disabled:cursor-not-allowed"
+                title={usingImport ? "Imported data is in use — switch back to generated data to regenerate" : "Regenerate data with a new seed"}>
                 Regenerate Data
               </button>
               <div className="text-xs text-gray-500">Seed: <span className="font-mono">{seed}</span></div>
             </div>
 
+            <DataImportPanel
+              report={importReport}
+              usingImport={usingImport}
+              onImport={handleImport}
+              onSelectSource={setDataSource}
+              catalog={catalog}
+            />
+
             {/* Tiny cohort style key (legend) */}
             <div className="flex items-center gap-4 text-xs text-gray-600 mb-2">
               <span className="inline-flex items-center gap-2"><span className="inline-block w-6 h-[2px] bg-gray-700 opacity-30"/> Baseline</span>
               <span className="inline-flex items-center gap-2"><span className="inline-block w-6 h-[2px] bg-gray-700"/> Control</span>
               <span className="inline-flex items-center gap-2"><span className="inline-block w-6 border-t border-gray-700 border-dashed"/> Experiment</span>
+              {variants.map((v, i) => (
+                <span key={v.id} className="inline-flex items-center gap-2">
+                  <svg width="24" height="4"><line x1="0" y1="2" x2="24" y2="2" stroke="#374151" strokeWidth="2" strokeDasharray={VARIANT_DASHES[i]} /></svg> {variantLabel(v.id)}
+                </span>
+              ))}
+              {anomalies.days.length > 0 && (
+                <span className="inline-flex items-center gap-2"><span className="inline-block w-2.5 h-2.5 rounded-full border-2 border-gray-700 bg-white"/> Anomaly</span>
+              )}
             </div>
 
             <div className="w-full h-[380px] md:h-[440px]">
@@ -415,21 +664,41 @@ export default function SocialMetricsPlayground() {
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="label" interval="preserveStartEnd" tick={{ fontSize: 12 }} />
                   <YAxis tick={{ fontSize: 12 }} allowDecimals={false} />
-                  <Tooltip formatter={(value, name) => [new Intl.NumberFormat().format(value), name]} />
+                  {selectedRatios.length > 0 && (
+                    <YAxis yAxisId="ratio" orientation="right" tick={{ fontSize: 11 }} width={44} tickFormatter={(v)=>Number(v).toFixed(2)} />
+                  )}
+                  <Tooltip formatter={(value, name) => [new Intl.NumberFormat(undefined, { maximumFractionDigits: 3 }).format(value), name]} />
 
                   {/* Shaded test window */}
                   {testStartLabel && testEndLabel && (
                     <ReferenceArea x1={testStartLabel} x2={testEndLabel} strokeOpacity={0} fill="#6366f1" fillOpacity={0.08} />
                   )}
+                  {/* Ramp-up phases (the final, full-split phase is the plain test window) */}
+                  {rampConfig && phases.filter(ph => ph.pct != null).map((ph, k) => (
+                    <ReferenceArea key={`ramp-${k}`} x1={simData[startIndex + ph.start]?.label} x2={simData[startIndex + ph.end - 1]?.label}
+                      strokeOpacity={0} fill="#f59e0b" fillOpacity={0.06 + 0.04 * k}
+                      label={{ value: `${percentFmt(ph.pct, ph.pct < 0.1 ? 1 : 0)}`, position: "insideTop", fontSize: 11, fill: "#92400e" }} />
+                  ))}
+                  {/* Scenario events (a one-day event is a wide line: a point axis has no band to shade) */}
+                  {events.map((ev, k) => {
+                    const [a, b] = eventRange(ev, simData.length);
+                    if (a >= b) return null;
+                    const label = { value: SCENARIO_EVENTS.find(e => e.id === ev.type)?.label, position: "insideBottom", fontSize: 10, fill: EVENT_COLORS[ev.type] };
+                    return b - a === 1
+                      ? <ReferenceLine key={`ev-${k}`} x={simData[a].label} stroke={EVENT_COLORS[ev.type]} strokeOpacity={0.25} strokeWidth={8} label={label} />
+                      : <ReferenceArea key={`ev-${k}`} x1={simData[a].label} x2={simData[b - 1].label} strokeOpacity={0} fill={EVENT_COLORS[ev.type]} fillOpacity={0.12} label={label} />;
+                  })}
+                  {/* Test-window days left out of the analysis */}
+                  {excluded.map(i => <ReferenceLine key={`ex-${i}`} x={simData[i].label} stroke="#6b7280" strokeDasharray="2 2" />)}
 
                   {/* Baseline lines (faint) + Cohort lines for selected metrics */}
-                  {METRICS.filter(m => selected.has(m.key)).map((m) => (
+                  {catalog.filter(m => selected.has(m.key)).map((m) => (
                     <Line key={`${m.key}-base`} type="monotone" dataKey={m.key} name={`${m.label} — Baseline`} stroke={m.color} strokeOpacity={0.35} dot={false} strokeWidth={2} isAnimationActive={false} />
                   ))}
-                  {METRICS.filter(m => selected.has(m.key)).map((m) => (
+                  {catalog.filter(m => selected.has(m.key)).map((m) => (
                     <Line key={`${m.key}-ctrl`} type="monotone" dataKey={`${m.key}_Control`} name={`${m.label} — Control`} stroke={m.color} dot={false} strokeWidth={2} isAnimationActive={false} />
                   ))}
-                  {METRICS.filter(m => selected.has(m.key)).map((m) => (
+                  {catalog.filter(m => selected.has(m.key)).map((m) => (
                     <Line key={`${m.key}-exp`} type="monotone" dataKey={`${m.key}_Experiment`} name={`${m.label} — Experiment`} stroke={m.color} strokeDasharray="5 4" dot={false} strokeWidth={2} isAnimationActive={false}>
                       {/* right-edge metric labels on experiment lines */}
                       <LabelList dataKey={`${m.key}_Experiment`} content={(props)=> (
@@ -437,15 +706,43 @@ export default function SocialMetricsPlayground() {
                       )} />
                     </Line>
                   ))}
+                  {variants.flatMap((v, i) => catalog.filter(m => selected.has(m.key)).map((m) => (
+                    <Line key={`${m.key}-${v.id}`} type="monotone" dataKey={`${m.key}_${v.id}`} name={`${m.label} — ${variantLabel(v.id)}`} stroke={m.color} strokeDasharray={VARIANT_DASHES[i]} dot={false} strokeWidth={2} isAnimationActive={false} />
+                  )))}
+                  {/* Anomalous days on the baseline lines */}
+                  {catalog.filter(m => selected.has(m.key)).flatMap((m) => anomalies.byMetric[m.key].map(a => (
+                    <ReferenceDot key={`anom-${m.key}-${a.index}`} x={simData[a.index].label} y={a.value} r={4} fill="#fff" stroke={m.color} strokeWidth={2} />
+                  )))}
+
+                  {/* Ratio metrics on the right-hand axis (thinner lines) */}
+                  {ratioMetrics.filter(r => selected.has(r.key)).flatMap((r) => [
+                    <Line key={`${r.key}-base`} yAxisId="ratio" type="monotone" dataKey={r.key} name={`${r.label} — Baseline`} stroke={r.color} strokeOpacity={0.35} dot={false} strokeWidth={1.5} isAnimationActive={false} />,
+                    <Line key={`${r.key}-ctrl`} yAxisId="ratio" type="monotone" dataKey={`${r.key}_Control`} name={`${r.label} — Control`} stroke={r.color} dot={false} strokeWidth={1.5} isAnimationActive={false} />,
+                    <Line key={`${r.key}-exp`} yAxisId="ratio" type="monotone" dataKey={`${r.key}_Experiment`} name={`${r.label} — Experiment`} stroke={r.color} strokeDasharray="5 4" dot={false} strokeWidth={1.5} isAnimationActive={false} />,
+                    ...variants.map((v, i) => (
+                      <Line key={`${r.key}-${v.id}`} yAxisId="ratio" type="monotone" dataKey={`${r.key}_${v.id}`} name={`${r.label} — ${variantLabel(v.id)}`} stroke={r.color} strokeDasharray={VARIANT_DASHES[i]} dot={false} strokeWidth={1.5} isAnimationActive={false} />
+                    )),
+                  ])}
                 </LineChart>
               </ResponsiveContainer>
             </div>
 
-            <div className="mt-3 text-xs text-gray-600">Test window: <span className="font-mono">{testStartLabel}</span> → <span className="font-mono">{testEndLabel}</span></div>
+            <div className="mt-3 text-xs text-gray-600">
+              Test window: <span className="font-mono">{testStartLabel}</span> → <span className="font-mono">{testEndLabel}</span>
+              {rampConfig && <> · Ramp (Experiment share): {phases.map(ph => `${percentFmt(ph.pct ?? splitT, 1)} × ${ph.end - ph.start} d`).join(" → ")}</>}
+            </div>
+
+            <ScenarioEventsPanel events={events} onChange={setEvents} anomaly={anomaly} onAnomalyChange={setAnomaly}
+              anomalies={anomalies} data={data} startIndex={startIndex} catalog={catalog} />
           </div>
 
           <div className="bg-white rounded-2xl shadow p-4">
-            <h2 className="text-lg font-semibold mb-3">Metrics</h2>
+            <div className="flex items-center justify-between gap-2 mb-3">
+              <h2 className="text-lg font-semibold">Metrics</h2>
+              <button type="button" onClick={() => setShowCatalog(v => !v)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-xs">
+                {showCatalog ? "Close catalog" : "Edit catalog"}
+              </button>
+            </div>
             <div className="space-y-4">
               {/* Guardrail dropdown */}
               <details className="group rounded-xl border border-gray-200">
@@ -455,8 +752,8 @@ export default function SocialMetricsPlayground() {
                 </summary>
                 <div className="px-3 pb-3 space-y-2">
                   <div className="flex items-center gap-2 text-xs text-gray-600">
-                    <button type="button" onClick={() => setGroup(GUARDRAIL_KEYS, true)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Select all</button>
-                    <button type="button" onClick={() => setGroup(GUARDRAIL_KEYS, false)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Clear</button>
+                    <button type="button" onClick={() => setGroup(keysOf(guardrailMetrics), true)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Select all</button>
+                    <button type="button" onClick={() => setGroup(keysOf(guardrailMetrics), false)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Clear</button>
                   </div>
                   <div className="space-y-2 mt-1">
                     {guardrailMetrics.map((m) => (
@@ -480,8 +777,8 @@ export default function SocialMetricsPlayground() {
                 </summary>
                 <div className="px-3 pb-3 space-y-2">
                   <div className="flex items-center gap-2 text-xs text-gray-600">
-                    <button type="button" onClick={() => setGroup(SUCCESS_KEYS, true)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Select all</button>
-                    <button type="button" onClick={() => setGroup(SUCCESS_KEYS, false)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Clear</button>
+                    <button type="button" onClick={() => setGroup(keysOf(successMetrics), true)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Select all</button>
+                    <button type="button" onClick={() => setGroup(keysOf(successMetrics), false)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Clear</button>
                   </div>
                   <div className="space-y-2 mt-1">
                     {successMetrics.map((m) => (
@@ -496,85 +793,234 @@ export default function SocialMetricsPlayground() {
                   </div>
                 </div>
               </details>
+
+              {/* Diagnostic dropdown (only when the catalog has diagnostic metrics) */}
+              {diagnosticMetrics.length > 0 && (
+                <details className="group rounded-xl border border-gray-200">
+                  <summary className="list-none cursor-pointer select-none px-3 py-2 flex items-center justify-between">
+                    <span className="font-medium">Diagnostic Metrics</span>
+                    <span className="text-gray-500 group-open:rotate-180 transition">▼</span>
+                  </summary>
+                  <div className="px-3 pb-3 space-y-2">
+                    <div className="flex items-center gap-2 text-xs text-gray-600">
+                      <button type="button" onClick={() => setGroup(keysOf(diagnosticMetrics), true)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Select all</button>
+                      <button type="button" onClick={() => setGroup(keysOf(diagnosticMetrics), false)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Clear</button>
+                    </div>
+                    <div className="space-y-2 mt-1">
+                      {diagnosticMetrics.map((m) => (
+                        <label key={m.key} className="flex items-center gap-3 cursor-pointer select-none">
+                          <input type="checkbox" checked={selected.has(m.key)} onChange={() => toggleMetric(m.key)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+                          <span className="inline-flex items-center gap-2">
+                            <span className="inline-block h-2 w-6 rounded" style={{ background: m.color }} />
+                            <span>{m.label}</span>
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </details>
+              )}
+
+              {/* Ratio dropdown */}
+              <details className="group rounded-xl border border-gray-200">
+                <summary className="list-none cursor-pointer select-none px-3 py-2 flex items-center justify-between">
+                  <span className="font-medium">Ratio Metrics</span>
+                  <span className="text-gray-500 group-open:rotate-180 transition">▼</span>
+                </summary>
+                <div className="px-3 pb-3 space-y-2">
+                  <div className="flex items-center gap-2 text-xs text-gray-600">
+                    <button type="button" onClick={() => setGroup(ratioMetrics.map(r=>r.key), true)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Select all</button>
+                    <button type="button" onClick={() => setGroup(ratioMetrics.map(r=>r.key), false)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Clear</button>
+                  </div>
+                  <div className="space-y-2 mt-1">
+                    {ratioMetrics.map((r) => (
+                      <div key={r.key} className="flex items-center justify-between gap-2">
+                        <label className="flex items-center gap-3 cursor-pointer select-none">
+                          <input type="checkbox" checked={selected.has(r.key)} onChange={() => toggleMetric(r.key)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+                          <span className="inline-flex items-center gap-2">
+                            <span className="inline-block h-[2px] w-6 rounded" style={{ background: r.color }} />
+                            <span>{r.label}</span>
+                          </span>
+                        </label>
+                        <button type="button" onClick={() => removeRatio(r.key)} className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-xs" title="Remove ratio metric">✕</button>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-1 text-xs pt-1">
+                    <select value={newRatio.num} onChange={(e)=>setNewRatio(r => ({ ...r, num: e.target.value }))} className="flex-1 min-w-0 rounded-lg border border-gray-300 px-1 py-1">
+                      {catalog.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                    </select>
+                    <span>/</span>
+                    <select value={newRatio.den} onChange={(e)=>setNewRatio(r => ({ ...r, den: e.target.value }))} className="flex-1 min-w-0 rounded-lg border border-gray-300 px-1 py-1">
+                      {catalog.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                    </select>
+                    <button type="button" onClick={addRatio} disabled={newRatio.num === newRatio.den || ratioDefs.some(d => d.num === newRatio.num && d.den === newRatio.den)}
+                      className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed">Add</button>
+                  </div>
+                </div>
+              </details>
             </div>
           </div>
         </section>
 
+        {showCatalog && (
+          <MetricCatalogEditor catalog={catalog} onChange={updateCatalog} onClose={() => setShowCatalog(false)} />
+        )}
+
         {/* A/B Test Panel for Selected Metrics */}
         <section className="grid lg:grid-cols-3 gap-4 mt-4">
           <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2">
-            <h2 className="text-lg font-semibold mb-1">A/B Test — Selected Metrics</h2>
-            <p className="text-xs text-gray-600 mb-4">Rows reflect the <b>simulated cohort results</b> over the shaded window (last {daysInTest} days). Stats use aggregated means with effective N equal to the sum of daily assigned users (from your traffic split).</p>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+              <h2 className="text-lg font-semibold">A/B Test — Selected Metrics</h2>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={showBayes} onChange={(e)=>setShowBayes(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+                Bayesian view
+              </label>
+            </div>
+            <SrmBanner srm={srm} />
+            {users && (
+              <div className="mb-3 rounded-xl px-3 py-2 text-sm border bg-gray-50 text-gray-700 border-gray-200">
+                User‑level simulation · {users.simulated < users.size ? <>a random <b>{users.simulated.toLocaleString()}</b> of {users.size.toLocaleString()} users (counts, CIs and p‑values are for this sample)</> : <>{users.size.toLocaleString()} users</>}, salt <code>{users.salt}</code> · analyzed on <b>distinct users</b>: {["Control", ...arms].map(id => `${variantLabel(id)} ${users.exposed[id].toLocaleString()} (${users.userDays[id].toLocaleString()} user‑days)`).join(" · ")}. Users come back on {numberFmt(users.userDays.Control / Math.max(1, users.exposed.Control), 1)} days on average; the naive column counts every visit as a unit, so its N is that much larger and its SE ignores that a user's visits are alike.
+              </div>
+            )}
+            {fullResults && (
+              <ExclusionBanner excluded={excluded} simData={simData} multiArm={multiArm} decisions={decisions} fullResults={fullResults}
+                results={{ Guardrail: guardrailResults, Success: successResults, Diagnostic: diagnosticResults, Ratio: ratioResults }} />
+            )}
+            {showPre && <PrePeriodBanner prePeriod={prePeriodConfig} multiArm={multiArm}
+              results={[...guardrailResults, ...successResults, ...diagnosticResults]} />}
+            {aaMode && <div className="mb-3 rounded-xl px-3 py-2 text-sm bg-amber-50 text-amber-800 border border-amber-200">A/A test: every metric has zero true lift, so each significant row below is a false positive. Run the A/A diagnostics below to check the false‑positive rate over many seeds.</div>}
+            {rampConfig && (
+              <div className={`mb-3 rounded-xl px-3 py-2 text-sm border ${rampConfig.control === "FIXED" && rampConfig.pooling === "POOLED" ? "bg-amber-50 text-amber-800 border-amber-200" : "bg-gray-50 text-gray-700 border-gray-200"}`}>
+                {rampConfig.control === "FIXED" && rampConfig.pooling === "POOLED"
+                  ? <>⚠ <b>Pooled across ramp phases with a fixed Control</b> — Experiment's days are weighted toward the full‑split phase while Control's are not, so any day‑to‑day drift in the metric leaks into the lift. Stratify by phase or use the final phase only.</>
+                  : <>Ramp‑up active · analysis: <b>{RAMP_POOLING.find(o => o.id === rampConfig.pooling).label.toLowerCase()}</b>{rampConfig.pooling === "FINAL" ? ` (last ${phases[phases.length - 1].end - phases[phases.length - 1].start} days)` : ""}.</>}
+              </div>
+            )}
+            {segmentInfo && (
+              <div className="mb-3">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="text-gray-700">Segment drill‑down (▸) by</span>
+                  {segmentInfo.dims.map(dim => (
+                    <label key={dim.id} className={`px-2 py-1 rounded-xl border cursor-pointer ${segmentDim===dim.id?"bg-indigo-600 text-white border-indigo-600":"bg-white text-gray-700 border-gray-300"}`}>
+                      <input type="radio" name="segmentDim" className="hidden" checked={segmentDim===dim.id} onChange={()=>setSegmentDim(dim.id)} />
+                      {dim.label}
+                    </label>
+                  ))}
+                </div>
+                {mixChecks.some(m => m.differs) && (
+                  <div className="mt-2 rounded-xl px-3 py-2 text-sm bg-amber-50 text-amber-800 border border-amber-200">
+                    ⚠ <b>Segment mix differs between arms</b> — overall lifts mix a treatment effect with a composition effect (Simpson's paradox risk). Compare the per‑segment lifts.
+                    <ul className="mt-1 text-xs list-disc list-inside">
+                      {mixChecks.filter(m => m.differs).map(m => (
+                        <li key={`${m.arm}-${m.dimId}`}>
+                          {segmentInfo.dims.find(d => d.id === m.dimId).label}{multiArm ? ` (${variantLabel(m.arm)})` : ""}: {m.segments.map(sg => `${sg.label} ${percentFmt(sg.shareC, 1)} vs ${percentFmt(sg.shareT, 1)}`).join(", ")} — χ² p = {pFmt(m.p)}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+              <label className="text-gray-700" htmlFor="confLevel">Confidence level (%)</label>
+              <input id="confLevel" type="number" min={50} max={99.9} step={0.5} value={Number((conf * 100).toFixed(2))}
+                onChange={e=>setConf(clamp(Number(e.target.value) / 100 || DEFAULT_CONFIDENCE, 0.5, 0.999))}
+                className="w-20 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+              <span className="text-xs text-gray-500 mr-3">α = {Number((1 - conf).toPrecision(3))} for the table and its corrections</span>
+              <span className="text-gray-700">Multiple testing</span>
+              <select value={mt.method} onChange={e=>setMt(m => ({ ...m, method: e.target.value }))}
+                className="rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                {MT_CORRECTIONS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+              </select>
+              {mt.method !== "NONE" && (
+                <select value={mt.scope} onChange={e=>setMt(m => ({ ...m, scope: e.target.value }))}
+                  className="rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                  {MT_SCOPES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                </select>
+              )}
+              {mt.method !== "NONE" && <span className="text-xs text-gray-500">{mt.method === "BH" ? "controls the false discovery rate; CIs are false‑coverage‑rate adjusted" : `controls the family‑wise error rate; CIs at ${mt.method === "BONFERRONI" ? "" : "Bonferroni's "}α/m`}{multiArm ? ", applied per arm on top of the arm adjustment" : ""}.</span>}
+            </div>
+            <p className="text-xs text-gray-600 mb-4">Rows reflect the <b>simulated cohort results</b> over the shaded window (last {daysInTest} days). {users ? <>Stats use each exposed user's total over the window, with N = distinct users{cuped ? " (CUPED is not simulated at the user level)" : ""}.</> : "Stats use aggregated means with effective N equal to the sum of daily assigned users (from your traffic split)."} Each metric's test is set in the metric catalog (Inference column) and named under the metric.{winsorized && <> Winsorized metrics cap each user's value at the catalog quantile of both arms' pooled values; under the metric: the cap, the lift without capping (the bias capping traded for) and the change in the diff's variance.</>}{unitLevel && rampConfig && rampConfig.pooling !== "POOLED" && <> Unit‑level methods pool every day of the window, not the ramp analysis chosen above.</>}</p>
             <div className="overflow-x-auto">
               <table className="min-w-full text-sm">
                 <thead>
                   <tr className="text-left text-gray-600 border-b">
                     <th className="py-2 pr-4">Metric</th>
+                    {multiArm && <th className="py-2 pr-4">Arm</th>}
                     <th className="py-2 pr-4">Control Mean</th>
-                    <th className="py-2 pr-4">Experiment Mean</th>
+                    <th className="py-2 pr-4">{multiArm ? "Arm Mean" : "Experiment Mean"}</th>
                     <th className="py-2 pr-4">Lift</th>
-                    <th className="py-2 pr-4">Diff 95% CI</th>
+                    <th className="py-2 pr-4">Diff {levelFmt(conf)} CI</th>
                     <th className="py-2 pr-4">p-value</th>
-                    <th className="py-2 pr-4">Z</th>
+                    <th className="py-2 pr-4" title="z statistic; Welch's t for the Welch test; for rank, bootstrap and permutation tests the normal score of the p-value">Z / t</th>
+                    {showAdj && <th className="py-2 pr-4" title={`Adjusted p-value (* = significant at ${Number((1 - conf).toPrecision(3))}) and CI widened to the corrected α (normal theory)${mt.method === "BH" ? ", false-coverage-rate intervals" : ""}`}>{adjLabel} adj. p / CI</th>}
+                    {showNI && <th className="py-2 pr-4" title={`Guardrails: one-sided non-inferiority test at α = ${ruleConfig.alpha} against the catalog margin`}>Non‑inferiority</th>}
+                    {users && <th className="py-2 pr-4" title="Every visit counted as an independent unit (what pooling daily cohorts does): lift, CI of the per-visit diff, p and N">Naive (user‑days)</th>}
+                    {showPre && <>
+                      <th className="py-2 pr-4" title={`Experiment vs Control over the ${prePeriodConfig.days} backfilled days before the test, when no one was treated: gap and p`}>Pre‑period gap</th>
+                      <th className="py-2 pr-4" title={`Difference-in-differences: the test-window diff minus the pre-period diff, as a lift, with its ${levelFmt(conf)} CI and p`}>DiD lift</th>
+                    </>}
+                    {cuped && <>
+                      <th className="py-2 pr-4 border-l pl-4">CUPED Diff</th>
+                      <th className="py-2 pr-4">CUPED {levelFmt(conf)} CI</th>
+                      <th className="py-2 pr-4">Var. removed</th>
+                    </>}
                   </tr>
                 </thead>
                 <tbody>
                   {/* Guardrails section (if any selected) */}
                   {selectedGuardrails.length > 0 && (
                     <tr className="bg-gray-50">
-                      <td colSpan={7} className="py-2 px-2 font-semibold text-gray-700">Guardrail Metrics</td>
+                      <td colSpan={resultCols} className="py-2 px-2 font-semibold text-gray-700">Guardrail Metrics</td>
                     </tr>
                   )}
-                  {selectedGuardrails.map(key => {
-                    const label = METRICS.find(m=>m.key===key)?.label || key;
-                    const agg = aggregates[key];
-                    const muC = agg?.muC ?? basePerUser(key, data);
-                    const muT = agg?.muT ?? muC * (1 + deriveDataDrivenLift(key, data, seed));
-                    const liftPct = (muC > 0) ? (muT / muC - 1) : 0;
-                    const nCtrl = agg?.NtotC || 1, nExp = agg?.NtotT || 1;
-                    const s = computeStats({ muC, liftPct, nC: nCtrl, nT: nExp, varBoost: 0.05 });
-                    return (
-                      <tr key={key} className="border-b last:border-b-0">
-                        <td className="py-2 pr-4 font-medium">{label}</td>
-                        <td className="py-2 pr-4">{numberFmt(s.muC)}</td>
-                        <td className="py-2 pr-4">{numberFmt(s.muT)}</td>
-                        <td className="py-2 pr-4">{percentFmt(s.lift)}</td>
-                        <td className="py-2 pr-4">[{numberFmt(s.ciLow)}, {numberFmt(s.ciHigh)}]</td>
-                        <td className="py-2 pr-4">{s.p < 0.0001 ? '<0.0001' : s.p.toFixed(4)}</td>
-                        <td className="py-2 pr-4">{s.z.toFixed(2)}</td>
-                      </tr>
-                    );
-                  })}
+                  {guardrailResults.map(renderResult)}
 
                   {/* Success section (if any selected) */}
                   {selectedSuccess.length > 0 && (
                     <tr className="bg-gray-50">
-                      <td colSpan={7} className="py-2 px-2 font-semibold text-gray-700">Success Metrics</td>
+                      <td colSpan={resultCols} className="py-2 px-2 font-semibold text-gray-700">Success Metrics</td>
                     </tr>
                   )}
-                  {selectedSuccess.map(key => {
-                    const label = METRICS.find(m=>m.key===key)?.label || key;
-                    const agg = aggregates[key];
-                    const muC = agg?.muC ?? basePerUser(key, data);
-                    const muT = agg?.muT ?? muC * (1 + deriveDataDrivenLift(key, data, seed));
-                    const liftPct = (muC > 0) ? (muT / muC - 1) : 0;
-                    const nCtrl = agg?.NtotC || 1, nExp = agg?.NtotT || 1;
-                    const s = computeStats({ muC, liftPct, nC: nCtrl, nT: nExp, varBoost: 0.05 });
-                    return (
-                      <tr key={key} className="border-b last:border-b-0">
-                        <td className="py-2 pr-4 font-medium">{label}</td>
-                        <td className="py-2 pr-4">{numberFmt(s.muC)}</td>
-                        <td className="py-2 pr-4">{numberFmt(s.muT)}</td>
-                        <td className="py-2 pr-4">{percentFmt(s.lift)}</td>
-                        <td className="py-2 pr-4">[{numberFmt(s.ciLow)}, {numberFmt(s.ciHigh)}]</td>
-                        <td className="py-2 pr-4">{s.p < 0.0001 ? '<0.0001' : s.p.toFixed(4)}</td>
-                        <td className="py-2 pr-4">{s.z.toFixed(2)}</td>
-                      </tr>
-                    );
-                  })}
+                  {successResults.map(renderResult)}
+
+                  {/* Diagnostic section (if any selected) */}
+                  {selectedDiagnostics.length > 0 && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={resultCols} className="py-2 px-2 font-semibold text-gray-700">Diagnostic Metrics</td>
+                    </tr>
+                  )}
+                  {diagnosticResults.map(renderResult)}
+
+                  {/* Ratio section (if any selected) */}
+                  {selectedRatios.length > 0 && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={resultCols} className="py-2 px-2 font-semibold text-gray-700">Ratio Metrics <span className="font-normal text-xs text-gray-500">(delta‑method SE)</span></td>
+                    </tr>
+                  )}
+                  {ratioResults.map(renderResult)}
                 </tbody>
               </table>
             </div>
+
+            <ExportBar
+              results={[
+                ...guardrailResults.map(r => ({ ...r, family: "Guardrail" })),
+                ...successResults.map(r => ({ ...r, family: "Success" })),
+                ...diagnosticResults.map(r => ({ ...r, family: "Diagnostic" })),
+                ...ratioResults.map(r => ({ ...r, family: "Ratio" })),
+              ]}
+              simData={simData}
+              config={{
+                dataSource: usingImport ? `imported (${importReport.fileName})` : "generated",
+                days: data.length, seed, conf, splitC, splitT, variants, ratios: ratioMetrics.filter(r => selected.has(r.key)), mcMethod, mt, enforceNoDecline, aaMode, segments: segmentInfo, ramp: rampConfig, phases, cupedRho: users ? 0 : activeRho, bug: users ? null : bug, srm, catalog, users, prePeriod: prePeriodConfig,
+                testStart: simData[startIndex]?.date, testEnd: simData[simData.length - 1]?.date, daysInTest,
+                events: events.map(ev => ({ ...ev, start: data[eventRange(ev, data.length)[0]]?.date })), excluded: excluded.map(i => simData[i].date), anomalyThreshold: anomaly.threshold,
+                rule: ruleConfig, decisions,
+                link: `${window.location.origin}${window.location.pathname}#${urlHash}`,
+              }}
+            />
           </div>
 
           <div className="bg-white rounded-2xl shadow p-4">
@@ -593,28 +1039,189 @@ export default function SocialMetricsPlayground() {
                   onChange={e=> setSplitPair(splitC, Number(e.target.value)/100)}
                   className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
               </div>
+              {variants.map(v => (
+                <div key={v.id} className="rounded-xl border border-gray-200 px-2 py-2 space-y-2">
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="text-sm text-gray-700">{variantLabel(v.id)} split (%)</label>
+                    <input type="number" min={0} max={100} step={1} value={(v.split*100).toFixed(0)}
+                      onChange={e=> updateVariant(v.id, { split: Number(e.target.value)/100 })}
+                      className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                  </div>
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="text-sm text-gray-700" title="Multiplier on the simulated (data-driven) lift of every metric; 0 = no effect">Lift × Experiment</label>
+                    <div className="flex items-center gap-2">
+                      <input type="number" min={-2} max={5} step={0.1} value={v.liftScale}
+                        onChange={e=> updateVariant(v.id, { liftScale: clamp(Number(e.target.value)||0, -2, 5) })}
+                        className="w-20 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                      <button type="button" onClick={()=>removeVariant(v.id)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-xs" title="Remove arm">✕</button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+              <div className="flex items-center justify-between gap-3 text-xs">
+                <button type="button" onClick={addVariant} disabled={variants.length >= MAX_VARIANTS}
+                  className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed">+ Add treatment arm</button>
+                {multiArm && (
+                  <div className="flex items-center gap-1">
+                    {[{id:"DUNNETT", label:"Dunnett"}, {id:"HOLM", label:"Holm"}].map(opt => (
+                      <label key={opt.id} className={`px-2 py-1 rounded-xl border cursor-pointer ${mcMethod===opt.id?"bg-indigo-600 text-white border-indigo-600":"bg-white text-gray-700 border-gray-300"}`}>
+                        <input type="radio" name="mcMethod" className="hidden" checked={mcMethod===opt.id} onChange={()=>setMcMethod(opt.id)} />
+                        {opt.label}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
               <div className="text-xs text-gray-600">Unassigned / other traffic: <b>{(remainderPct*100).toFixed(0)}%</b></div>
 
               {/* Test window settings */}
               <div className="flex items-center justify-between gap-3">
                 <label className="text-sm text-gray-700">Test duration (days)</label>
-                <input type="number" min={1} max={days} value={testLen}
-                  onChange={e=>setTestLen(clamp(Number(e.target.value)||1, 1, days))}
+                <input type="number" min={1} max={data.length - 1} value={testLen}
+                  onChange={e=>setTestLen(clampTestLen(e.target.value, data.length))}
                   className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
               </div>
+              <details className="group rounded-xl border border-gray-200" open={ramp.schedule.length > 0}>
+                <summary className="list-none cursor-pointer select-none px-3 py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-700">Ramp‑up schedule{ramp.schedule.length ? ` (${ramp.schedule.length} phase${ramp.schedule.length > 1 ? "s" : ""})` : ""}</span>
+                  <span className="text-gray-500 group-open:rotate-180 transition">▼</span>
+                </summary>
+                <div className="px-3 pb-3 space-y-2 text-sm">
+                  {ramp.schedule.map((ph, k) => (
+                    <div key={k} className="flex items-center gap-2">
+                      <span className="text-gray-500 w-14">Phase {k + 1}</span>
+                      <input type="number" min={1} max={365} step={1} value={ph.days} title="Days"
+                        onChange={e=>updateRampPhase(k, { days: clamp(Math.round(Number(e.target.value)) || 1, 1, 365) })}
+                        className="w-16 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                      <span className="text-gray-500">d at</span>
+                      <input type="number" min={0} max={splitT * 100} step={0.5} value={Number((ph.pct * 100).toFixed(2))} title="Experiment share of DAU (%)"
+                        onChange={e=>updateRampPhase(k, { pct: clamp((Number(e.target.value) || 0) / 100, 0, splitT) })}
+                        className="w-20 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                      <span className="text-gray-500">%</span>
+                      <button type="button" onClick={()=>setRamp(r => ({ ...r, schedule: r.schedule.filter((_, j) => j !== k) }))} className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-xs" title="Remove phase">✕</button>
+                    </div>
+                  ))}
+                  <div className="flex items-center justify-between gap-2 text-xs">
+                    <button type="button" onClick={addRampPhase} disabled={ramp.schedule.length >= MAX_RAMP_PHASES}
+                      className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed">+ Add phase</button>
+                    <span className="text-gray-600">then {percentFmt(splitT, 0)} until the end</span>
+                  </div>
+                  {ramp.schedule.length > 0 && (
+                    <>
+                      <select value={ramp.control} onChange={e=>setRamp(r => ({ ...r, control: e.target.value }))}
+                        className="w-full rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        {RAMP_CONTROL_MODES.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                      </select>
+                      <div className="flex flex-wrap items-center gap-1 text-xs">
+                        <span className="text-gray-700 mr-1">Analysis:</span>
+                        {RAMP_POOLING.map(o => (
+                          <label key={o.id} className={`px-2 py-1 rounded-xl border cursor-pointer ${ramp.pooling===o.id?"bg-indigo-600 text-white border-indigo-600":"bg-white text-gray-700 border-gray-300"}`}>
+                            <input type="radio" name="rampPooling" className="hidden" checked={ramp.pooling===o.id} onChange={()=>setRamp(r => ({ ...r, pooling: o.id }))} />
+                            {o.label}
+                          </label>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500">Pooling days with different allocations weights each arm's days differently — biased when the metric moves over time and Control doesn't ramp with Experiment. Stratifying gives every phase the same weight in each arm; final phase only uses just the full‑split days.</p>
+                    </>
+                  )}
+                </div>
+              </details>
               <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
                 <span>Guardrails cannot decline</span>
                 <input type="checkbox" checked={enforceNoDecline} onChange={(e)=>setEnforceNoDecline(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
               </label>
+              <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+                <span title="Zero true lift for every metric and arm — any significant result is a false positive">A/A test (no true effect)</span>
+                <input type="checkbox" checked={aaMode} onChange={(e)=>setAaMode(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+              </label>
+              <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+                <span title={`Users differ by ${SEGMENT_DIMENSIONS.map(d => d.label.toLowerCase()).join(", ")}: own share of DAU, activity level and response to the treatment`}>Simulate user segments</span>
+                <input type="checkbox" checked={segmentsOn} onChange={(e)=>setSegmentsOn(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+              </label>
+              <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+                <span title="A fixed population of returning users with uneven visit rates and activity levels; each user's arm comes from hashing user id + salt, as in production">Simulate individual users</span>
+                <input type="checkbox" checked={population.on} onChange={(e)=>setPopulation(p => ({ ...p, on: e.target.checked }))} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+              </label>
+              {population.on && (
+                <>
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="text-sm text-gray-700" title="Experiment salt: the same salt puts every user in the same arm on every visit and every run; a new salt reshuffles them">Bucketing salt</label>
+                    <input value={population.salt} maxLength={40}
+                      onChange={e=>{ const salt = e.target.value.replace(/[^\w.-]/g, ""); setPopulation(p => ({ ...p, salt })); }}
+                      className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                  </div>
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="text-sm text-gray-700" title="Mean daily visit probability; the population is mean DAU / this, so lower = more distinct users visiting less often">Mean visit probability</label>
+                    <input type="number" min={0.05} max={1} step={0.05} value={population.visitRate}
+                      onChange={e=>setPopulation(p => ({ ...p, visitRate: clamp(Number(e.target.value) || DEFAULT_POPULATION.visitRate, 0.05, 1) }))}
+                      className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                  </div>
+                  <p className="text-xs text-gray-500">Ramp‑up, segments, assignment bugs, CUPED and the pre‑period are not simulated in this mode. Populations over {MAX_SIMULATED_USERS.toLocaleString()} users are subsampled to that many, so the test has the power of the sample, not of the full traffic.</p>
+                </>
+              )}
+              <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+                <span title="Simulate both arms over the days before the test (no one treated yet) to check their balance and estimate a difference-in-differences lift">Backfill a pre‑period</span>
+                <input type="checkbox" checked={prePeriod.on} disabled={population.on} onChange={(e)=>setPrePeriod(p => ({ ...p, on: e.target.checked }))} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 disabled:opacity-40" />
+              </label>
+              {prePeriodConfig && (
+                <>
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="text-sm text-gray-700" title="Days before the test window; limited by the history">Pre‑period days</label>
+                    <input type="number" min={1} max={365} step={1} value={prePeriod.days}
+                      onChange={e=>setPrePeriod(p => ({ ...p, days: clamp(Math.round(Number(e.target.value)) || DEFAULT_PRE_PERIOD.days, 1, 365) }))}
+                      className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                  </div>
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="text-sm text-gray-700" title="Experiment's users differ from Control's by this much before and during the test, e.g. a biased assignment; 0 = a fair split">Pre‑existing bias (Experiment, %)</label>
+                    <input type="number" min={-50} max={50} step={0.5} value={Number((prePeriod.bias * 100).toFixed(2))}
+                      onChange={e=>setPrePeriod(p => ({ ...p, bias: clamp((Number(e.target.value) || 0) / 100, -0.5, 0.5) }))}
+                      className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                  </div>
+                </>
+              )}
+              <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+                <span>CUPED (pre‑period covariate)</span>
+                <input type="checkbox" checked={cuped} onChange={(e)=>setCuped(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+              </label>
+              {cuped && (
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-gray-700" title="True per-user correlation between a metric's pre-period and test-window values, used to simulate the covariate; CUPED estimates θ and the variance it removes from the simulated values">Pre/post correlation ρ</label>
+                  <input type="number" min={0} max={0.99} step={0.05} value={cupedRho}
+                    onChange={e=>setCupedRho(clamp(Number(e.target.value)||0, 0, 0.99))}
+                    className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                </div>
+              )}
+
+              {/* Assignment bug injection (SRM practice) */}
+              <div className="flex items-center justify-between gap-3">
+                <label className="text-sm text-gray-700" title="Drop a share of Experiment users on some days to practise spotting sample ratio mismatch">Inject assignment bug</label>
+                <select value={bug.mode} onChange={(e)=>setBug(b => ({ ...b, mode: e.target.value }))} className="w-32 rounded-xl border border-gray-300 px-2 py-1.5 text-sm">
+                  {ASSIGNMENT_BUGS.map(b => <option key={b.id} value={b.id}>{b.label}</option>)}
+                </select>
+              </div>
+              {bug.mode !== "NONE" && (
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-gray-700" title="Share of Experiment users lost on affected days (they skew less active)">Experiment users dropped (%)</label>
+                  <input type="number" min={0} max={90} step={1} value={Math.round(bug.dropPct * 100)}
+                    onChange={e=>setBug(b => ({ ...b, dropPct: clamp((Number(e.target.value)||0) / 100, 0, 0.9) }))}
+                    className="w-32 rounded-xl border border-gray-300 px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+                </div>
+              )}
 
               {/* Decision Rule & Sizing */}
               <div className="mt-4 pt-3 border-t">
                 <h4 className="text-sm font-semibold mb-2">Decision Rule & Sample Size</h4>
                 <DecisionRuleSizer
                   data={data}
+                  catalog={catalog}
+                  config={ruleConfig}
+                  onConfigChange={setRuleConfig}
                   selectedSuccessKeys={selectedSuccess}
+                  varianceFactor={1 - activeRho * activeRho}
                   sumDAUWindow={sumDAUWindow}
-                  applyToSplit={(n)=>{ if (Number.isFinite(n) && sumDAUWindow>0) { const frac = clamp(n / sumDAUWindow, 0, 0.98); setSplitPair(frac, frac); } }}
+                  comparisons={arms.length}
+                  mcMethod={mcMethod}
+                  applyToSplit={applyToSplit}
                 />
               </div>
 
@@ -623,9 +1230,16 @@ export default function SocialMetricsPlayground() {
                 <h4 className="text-sm font-semibold mb-2">Ad‑hoc Sample Size (single metric)</h4>
                 <SampleSizeControls
                   data={data}
+                  catalog={catalog}
+                  config={sizeConfig}
+                  onConfigChange={setSizeConfig}
                   selectedKeys={[...selected]}
+                  ratioMetrics={ratioMetrics}
+                  varianceFactor={1 - activeRho * activeRho}
                   sumDAUWindow={sumDAUWindow}
-                  applyToSplit={(n)=>{ if (Number.isFinite(n) && sumDAUWindow>0) { const frac = clamp(n / sumDAUWindow, 0, 0.98); setSplitPair(frac, frac); } }}
+                  comparisons={arms.length}
+                  mcMethod={mcMethod}
+                  applyToSplit={applyToSplit}
                 />
               </div>
 
@@ -633,50 +1247,1324 @@ export default function SocialMetricsPlayground() {
                 Estimated total N over window — Control: <b>{NtotC_est.toLocaleString()}</b>, Experiment: <b>{NtotT_est.toLocaleString()}</b>
               </div>
 
-              <p className="text-xs text-gray-500 mt-1">SE uses Poisson-ish variance with +0.05 inflation. CI = diff ± 1.96·SE. Two‑tailed p from Z. Simulation assigns cohorts per day using your traffic split.</p>
+              <p className="text-xs text-gray-500 mt-1">{inferenceNote(conf)} Simulation assigns cohorts per day using your traffic split.{multiArm && <> With {arms.length} treatment arms each is compared to Control; {mcMethod === "DUNNETT" ? "Dunnett's many‑to‑one correction" : "Holm's step‑down correction (Bonferroni CIs)"} controls the family‑wise error per metric and the sizers use the matching per‑comparison α.</>}{cuped && <> CUPED: diff − θ̂·(pre‑period imbalance), θ̂ = cov(X, Y)/var(X) estimated from the users' simulated pre‑period values X; “Var. removed” is the estimated reduction of the diff's variance. The sizers plan with the nominal variance × (1 − ρ²).</>}{selectedRatios.length > 0 && <> Ratio metrics use delta‑method variance with an assumed numerator/denominator per‑user correlation of {RATIO_NUM_DEN_CORR}.</>}</p>
             </div>
           </div>
         </section>
 
+        <ShipDecisionPanel decisions={decisions} rule={ruleConfig.rule} alpha={ruleConfig.alpha} enforceNoDecline={enforceNoDecline} />
+
+        {showBayes && (
+          <BayesianPanel results={[...guardrailResults, ...successResults, ...diagnosticResults, ...ratioResults]} catalog={catalog} config={bayesConfig} onConfigChange={setBayesConfig} />
+        )}
+
+        <DailyLiftPanel
+          simData={simData}
+          startIndex={startIndex}
+          aggregates={aggregates}
+          metricKeys={[...selectedSuccess, ...selectedGuardrails, ...selectedDiagnostics]}
+          catalog={catalog}
+          defaultAlpha={ruleConfig.alpha}
+        />
+
+        <SequentialPanel
+          simData={simData}
+          startIndex={startIndex}
+          metricKeys={[...selectedGuardrails, ...selectedSuccess, ...selectedDiagnostics]}
+          catalog={catalog}
+          config={seqConfig}
+          onConfigChange={setSeqConfig}
+        />
+
+        {aaMode && (
+          <AAPanel
+            data={data}
+            catalog={catalog}
+            ratios={ratioMetrics.filter(r => selected.has(r.key))}
+            design={{ splitC, splitT, testLen: windowLen, cupedRho: activeRho, seed, segments: segmentDims, ramp: rampConfig, population: populationConfig, prePeriod: prePeriodConfig, exclude: excludeDays }}
+            defaultAlpha={ruleConfig.alpha}
+          />
+        )}
+
+        <DurationPlannerPanel
+          data={data}
+          forecast={dauForecast}
+          sizing={ruleSizing}
+          targetPower={ruleConfig.power}
+          defaultShare={armShare}
+          testLen={windowLen}
+          onApply={(d) => setTestLen(clampTestLen(d, data.length))}
+        />
+
+        <SizingCurvesPanel
+          sizingArgs={ruleSizingArgs}
+          sizing={ruleSizing}
+          catalog={catalog}
+          forecast={dauForecast}
+          share={armShare}
+          testLen={windowLen}
+        />
+
+        <PowerSimPanel
+          data={data}
+          catalog={catalog}
+          design={{ splitC, splitT, testLen: windowLen, cupedRho: activeRho, seed, segments: segmentDims, ramp: rampConfig, population: populationConfig, prePeriod: prePeriodConfig, exclude: excludeDays }}
+          defaults={{ metric: sizeConfig.metric, lift: sizeConfig.mdePct, alpha: sizeConfig.alpha }}
+        />
+
         <footer className="mt-6 text-xs text-gray-500">
-          Built with <code className="font-mono">recharts</code> + React. No external data used.
+          Built with <code className="font-mono">recharts</code> + React. Uses generated data unless you import your own daily export.
         </footer>
       </div>
     </div>
   );
 }
 
+// === Metric catalog editor ===
+function MetricCatalogEditor({ catalog, onChange, onClose }){
+  const [draft, setDraft] = useState({ key: "", label: "" });
+  const [importErrors, setImportErrors] = useState([]);
+  const keyError = !draft.key ? null
+    : !METRIC_KEY_RE.test(draft.key) ? "Key: letters/digits only, starting with a letter"
+    : catalog.some(m => m.key === draft.key) ? "Key already exists" : null;
+
+  const updateMetric = (key, patch) => onChange(catalog.map(m => m.key === key ? { ...m, ...patch } : m));
+  const removeMetric = (key) => onChange(catalog.filter(m => m.key !== key));
+
+  function addMetric(){
+    if (!draft.key || keyError) return;
+    onChange([...catalog, { key: draft.key, label: draft.label || draft.key, color: "#6b7280", role: "diagnostic", direction: "increase", baseline: 0.5, variance: "POISSON", dist: null, lift: null, inference: "Z", winsor: null }]);
+    setDraft({ key: "", label: "" });
+  }
+
+  async function handleFile(e){
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { catalog: next, errors } = validateCatalog(JSON.parse(await file.text()));
+      setImportErrors(errors);
+      if (next) onChange(next);
+    } catch (err) {
+      setImportErrors([`Invalid JSON: ${err.message}`]);
+    }
+  }
+
+  const cell = "rounded-lg border border-gray-300 px-2 py-1 text-xs";
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mb-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+        <h2 className="text-lg font-semibold">Metric Catalog</h2>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <button type="button" onClick={() => downloadFile("metric_catalog.json", JSON.stringify(catalog, null, 2), "application/json")} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Export JSON</button>
+          <label className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 cursor-pointer">
+            Import JSON
+            <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+          </label>
+          <button type="button" onClick={() => { setImportErrors([]); onChange(DEFAULT_METRICS); }} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Reset to defaults</button>
+          <button type="button" onClick={onClose} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">Close</button>
+        </div>
+      </div>
+      <p className="text-xs text-gray-600 mb-3">Saved in this browser. Baseline is the per‑user daily rate the generator draws around; default lift is the simulated true effect (empty = data‑driven). Lift over time makes that effect change during the test: exponential decay from start × lift with the given half‑life (novelty), or a linear ramp from start × lift over the given days (learning). A guardrail's NI margin is how much worse it may get and still pass the non‑inferiority test (empty = {DEFAULT_NI_MARGIN * 100}%). Inference picks the results‑table test: the z‑test uses the variance model, the others the simulated per‑user values (Mann–Whitney and permutation give a p‑value but no CI). Negative binomial, zero‑inflated Poisson and zero‑inflated lognormal metrics are drawn user by user, with k (smaller = heavier tail), the share of structural zeros and the lognormal σ as parameters. Winsorize caps every user's value at that quantile of the test's pooled values — less variance for some bias — in the results table and both sizers. {COHORT_KEY} is the user population every other metric is counted over, so it can't be removed.</p>
+      {importErrors.length > 0 && (
+        <ul className="mb-3 rounded-xl border border-red-200 bg-red-50 px-3 py-2 text-xs text-red-800 list-disc list-inside">
+          {importErrors.map((e, i) => <li key={i}>{e}</li>)}
+        </ul>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-2">Key</th>
+              <th className="py-2 pr-2">Label</th>
+              <th className="py-2 pr-2">Color</th>
+              <th className="py-2 pr-2">Role</th>
+              <th className="py-2 pr-2">Direction</th>
+              <th className="py-2 pr-2">Baseline / user</th>
+              <th className="py-2 pr-2">Variance model</th>
+              <th className="py-2 pr-2" title="Test used in the results table: the model-variance z-test, or a test on the simulated per-user values">Inference</th>
+              <th className="py-2 pr-2" title="Cap every user's value at this quantile of the pooled per-user values">Winsorize</th>
+              <th className="py-2 pr-2">Default lift (%)</th>
+              <th className="py-2 pr-2" title="How the true lift evolves over the test: start × lift on day 1, then towards the long-run lift">Lift over time</th>
+              <th className="py-2 pr-2" title="Guardrails: the largest drop (in the harmful direction) still accepted as non-inferior">NI margin (%)</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {catalog.map(m => {
+              const isCohort = m.key === COHORT_KEY;
+              return (
+                <tr key={m.key} className="border-b last:border-b-0">
+                  <td className="py-1.5 pr-2 font-mono text-xs">{m.key}</td>
+                  <td className="py-1.5 pr-2"><input value={m.label} onChange={e=>updateMetric(m.key, { label: e.target.value })} className={`${cell} w-32`} /></td>
+                  <td className="py-1.5 pr-2"><input type="color" value={m.color} onChange={e=>updateMetric(m.key, { color: e.target.value })} className="h-7 w-10 rounded border border-gray-300" /></td>
+                  <td className="py-1.5 pr-2">
+                    <select value={m.role} onChange={e=>updateMetric(m.key, { role: e.target.value })} className={cell}>
+                      {METRIC_ROLES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <select value={m.direction} onChange={e=>updateMetric(m.key, { direction: e.target.value })} className={cell}>
+                      {METRIC_DIRECTIONS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <input type="number" min={0.001} step={0.01} value={m.baseline} disabled={isCohort}
+                      onChange={e=>{ const x = Number(e.target.value); if (x > 0) updateMetric(m.key, { baseline: x }); }}
+                      className={`${cell} w-24 disabled:bg-gray-100 disabled:text-gray-400`} />
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <div className="flex items-center gap-1">
+                      <select value={m.variance} disabled={isCohort} onChange={e=>updateMetric(m.key, { variance: e.target.value, dist: VARIANCE_MODELS.find(v => v.id === e.target.value)?.dist ?? null })} className={`${cell} disabled:bg-gray-100 disabled:text-gray-400`}>
+                        {VARIANCE_MODELS.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+                      </select>
+                      {Object.entries(distParams(m)).map(([name, value]) => {
+                        const spec = DIST_PARAMS[name];
+                        return (
+                          <label key={name} className="flex items-center gap-1 text-gray-500" title={spec.title}>
+                            {spec.label}
+                            <input type="number" min={spec.min} max={spec.max} step={name === "k" ? 0.1 : 0.01} value={value}
+                              onChange={e=>{ const x = Number(e.target.value); if (e.target.value !== "" && Number.isFinite(x)) updateMetric(m.key, { dist: { ...distParams(m), [name]: clamp(x, spec.min, spec.max) } }); }}
+                              className={`${cell} w-16`} />
+                          </label>
+                        );
+                      })}
+                    </div>
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <select value={m.inference ?? "Z"} disabled={isCohort} onChange={e=>updateMetric(m.key, { inference: e.target.value })} className={`${cell} disabled:bg-gray-100 disabled:text-gray-400`}>
+                      {INFERENCE_METHODS.map(x => <option key={x.id} value={x.id}>{x.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <select value={m.winsor ?? ""} disabled={isCohort} onChange={e=>updateMetric(m.key, { winsor: e.target.value === "" ? null : Number(e.target.value) })} className={`${cell} disabled:bg-gray-100 disabled:text-gray-400`}>
+                      <option value="">off</option>
+                      {[...new Set([...WINSOR_QUANTILES, ...(m.winsor != null ? [m.winsor] : [])])].sort((a, b) => a - b).map(q => <option key={q} value={q}>{winsorFmt(q)}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <input type="number" min={-50} max={200} step={1} placeholder="auto" value={m.lift == null ? "" : Number((m.lift * 100).toFixed(4))} disabled={isCohort}
+                      onChange={e=>updateMetric(m.key, { lift: e.target.value === "" ? null : clamp(Number(e.target.value) / 100, -0.5, 2) })}
+                      className={`${cell} w-20 disabled:bg-gray-100 disabled:text-gray-400`} />
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    {!isCohort && (
+                      <div className="flex items-center gap-1">
+                        <select value={m.trajectory?.shape ?? "CONSTANT"} onChange={e=>updateMetric(m.key, { trajectory: DEFAULT_TRAJECTORIES[e.target.value] })} className={cell}>
+                          {LIFT_TRAJECTORIES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                        {m.trajectory && (
+                          <>
+                            <input type="number" min={-5} max={10} step={0.5} value={m.trajectory.start} title="Day‑1 lift as a multiple of the long‑run lift"
+                              onChange={e=>updateMetric(m.key, { trajectory: { ...m.trajectory, start: clamp(Number(e.target.value) || 0, -5, 10) } })}
+                              className={`${cell} w-14`} />
+                            <span className="text-gray-500">×,</span>
+                            <input type="number" min={1} max={365} step={1} value={m.trajectory.days} title={LIFT_TRAJECTORIES.find(t => t.id === m.trajectory.shape)?.daysLabel}
+                              onChange={e=>updateMetric(m.key, { trajectory: { ...m.trajectory, days: clamp(Number(e.target.value) || 1, 1, 365) } })}
+                              className={`${cell} w-14`} />
+                            <span className="text-gray-500">d</span>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    {m.role === "guardrail" && (
+                      <input type="number" min={0} max={50} step={0.1} placeholder={String(DEFAULT_NI_MARGIN * 100)} value={m.niMargin == null ? "" : Number((m.niMargin * 100).toFixed(4))}
+                        onChange={e=>updateMetric(m.key, { niMargin: e.target.value === "" ? null : clamp(Number(e.target.value) / 100, 0, 0.5) })}
+                        className={`${cell} w-16`} />
+                    )}
+                  </td>
+                  <td className="py-1.5 text-right">
+                    {!isCohort && <button type="button" onClick={() => removeMetric(m.key)} className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-xs" title="Remove metric">✕</button>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+        <input value={draft.key} onChange={e=>setDraft(d => ({ ...d, key: e.target.value.trim() }))} placeholder="Key (e.g. Purchases)" className={`${cell} w-40`} />
+        <input value={draft.label} onChange={e=>setDraft(d => ({ ...d, label: e.target.value }))} placeholder="Label" className={`${cell} w-40`} />
+        <button type="button" onClick={addMetric} disabled={!draft.key || !!keyError} className="px-2 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-40 disabled:cursor-not-allowed">Add metric</button>
+        {keyError && <span className="text-red-600">{keyError}</span>}
+      </div>
+    </section>
+  );
+}
+
+// === Results table row ===
+const NI_STATUS_LABEL = { PASS: "✓ non‑inferior", FAIL: "✗ inferior", INCONCLUSIVE: "? inconclusive" };
+const NI_STATUS_STYLE = { PASS: "text-emerald-700", FAIL: "text-red-600 font-medium", INCONCLUSIVE: "text-amber-700" };
+
+// expanded: null → no segment drill-down, otherwise whether it is open (onToggle flips it)
+function ResultRow({ s, showCuped = false, showArm = false, showAdj = false, showNI = false, showNaive = false, showPre = false, expanded = null, onToggle }){
+  const d = s.isRatio ? 4 : 2; // ratios live on a much smaller scale
+  return (
+    <tr className={`border-b last:border-b-0 ${s.untrusted ? "bg-red-50 text-gray-500" : ""}`}>
+      <td className="py-2 pr-4 font-medium">
+        {expanded != null && (
+          <button type="button" onClick={onToggle} className="mr-1 text-gray-500 hover:text-gray-800" title="Per-segment breakdown">{expanded ? "▾" : "▸"}</button>
+        )}
+        {s.untrusted && <span className="text-red-600 mr-1" title="Sample ratio mismatch — this result is untrustworthy">⚠</span>}
+        {s.label}
+        {inferenceLabel(s) && (
+          <span className="block text-xs font-normal text-gray-500" title={s.df ? `${numberFmt(s.df, 0)} df` : s.resamples ? `${s.resamples.toLocaleString()} resamples` : undefined}>{inferenceLabel(s)}</span>
+        )}
+        {s.winsor && (
+          <span className="block text-xs font-normal text-gray-500" title="Winsorized: cap, lift before capping, change in the diff's variance">{winsorSummary(s, d)}</span>
+        )}
+      </td>
+      {showArm && <td className="py-2 pr-4 text-gray-700">{s.armLabel}</td>}
+      <td className="py-2 pr-4">{numberFmt(s.muC, d)}</td>
+      <td className="py-2 pr-4">{numberFmt(s.muT, d)}</td>
+      <td className={`py-2 pr-4 ${s.p < s.alpha ? (isHarmful(s, s.lift) ? "text-red-600" : "text-emerald-700") : ""}`}>{percentFmt(s.lift)}</td>
+      <td className={`py-2 pr-4 ${Number.isFinite(s.ciLow) ? "" : "text-gray-400"}`} title={Number.isFinite(s.ciLow) ? undefined : "This test gives a p-value only"}>{ciFmt(s.ciLow, s.ciHigh, d)}</td>
+      <td className="py-2 pr-4">{pFmt(s.p)}</td>
+      <td className="py-2 pr-4">{s.z.toFixed(2)}</td>
+      {showAdj && (
+        <td className={`py-2 pr-4 ${s.pMT < s.alpha ? "font-semibold text-indigo-700" : ""}`} title={`CI at ${percentFmt(1 - s.alphaMT, 2)}`}>
+          {pFmt(s.pMT)}{s.pMT < s.alpha ? "*" : ""} <span className="text-xs text-gray-500 font-normal">{ciFmt(s.ciLowMT, s.ciHighMT, d)}</span>
+        </td>
+      )}
+      {showNI && (s.ni ? (
+        <td className={`py-2 pr-4 ${NI_STATUS_STYLE[s.ni.status]}`} title={`Worst plausible lift ${percentFmt(s.ni.bound)} (one-sided ${percentFmt(1 - s.ni.alpha, 0)})`}>
+          {NI_STATUS_LABEL[s.ni.status]} <span className="text-xs text-gray-500 font-normal">(−{percentFmt(s.ni.margin, 1)}, p {pFmt(s.ni.p)})</span>
+        </td>
+      ) : <td className="py-2 pr-4 text-gray-400">–</td>)}
+      {showNaive && (s.naive ? (
+        <td className={`py-2 pr-4 ${s.naive.p < s.alpha ? "font-semibold" : ""}`} title={`N ${s.naive.nC.toLocaleString()} / ${s.naive.nT.toLocaleString()} user-days${s.se > 0 && s.naive.muC > 0 ? `; relative SE ${numberFmt((s.naive.se / s.naive.muC) / (s.se / s.muC), 2)}× the per-user one` : ""}`}>
+          {percentFmt(s.naive.lift)} <span className="text-xs text-gray-500 font-normal">{ciFmt(s.naive.ciLow, s.naive.ciHigh, d)} p {pFmt(s.naive.p)}</span>
+        </td>
+      ) : <td className="py-2 pr-4 text-gray-400">–</td>)}
+      {showPre && (s.balance ? <>
+        <td className={`py-2 pr-4 ${s.balance.p < s.alpha ? "text-red-600 font-medium" : ""}`} title={`Pre-period means ${numberFmt(s.balance.muC, d)} vs ${numberFmt(s.balance.muT, d)} over ${s.balance.days} days`}>
+          {percentFmt(s.balance.lift)} <span className="text-xs text-gray-500 font-normal">p {pFmt(s.balance.p)}</span>
+        </td>
+        <td className={`py-2 pr-4 ${s.did.p < s.alpha ? "font-semibold" : ""}`}>
+          {percentFmt(s.did.lift)} <span className="text-xs text-gray-500 font-normal">{ciFmt(s.did.ciLow, s.did.ciHigh, d)} p {pFmt(s.did.p)}</span>
+        </td>
+      </> : <>
+        <td className="py-2 pr-4 text-gray-400">–</td>
+        <td className="py-2 pr-4 text-gray-400">–</td>
+      </>)}
+      {showCuped && (s.cuped ? <>
+        <td className="py-2 pr-4 border-l pl-4">{numberFmt(s.cuped.diff)} <span className="text-xs text-gray-500">({percentFmt(s.cuped.lift)})</span></td>
+        <td className="py-2 pr-4">[{numberFmt(s.cuped.ciLow)}, {numberFmt(s.cuped.ciHigh)}]</td>
+        <td className="py-2 pr-4" title={`θ̂ = ${numberFmt(s.cuped.theta, 3)}, estimated pre/post correlation ${numberFmt(s.cuped.rho, 3)}`}>{percentFmt(s.cuped.varianceRemoved, 1)}</td>
+      </> : <>
+        <td className="py-2 pr-4 border-l pl-4 text-gray-400">–</td>
+        <td className="py-2 pr-4 text-gray-400">–</td>
+        <td className="py-2 pr-4 text-gray-400">–</td>
+      </>)}
+    </tr>
+  );
+}
+
+// === Segment drill-down ===
+function SegmentBreakdownRow({ s, aggregates, segmentInfo, dimId, catalog, colSpan }){
+  const b = useMemo(() => segmentBreakdown(aggregates, segmentInfo, s.key, dimId, { arm: s.arm, catalog }), [aggregates, segmentInfo, s.key, s.arm, dimId, catalog]);
+  if (!b) return null;
+  const d = s.isRatio ? 4 : 2;
+  const { heterogeneity: q, simpson } = b;
+  return (
+    <tr className="border-b bg-gray-50/60">
+      <td colSpan={colSpan} className="py-2 pl-6 pr-2">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-1 pr-3">{b.dimLabel}</th>
+              <th className="py-1 pr-3">Users (C / E)</th>
+              <th className="py-1 pr-3">Mix (C / E)</th>
+              <th className="py-1 pr-3">Control Mean</th>
+              <th className="py-1 pr-3">Experiment Mean</th>
+              <th className="py-1 pr-3">Lift [95% CI]</th>
+              <th className="py-1 pr-3">p-value</th>
+              <th className="py-1 pr-3" title="Holm-adjusted across the segments of this dimension">Holm adj. p</th>
+            </tr>
+          </thead>
+          <tbody>
+            {b.rows.map(r => (
+              <tr key={r.id} className="border-b last:border-b-0">
+                <td className="py-1 pr-3">{r.label}</td>
+                <td className="py-1 pr-3">{r.nC.toLocaleString()} / {r.nT.toLocaleString()}</td>
+                <td className={`py-1 pr-3 ${b.mix?.differs ? "text-amber-700" : ""}`}>{percentFmt(r.shareC, 1)} / {percentFmt(r.shareT, 1)}</td>
+                <td className="py-1 pr-3">{numberFmt(r.muC, d)}</td>
+                <td className="py-1 pr-3">{numberFmt(r.muT, d)}</td>
+                <td className={`py-1 pr-3 ${r.pAdj < 0.05 ? (isHarmful(s, r.lift) ? "text-red-600" : "text-emerald-700") : ""}`}>
+                  {percentFmt(r.lift)} <span className="text-gray-500">[{r.muC > 0 ? `${percentFmt(r.ciLow / r.muC, 1)}, ${percentFmt(r.ciHigh / r.muC, 1)}` : "–"}]</span>
+                </td>
+                <td className="py-1 pr-3">{pFmt(r.p)}</td>
+                <td className={`py-1 pr-3 ${r.pAdj < 0.05 ? "font-semibold text-indigo-700" : ""}`}>{pFmt(r.pAdj)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-1 text-xs text-gray-600 space-y-0.5">
+          {q && (
+            <div className={q.significant ? "text-indigo-800" : ""}>
+              Heterogeneity (Cochran's Q): Q = {q.Q.toFixed(2)}, df {q.df}, p = {pFmt(q.p)}, I² = {percentFmt(q.I2, 0)} —{" "}
+              {q.significant ? "the treatment effect differs between segments." : "no evidence that the effect differs between segments."}
+            </div>
+          )}
+          {simpson.warn && (
+            <div className="text-amber-800">
+              ⚠ {simpson.reversal ? <b>Simpson's paradox: </b> : "Simpson's paradox risk: "}
+              overall lift {percentFmt(simpson.overallLift)} vs {percentFmt(simpson.standardizedLift)} with both arms re‑weighted to the same {b.dimLabel.toLowerCase()} mix
+              {simpson.reversal ? " — the direction flips once the mix is held fixed." : "."}
+            </div>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// === SRM banner ===
+function SrmBanner({ srm }){
+  const { overall, ids, shares } = srm;
+  const totalShare = shares.reduce((a, b) => a + b, 0);
+  const shareRow = (counts) => ids.map((id, k) => `${variantLabel(id)} ${percentFmt(overall.n > 0 ? counts[k] / overall.n : 0, 1)}`).join(" / ");
+  return (
+    <div className={`mb-3 rounded-xl border px-3 py-2 text-sm ${srm.flagged ? "border-red-300 bg-red-50 text-red-900" : "border-emerald-200 bg-emerald-50 text-emerald-900"}`}>
+      {srm.flagged ? (
+        <p><b>⚠ Sample ratio mismatch detected</b> (χ² = {overall.chi2.toFixed(1)}, df {overall.df}, p = {pFmt(overall.p)}; threshold {SRM_ALPHA}).
+          Observed {shareRow(overall.observed)} of assigned users vs configured {ids.map((id, k) => `${variantLabel(id)} ${percentFmt(shares[k] / totalShare, 1)}`).join(" / ")}.
+          Assignment or logging is broken — every result below is <b>untrustworthy</b> until the cause is found.</p>
+      ) : (
+        <p>Sample ratio check passed: χ² = {overall.chi2.toFixed(2)}, df {overall.df}, p = {pFmt(overall.p)} (SRM threshold p &lt; {SRM_ALPHA}).</p>
+      )}
+      <details className="mt-1">
+        <summary className="cursor-pointer select-none text-xs">Per‑day SRM ({srm.flaggedDays} of {srm.daily.length} days flagged)</summary>
+        <div className="overflow-x-auto mt-2">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left border-b border-current/20">
+                <th className="py-1 pr-3">Day</th>
+                {ids.map(id => <th key={id} className="py-1 pr-3">{variantLabel(id)}</th>)}
+                <th className="py-1 pr-3">χ²</th>
+                <th className="py-1 pr-3">p</th>
+              </tr>
+            </thead>
+            <tbody>
+              {srm.daily.map(d => (
+                <tr key={d.date} className={d.flagged ? "font-semibold text-red-700" : ""}>
+                  <td className="py-0.5 pr-3">{d.label}</td>
+                  {d.observed.map((x, k) => <td key={ids[k]} className="py-0.5 pr-3">{x.toLocaleString()} <span className="opacity-60">/ {Math.round(d.expected[k]).toLocaleString()}</span></td>)}
+                  <td className="py-0.5 pr-3">{d.chi2.toFixed(2)}</td>
+                  <td className="py-0.5 pr-3">{pFmt(d.p)}{d.flagged ? " ⚠" : ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-1 opacity-70">Cells show observed / expected users per arm.</p>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+// === Pre-period balance ===
+function PrePeriodBanner({ prePeriod, results, multiArm }){
+  const checked = results.filter(r => r.balance);
+  if (!checked.length) return null;
+  const imbalanced = checked.filter(r => r.balance.p < r.alpha);
+  const days = checked[0].balance.days;
+  const names = imbalanced.map(r => `${r.label}${multiArm ? ` (${r.armLabel})` : ""} ${percentFmt(r.balance.lift)}`).join(", ");
+  return imbalanced.length ? (
+    <div className="mb-3 rounded-xl px-3 py-2 text-sm bg-amber-50 text-amber-800 border border-amber-200">
+      ⚠ <b>Arms already differed before the test</b> — over the {days} pre‑period days: {names}. The plain lift includes this gap; the DiD column subtracts it, at the cost of a wider CI.
+    </div>
+  ) : (
+    <div className="mb-3 rounded-xl px-3 py-2 text-sm border bg-gray-50 text-gray-700 border-gray-200">
+      Pre‑period balance: no significant gap between the arms over {days} day{days === 1 ? "" : "s"} before the test{days < prePeriod.days ? ` (${prePeriod.days} asked for, limited by the history)` : ""}. The DiD column subtracts each metric's pre‑period gap anyway.
+    </div>
+  );
+}
+
+// === Excluded days: impact on the readout ===
+function ExclusionBanner({ excluded, simData, results, fullResults, decisions, multiArm }){
+  const rowsOf = (res) => ["Guardrail", "Success", "Diagnostic", "Ratio"].flatMap(f => res[f]).filter(r => r.se > 0);
+  const full = new Map(rowsOf(fullResults).map(r => [`${r.key}-${r.arm}`, r]));
+  const changed = decisions.filter((d, k) => fullResults.decisions[k]?.label !== d.label);
+  return (
+    <div className="mb-3 rounded-xl px-3 py-2 text-sm border bg-gray-50 text-gray-700 border-gray-200">
+      <p>{excluded.length} anomalous day{excluded.length === 1 ? "" : "s"} left out of the analysis: <span className="font-mono">{excluded.map(i => simData[i].label).join(", ")}</span>.
+        {changed.length > 0
+          ? <> <b>The verdict depends on it</b> — with every day: {changed.map(d => `${multiArm ? `${d.armLabel}: ` : ""}${fullResults.decisions.find(f => f.arm === d.arm).label}`).join(" / ")}.</>
+          : " The verdict is the same with every day kept."}</p>
+      <details className="mt-1">
+        <summary className="cursor-pointer select-none text-xs">Impact per metric</summary>
+        <div className="overflow-x-auto mt-2">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left border-b border-gray-200">
+                <th className="py-1 pr-3">Metric</th>
+                <th className="py-1 pr-3">All days: lift (p)</th>
+                <th className="py-1 pr-3">Excluded: lift (p)</th>
+                <th className="py-1 pr-3">Δ lift</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rowsOf(results).map(r => {
+                const f = full.get(`${r.key}-${r.arm}`);
+                if (!f) return null;
+                const flip = (f.p < r.alpha) !== (r.p < r.alpha);
+                return (
+                  <tr key={`${r.key}-${r.arm}`} className={`border-b border-gray-100 last:border-0 ${flip ? "font-semibold" : ""}`}>
+                    <td className="py-0.5 pr-3">{r.label}{multiArm ? ` · ${r.armLabel}` : ""}</td>
+                    <td className="py-0.5 pr-3">{percentFmt(f.lift)} ({pFmt(f.p)})</td>
+                    <td className="py-0.5 pr-3">{percentFmt(r.lift)} ({pFmt(r.p)})</td>
+                    <td className="py-0.5 pr-3">{percentFmt(r.lift - f.lift)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="mt-1 opacity-70">Both columns use the same simulated users; bold rows change significance.</p>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+// === Export bar ===
+function ExportBar({ results, simData, config }){
+  const base = `experiment_${config.testStart || "window"}_${config.testEnd || ""}`.replace(/_$/, "");
+  const armIds = (config.variants || []).map(v => v.id);
+  const ratioKeys = (config.ratios || []).map(r => r.key);
+  const catalog = config.catalog || DEFAULT_METRICS;
+  const exports = [
+    { id: "stats-csv", label: "Stats CSV", run: () => downloadFile(`${base}_stats.csv`, toCSV(statsExportRows(results), STATS_EXPORT_COLUMNS), "text/csv") },
+    { id: "stats-json", label: "Stats JSON", run: () => downloadFile(`${base}_stats.json`, JSON.stringify({ config, results: statsExportRows(results) }, null, 2), "application/json") },
+    { id: "daily-csv", label: "Daily CSV", run: () => downloadFile(`${base}_daily.csv`, toCSV(dailyExportRows(simData, armIds, ratioKeys, catalog), dailyExportColumns(armIds, ratioKeys, catalog)), "text/csv") },
+    { id: "daily-json", label: "Daily JSON", run: () => downloadFile(`${base}_daily.json`, JSON.stringify(dailyExportRows(simData, armIds, ratioKeys, catalog), null, 2), "application/json") },
+    { id: "report-md", label: "Report (.md)", run: () => downloadFile(`${base}_report.md`, buildReportMarkdown(config, results), "text/markdown") },
+    { id: "report-html", label: "Report (.html)", run: () => downloadFile(`${base}_report.html`, buildReportHTML(config, results), "text/html") },
+  ];
+  return (
+    <div className="mt-4 pt-3 border-t flex flex-wrap items-center gap-2 text-xs">
+      <span className="text-sm font-medium text-gray-700 mr-1">Export</span>
+      {exports.map(e => (
+        <button key={e.id} type="button" onClick={e.run} disabled={e.id.startsWith("stats") && results.length === 0}
+          className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed">{e.label}</button>
+      ))}
+    </div>
+  );
+}
+
+// === Ship decision ===
+const VERDICT_STYLE = {
+  good: "bg-green-50 text-green-800 border-green-200",
+  bad: "bg-red-50 text-red-800 border-red-200",
+  neutral: "bg-amber-50 text-amber-800 border-amber-200",
+};
+const REASON_STYLE = { good: "text-emerald-700", bad: "text-red-700", neutral: "text-gray-600" };
+
+function ShipDecisionPanel({ decisions, rule, alpha, enforceNoDecline = false }){
+  const multiArm = decisions.length > 1;
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">Ship Decision</h2>
+      <p className="text-xs text-gray-600 mb-3">
+        Ship when the {rule} decision rule is met on the success metrics (α = {alpha}{rule === "PRIMARY" ? "" : ", split across the metrics"}{multiArm ? ", arm‑adjusted p" : ""}) and every guardrail passes its one‑sided non‑inferiority test.
+        Don't ship when a guardrail is worse than its margin or a success metric is significantly worse. Anything else is inconclusive.
+        {enforceNoDecline && <> Guardrails are simulated as unable to decline, so they fail only by chance.</>}
+      </p>
+      <div className={`grid gap-3 ${multiArm ? "md:grid-cols-2" : ""}`}>
+        {decisions.map(d => (
+          <div key={d.arm} className={`rounded-xl border px-3 py-2 text-sm ${VERDICT_STYLE[d.tone]}`}>
+            <div className="font-semibold">{multiArm ? `${d.armLabel}: ` : ""}{d.label}</div>
+            <ul className="mt-1 space-y-0.5 text-xs">
+              {d.reasons.map((r, i) => (
+                <li key={i} className={REASON_STYLE[r.tone]}><span className="inline-block w-4">{REASON_MARK[r.tone]}</span>{r.text}</li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// === Bayesian Panel ===
+const DEFAULT_BAYES_CONFIG = { model: "GAMMA_POISSON", priorUsers: 100, priorMean: 0, priorSd: 0.10, lossThreshold: 0.001 };
+
+function BayesianPanel({ results, catalog = DEFAULT_METRICS, config, onConfigChange }){
+  const { model, priorUsers, priorMean, priorSd, lossThreshold } = config; // model: GAMMA_POISSON | NORMAL; lossThreshold: relative lift
+  const update = (patch) => onConfigChange(c => ({ ...c, ...patch }));
+  const setModel = (v) => update({ model: v });
+  const setPriorUsers = (v) => update({ priorUsers: v });
+  const setPriorMean = (v) => update({ priorMean: v });
+  const setPriorSd = (v) => update({ priorSd: v });
+  const setLossThreshold = (v) => update({ lossThreshold: v });
+
+  // Per-user DAU is the cohort indicator (always 1), so it has no posterior of its own
+  // Ratio metrics are not counts, so they always use the normal approximation
+  const rows = results.map(r => ({ ...r, post: r.key === "DAU" ? null : bayesLift(r, { model: r.isRatio ? "NORMAL" : model, priorUsers, priorMean, priorSd }) }));
+  const rated = rows.filter(r => r.post);
+  const ship = rated.length > 0 && rated.every(r => r.post.expectedLoss < lossThreshold);
+  const blockers = rated.filter(r => r.post.expectedLoss >= lossThreshold);
+  const multiArm = rows.some(r => r.arm !== "Experiment");
+
+  const input = "w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">Bayesian View</h2>
+      <p className="text-xs text-gray-600 mb-3">Posterior of the relative lift (treatment vs Control) for each selected metric (ratio metrics always use the normal approximation). Expected loss = E[max(0, −lift)]: how much you expect to lose, relative to Control, if you ship and the treatment is actually worse.</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        {[{id:"GAMMA_POISSON", label:"Gamma‑Poisson"}, {id:"NORMAL", label:"Normal approx."}].map(opt => (
+          <label key={opt.id} className={`px-2 py-1 rounded-xl border cursor-pointer ${model===opt.id?"bg-indigo-600 text-white border-indigo-600":"bg-white text-gray-700 border-gray-300"}`}>
+            <input type="radio" name="bayesModel" className="hidden" checked={model===opt.id} onChange={()=>setModel(opt.id)} />
+            {opt.label}
+          </label>
+        ))}
+        {model === "GAMMA_POISSON" ? (
+          <label className="flex items-center gap-2" title="Gamma prior centred on the pre-period rate, worth this many users">
+            <span className="text-gray-700">Prior strength (users)</span>
+            <input type="number" min={0} step={10} value={priorUsers} onChange={(e)=>setPriorUsers(Math.max(0, Number(e.target.value)||0))} className={input}/>
+          </label>
+        ) : (
+          <>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-700">Prior lift mean</span>
+              <input type="number" step={0.01} value={priorMean} onChange={(e)=>setPriorMean(Number(e.target.value)||0)} className={input}/>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-700">Prior lift sd</span>
+              <input type="number" step={0.01} min={0.001} value={priorSd} onChange={(e)=>setPriorSd(Math.max(0.001, Number(e.target.value)||0.10))} className={input}/>
+            </label>
+          </>
+        )}
+        <label className="flex items-center gap-2" title="Ship when every metric's expected loss is below this (fraction of control)">
+          <span className="text-gray-700">Loss threshold</span>
+          <input type="number" step={0.0005} min={0} value={lossThreshold} onChange={(e)=>setLossThreshold(Math.max(0, Number(e.target.value)||0))} className={input}/>
+        </label>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-sm text-gray-500">Select at least one metric.</div>
+      ) : (
+        <>
+          <div className={`rounded-xl px-3 py-2 mb-3 text-sm ${ship ? "bg-green-50 text-green-800 border border-green-200" : "bg-amber-50 text-amber-800 border border-amber-200"}`}>
+            <b>{ship ? "Ship" : "Keep running"}</b>
+            {ship
+              ? <> — expected loss is below {percentFmt(lossThreshold, 2)} for every selected metric.</>
+              : <> — expected loss ≥ {percentFmt(lossThreshold, 2)} for {blockers.map(r => multiArm ? `${r.label} (${r.armLabel})` : r.label).join(", ") || "–"}.</>}
+          </div>
+
+          <div className="grid lg:grid-cols-3 gap-4">
+            <div className="overflow-x-auto lg:col-span-2">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-4">Metric</th>
+                    {multiArm && <th className="py-2 pr-4">Arm</th>}
+                    <th className="py-2 pr-4">Posterior lift</th>
+                    <th className="py-2 pr-4">95% credible interval</th>
+                    <th className="py-2 pr-4">P(beats Control)</th>
+                    <th className="py-2 pr-4">Expected loss</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(r => (
+                    <tr key={`${r.key}-${r.arm}`} className="border-b last:border-b-0">
+                      <td className="py-2 pr-4 font-medium">{r.label}</td>
+                      {multiArm && <td className="py-2 pr-4 text-gray-700">{r.armLabel}</td>}
+                      {r.post ? <>
+                        <td className="py-2 pr-4">{percentFmt(r.post.mean)}</td>
+                        <td className="py-2 pr-4">[{percentFmt(r.post.ciLow)}, {percentFmt(r.post.ciHigh)}]</td>
+                        <td className="py-2 pr-4">{percentFmt(r.post.pBeat, 1)}</td>
+                        <td className={`py-2 pr-4 ${r.post.expectedLoss >= lossThreshold ? "text-amber-700 font-medium" : ""}`}>{percentFmt(r.post.expectedLoss, 3)}</td>
+                      </> : <td colSpan={4} className="py-2 pr-4 text-gray-400">{r.key === "DAU" ? "Cohort size — not a per‑user outcome" : "No variance — posterior undefined"}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 content-start">
+              {rated.map(r => {
+                const color = catalog.find(m=>m.key===(r.isRatio ? parseRatioKey(r.key, catalog)?.num : r.key))?.color || "#4f46e5";
+                return (
+                  <div key={`${r.key}-${r.arm}`} className="rounded-xl border border-gray-200 p-1">
+                    <div className="text-[11px] text-gray-600 px-1 truncate">{r.label}{multiArm ? ` · ${r.armLabel}` : ""}</div>
+                    <div className="h-20">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <AreaChart data={posteriorCurve(r.post)} margin={{ top: 2, right: 4, left: 4, bottom: 0 }}>
+                          <XAxis dataKey="lift" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 9 }} tickFormatter={(v)=>`${v.toFixed(0)}%`} tickCount={3} />
+                          <YAxis hide domain={[0, "auto"]} />
+                          <ReferenceLine x={0} stroke="#9ca3af" />
+                          <Area type="monotone" dataKey="density" stroke={color} fill={color} fillOpacity={0.25} isAnimationActive={false} />
+                        </AreaChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+// === Monte Carlo simulation worker ===
+// One simulation at a time in src/powerSim.worker.js; starting again or unmounting terminates the
+// previous one. progress is { done, total } while running, null otherwise.
+function useSimulationWorker(){
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  function stop(){
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setProgress(null);
+  }
+
+  function start(kind, data, config, total){
+    stop();
+    setError(null);
+    const worker = new Worker(new URL("./powerSim.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    setProgress({ done: 0, total });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") setProgress({ done: msg.done, total: msg.total });
+      else {
+        if (msg.type === "done") setResult(msg.result); else setError(msg.message);
+        stop();
+      }
+    };
+    worker.onerror = (e) => { setError(e.message || "Worker failed"); stop(); };
+    worker.postMessage({ kind, data, config });
+  }
+
+  return { progress, result, error, running: progress != null, start, stop };
+}
+
+function SimulationProgress({ progress, unit = "simulations" }){
+  return (
+    <div className="mb-3">
+      <div className="h-2 w-full rounded bg-gray-100 overflow-hidden">
+        <div className="h-2 bg-indigo-500 transition-all" style={{ width: `${(100 * progress.done / Math.max(1, progress.total)).toFixed(1)}%` }} />
+      </div>
+      <div className="text-xs text-gray-500 mt-1">{progress.done.toLocaleString()} / {progress.total.toLocaleString()} {unit}</div>
+    </div>
+  );
+}
+
+// === Duration planner ===
+const PLANNER_HORIZON = 182; // 26 weeks of forecast
+
+function DurationPlannerPanel({ data, forecast, sizing, targetPower = 0.8, defaultShare, testLen, onApply }){
+  const [share, setShare] = useState(defaultShare);
+  useEffect(() => { setShare(defaultShare); }, [defaultShare]); // follow the traffic split
+
+  const n = sizing.recommendedN;
+  const plan = useMemo(() => planDuration(forecast, { n, share }), [forecast, n, share]);
+  const shownDays = Math.min(PLANNER_HORIZON, Math.max(28, (plan.days ?? PLANNER_HORIZON) + 14));
+  const curve = plan.curve.slice(0, shownDays).map(c => ({ ...c, power: rulePowerAtN(sizing, c.nPerArm) }));
+  const powerAtPlan = plan.days != null ? curve[plan.days - 1].power : null;
+  const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">Duration Planner</h2>
+      <p className="text-xs text-gray-600 mb-3">How long to run to reach the decision rule's recommended n per arm if the test started after the last day of history. DAU is forecast from the last 8 weeks (linear trend × day‑of‑week pattern) and the duration is rounded up to whole weeks so every weekday counts equally.</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <div><span className="text-gray-700">Recommended n per arm</span> <b>{Number.isFinite(n) && n > 0 ? n.toLocaleString() : "–"}</b> <span className="text-xs text-gray-500">({sizing.rule}{sizing.rule === "PRIMARY" && sizing.primaryRow ? `, ${sizing.primaryRow.label}` : ""})</span></div>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Share per arm (% of DAU)</span>
+          <input type="number" min={0.1} max={50} step={0.5} value={Number((share * 100).toFixed(2))}
+            onChange={(e)=>setShare(clamp((Number(e.target.value) || 0) / 100, 0.001, 0.5))}
+            className="w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+        </label>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-4">
+        <div className="text-sm space-y-2">
+          <div className="text-xs text-gray-600">
+            Forecast DAU ≈ <b>{Math.round(forecast.level).toLocaleString()}</b>/day, trend {forecast.slope >= 0 ? "+" : ""}{forecast.slope.toFixed(1)}/day.
+            <div className="mt-1 flex flex-wrap gap-1">
+              {[1, 2, 3, 4, 5, 6, 0].map(d => (
+                <span key={d} className={`px-1.5 py-0.5 rounded border text-[11px] ${forecast.seasonal[d] >= 1 ? "border-indigo-200 bg-indigo-50" : "border-gray-200"}`}>{weekdays[d]} ×{forecast.seasonal[d].toFixed(2)}</span>
+              ))}
+            </div>
+          </div>
+          {plan.days != null ? (
+            <div className="rounded-xl px-3 py-2 bg-gray-50 border border-gray-200">
+              n reached on day <b>{plan.daysNeeded}</b> → <b>{plan.weeks} week{plan.weeks > 1 ? "s" : ""} ({plan.days} days)</b>, power ≈ <b>{percentFmt(powerAtPlan, 1)}</b> (target {percentFmt(targetPower, 0)}).
+            </div>
+          ) : (
+            <div className="rounded-xl px-3 py-2 bg-amber-50 text-amber-800 border border-amber-200">
+              {Number.isFinite(n) && n > 0 ? <>Not reached within {PLANNER_HORIZON / 7} weeks at {percentFmt(share, 1)} per arm — raise the share or the MDE.</> : <>No recommended n — select a success metric with variance.</>}
+            </div>
+          )}
+          {plan.days != null && plan.days > data.length && (
+            <div className="text-xs text-amber-800">Longer than the {data.length} days of history, so the simulated window will stop at {data.length} days.</div>
+          )}
+          <div className="flex items-center gap-2">
+            <button type="button" onClick={() => onApply(plan.days)} disabled={plan.days == null || plan.days === testLen}
+              className="rounded-xl px-3 py-1.5 bg-indigo-600 text-white hover:bg-indigo-700 transition shadow disabled:opacity-40 disabled:cursor-not-allowed">Apply duration</button>
+            <span className="text-xs text-gray-500">current: {testLen} days</span>
+          </div>
+        </div>
+        <div className="lg:col-span-2">
+          <div className="text-xs text-gray-600 mb-1">Power of the decision rule vs test length</div>
+          <div className="w-full h-[220px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={curve} margin={{ top: 4, right: 16, left: 0, bottom: 4 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="day" type="number" domain={[1, shownDays]} tick={{ fontSize: 11 }} allowDecimals={false} />
+                <YAxis domain={[0, 1]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+                <Tooltip formatter={(v) => percentFmt(v, 1)} labelFormatter={(d) => `Day ${d} (${curve[d - 1]?.label ?? ""}) · ${Math.round(curve[d - 1]?.nPerArm ?? 0).toLocaleString()} per arm`} />
+                <ReferenceLine y={targetPower} stroke="#9ca3af" strokeDasharray="4 4" />
+                {plan.days != null && plan.days <= shownDays && <ReferenceLine x={plan.days} stroke="#6366f1" label={{ value: `${plan.days} d`, position: "insideTopRight", fontSize: 11, fill: "#4f46e5" }} />}
+                {testLen <= shownDays && testLen !== plan.days && <ReferenceLine x={testLen} stroke="#d1d5db" label={{ value: "current", position: "insideBottomRight", fontSize: 10, fill: "#6b7280" }} />}
+                <Line type="monotone" dataKey="power" name="Power" stroke="#6366f1" dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// === Sizing trade-off curves ===
+const CURVE_VIEWS = [
+  { id: "POWER_N", label: "Power vs n" },
+  { id: "MDE_DAYS", label: "MDE vs test days" },
+  { id: "N_ALPHA", label: "n vs α" },
+];
+const CURVE_ALPHAS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2];
+const compactFmt = (v) => v >= 1e6 ? `${Number((v / 1e6).toPrecision(3))}M` : v >= 1e3 ? `${Number((v / 1e3).toPrecision(3))}k` : String(Math.round(v));
+
+function SizingCurvesPanel({ sizingArgs, sizing, catalog, forecast, share, testLen }){
+  const [view, setView] = useState("POWER_N");
+  const { alpha, power, mdePct } = sizingArgs;
+  const rows = sizing.rows.filter(r => r.sigma2 > 0 && Number.isFinite(r.n));
+  const colorOf = (key) => catalog.find(m => m.key === key)?.color ?? "#6366f1";
+
+  // Users per arm after d days of forecast traffic at the smallest arm's share
+  const cumN = useMemo(() => { let c = 0; return forecast.days.map(f => (c += f.dau * share)); }, [forecast, share]);
+  const maxDays = Math.min(cumN.length, Math.max(84, testLen + 14));
+  const currentN = cumN[Math.min(testLen, cumN.length) - 1];
+
+  let points = [], xDomain = [1, maxDays];
+  if (rows.length && view === "POWER_N") {
+    const ns = [...rows.map(r => r.n), currentN];
+    const lo = Math.max(10, Math.min(...ns) / 4), hi = Math.max(...ns) * 3;
+    xDomain = [lo, hi];
+    points = Array.from({ length: 61 }, (_, i) => {
+      const n = lo * Math.pow(hi / lo, i / 60);
+      return { x: n, ...Object.fromEntries(rows.map(r => [r.key, powerAtN({ sigma2: r.sigma2, mdeAbs: r.mdeAbs, alpha: r.alphaAdj, n })])) };
+    });
+  } else if (rows.length && view === "MDE_DAYS") {
+    points = cumN.slice(0, maxDays).map((n, i) => ({ x: i + 1, ...Object.fromEntries(rows.map(r => [r.key, mdeAtN({ sigma2: r.sigma2, alpha: r.alphaAdj, power, n }) / r.mu])) }));
+  } else if (rows.length) {
+    xDomain = [CURVE_ALPHAS[0], CURVE_ALPHAS[CURVE_ALPHAS.length - 1]];
+    points = CURVE_ALPHAS.map(a => ({ x: a, ...Object.fromEntries(ruleSampleSizes({ ...sizingArgs, alpha: a }).rows.filter(r => Number.isFinite(r.n)).map(r => [r.key, r.n])) }));
+  }
+  const currentMde = (r) => mdeAtN({ sigma2: r.sigma2, alpha: r.alphaAdj, power, n: currentN }) / r.mu;
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">Sizing Trade‑offs</h2>
+      <p className="text-xs text-gray-600 mb-3">
+        The decision rule's candidate metrics, one curve each, with the rule's α split (and arm adjustment) applied. Dots mark the operating point:
+        {view === "POWER_N" && <> the n each metric needs for {percentFmt(power, 0)} power at a {percentFmt(mdePct, 1)} MDE; the vertical line is the n per arm the current {testLen}‑day window reaches at {percentFmt(share, 1)} of forecast DAU.</>}
+        {view === "MDE_DAYS" && <> the lift each metric can detect with {percentFmt(power, 0)} power after the current {testLen} days at {percentFmt(share, 1)} of forecast DAU per arm; the dashed line is the target MDE.</>}
+        {view === "N_ALPHA" && <> the n each metric needs at the current α = {alpha} ({percentFmt(power, 0)} power, {percentFmt(mdePct, 1)} MDE).</>}
+      </p>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        {CURVE_VIEWS.map(opt => (
+          <label key={opt.id} className={`px-2 py-1 rounded-xl border cursor-pointer ${view===opt.id?"bg-indigo-600 text-white border-indigo-600":"bg-white text-gray-700 border-gray-300"}`}>
+            <input type="radio" name="curveView" className="hidden" checked={view===opt.id} onChange={()=>setView(opt.id)} />
+            {opt.label}
+          </label>
+        ))}
+      </div>
+      {rows.length === 0 ? (
+        <div className="text-sm text-gray-500">Select a success metric with per‑user variance.</div>
+      ) : (
+        <div className="w-full h-[280px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={points} margin={{ top: 8, right: 16, left: 0, bottom: 4 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              {view === "MDE_DAYS"
+                ? <XAxis dataKey="x" type="number" domain={xDomain} tick={{ fontSize: 11 }} allowDecimals={false} />
+                : <XAxis dataKey="x" type="number" scale="log" domain={xDomain} tick={{ fontSize: 11 }} tickFormatter={view === "POWER_N" ? compactFmt : (v) => String(v)} ticks={view === "N_ALPHA" ? [0.001, 0.01, 0.05, 0.2] : undefined} />}
+              {view === "POWER_N" && <YAxis domain={[0, 1]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${Math.round(v * 100)}%`} />}
+              {view === "MDE_DAYS" && <YAxis domain={[0, "auto"]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${(v * 100).toFixed(0)}%`} />}
+              {view === "N_ALPHA" && <YAxis scale="log" domain={["auto", "auto"]} tick={{ fontSize: 11 }} tickFormatter={compactFmt} />}
+              <Tooltip
+                formatter={(v, key) => [view === "N_ALPHA" ? Math.round(v).toLocaleString() : percentFmt(v, 1), metricLabel(key, catalog)]}
+                labelFormatter={(x) => view === "POWER_N" ? `n = ${Math.round(x).toLocaleString()} per arm` : view === "MDE_DAYS" ? `Day ${x} (${Math.round(cumN[x - 1]).toLocaleString()} per arm)` : `α = ${x}`} />
+              <Legend wrapperStyle={{ fontSize: 12 }} formatter={(key) => metricLabel(key, catalog)} />
+              {view === "POWER_N" && <ReferenceLine y={power} stroke="#9ca3af" strokeDasharray="4 4" />}
+              {view === "POWER_N" && <ReferenceLine x={currentN} stroke="#6b7280" label={{ value: "current", position: "insideTopLeft", fontSize: 10, fill: "#6b7280" }} />}
+              {view === "MDE_DAYS" && <ReferenceLine y={mdePct} stroke="#9ca3af" strokeDasharray="4 4" />}
+              {view === "MDE_DAYS" && testLen <= maxDays && <ReferenceLine x={testLen} stroke="#6b7280" />}
+              {view === "N_ALPHA" && <ReferenceLine x={alpha} stroke="#6b7280" />}
+              {rows.map(r => <Line key={r.key} type="monotone" dataKey={r.key} stroke={colorOf(r.key)} dot={false} isAnimationActive={false} />)}
+              {rows.map(r => view === "POWER_N"
+                ? <ReferenceDot key={`op-${r.key}`} x={r.n} y={power} r={4} fill={colorOf(r.key)} stroke="#fff" />
+                : view === "MDE_DAYS"
+                  ? (testLen <= maxDays && <ReferenceDot key={`op-${r.key}`} x={testLen} y={currentMde(r)} r={4} fill={colorOf(r.key)} stroke="#fff" />)
+                  : <ReferenceDot key={`op-${r.key}`} x={alpha} y={r.n} r={4} fill={colorOf(r.key)} stroke="#fff" />)}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// === Monte Carlo Power Panel ===
+const POWER_RUN_OPTIONS = [200, 500, 1000, 2000];
+
+function PowerSimPanel({ data, catalog, design, defaults }){
+  const options = catalog.filter(m => m.key !== COHORT_KEY).map(m => m.key);
+  const [metric, setMetric] = useState(options.includes(defaults.metric) ? defaults.metric : options[0]);
+  const [liftPct, setLiftPct] = useState(defaults.lift ?? 0.10);
+  const [alpha, setAlpha] = useState(defaults.alpha ?? 0.05);
+  const [runs, setRuns] = useState(500);
+  const { progress, result, error, running, start: startWorker, stop } = useSimulationWorker();
+
+  useEffect(() => { if (!options.includes(metric)) setMetric(options[0]); }, [options.join("|")]);
+
+  function start(){
+    startWorker("power", data, { ...design, metricKey: metric, trueLift: liftPct, alpha, runs, catalog }, runs * 2);
+  }
+
+  const label = result ? metricLabel(result.metricKey, catalog) : "";
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">Monte Carlo Power</h2>
+      <p className="text-xs text-gray-600 mb-3">Re‑runs the A/B simulation over many seeds with the current split, window and CUPED setting — once with the true lift below and once with zero lift — and counts how often the test rejects at α. Compare with the closed‑form power the sizers use.</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Metric</span>
+          <select value={metric} onChange={(e)=>setMetric(e.target.value)} disabled={running}
+            className="rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+            {options.map(k => <option key={k} value={k}>{metricLabel(k, catalog)}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">True lift (%)</span>
+          <input type="number" step={0.5} min={-50} max={200} value={Number((liftPct * 100).toFixed(4))} disabled={running}
+            onChange={(e)=>setLiftPct(clamp((Number(e.target.value)||0) / 100, -0.5, 2))}
+            className="w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Alpha</span>
+          <input type="number" step={0.001} min={0.0001} max={0.5} value={alpha} disabled={running}
+            onChange={(e)=>setAlpha(clamp(Number(e.target.value)||0.05, 0.0001, 0.5))}
+            className="w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Runs</span>
+          <select value={runs} onChange={(e)=>setRuns(Number(e.target.value))} disabled={running}
+            className="rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+            {POWER_RUN_OPTIONS.map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+          </select>
+        </label>
+        {running ? (
+          <button type="button" onClick={stop} className="rounded-xl px-3 py-1.5 bg-gray-200 hover:bg-gray-300">Cancel</button>
+        ) : (
+          <button type="button" onClick={start} disabled={!metric} className="rounded-xl px-3 py-1.5 bg-indigo-600 text-white hover:bg-indigo-700 transition shadow disabled:opacity-40">Simulate power</button>
+        )}
+      </div>
+
+      {running && <SimulationProgress progress={progress} />}
+      {error && <div className="mb-3 text-sm text-red-700">{error}</div>}
+
+      {result && (
+        <div className="grid lg:grid-cols-2 gap-4">
+          <table className="text-sm self-start">
+            <tbody>
+              <tr className="border-b"><td className="py-1.5 pr-4 text-gray-600">Metric / true lift</td><td className="py-1.5 font-medium">{label}, {percentFmt(result.trueLift, 1)}</td></tr>
+              <tr className="border-b"><td className="py-1.5 pr-4 text-gray-600">Avg. users per group</td><td className="py-1.5">{Math.round(result.nC).toLocaleString()} / {Math.round(result.nT).toLocaleString()}</td></tr>
+              <tr className="border-b"><td className="py-1.5 pr-4 text-gray-600">Empirical power</td><td className="py-1.5 font-semibold">{percentFmt(result.power.rate, 1)} <span className="text-xs text-gray-500 font-normal">± {percentFmt(1.96 * result.power.rateSE, 1)}</span></td></tr>
+              <tr className="border-b"><td className="py-1.5 pr-4 text-gray-600">Closed‑form power</td><td className="py-1.5" title={Number.isFinite(result.theoreticalPower) ? undefined : "No closed form for per-user totals in the user-level simulation"}>{Number.isFinite(result.theoreticalPower) ? percentFmt(result.theoreticalPower, 1) : "–"}</td></tr>
+              <tr className="border-b"><td className="py-1.5 pr-4 text-gray-600">Type‑I error (zero lift)</td><td className={`py-1.5 font-semibold ${Math.abs(result.typeI.rate - result.alpha) > 2 * result.typeI.rateSE + 1e-9 ? "text-red-600" : ""}`}>{percentFmt(result.typeI.rate, 1)} <span className="text-xs text-gray-500 font-normal">± {percentFmt(1.96 * result.typeI.rateSE, 1)} (target {result.alpha})</span></td></tr>
+              <tr className="border-b"><td className="py-1.5 pr-4 text-gray-600">Estimated lift (true lift)</td><td className="py-1.5">{percentFmt(result.power.liftMean, 2)} <span className="text-xs text-gray-500">sd {percentFmt(result.power.liftSd, 2)}</span></td></tr>
+              <tr><td className="py-1.5 pr-4 text-gray-600">n for 80% power (formula)</td><td className="py-1.5">{Number.isFinite(result.requiredN) ? result.requiredN.toLocaleString() : "–"} per group</td></tr>
+            </tbody>
+          </table>
+          <div>
+            <div className="text-xs text-gray-600 mb-1">Distribution of estimated lifts ({result.runs.toLocaleString()} runs each)</div>
+            <div className="w-full h-[220px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={result.liftHistogram.map(b => ({ ...b, liftLabel: (b.mid * 100).toFixed(1) }))} barGap={0} barCategoryGap={1} margin={{ top: 4, right: 8, left: 0, bottom: 4 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="liftLabel" tick={{ fontSize: 11 }} unit="%" />
+                  <YAxis tick={{ fontSize: 11 }} allowDecimals={false} />
+                  <Tooltip formatter={(value, name) => [value, name]} labelFormatter={(l) => `lift ≈ ${l}%`} />
+                  <Legend wrapperStyle={{ fontSize: 12 }} />
+                  <Bar dataKey="null" name="Zero lift" fill="#9ca3af" isAnimationActive={false} />
+                  <Bar dataKey="alt" name="True lift" fill="#6366f1" isAnimationActive={false} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// === A/A Diagnostics Panel ===
+function AAPanel({ data, catalog, ratios = [], design, defaultAlpha = 0.05 }){
+  const [alpha, setAlpha] = useState(defaultAlpha);
+  const [runs, setRuns] = useState(500);
+  const [focus, setFocus] = useState(null);
+  const { progress, result, error, running, start, stop } = useSimulationWorker();
+
+  const shown = result?.metrics.find(m => m.key === focus) || result?.metrics.find(m => m.flagged) || result?.metrics[0];
+  const expectedCount = result ? result.runs / (shown?.pHistogram.length || 20) : 0;
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">A/A Diagnostics</h2>
+      <p className="text-xs text-gray-600 mb-3">Repeats the A/A simulation over many seeds and tests every metric each time. With no true effect p‑values should be uniform: about α of them significant, a flat histogram and a QQ plot on the diagonal. A metric is flagged when its false‑positive rate (binomial test) or the p‑value distribution (Kolmogorov–Smirnov) departs from that at p &lt; {AA_FLAG_ALPHA} — usually a sign that the analysis variance does not match how the data vary.</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Alpha</span>
+          <input type="number" step={0.001} min={0.0001} max={0.5} value={alpha} disabled={running}
+            onChange={(e)=>setAlpha(clamp(Number(e.target.value)||0.05, 0.0001, 0.5))}
+            className="w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Runs</span>
+          <select value={runs} onChange={(e)=>setRuns(Number(e.target.value))} disabled={running}
+            className="rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+            {POWER_RUN_OPTIONS.map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+          </select>
+        </label>
+        {running ? (
+          <button type="button" onClick={stop} className="rounded-xl px-3 py-1.5 bg-gray-200 hover:bg-gray-300">Cancel</button>
+        ) : (
+          <button type="button" onClick={() => start("aa", data, { ...design, alpha, runs, ratios, catalog }, runs)} className="rounded-xl px-3 py-1.5 bg-indigo-600 text-white hover:bg-indigo-700 transition shadow">Run A/A simulations</button>
+        )}
+      </div>
+
+      {running && <SimulationProgress progress={progress} unit="A/A runs" />}
+      {error && <div className="mb-3 text-sm text-red-700">{error}</div>}
+
+      {result && (
+        <>
+          <div className={`mb-3 rounded-xl px-3 py-2 text-sm ${result.flagged.length ? "bg-red-50 text-red-800 border border-red-200" : "bg-green-50 text-green-800 border border-green-200"}`}>
+            {result.flagged.length
+              ? <>⚠ {result.flagged.length} of {result.metrics.length} metrics do not behave like an A/A test: {result.flagged.map(k => metricLabel(k, catalog)).join(", ")}.</>
+              : <>All {result.metrics.length} metrics look calibrated over {result.runs.toLocaleString()} A/A runs at α = {result.alpha}.</>}
+          </div>
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Metric</th>
+                  <th className="py-2 pr-4">False positives</th>
+                  <th className="py-2 pr-4">Rate (95% CI)</th>
+                  <th className="py-2 pr-4">Binomial p</th>
+                  <th className="py-2 pr-4">KS D (p)</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.metrics.map(m => (
+                  <tr key={m.key} onClick={() => setFocus(m.key)}
+                    className={`border-b last:border-0 cursor-pointer ${m.flagged ? "bg-red-50" : ""} ${shown?.key === m.key ? "font-semibold" : ""}`}>
+                    <td className="py-1.5 pr-4">{m.label}</td>
+                    <td className="py-1.5 pr-4">{m.rejections} / {m.runs}</td>
+                    <td className="py-1.5 pr-4">{percentFmt(m.rate, 1)} <span className="text-xs text-gray-500">± {percentFmt(1.96 * m.rateSE, 1)}</span></td>
+                    <td className="py-1.5 pr-4">{pFmt(m.rateP)}</td>
+                    <td className="py-1.5 pr-4">{m.ks.d.toFixed(3)} ({pFmt(m.ks.p)})</td>
+                    <td className="py-1.5 pr-4 text-red-700">{m.flagged ? "⚠ miscalibrated" : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-gray-500 mt-1">Click a row to plot its p‑values.</div>
+          </div>
+
+          {shown && (
+            <div className="grid lg:grid-cols-2 gap-4">
+              <div>
+                <div className="text-xs text-gray-600 mb-1">{shown.label}: p‑value histogram (dashed = uniform)</div>
+                <div className="w-full h-[220px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={shown.pHistogram.map(b => ({ ...b, bin: b.mid.toFixed(3) }))} barCategoryGap={1} margin={{ top: 4, right: 8, left: 0, bottom: 4 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="bin" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} allowDecimals={false} />
+                      <Tooltip formatter={(value) => [value, "runs"]} labelFormatter={(l) => `p ≈ ${l}`} />
+                      <ReferenceLine y={expectedCount} stroke="#6b7280" strokeDasharray="4 4" />
+                      <Bar dataKey="count" name="runs" fill={shown.flagged ? "#ef4444" : "#6366f1"} isAnimationActive={false} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-600 mb-1">{shown.label}: QQ plot against Uniform(0, 1)</div>
+                <div className="w-full h-[220px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={shown.qq} margin={{ top: 4, right: 8, left: 0, bottom: 4 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" dataKey="expected" domain={[0, 1]} tick={{ fontSize: 11 }} tickFormatter={(v) => v.toFixed(1)} />
+                      <YAxis type="number" domain={[0, 1]} tick={{ fontSize: 11 }} tickFormatter={(v) => v.toFixed(1)} />
+                      <Tooltip formatter={(value) => [Number(value).toFixed(3), "observed p"]} labelFormatter={(l) => `expected ${Number(l).toFixed(3)}`} />
+                      <ReferenceLine segment={[{ x: 0, y: 0 }, { x: 1, y: 1 }]} stroke="#6b7280" strokeDasharray="4 4" />
+                      <Line type="linear" dataKey="observed" stroke={shown.flagged ? "#ef4444" : "#6366f1"} strokeWidth={0} dot={{ r: 2 }} isAnimationActive={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+// === Daily Lift Panel ===
+const TREND_PATTERNS = {
+  FLAT: "no significant trend — consistent with a constant effect",
+  DECAYING: "the effect is shrinking — a novelty effect; the long‑run lift is likely smaller than the average",
+  GROWING: "the effect is growing — a learning/primacy effect; the long‑run lift is likely larger than the average",
+};
+
+function DailyLiftPanel({ simData, startIndex, aggregates, metricKeys = [], catalog = DEFAULT_METRICS, defaultAlpha = 0.05 }){
+  const options = metricKeys.filter(k => k !== COHORT_KEY && aggregates[k] && !aggregates[k].isRatio);
+  const [metric, setMetric] = useState(options[0]);
+  const [alpha, setAlpha] = useState(defaultAlpha);
+
+  useEffect(() => { if (!options.includes(metric)) setMetric(options[0]); }, [options.join("|")]);
+
+  const analysis = useMemo(() => metric && aggregates[metric]
+    ? dailyLiftAnalysis(simData, startIndex, metric, { alpha, metric: catalog.find(m => m.key === metric), trueDailyLift: aggregates[metric].trueDailyLift })
+    : null, [simData, startIndex, metric, alpha, aggregates, catalog]);
+  if (!analysis) return null;
+
+  const { rows, trend } = analysis;
+  const color = catalog.find(m => m.key === metric)?.color || "#4f46e5";
+  const pct = (x) => x == null ? null : Number((x * 100).toFixed(3));
+  const chartRows = rows.map(r => ({ label: r.label, lift: pct(r.lift), ci: [pct(r.ciLow), pct(r.ciHigh)], trueLift: pct(r.trueLift), fit: pct(r.fit) }));
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">Daily Lift</h2>
+      <p className="text-xs text-gray-600 mb-3">Lift estimated from each day's cohorts on their own, with per‑day CIs. A weighted regression of daily lift on day of test checks whether the effect changes over time — novelty effects fade, learning effects build up. Set a metric's lift trajectory in the catalog to simulate either.</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Metric</span>
+          <select value={metric} onChange={(e)=>setMetric(e.target.value)}
+            className="rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+            {options.map(k => <option key={k} value={k}>{metricLabel(k, catalog)}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Alpha</span>
+          <input type="number" step={0.001} min={0.0001} max={0.5} value={alpha}
+            onChange={(e)=>setAlpha(clamp(Number(e.target.value)||0.05, 0.0001, 0.5))}
+            className="w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+        </label>
+      </div>
+
+      <div className="w-full h-[280px]">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartRows} margin={{ top: 8, right: 24, left: 0, bottom: 8 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+            <YAxis tick={{ fontSize: 12 }} unit="%" />
+            <Tooltip formatter={(value, name) => [Array.isArray(value) ? `${value[0].toFixed(1)}% – ${value[1].toFixed(1)}%` : `${Number(value).toFixed(2)}%`, name]} />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            <ReferenceLine y={0} stroke="#9ca3af" />
+            <Area type="monotone" dataKey="ci" name={`${Math.round((1 - alpha) * 100)}% CI`} fill={color} fillOpacity={0.15} stroke="none" isAnimationActive={false} />
+            <Line type="monotone" dataKey="lift" name={`${metricLabel(metric, catalog)} — daily lift`} stroke={color} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+            <Line type="monotone" dataKey="trueLift" name="True lift" stroke="#111827" strokeDasharray="5 4" dot={false} isAnimationActive={false} />
+            {trend && <Line type="linear" dataKey="fit" name="Trend" stroke={trend.significant ? "#ef4444" : "#9ca3af"} strokeWidth={1.5} dot={false} isAnimationActive={false} />}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-2 text-sm">
+        {trend ? (
+          <span className={trend.significant ? "text-red-700" : ""}>
+            {trend.significant && <b>⚠ Time‑varying effect: </b>}
+            Trend {trend.slope >= 0 ? "+" : ""}{(trend.slope * 100).toFixed(2)} pp/day (SE {(trend.slopeSE * 100).toFixed(2)}), p = {pFmt(trend.p)} — {TREND_PATTERNS[trend.pattern]}.
+          </span>
+        ) : <span className="text-gray-600">Need at least 3 days in the test window to test for a trend.</span>}
+      </div>
+    </section>
+  );
+}
+
+// === Sequential Testing Panel ===
+const SEQ_METHODS = [
+  { id: "MSPRT", label: "mSPRT (always‑valid p)" },
+  { id: "OBF", label: "O'Brien–Fleming spending" },
+  { id: "POCOCK", label: "Pocock spending" },
+];
+
+const DEFAULT_SEQ_CONFIG = { method: "MSPRT", alpha: 0.05, tauPct: 0.10 };
+
+function SequentialPanel({ simData, startIndex, metricKeys = [], catalog = DEFAULT_METRICS, config, onConfigChange }){
+  const options = metricKeys.length ? metricKeys : metricsByRole(catalog, "success");
+  const { metric, method, alpha, tauPct } = config;
+  const update = (patch) => onConfigChange(c => ({ ...c, ...patch }));
+  const setMetric = (v) => update({ metric: v });
+  const setMethod = (v) => update({ method: v });
+  const setAlpha = (v) => update({ alpha: v });
+  const setTauPct = (v) => update({ tauPct: v });
+
+  useEffect(() => { if (!options.includes(metric)) setMetric(options[0]); }, [options.join("|")]);
+
+  const seq = useMemo(
+    () => sequentialAnalysis(simData, startIndex, metric, { method, alpha, tauPct, metric: catalog.find(m => m.key === metric) }),
+    [simData, startIndex, metric, method, alpha, tauPct, catalog]
+  );
+  const label = metricLabel(metric, catalog);
+  const { rows, firstStop, firstNaive } = seq;
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-1">Sequential Monitoring</h2>
+      <p className="text-xs text-gray-600 mb-3">Recomputes the test after each day of the window using the cumulative cohorts. The boundary keeps the overall false‑positive rate at α no matter how often you look; the naive daily p‑value does not.</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Metric</span>
+          <select value={metric} onChange={(e)=>setMetric(e.target.value)}
+            className="rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+            {options.map(k => <option key={k} value={k}>{metricLabel(k, catalog)}</option>)}
+          </select>
+        </label>
+        {SEQ_METHODS.map(opt => (
+          <label key={opt.id} className={`px-2 py-1 rounded-xl border cursor-pointer ${method===opt.id?"bg-indigo-600 text-white border-indigo-600":"bg-white text-gray-700 border-gray-300"}`}>
+            <input type="radio" name="seqMethod" className="hidden" checked={method===opt.id} onChange={()=>setMethod(opt.id)} />
+            {opt.label}
+          </label>
+        ))}
+        <label className="flex items-center gap-2">
+          <span className="text-gray-700">Alpha</span>
+          <input type="number" step={0.001} min={0.0001} max={0.5} value={alpha}
+            onChange={(e)=>setAlpha(clamp(Number(e.target.value)||0.05, 0.0001, 0.5))}
+            className="w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+        </label>
+        {method === "MSPRT" && (
+          <label className="flex items-center gap-2" title="Prior sd of the effect, as a fraction of the control mean">
+            <span className="text-gray-700">Mixture τ (% of control)</span>
+            <input type="number" step={0.01} min={0.001} value={tauPct}
+              onChange={(e)=>setTauPct(Math.max(0.001, Number(e.target.value)||0.10))}
+              className="w-24 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+          </label>
+        )}
+      </div>
+
+      <div className="w-full h-[280px]">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={rows} margin={{ top: 8, right: 24, left: 0, bottom: 8 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+            <YAxis tick={{ fontSize: 12 }} />
+            <Tooltip formatter={(value, name) => [Number(value).toFixed(2), name]} />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            <ReferenceLine y={seq.zNaive} stroke="#9ca3af" strokeDasharray="2 4" />
+            <ReferenceLine y={-seq.zNaive} stroke="#9ca3af" strokeDasharray="2 4" />
+            <Line type="monotone" dataKey="z" name={`${label} — cumulative Z`} stroke="#4f46e5" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line type="stepAfter" dataKey="upper" name="Stopping boundary" stroke="#ef4444" strokeDasharray="5 4" dot={false} isAnimationActive={false} />
+            <Line type="stepAfter" dataKey="lower" name="Stopping boundary (lower)" stroke="#ef4444" strokeDasharray="5 4" dot={false} isAnimationActive={false} legendType="none" />
+            {firstStop && <ReferenceDot x={firstStop.label} y={firstStop.z} r={6} fill="#ef4444" stroke="#fff" />}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-2 text-sm space-y-1">
+        <div>
+          {firstStop
+            ? <span><b>Could stop on day {firstStop.day}</b> ({firstStop.label}): |Z| = {Math.abs(firstStop.z).toFixed(2)} ≥ boundary {firstStop.boundary.toFixed(2)}.</span>
+            : <span>Boundary not crossed within the window — keep running.</span>}
+        </div>
+        <div className="text-xs text-gray-600">
+          {firstNaive
+            ? <>Peeking at the naive p‑value would have declared significance on day {firstNaive.day} ({firstNaive.label}){(!firstStop || firstNaive.day < firstStop.day) ? " — earlier than the boundary allows, which is how daily peeking inflates false positives." : "."}</>
+            : <>The naive p‑value never dropped below α in this window.</>}
+          {" "}Dotted grey lines: fixed‑horizon ±{seq.zNaive?.toFixed(2)}.
+        </div>
+      </div>
+
+      <div className="overflow-x-auto mt-3 max-h-64">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1 pr-3">Day</th>
+              <th className="py-1 pr-3">Date</th>
+              <th className="py-1 pr-3">N (C / E)</th>
+              <th className="py-1 pr-3">Lift</th>
+              <th className="py-1 pr-3">Z</th>
+              <th className="py-1 pr-3">Naive p</th>
+              {method === "MSPRT" && <th className="py-1 pr-3">Always‑valid p</th>}
+              <th className="py-1 pr-3">Boundary |Z|</th>
+              <th className="py-1 pr-3">Stop?</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.date} className={`border-b last:border-b-0 ${r === firstStop ? "bg-red-50" : ""}`}>
+                <td className="py-1 pr-3">{r.day}</td>
+                <td className="py-1 pr-3">{r.label}</td>
+                <td className="py-1 pr-3">{r.nC.toLocaleString()} / {r.nT.toLocaleString()}</td>
+                <td className="py-1 pr-3">{percentFmt(r.lift)}</td>
+                <td className="py-1 pr-3">{r.z.toFixed(2)}</td>
+                <td className={`py-1 pr-3 ${r.naiveSig ? "text-amber-700 font-medium" : ""}`}>{pFmt(r.p)}</td>
+                {method === "MSPRT" && <td className="py-1 pr-3">{pFmt(r.pAlwaysValid)}</td>}
+                <td className="py-1 pr-3">{Number.isFinite(r.boundary) ? r.boundary.toFixed(2) : "–"}</td>
+                <td className="py-1 pr-3">{r.crossed ? "✔" : ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
 // === Decision Rule Sizer ===
-function DecisionRuleSizer({ data, selectedSuccessKeys = [], sumDAUWindow = 0, applyToSplit }){
-  const candidateKeys = (selectedSuccessKeys && selectedSuccessKeys.length ? selectedSuccessKeys : SUCCESS_KEYS);
-  const [rule, setRule] = useState("PRIMARY"); // PRIMARY | CO_PRIMARY | ANY_OF
-  const [primary, setPrimary] = useState(candidateKeys[0] || SUCCESS_KEYS[0]);
-  const [alpha, setAlpha] = useState(0.05);
-  const [power, setPower] = useState(0.8);
-  const [mdePct, setMdePct] = useState(0.10);
+function DecisionRuleSizer({ data, catalog = DEFAULT_METRICS, config, onConfigChange, selectedSuccessKeys = [], sumDAUWindow = 0, varianceFactor = 1, comparisons = 1, mcMethod = "DUNNETT", applyToSplit }){
+  const successKeys = metricsByRole(catalog, "success");
+  const candidateKeys = (selectedSuccessKeys && selectedSuccessKeys.length ? selectedSuccessKeys : successKeys);
+  const { rule, primary, alpha, power, mdePct } = config; // rule: PRIMARY | CO_PRIMARY | ANY_OF
+  const update = (patch) => onConfigChange(c => ({ ...c, ...patch }));
+  const setRule = (v) => update({ rule: v });
+  const setPrimary = (v) => update({ primary: v });
+  const setAlpha = (v) => update({ alpha: v });
+  const setPower = (v) => update({ power: v });
+  const setMdePct = (v) => update({ mdePct: v });
 
   useEffect(() => {
-    if (!candidateKeys.includes(primary)) setPrimary(candidateKeys[0] || SUCCESS_KEYS[0]);
+    if (candidateKeys.length && !candidateKeys.includes(primary)) setPrimary(candidateKeys[0]);
   }, [candidateKeys.join("|")]);
 
-  const rows = candidateKeys.map((k) => {
-    const mu = basePerUser(k, data);
-    const sigma2 = mu * (1 + 0.05);
-    const mdeAbs = mu * Math.max(0, mdePct);
-    const kCount = Math.max(1, candidateKeys.length);
-    const alphaAdj = (rule === "PRIMARY") ? alpha : (alpha / kCount); // Bonferroni
-    const n = computeSampleSize({ sigma2, mdeAbs, alpha: alphaAdj, power });
-    return { key: k, label: METRICS.find(m=>m.key===k)?.label || k, mu, n, alphaAdj };
+  const { rows, primaryRow, recommendedN } = ruleSampleSizes({
+    data, catalog, keys: candidateKeys, rule, primary, alpha, power, mdePct, varianceFactor, comparisons, mcMethod,
   });
 
-  const primaryRow = rows.find(r => r.key === primary) || rows[0];
-  const recommendedN = useMemo(() => {
-    if (rule === "PRIMARY") return primaryRow?.n ?? NaN;
-    if (rule === "CO_PRIMARY") return rows.reduce((m, r) => Math.max(m, r.n || 0), 0);
-    // ANY_OF — conservative Bonferroni split, recommend min n
-    return rows.reduce((m, r) => (m === 0 ? r.n || 0 : Math.min(m, r.n || 0)), 0);
-  }, [rule, rows.map(r=>r.n).join(","), primaryRow?.n]);
-
   // Light sanity
   useEffect(()=>{
     try {
@@ -732,7 +2620,7 @@ function DecisionRuleSizer({ data, selectedSuccessKeys = [], sumDAUWindow = 0, a
             <select value={primary} onChange={(e)=>setPrimary(e.target.value)}
               className="w-44 rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500">
               {candidateKeys.map(k => (
-                <option key={k} value={k}>{METRICS.find(m=>m.key===k)?.label||k}</option>
+                <option key={k} value={k}>{metricLabel(k, catalog)}</option>
               ))}
             </select>
           </label>
@@ -768,7 +2656,7 @@ function DecisionRuleSizer({ data, selectedSuccessKeys = [], sumDAUWindow = 0, a
       {/* Primary row summary */}
       {rule === "PRIMARY" && (
         <div className="flex items-center justify-between text-sm mt-1">
-          <div>Target n for <b>{primaryRow?.label}</b></div>
+          <div>Target n for <b>{primaryRow?.label}</b>{comparisons > 1 && <span className="text-xs text-gray-500"> (α per comparison {primaryRow?.alphaAdj.toFixed(4)})</span>}</div>
           <div className="font-medium">{Number.isFinite(primaryRow?.n) ? primaryRow.n.toLocaleString() : "–"}</div>
         </div>
       )}
@@ -784,40 +2672,54 @@ function DecisionRuleSizer({ data, selectedSuccessKeys = [], sumDAUWindow = 0, a
       </div>
 
       <p className="text-[11px] text-gray-500 mt-1">
-        PRIMARY sizes for a single metric. CO‑PRIMARY (AND) uses Bonferroni α/k and recommends the max n across metrics. ANY‑OF (OR) uses Bonferroni α/k and recommends the min n (conservative). Applying will set Control/Experiment to equal traffic shares that achieve the target N over the test window.
+        PRIMARY sizes for a single metric. CO‑PRIMARY (AND) uses Bonferroni α/k and recommends the max n across metrics. ANY‑OF (OR) uses Bonferroni α/k and recommends the min n (conservative). {comparisons > 1 && <>With {comparisons} treatment arms α is further split per comparison ({mcMethod === "DUNNETT" ? "Dunnett" : "Bonferroni/Holm"}); n is per arm. </>}Applying will set every arm to equal traffic shares that achieve the target N over the test window.
       </p>
     </div>
   );
 }
 
 // === Sample Size Controls (reusable) ===
-function SampleSizeControls({ data, selectedKeys = [], sumDAUWindow = 0, applyToSplit }){
-  const allKeys = METRICS.map(m=>m.key);
-  const options = (selectedKeys.length ? allKeys.filter(k => selectedKeys.includes(k)) : allKeys)
-    .filter(k => SUCCESS_KEYS.includes(k) || GUARDRAIL_KEYS.includes(k));
-  const defaultKey = options[0] || SUCCESS_KEYS[0];
-
-  const [metric, setMetric] = useState(defaultKey);
-  const [alpha, setAlpha] = useState(0.05);
-  const [power, setPower] = useState(0.8);
-  const [mdePct, setMdePct] = useState(0.10); // 10%
-  const [varOverride, setVarOverride] = useState("");
-
-  useEffect(()=>{ if (!options.includes(metric)) setMetric(defaultKey); }, [selectedKeys.join("|")]);
-
-  const muC = useMemo(()=> basePerUser(metric, data), [metric, data]);
-  const sigma2Default = muC * (1 + 0.05);
+function SampleSizeControls({ data, catalog = DEFAULT_METRICS, config, onConfigChange, selectedKeys = [], ratioMetrics = [], sumDAUWindow = 0, varianceFactor = 1, comparisons = 1, mcMethod = "DUNNETT", applyToSplit }){
+  const ratioKeys = ratioMetrics.map(r => r.key);
+  const allKeys = [...catalog.map(m=>m.key), ...ratioKeys];
+  const options = selectedKeys.length ? allKeys.filter(k => selectedKeys.includes(k)) : allKeys;
+  const defaultKey = options[0] || allKeys[0];
+
+  const { metric, alpha, power, mdePct, varOverride } = config; // mdePct 0.10 = 10%
+  const update = (patch) => onConfigChange(c => ({ ...c, ...patch }));
+  const setMetric = (v) => update({ metric: v });
+  const setAlpha = (v) => update({ alpha: v });
+  const setPower = (v) => update({ power: v });
+  const setMdePct = (v) => update({ mdePct: v });
+  const setVarOverride = (v) => update({ varOverride: v });
+
+  useEffect(()=>{ if (!options.includes(metric)) setMetric(defaultKey); }, [options.join("|")]);
+
+  const ratio = parseRatioKey(metric, catalog);
+  const byKey = (k) => catalog.find(m => m.key === k);
+  const muRaw = useMemo(()=> {
+    if (!ratio) return basePerUser(metric, data);
+    const den = basePerUser(ratio.den, data);
+    return den > 0 ? basePerUser(ratio.num, data) / den : 0;
+  }, [metric, data]);
+  // Winsorized metrics: mean and variance of the capped values
+  const moments = ratio ? null : metricMoments(byKey(metric), muRaw);
+  const muC = moments?.mu ?? muRaw;
+  const sigma2Default = ratio
+    ? ratioArmVariance(byKey(ratio.num), byKey(ratio.den), basePerUser(ratio.num, data), basePerUser(ratio.den, data)) // delta method
+    : moments.sigma2 * varianceFactor; // varianceFactor < 1 under CUPED
   const sigma2 = varOverride === "" ? sigma2Default : Math.max(1e-12, Number(varOverride));
   const mdeAbs = muC * Math.max(0, mdePct);
-  const targetN = useMemo(()=> computeSampleSize({ sigma2, mdeAbs, alpha, power }), [sigma2, mdeAbs, alpha, power]);
+  const alphaCmp = useMemo(()=> perComparisonAlpha(alpha, comparisons, mcMethod), [alpha, comparisons, mcMethod]);
+  const targetN = useMemo(()=> computeSampleSize({ sigma2, mdeAbs, alpha: alphaCmp, power }), [sigma2, mdeAbs, alphaCmp, power]);
 
   useEffect(() => {
     try {
       console.assert(Math.abs(invNorm(0.975) - 1.95996) < 0.02, "invNorm sanity");
-      const biggerMDE = computeSampleSize({ sigma2, mdeAbs: mdeAbs*2, alpha, power });
+      const biggerMDE = computeSampleSize({ sigma2, mdeAbs: mdeAbs*2, alpha: alphaCmp, power });
       console.assert(Number.isFinite(targetN) && biggerMDE <= targetN, "Larger MDE should reduce n");
     } catch {}
-  }, [sigma2, mdeAbs, alpha, power, targetN]);
+  }, [sigma2, mdeAbs, alphaCmp, power, targetN]);
 
   const pctHint = (sumDAUWindow>0 && Number.isFinite(targetN)) ? `${percentFmt(targetN / sumDAUWindow, 1)} per group over window` : "–";
 
@@ -831,13 +2733,13 @@ function SampleSizeControls({ data, selectedKeys = [], sumDAUWindow = 0, applyTo
           onChange={(e)=>setMetric(e.target.value)}
         >
           {options.map(k => (
-            <option key={k} value={k}>{METRICS.find(m=>m.key===k)?.label||k}</option>
+            <option key={k} value={k}>{metricLabel(k, catalog)}</option>
           ))}
         </select>
       </div>
       <div className="flex items-center justify-between gap-3">
-        <label className="text-sm text-gray-700">Control mean (per user)</label>
-        <div className="w-48 text-right text-sm">{numberFmt(muC)}</div>
+        <label className="text-sm text-gray-700">{ratio ? "Control ratio" : "Control mean (per user)"}{moments?.cap != null && <span className="text-xs text-gray-500"> (capped at {winsorFmt(byKey(metric).winsor)} ≈ {numberFmt(moments.cap)})</span>}</label>
+        <div className="w-48 text-right text-sm" title={moments?.cap != null ? `Uncapped ${numberFmt(muRaw)}` : undefined}>{numberFmt(muC)}</div>
       </div>
       <div className="flex items-center justify-between gap-3">
         <label className="text-sm text-gray-700">Variance (σ²)</label>
@@ -866,7 +2768,7 @@ function SampleSizeControls({ data, selectedKeys = [], sumDAUWindow = 0, applyTo
       </div>
 
       <div className="flex items-center justify-between gap-3 pt-2">
-        <div className="text-sm text-gray-700">Target n per group</div>
+        <div className="text-sm text-gray-700">Target n per group{comparisons > 1 && <span className="text-xs text-gray-500"> (α per comparison {alphaCmp.toFixed(4)})</span>}</div>
         <div className="w-48 text-right font-medium">{Number.isFinite(targetN) ? targetN.toLocaleString() : "–"}</div>
       </div>
 
@@ -875,7 +2777,173 @@ function SampleSizeControls({ data, selectedKeys = [], sumDAUWindow = 0, applyTo
         <button type="button" onClick={()=> applyToSplit(Number(targetN))} className="px-3 py-1.5 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700">Apply as split</button>
       </div>
 
-      <p className="text-xs text-gray-500">Formula: n = 2 · (z<sub>1-α/2</sub> + z<sub>power</sub>)² · σ² / (MDE<sub>abs</sub>)². Applying will set equal Control/Experiment traffic shares to hit this n over the current test window.</p>
+      <p className="text-xs text-gray-500">Formula: n = 2 · (z<sub>1-α/2</sub> + z<sub>power</sub>)² · σ² / (MDE<sub>abs</sub>)².{ratio && <> For ratio metrics σ² is the per‑user delta‑method variance.</>}{moments?.cap != null && <> Winsorized: σ² and the MDE are those of the capped values.</>} {comparisons > 1 && <>With {comparisons} treatment arms α is split per comparison ({mcMethod === "DUNNETT" ? "Dunnett" : "Bonferroni/Holm"}). </>}Applying will set equal traffic shares for every arm to hit this n over the current test window.</p>
+    </div>
+  );
+}
+
+// === Scenario events & anomalies ===
+function ScenarioEventsPanel({ events, onChange, anomaly, onAnomalyChange, anomalies, data, startIndex, catalog = DEFAULT_METRICS }){
+  const update = (k, patch) => onChange(events.map((ev, j) => j === k ? { ...ev, ...patch } : ev));
+  const inputCls = "rounded-xl border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  function addEvent(){
+    const def = SCENARIO_EVENTS[0];
+    onChange([...events, { type: def.id, ago: Math.min(20, data.length - 1), days: def.days, size: def.size, metric: null }]);
+  }
+  function changeType(k, type){
+    const def = SCENARIO_EVENTS.find(e => e.id === type);
+    const metric = def.metric ? events[k].metric ?? catalog.find(m => m.key !== COHORT_KEY)?.key ?? null : null;
+    update(k, { type, days: def.days, size: def.size, metric });
+  }
+
+  const inWindow = anomalies.days.filter(d => d.index >= startIndex).length;
+  return (
+    <div className="mt-3 rounded-xl border border-gray-200 px-3 py-2 text-xs text-gray-600 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700">Scenario events</span>
+        <span>shocks laid over the history; a test window that overlaps one sees it in every arm</span>
+        <button type="button" onClick={addEvent} disabled={events.length >= MAX_EVENTS} className="ml-auto px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40">+ Add event</button>
+      </div>
+      {events.map((ev, k) => {
+        const def = SCENARIO_EVENTS.find(e => e.id === ev.type);
+        const [start] = eventRange(ev, data.length);
+        return (
+          <div key={k} className="flex flex-wrap items-center gap-2">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: EVENT_COLORS[ev.type] }} />
+            <select value={ev.type} onChange={e => changeType(k, e.target.value)} className={inputCls}>
+              {SCENARIO_EVENTS.map(e => <option key={e.id} value={e.id}>{e.label}</option>)}
+            </select>
+            <span>from</span>
+            <select value={start} onChange={e => update(k, { ago: data.length - 1 - Number(e.target.value) })} className={inputCls}>
+              {data.map((row, i) => <option key={i} value={i}>{row.label}{i >= startIndex ? " (test)" : ""}</option>)}
+            </select>
+            <span>for</span>
+            <input type="number" min={1} max={60} value={ev.days} onChange={e => update(k, { days: clamp(Math.round(Number(e.target.value)) || 1, 1, 60) })} className={`w-16 ${inputCls}`} />
+            <span>d · {def.sizeLabel.toLowerCase()}</span>
+            <input type="number" min={0} max={def.maxSize * 100} step={5} value={Math.round(ev.size * 100)} onChange={e => update(k, { size: clamp((Number(e.target.value) || 0) / 100, 0, def.maxSize) })} className={`w-20 ${inputCls}`} />
+            <span>%</span>
+            {def.metric && (
+              <select value={ev.metric ?? ""} onChange={e => update(k, { metric: e.target.value || null })} className={inputCls}>
+                {ev.type === "BOTS" && <option value="">no metric (traffic only)</option>}
+                {catalog.filter(m => ev.type === "OUTAGE" || m.key !== COHORT_KEY).map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+            )}
+            <button type="button" onClick={() => onChange(events.filter((_, j) => j !== k))} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" title="Remove event">✕</button>
+          </div>
+        );
+      })}
+
+      <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-100">
+        <span className="text-sm font-medium text-gray-700">Anomalies</span>
+        <span>robust |z| above</span>
+        <input type="number" min={2} max={50} step={0.5} value={anomaly.threshold}
+          onChange={e => onAnomalyChange({ ...anomaly, threshold: clamp(Number(e.target.value) || ANOMALY_THRESHOLD, 2, 50) })}
+          className={`w-20 ${inputCls}`} />
+        <span>{anomalies.days.length} day{anomalies.days.length === 1 ? "" : "s"} flagged, {inWindow} in the test window</span>
+        <label className="ml-auto flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={anomaly.exclude} onChange={e => onAnomalyChange({ ...anomaly, exclude: e.target.checked })} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+          Exclude flagged test‑window days
+        </label>
+      </div>
+      {anomalies.days.length > 0 && (
+        <details>
+          <summary className="cursor-pointer select-none">Flagged days</summary>
+          <ul className="mt-1 ml-4 list-disc">
+            {anomalies.days.map(d => (
+              <li key={d.index}>
+                <span className="font-mono">{data[d.index].label}</span>{d.index >= startIndex ? " (test window)" : ""}:{" "}
+                {d.keys.map(key => {
+                  const a = anomalies.byMetric[key].find(x => x.index === d.index);
+                  return `${metricLabel(key, catalog)} ${numberFmt(a.value, 0)} vs ~${numberFmt(a.expected, 0)} (z ${numberFmt(a.z, 1)})`;
+                }).join(", ")}
+                {data[d.index].events ? ` — injected: ${data[d.index].events.map(t => SCENARIO_EVENTS.find(e => e.id === t)?.label.toLowerCase()).join(", ")}` : ""}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+      <div className="text-gray-500">Each metric's daily totals are split, on a log scale, into a rolling 7‑day median trend and a weekday pattern; a day is anomalous when its residual's robust z‑score (median / MAD) passes the threshold. Excluded days stay on the chart (dashed) but leave the results table, the unit‑level tests and the Monte Carlo panels.</div>
+    </div>
+  );
+}
+
+// === Data Import ===
+function DataImportPanel({ report, usingImport, onImport, onSelectSource, catalog = DEFAULT_METRICS }){
+  const [reading, setReading] = useState(false);
+
+  async function handleFile(e){
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-importing the same file
+    if (!file) return;
+    setReading(true);
+    try {
+      const text = await file.text();
+      onImport(parseDailyImport(text, file.name, catalog), text);
+    } catch (err) {
+      onImport({ fileName: file.name, rows: [], errors: [`Could not read file: ${err.message}`], badRows: [], gaps: [], extraColumns: [] });
+    } finally {
+      setReading(false);
+    }
+  }
+
+  const valid = report && report.errors.length === 0;
+
+  return (
+    <div className="mb-3 rounded-xl border border-gray-200 px-3 py-2 text-xs text-gray-600 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700">Data source</span>
+        {[
+          {id:"generated", label:"Generated", disabled:false},
+          {id:"imported", label:"Imported", disabled:!valid},
+        ].map(opt => {
+          const active = (opt.id === "imported") === usingImport;
+          return (
+            <label key={opt.id} className={`px-2 py-1 rounded-xl border text-sm ${opt.disabled ? "opacity-40 cursor-not-allowed" : "cursor-pointer"} ${active?"bg-indigo-600 text-white border-indigo-600":"bg-white text-gray-700 border-gray-300"}`}>
+              <input type="radio" name="dataSource" className="hidden" disabled={opt.disabled} checked={active} onChange={()=>onSelectSource(opt.id)} />
+              {opt.label}
+            </label>
+          );
+        })}
+        <label className="ml-auto px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200 cursor-pointer text-gray-700">
+          {reading ? "Reading…" : "Import CSV / JSON"}
+          <input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={handleFile} />
+        </label>
+      </div>
+
+      {!report && (
+        <div>Columns: <span className="font-mono">{requiredImportColumns(catalog).join(", ")}</span> (+ any extra columns). Dates as YYYY‑MM‑DD, one row per day.</div>
+      )}
+
+      {report && (
+        <div className="space-y-1">
+          <div>
+            <span className="font-mono">{report.fileName || "import"}</span>:{" "}
+            {valid
+              ? <span><b>{report.rows.length}</b> daily rows, {report.rows[0].date} → {report.rows[report.rows.length-1].date}</span>
+              : <span className="text-red-600">{report.errors.join("; ")}</span>}
+          </div>
+          {report.extraColumns.length > 0 && (
+            <div>Extra columns kept: <span className="font-mono">{report.extraColumns.join(", ")}</span></div>
+          )}
+          {report.gaps.length > 0 && (
+            <div className="text-amber-700">
+              {report.gaps.length} gap{report.gaps.length>1?"s":""} in dates (rows are treated as consecutive days):{" "}
+              {report.gaps.slice(0, 5).map(g => `${g.after} → ${g.before} (${g.missingDays} missing)`).join(", ")}
+              {report.gaps.length > 5 && ", …"}
+            </div>
+          )}
+          {report.badRows.length > 0 && (
+            <details>
+              <summary className="cursor-pointer text-amber-700">{report.badRows.length} bad row{report.badRows.length>1?"s":""} skipped</summary>
+              <ul className="mt-1 ml-4 list-disc">
+                {report.badRows.slice(0, 20).map((r, i) => <li key={i}>Row {r.line}: {r.reason}</li>)}
+                {report.badRows.length > 20 && <li>…and {report.badRows.length - 20} more</li>}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,2659 @@
+// Pure A/B engine: data generation, simulation and statistics. No React / DOM access, so it
+// runs in the playground UI and in the power-simulation worker alike.
+
+// ===================== Helpers ===================== //
+export function createPRNG(seed) {
+  let s = seed >>> 0;
+  return function rand() {
+    s ^= s << 13; s ^= s >>> 17; s ^= s << 5; // xorshift32
+    return (s >>> 0) / 4294967295;
+  };
+}
+
+export function boxMuller(rand){
+  // ~ N(0,1)
+  let u = 0, v = 0;
+  while (u === 0) u = rand();
+  while (v === 0) v = rand();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+export function clamp(x, lo, hi){ return Math.max(lo, Math.min(hi, x)); }
+
+export function formatDateLabel(date) {
+  const d = new Date(date);
+  return `${d.getMonth() + 1}/${d.getDate()}`;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8)
+export function stdNormCDF(x){
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989423 * Math.exp(-x*x/2);
+  const prob = 1 - d * t * (0.319381530 + t*(-0.356563782 + t*(1.781477937 + t*(-1.821255978 + t*1.330274429))));
+  return x >= 0 ? prob : 1 - prob;
+}
+
+export function twoTailedP(z){
+  return 2 * (1 - stdNormCDF(Math.abs(z)));
+}
+
+// Inverse standard normal CDF (Acklam's approximation)
+export function invNorm(p){
+  if (p <= 0 || p >= 1 || Number.isNaN(p)) return NaN;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const plow = 0.02425, phigh = 1 - plow;
+  let q, r;
+  if (p < plow) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) /
+           ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
+  }
+  if (p > phigh) {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) /
+             ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
+  }
+  q = p - 0.5; r = q*q;
+  return (((((a[0]*r + a[1])*r + a[2])*r + a[3])*r + a[4])*r + a[5]) * q /
+         (((((b[0]*r + b[1])*r + b[2])*r + b[3])*r + b[4])*r + 1);
+}
+
+// Target n per arm for two-sample diff-in-means (z-approx, equal n)
+export function computeSampleSize({ sigma2, mdeAbs, alpha=0.05, power=0.8 }){
+  const zAlpha = invNorm(1 - alpha/2);
+  const zPower = invNorm(power);
+  if (!Number.isNaN(zAlpha) && !Number.isNaN(zPower) && mdeAbs > 0 && sigma2 > 0) {
+    const num = 2 * (zAlpha + zPower) * (zAlpha + zPower) * sigma2; // 2 groups
+    const n = Math.ceil(num / (mdeAbs * mdeAbs));
+    return Math.max(2, n);
+  }
+  return NaN;
+}
+
+// Power of the same test with n per arm (the other tail ignored)
+export function powerAtN({ sigma2, mdeAbs, alpha=0.05, n }){
+  if (!(n > 0) || !(sigma2 > 0) || !(mdeAbs > 0)) return 0;
+  return stdNormCDF(mdeAbs / Math.sqrt(2 * sigma2 / n) - invNorm(1 - alpha/2));
+}
+
+// Smallest absolute difference detectable with n per arm (inverse of computeSampleSize)
+export function mdeAtN({ sigma2, alpha=0.05, power=0.8, n }){
+  if (!(n > 0) || !(sigma2 > 0)) return NaN;
+  return (invNorm(1 - alpha/2) + invNorm(power)) * Math.sqrt(2 * sigma2 / n);
+}
+
+export function numberFmt(x, digits=2){
+  return (Math.abs(x) >= 1000 ? Math.round(x).toString() : Number(x).toFixed(digits));
+}
+
+export function percentFmt(x, digits=2){
+  return `${(x*100).toFixed(digits)}%`;
+}
+
+export function hashStr(s){
+  let h = 0; for (let i=0;i<s.length;i++){ h = ((h<<5)-h) + s.charCodeAt(i); h|=0; }
+  return h >>> 0;
+}
+
+// murmur3's 32-bit finalizer: spreads nearby ints over the whole range
+function mix32(h){
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b); h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35); h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// PRNG keyed by a string. hashStr maps keys differing in the last character to adjacent ints,
+// and xorshift keeps adjacent seeds correlated, so the hash goes through murmur3's finalizer first.
+export function seededStream(key){
+  const r = createPRNG(mix32(hashStr(key)) || 1);
+  for (let w = 0; w < 8; w++) r();
+  return r;
+}
+
+// ===================== Metric catalog ===================== //
+// Every metric the playground generates, charts and analyzes. Users edit the catalog in the UI
+// (persisted to localStorage); these are the defaults. DAU is the population all other metrics
+// are counted over (cohort sizes come from it), so it is always present.
+export const COHORT_KEY = "DAU";
+export const METRIC_ROLES = [
+  { id: "guardrail", label: "Guardrail" },
+  { id: "success", label: "Success" },
+  { id: "diagnostic", label: "Diagnostic" },
+];
+export const METRIC_DIRECTIONS = [
+  { id: "increase", label: "Higher is better" },
+  { id: "decrease", label: "Lower is better" },
+];
+// dist: default parameters of the heavy-tailed models. simulateAB and generateData draw those per user
+// (drawUnitValue) instead of approximating the day total by a normal draw.
+export const VARIANCE_MODELS = [
+  { id: "POISSON", label: "Poisson (σ² = 1.05·μ)" },
+  { id: "OVERDISPERSED", label: "Over‑dispersed (σ² = μ + μ²)" },
+  { id: "BINARY", label: "Binary (σ² = μ(1−μ))" },
+  { id: "COHORT", label: "Fixed (σ² = 0)" },
+  { id: "NEGBIN", label: "Negative binomial (σ² = μ + μ²/k)", dist: { k: 0.5 } },
+  { id: "ZIP", label: "Zero‑inflated Poisson", dist: { zeroShare: 0.7 } },
+  { id: "LOGNORMAL", label: "Zero‑inflated lognormal", dist: { zeroShare: 0.97, logSd: 1.3 } },
+];
+export const DIST_PARAMS = {
+  k: { label: "k", title: "Negative binomial size: smaller = heavier tail", min: 0.01, max: 100 },
+  zeroShare: { label: "zeros", title: "Share of users with a structural zero (non-payers, inactive)", min: 0, max: 0.999 },
+  logSd: { label: "σ", title: "Log-scale standard deviation of the non-zero values", min: 0.05, max: 4 },
+};
+
+// Winsorization: per-user values above this quantile of the pooled test-window values are capped
+export const WINSOR_QUANTILES = [0.9, 0.95, 0.99, 0.995, 0.999];
+
+// How the results table tests a metric. Z uses the catalog variance model; the others work on
+// the simulated per-user values (see armUnits). ci: false → the method gives a p-value only.
+export const INFERENCE_METHODS = [
+  { id: "Z", label: "z-test (model variance)", short: "z-test", ci: true },
+  { id: "WELCH", label: "Welch t-test", short: "Welch t", ci: true },
+  { id: "MWU", label: "Mann–Whitney U", short: "Mann–Whitney", ci: false },
+  { id: "BOOT_PCT", label: "Bootstrap (percentile)", short: "bootstrap pct", ci: true },
+  { id: "BOOT_BCA", label: "Bootstrap (BCa)", short: "bootstrap BCa", ci: true },
+  { id: "PERM", label: "Permutation test", short: "permutation", ci: false },
+];
+
+// How the true lift evolves over the test window. lift is the long-run value; start scales it on
+// day 1 (e.g. 3 = a novelty spike three times the long-run lift, 0 = no effect at first).
+export const LIFT_TRAJECTORIES = [
+  { id: "CONSTANT", label: "Constant" },
+  { id: "DECAY", label: "Exponential decay", daysLabel: "Half-life (days)" }, // novelty/primacy fading out
+  { id: "RAMP", label: "Linear ramp", daysLabel: "Ramp length (days)" },     // learning effect building up
+];
+export const DEFAULT_TRAJECTORIES = {
+  CONSTANT: null,
+  DECAY: { shape: "DECAY", start: 3, days: 3 },
+  RAMP: { shape: "RAMP", start: 0, days: 14 },
+};
+
+// True lift on a 0-based day of the test
+export function liftAt(lift, trajectory, dayInTest){
+  if (!trajectory || trajectory.shape === "CONSTANT" || lift === 0) return lift;
+  const { shape, start = 1, days = 1 } = trajectory;
+  const span = Math.max(0.1, days);
+  const w = shape === "DECAY" ? Math.pow(0.5, dayInTest / span) : Math.max(0, 1 - dayInTest / span);
+  return lift * (1 + (start - 1) * w);
+}
+
+// baseline = per-user daily rate; lift = default simulated lift (null → data-driven, ~N(10%, 10%));
+// trajectory = optional { shape, start, days } from LIFT_TRAJECTORIES (null → constant)
+// niMargin = guardrails only: largest relative harm still accepted as non-inferior (null → DEFAULT_NI_MARGIN)
+// inference = results-table test from INFERENCE_METHODS (missing → "Z")
+// dist = parameters of a heavy-tailed variance model (missing → its defaults); winsor = cap quantile or null
+export const DEFAULT_METRICS = [
+  { key: "DAU", label: "DAU", color: "#2563eb", role: "guardrail", direction: "increase", baseline: 1, variance: "COHORT", lift: null, niMargin: 0.005 },
+  { key: "WAU", label: "WAU", color: "#16a34a", role: "guardrail", direction: "increase", baseline: 4.2, variance: "POISSON", lift: null, niMargin: 0.005 },
+  { key: "Sessions", label: "Sessions", color: "#9333ea", role: "guardrail", direction: "increase", baseline: 1.95, variance: "POISSON", lift: null, niMargin: 0.01 },
+  { key: "Logins", label: "Logins", color: "#f59e0b", role: "guardrail", direction: "increase", baseline: 0.75, variance: "POISSON", lift: null, niMargin: 0.01 },
+  { key: "Signups", label: "Signups", color: "#ef4444", role: "guardrail", direction: "increase", baseline: 0.055, variance: "POISSON", lift: null, niMargin: 0.03 },
+  { key: "VideoViews", label: "Video Views", color: "#0ea5e9", role: "success", direction: "increase", baseline: 2.55, variance: "POISSON", lift: null },
+  { key: "Shares", label: "Shares", color: "#22c55e", role: "success", direction: "increase", baseline: 0.15, variance: "POISSON", lift: null },
+  { key: "Comments", label: "Comments", color: "#a855f7", role: "success", direction: "increase", baseline: 0.22, variance: "POISSON", lift: null },
+  { key: "Likes", label: "Likes", color: "#f97316", role: "success", direction: "increase", baseline: 0.71, variance: "POISSON", lift: null },
+  { key: "Revenue", label: "Revenue (ARPU)", color: "#0d9488", role: "success", direction: "increase", baseline: 0.12, variance: "LOGNORMAL", dist: { zeroShare: 0.97, logSd: 1.3 }, lift: null, winsor: 0.999 },
+];
+
+export const METRIC_KEY_RE = /^[A-Za-z][A-Za-z0-9]*$/; // no "_" — column names use key_Arm and key_per_key
+
+export function metricsByRole(catalog, role){
+  return catalog.filter(m => m.role === role).map(m => m.key);
+}
+
+// The metric's distribution parameters, defaults filled in ({} for models without any)
+export function distParams(metric){
+  return { ...VARIANCE_MODELS.find(v => v.id === metric?.variance)?.dist, ...metric?.dist };
+}
+
+export function isUnitDrawn(metric){
+  return !!VARIANCE_MODELS.find(v => v.id === metric?.variance)?.dist;
+}
+
+// Per-user variance of a metric with mean mu under its catalog variance model
+export function metricVariance(metric, mu, varBoost=0.05){
+  const d = distParams(metric);
+  switch (metric?.variance) {
+    case "COHORT": return 0;
+    case "BINARY": { const p = clamp(mu, 0, 1); return p * (1 - p); }
+    case "OVERDISPERSED": return mu + mu * mu;
+    case "NEGBIN": return mu + mu * mu / d.k;
+    case "ZIP": return mu + mu * mu * d.zeroShare / (1 - d.zeroShare);
+    case "LOGNORMAL": return mu * mu * (Math.exp(d.logSd * d.logSd) / (1 - d.zeroShare) - 1);
+    default: return mu * (1 + varBoost);
+  }
+}
+
+// Gamma(shape, 1) draw: Marsaglia–Tsang, boosted for shape < 1
+function sampleGamma(shape, r){
+  if (shape < 1) return sampleGamma(shape + 1, r) * Math.pow(Math.max(1e-12, r()), 1 / shape);
+  const d = shape - 1 / 3, c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do { x = boxMuller(r); v = 1 + c * x; } while (v <= 0);
+    v = v * v * v;
+    if (Math.log(Math.max(1e-12, r())) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+// Poisson draw: multiplication method, normal approximation for large means
+function samplePoisson(lambda, r){
+  if (!(lambda > 0)) return 0;
+  if (lambda >= 30) return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * boxMuller(r)));
+  const limit = Math.exp(-lambda);
+  let k = 0, prod = r();
+  while (prod > limit) { k++; prod *= r(); }
+  return k;
+}
+
+// One user's value on one day with mean mu under the metric's variance model. NEGBIN (and
+// OVERDISPERSED, k = 1): gamma–Poisson mixture; ZIP: structural zeros, else Poisson; LOGNORMAL:
+// structural zeros, else lognormal with mean mu/(1 − zeroShare), in cents; COHORT: exactly mu.
+export function drawUnitValue(metric, mu, r){
+  const d = distParams(metric);
+  switch (metric.variance) {
+    case "COHORT": return mu;
+    case "BINARY": return r() < mu ? 1 : 0;
+    case "OVERDISPERSED": return samplePoisson(mu * sampleGamma(1, r), r);
+    case "NEGBIN": return samplePoisson(mu * sampleGamma(d.k, r) / d.k, r);
+    case "ZIP": case "LOGNORMAL": break;
+    default: return samplePoisson(mu, r);
+  }
+  if (r() < d.zeroShare) return 0;
+  if (metric.variance === "ZIP") return samplePoisson(mu / (1 - d.zeroShare), r);
+  const m = mu / (1 - d.zeroShare);
+  return m > 0 ? Math.round(100 * Math.exp(Math.log(m) - d.logSd * d.logSd / 2 + d.logSd * boxMuller(r))) / 100 : 0;
+}
+
+// Sum of n users' drawUnitValue; tally (optional Map value → count) collects the values
+export function drawUnitTotal(metric, mu, n, r, tally = null){
+  let total = 0;
+  for (let j = 0; j < n; j++) {
+    const v = drawUnitValue(metric, mu, r);
+    total += v;
+    if (tally) tally.set(v, (tally.get(v) || 0) + 1);
+  }
+  return metric.variance === "LOGNORMAL" ? Math.round(total * 100) / 100 : total;
+}
+
+// Per-user mean and variance the sizers plan with: the model's, or under the metric's winsorization
+// the capped values' ({ mu, sigma2, cap }; cap null when nothing is capped, e.g. BINARY). Counts are capped on their
+// pmf, LOGNORMAL in closed form; the capped variance keeps the model's extra inflation (varBoost).
+export function metricMoments(metric, mu, varBoost=0.05){
+  const sigma2 = metricVariance(metric, mu, varBoost);
+  const q = metric?.winsor;
+  if (q == null || !(mu > 0) || metric.variance === "COHORT" || metric.variance === "BINARY") return { mu, sigma2, cap: null };
+  const d = distParams(metric);
+  let capped = null; // [cap, E[min(X, cap)], E[min(X, cap)²]]
+  if (metric.variance === "LOGNORMAL") {
+    const z = d.zeroShare, s2 = d.logSd * d.logSd, m = Math.log(mu / (1 - z)) - s2 / 2;
+    if (q > z) {
+      const cap = Math.exp(m + d.logSd * invNorm((q - z) / (1 - z))), lc = Math.log(cap), tail = 1 - stdNormCDF((lc - m) / d.logSd);
+      capped = [cap,
+        (1 - z) * (Math.exp(m + s2 / 2) * stdNormCDF((lc - m - s2) / d.logSd) + cap * tail),
+        (1 - z) * (Math.exp(2 * m + 2 * s2) * stdNormCDF((lc - m - 2 * s2) / d.logSd) + cap * cap * tail)];
+    }
+  } else {
+    // pmf(x + 1) from pmf(x): Poisson, negative binomial (OVERDISPERSED is k = 1), zero-inflated Poisson
+    const k = metric.variance === "NEGBIN" ? d.k : 1, z = metric.variance === "ZIP" ? d.zeroShare : 0;
+    const lambda = mu / (1 - z);
+    const nb = metric.variance === "NEGBIN" || metric.variance === "OVERDISPERSED";
+    let pmf = nb ? Math.pow(k / (k + mu), k) : Math.exp(-lambda);
+    if (metric.variance === "ZIP") pmf = z + (1 - z) * pmf;
+    let base = nb ? pmf : Math.exp(-lambda); // the count part's own pmf
+    let x = 0, below = pmf, m1 = 0, m2 = 0;
+    while (below < q && x < 1e6) {
+      x++;
+      base = nb ? base * (x - 1 + k) / x * mu / (k + mu) : base * lambda / x;
+      pmf = metric.variance === "ZIP" ? (1 - z) * base : base;
+      m1 += x * pmf; m2 += x * x * pmf;
+      below += pmf;
+    }
+    // x is the cap: the mass above it is moved onto it
+    const above = Math.max(0, 1 - below);
+    if (x > 0) capped = [x, m1 + x * above, m2 + x * x * above];
+  }
+  if (!capped) return { mu, sigma2, cap: null };
+  const [cap, cm1, cm2] = capped;
+  const inflation = metric.variance === "POISSON" ? sigma2 / mu : 1;
+  return { mu: cm1, sigma2: Math.max(0, cm2 - cm1 * cm1) * inflation, cap };
+}
+
+// A lift that hurts the metric: negative when higher is better, positive when lower is better
+export function isHarmful(metric, lift){
+  return metric?.direction === "decrease" ? lift > 0 : lift < 0;
+}
+
+// Validate a catalog (import, localStorage). Returns { catalog, errors } — catalog is null on error.
+export function validateCatalog(raw){
+  const errors = [];
+  const list = Array.isArray(raw) ? raw : raw?.metrics;
+  if (!Array.isArray(list) || list.length === 0) return { catalog: null, errors: ["Catalog must be a non-empty array of metrics or { metrics: [...] }"] };
+  const seen = new Set();
+  const catalog = list.map((m, i) => {
+    const where = `metric ${i + 1}${m?.key ? ` (${m.key})` : ""}`;
+    if (!m || typeof m !== "object") { errors.push(`${where}: not an object`); return null; }
+    if (!METRIC_KEY_RE.test(String(m.key))) errors.push(`${where}: key must be letters/digits, starting with a letter`);
+    else if (seen.has(m.key)) errors.push(`${where}: duplicate key`);
+    seen.add(m.key);
+    const role = m.role ?? "diagnostic", direction = m.direction ?? "increase", variance = m.variance ?? "POISSON";
+    if (!METRIC_ROLES.some(r => r.id === role)) errors.push(`${where}: unknown role "${role}"`);
+    if (!METRIC_DIRECTIONS.some(d => d.id === direction)) errors.push(`${where}: unknown direction "${direction}"`);
+    if (!VARIANCE_MODELS.some(v => v.id === variance)) errors.push(`${where}: unknown variance model "${variance}"`);
+    const baseline = Number(m.baseline);
+    if (!Number.isFinite(baseline) || baseline <= 0) errors.push(`${where}: baseline must be a positive number`);
+    const lift = m.lift == null || m.lift === "" ? null : Number(m.lift);
+    if (lift != null && (!Number.isFinite(lift) || lift < -0.5 || lift > 2)) errors.push(`${where}: lift must be between -0.5 and 2 (or empty)`);
+    const color = /^#[0-9a-f]{6}$/i.test(String(m.color)) ? m.color : "#6b7280";
+    let trajectory = null;
+    if (m.trajectory != null && m.trajectory.shape !== "CONSTANT") {
+      const { shape, start, days } = m.trajectory;
+      if (!LIFT_TRAJECTORIES.some(t => t.id === shape)) errors.push(`${where}: unknown lift trajectory "${shape}"`);
+      else if (!Number.isFinite(Number(start)) || Number(start) < -5 || Number(start) > 10) errors.push(`${where}: trajectory start must be between -5 and 10`);
+      else if (!(Number(days) >= 1 && Number(days) <= 365)) errors.push(`${where}: trajectory days must be between 1 and 365`);
+      else trajectory = { shape, start: Number(start), days: Number(days) };
+    }
+    let dist = null;
+    const model = VARIANCE_MODELS.find(v => v.id === variance);
+    if (model?.dist) {
+      dist = { ...model.dist };
+      Object.keys(model.dist).forEach(name => {
+        const raw = m.dist?.[name], spec = DIST_PARAMS[name];
+        if (raw == null || raw === "") return;
+        const x = Number(raw);
+        if (!Number.isFinite(x) || x < spec.min || x > spec.max) errors.push(`${where}: ${name} must be between ${spec.min} and ${spec.max}`);
+        else dist[name] = x;
+      });
+    }
+    const winsor = m.winsor == null || m.winsor === "" ? null : Number(m.winsor);
+    if (winsor != null && (!Number.isFinite(winsor) || winsor < 0.5 || winsor >= 1)) errors.push(`${where}: winsorization quantile must be at least 0.5 and below 1 (or empty)`);
+    const niMargin = m.niMargin == null || m.niMargin === "" ? null : Number(m.niMargin);
+    if (niMargin != null && (!Number.isFinite(niMargin) || niMargin < 0 || niMargin > 0.5)) errors.push(`${where}: non-inferiority margin must be between 0 and 0.5 (or empty)`);
+    const inference = m.inference ?? "Z";
+    if (!INFERENCE_METHODS.some(x => x.id === inference)) errors.push(`${where}: unknown inference method "${inference}"`);
+    return { key: m.key, label: String(m.label || m.key), color, role, direction, baseline, variance, dist, lift, trajectory, niMargin, inference, winsor };
+  });
+  if (!seen.has(COHORT_KEY)) errors.push(`Catalog must include the ${COHORT_KEY} metric (cohort sizes are drawn from it)`);
+  return errors.length ? { catalog: null, errors } : { catalog, errors };
+}
+
+// Ratio metrics: numerator / denominator of two base metrics, keyed "<num>_per_<den>"
+export const DEFAULT_RATIO_METRICS = [
+  { num: "Likes", den: "VideoViews" },
+  { num: "Comments", den: "Sessions" },
+  { num: "Logins", den: "DAU" },
+];
+// Per-user correlation of numerator and denominator (delta-method covariance term). simulateAB
+// draws every metric from its own stream, so it is 0 here — a larger value understates the SE
+// (the A/A diagnostics flag ratio metrics at 0.5).
+export const RATIO_NUM_DEN_CORR = 0;
+
+export function ratioKey(num, den){ return `${num}_per_${den}`; }
+
+export function parseRatioKey(key, catalog = DEFAULT_METRICS){
+  const m = /^([A-Za-z0-9]+)_per_([A-Za-z0-9]+)$/.exec(String(key));
+  if (!m || m[1] === m[2]) return null;
+  const keys = catalog.map(x => x.key);
+  return keys.includes(m[1]) && keys.includes(m[2]) ? { num: m[1], den: m[2] } : null;
+}
+
+export function ratioDef(num, den, catalog = DEFAULT_METRICS){
+  const base = catalog.find(m => m.key === num);
+  return { key: ratioKey(num, den), num, den, label: `${metricLabel(num, catalog)} / ${metricLabel(den, catalog)}`, color: base?.color || "#6b7280" };
+}
+
+export function metricLabel(key, catalog = DEFAULT_METRICS){
+  const m = catalog.find(x => x.key === key);
+  if (m) return m.label;
+  const r = parseRatioKey(key, catalog);
+  return r ? `${metricLabel(r.num, catalog)} / ${metricLabel(r.den, catalog)}` : key;
+}
+
+// ===================== Data gen ===================== //
+// events: scenario events laid over the generated history (see applyScenarioEvents)
+export function generateData({ days = 90, seed = 42, varBoost = 0.05, catalog = DEFAULT_METRICS, events = [] }) {
+  const rand = createPRNG(seed);
+  const today = new Date();
+  const start = new Date(today);
+  start.setDate(today.getDate() - (days - 1));
+
+  const daily = [];
+
+  let dau = 1000 + Math.floor(rand() * 500);
+  let sessionsPerUser = 1.6 + rand() * 0.7;
+  let loginRate = 0.65 + rand() * 0.2;
+
+  // The default catalog's metrics keep their own formulas below, scaled when the catalog moves a
+  // baseline. Every other metric (and one given a unit-level model) gets its own stream (adding a
+  // metric leaves the rest unchanged), a seed-dependent level around the baseline and AR(1)
+  // day-to-day wobble in the per-user rate
+  const builtIn = catalog.filter(m => BUILT_IN_GENERATORS.includes(m.key) && !isUnitDrawn(m));
+  const series = catalog.filter(m => m.key !== COHORT_KEY && !builtIn.includes(m)).map(m => {
+    const r = seededStream(`${seed}:gen:${m.key}`);
+    return { m, r, level: m.baseline * (0.85 + 0.3 * r()), dev: 0 };
+  });
+  const mixStream = seededStream(`${seed}:gen:segments`);
+  const mixDev = SEGMENT_DIMENSIONS.map(dim => dim.segments.map(() => 0));
+
+  for (let i = 0; i < days; i++) {
+    const d = new Date(start);
+    d.setDate(start.getDate() + i);
+
+    // DAU random walk + weekly seasonality, inflated variance
+    const drift = (rand() - 0.48) * (25 * (1 + varBoost));
+    const season = 60 * Math.sin((2 * Math.PI * i) / 7);
+    dau = Math.max(200, dau + drift + season * (0.2 + rand() * (0.1 + varBoost)));
+
+    const sessions = Math.max(300, dau * (sessionsPerUser + (rand() - 0.5) * (0.3 + varBoost)));
+    const logins = Math.max(150, dau * (loginRate + (rand() - 0.5) * (0.08 + varBoost)));
+    const signups = Math.max(20, (dau * (0.04 + (rand() * (0.02 + varBoost/2)))) + (rand() * 15 * (1 + varBoost)));
+
+    // Success metrics per-user rates with extra variance via Box–Muller noise
+    const viewsPerUser    = 2.2  + 0.7  * rand() + 0.20 * boxMuller(rand) * (1 + varBoost);
+    const sharesPerUser   = 0.12 + 0.06 * rand() + 0.02 * boxMuller(rand) * (1 + varBoost);
+    const commentsPerUser = 0.18 + 0.08 * rand() + 0.025* boxMuller(rand) * (1 + varBoost);
+    const likesPerUser    = 0.65 + 0.12 * rand() + 0.05 * boxMuller(rand) * (1 + varBoost);
+
+    const base = {
+      Sessions: Math.round(sessions),
+      Logins: Math.round(logins),
+      Signups: Math.round(signups),
+      VideoViews: Math.max(50, Math.round(dau * Math.max(0, viewsPerUser))),
+      Shares:     Math.max(5,  Math.round(dau * Math.max(0, sharesPerUser))),
+      Comments:   Math.max(8,  Math.round(dau * Math.max(0, commentsPerUser))),
+      Likes:      Math.max(20, Math.round(dau * Math.max(0, likesPerUser))),
+    };
+    const row = { date: d.toISOString().slice(0, 10), [COHORT_KEY]: Math.round(dau) };
+    builtIn.forEach(m => { if (m.key !== "WAU") row[m.key] = scaleBuiltIn(m, base[m.key], row[COHORT_KEY]); });
+    series.forEach(sr => {
+      sr.dev = 0.6 * sr.dev + 0.05 * (1 + varBoost) * boxMuller(sr.r);
+      let rate = sr.level * (1 + sr.dev);
+      if (sr.m.variance === "BINARY") rate = Math.min(rate, 1);
+      row[sr.m.key] = isUnitDrawn(sr.m) ? drawUnitTotal(sr.m, Math.max(0, rate), Math.round(dau), sr.r)
+        : Math.max(0, Math.round(dau * Math.max(0, rate)));
+    });
+    row.segmentMix = dailySegmentMix(d, mixDev, mixStream);
+    daily.push(row);
+  }
+
+  // WAU from 7-day rolling
+  const wau = builtIn.find(m => m.key === "WAU");
+  if (wau) {
+    const rand2 = createPRNG(seed ^ 0x9e3779b9);
+    const wauShrink = 0.55 + rand2() * 0.1;
+    for (let i = 0; i < daily.length; i++) {
+      const window = daily.slice(Math.max(0, i - 6), i + 1);
+      const rollingSum = window.reduce((s, r) => s + r[COHORT_KEY], 0);
+      daily[i].WAU = scaleBuiltIn(wau, Math.round(rollingSum * wauShrink), daily[i][COHORT_KEY]);
+    }
+  }
+
+  return applyScenarioEvents(daily.map(row => ({ ...row, label: formatDateLabel(row.date) })), events, catalog);
+}
+
+// Metrics generateData draws with the original formulas (WAU is a 7-day rolling DAU count)
+const BUILT_IN_GENERATORS = ["WAU", "Sessions", "Logins", "Signups", "VideoViews", "Shares", "Comments", "Likes"];
+
+// A built-in column under the catalog's baseline (unchanged at the default one; BINARY capped at DAU)
+function scaleBuiltIn(metric, value, dau){
+  const ref = DEFAULT_METRICS.find(m => m.key === metric.key).baseline;
+  const v = metric.baseline === ref ? value : Math.round(value * metric.baseline / ref);
+  return metric.variance === "BINARY" ? Math.min(v, dau) : v;
+}
+
+// Who the day's users are: nominal segment shares, a weekend shift and AR(1) wobble per segment
+function dailySegmentMix(date, dev, r){
+  const weekend = date.getDay() === 0 || date.getDay() === 6;
+  return Object.fromEntries(SEGMENT_DIMENSIONS.map((dim, d) => {
+    const w = dim.segments.map((seg, k) => {
+      dev[d][k] = 0.8 * dev[d][k] + 0.04 * boxMuller(r);
+      return seg.share * (weekend ? seg.weekend ?? 1 : 1) * Math.exp(dev[d][k]);
+    });
+    const total = w.reduce((a, b) => a + b, 0);
+    return [dim.id, Object.fromEntries(dim.segments.map((seg, k) => [seg.id, w[k] / total]))];
+  }));
+}
+
+// ===================== Scenario events & anomalies ===================== //
+// Calendar shocks laid over a daily history (generated or imported). An event is
+// { type, ago, days, size, metric }: it starts `ago` days before the last day of the history (0 = the
+// last day) and lasts `days` days. size is the type's effect below; metric is the one metric an
+// outage loses or bots hit. Events change the history itself, so a test window that overlaps one
+// sees the shock in every arm. size defaults and upper bounds per type (maxSize), all shares of DAU
+// or of the metric.
+export const SCENARIO_EVENTS = [
+  { id: "HOLIDAY", label: "Holiday", sizeLabel: "Traffic drop", size: 0.3, maxSize: 0.9, days: 1 }, // fewer users, usual per-user rates
+  { id: "MARKETING", label: "Marketing spike", sizeLabel: "Extra traffic", size: 0.6, maxSize: 5, days: 3 }, // campaign users engage at CAMPAIGN_ACTIVITY
+  { id: "OUTAGE", label: "Logging outage", sizeLabel: "Events lost", size: 1, maxSize: 1, days: 1, metric: true }, // metric × (1 − size)
+  { id: "BOTS", label: "Bot traffic", sizeLabel: "Bots per user", size: 0.4, maxSize: 5, days: 2, metric: true }, // bots hit only the metric (if any)
+];
+export const MAX_EVENTS = 6;
+const CAMPAIGN_ACTIVITY = 0.5; // campaign visitors' per-user rate relative to regular users
+const BOT_ACTIVITY = 5; // a bot's rate on its target metric relative to a user's (capped at 1 for BINARY)
+
+// Day indices [start, end) an event covers in a history of len days (empty when it is out of range)
+export function eventRange(event, len){
+  const start = clamp(len - 1 - Math.round(event.ago), 0, len);
+  return [start, clamp(start + Math.max(1, Math.round(event.days)), start, len)];
+}
+
+// New rows with the events applied in order; affected rows carry events: [type, …]
+export function applyScenarioEvents(data, events = [], catalog = DEFAULT_METRICS){
+  if (!events.length) return data;
+  const out = data.map(row => ({ ...row }));
+  const round = (m, x) => m.variance === "LOGNORMAL" ? Math.round(x * 100) / 100 : Math.round(x);
+  events.forEach(ev => {
+    const [start, end] = eventRange(ev, out.length);
+    const target = catalog.find(m => m.key === ev.metric);
+    for (let i = start; i < end; i++) {
+      const row = out[i], n = row[COHORT_KEY] || 0;
+      const scale = (f, keep = () => false) => catalog.forEach(m => {
+        if (Number.isFinite(row[m.key]) && !keep(m)) row[m.key] = round(m, row[m.key] * f);
+      });
+      if (ev.type === "HOLIDAY") scale(1 - clamp(ev.size, 0, 1));
+      else if (ev.type === "MARKETING") {
+        scale(1 + ev.size * CAMPAIGN_ACTIVITY, m => m.key === COHORT_KEY);
+        row[COHORT_KEY] = Math.round(n * (1 + ev.size));
+      } else if (ev.type === "OUTAGE" && target) {
+        row[target.key] = round(target, row[target.key] * (1 - clamp(ev.size, 0, 1)));
+      } else if (ev.type === "BOTS") {
+        const bots = n * ev.size;
+        if (target && target.key !== COHORT_KEY && n > 0) {
+          const rate = BOT_ACTIVITY * row[target.key] / n;
+          row[target.key] = round(target, row[target.key] + bots * (target.variance === "BINARY" ? Math.min(1, rate) : rate));
+        }
+        row[COHORT_KEY] = Math.round(n + bots);
+      } else continue;
+      row.events = [...(row.events || []), ev.type];
+    }
+  });
+  return out;
+}
+
+// Anomalous days per metric: a robust seasonal-trend split of the log daily totals. Trend = centered
+// 7-day rolling median, season = median detrended value per weekday, and a day is flagged when its
+// residual's robust z-score (0.6745 · (r − median) / MAD) exceeds the threshold. Medians keep a few
+// shocked days from dragging the fit towards themselves. The default is stricter than the textbook 3.5:
+// daily totals wander (random-walk traffic, AR(1) rates), so their residuals have heavy tails.
+export const ANOMALY_THRESHOLD = 6;
+
+function median(values){
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!v.length) return NaN;
+  const h = v.length >> 1;
+  return v.length % 2 ? v[h] : (v[h - 1] + v[h]) / 2;
+}
+
+// { threshold, byMetric: { key: [{ index, value, expected, z }] }, days: [{ index, keys }] (sorted) }
+export function detectAnomalies(data, { keys = [COHORT_KEY], threshold = ANOMALY_THRESHOLD } = {}){
+  const len = data.length;
+  const weekday = data.map((row, i) => {
+    const t = Date.parse(row.date);
+    return Number.isFinite(t) ? new Date(t).getUTCDay() : i % 7;
+  });
+  const byMetric = {}, flagged = new Map();
+  keys.forEach(key => {
+    const x = data.map(row => Number.isFinite(row[key]) ? Math.log1p(Math.max(0, row[key])) : NaN);
+    byMetric[key] = [];
+    if (len < 14) return;
+    const trend = x.map((_, i) => { const lo = clamp(i - 3, 0, len - 7); return median(x.slice(lo, lo + 7)); }); // full width at the ends
+    const season = Array.from({ length: 7 }, (_, d) => median(x.map((v, i) => weekday[i] === d ? v - trend[i] : NaN)));
+    const fit = x.map((_, i) => trend[i] + (Number.isFinite(season[weekday[i]]) ? season[weekday[i]] : 0));
+    const resid = x.map((v, i) => v - fit[i]);
+    const center = median(resid);
+    const mad = median(resid.map(r => Math.abs(r - center)));
+    if (!(mad > 0)) return;
+    resid.forEach((r, i) => {
+      const z = 0.6745 * (r - center) / mad;
+      if (!(Math.abs(z) > threshold)) return;
+      byMetric[key].push({ index: i, value: data[i][key], expected: Math.max(0, Math.expm1(fit[i])), z });
+      flagged.set(i, [...(flagged.get(i) || []), key]);
+    });
+  });
+  const days = [...flagged.entries()].sort((a, b) => a[0] - b[0]).map(([index, ks]) => ({ index, keys: ks }));
+  return { threshold, byMetric, days };
+}
+
+// ===================== Segments ===================== //
+// Users differ along a few dimensions. Each segment has a share of DAU, a baseline multiplier
+// (how active its users are) and a lift multiplier (how strongly it responds to the treatment).
+// Multipliers are normalized so the all-user baseline and lift keep their catalog meaning.
+// weekend: share multiplier on weekends; dropWeight: how much more likely an assignment bug
+// loses this segment's users (a web-only client bug, say).
+export const SEGMENT_DIMENSIONS = [
+  { id: "platform", label: "Platform", segments: [
+    { id: "ios", label: "iOS", share: 0.45, baseline: 1.15, lift: 1.3, weekend: 1.1 },
+    { id: "android", label: "Android", share: 0.40, baseline: 0.95, lift: 0.9, weekend: 1.1 },
+    { id: "web", label: "Web", share: 0.15, baseline: 0.75, lift: 0.4, weekend: 0.6, dropWeight: 4 },
+  ] },
+  { id: "country", label: "Country", segments: [
+    { id: "us", label: "US", share: 0.35, baseline: 1.2, lift: 1.0 },
+    { id: "eu", label: "Europe", share: 0.30, baseline: 1.0, lift: 1.1 },
+    { id: "row", label: "Rest of world", share: 0.35, baseline: 0.8, lift: 0.9 },
+  ] },
+  { id: "tenure", label: "New vs. returning", segments: [
+    { id: "new", label: "New", share: 0.2, baseline: 0.5, lift: 2.0 },
+    { id: "returning", label: "Returning", share: 0.8, baseline: 1.1, lift: 0.85 },
+  ] },
+];
+
+// Crossed segments (one per combination of dimension values) with normalized multipliers
+export function segmentCells(dims = SEGMENT_DIMENSIONS){
+  const norm = dims.map(dim => {
+    const base = dim.segments.reduce((a, s) => a + s.share * s.baseline, 0);
+    const lift = dim.segments.reduce((a, s) => a + s.share * s.baseline * s.lift, 0) / base;
+    const drop = dim.segments.reduce((a, s) => a + s.share * (s.dropWeight ?? 1), 0);
+    return { base, lift, drop };
+  });
+  let cells = [{ segs: [], base: 1, lift: 1, drop: 1 }];
+  dims.forEach((dim, d) => {
+    cells = cells.flatMap(c => dim.segments.map((seg, k) => ({
+      segs: [...c.segs, k],
+      base: c.base * seg.baseline / norm[d].base,
+      lift: c.lift * seg.lift / norm[d].lift,
+      drop: c.drop * (seg.dropWeight ?? 1) / norm[d].drop,
+    })));
+  });
+  return cells;
+}
+
+// Share of the day's users in each cell (imported data has no mix — nominal shares then)
+function cellShares(row, dims, cells){
+  return cells.map(c => c.segs.reduce((p, k, d) => p * (row.segmentMix?.[dims[d].id]?.[dims[d].segments[k].id] ?? dims[d].segments[k].share), 1));
+}
+
+function splitIntoCells(n, probs, r){
+  let left = n, mass = probs.reduce((a, b) => a + b, 0);
+  const last = probs.length - 1;
+  return probs.map((p, i) => {
+    const k = i === last && p > 0 ? left : mass > 0 ? sampleBinomial(left, clamp(p / mass, 0, 1), r) : 0;
+    left -= k; mass -= p;
+    return k;
+  });
+}
+
+// Per-segment totals of one dimension from the per-cell sums: [{ sum, n }] per segment
+function collapseCells(acc, cells, d, size){
+  const out = Array.from({ length: size }, () => ({ sum: 0, n: 0 }));
+  cells.forEach((c, k) => { out[c.segs[d]].sum += acc[k].sum; out[c.segs[d]].n += acc[k].n; });
+  return out;
+}
+
+// Do the arms have the same segment mix? χ² test of homogeneity on the users per segment.
+// A real difference (assignment bug, ramp-up while the mix drifts) opens the door to Simpson's paradox.
+export function segmentMixCheck(aggregates, segmentInfo, dimId, arm = "Experiment"){
+  const d = segmentInfo.dims.findIndex(x => x.id === dimId);
+  const dim = segmentInfo.dims[d];
+  const cohort = aggregates[COHORT_KEY]?.segments;
+  if (!dim || !cohort?.[arm]) return null;
+  const c = collapseCells(cohort.Control, segmentInfo.cells, d, dim.segments.length).map(x => x.n);
+  const t = collapseCells(cohort[arm], segmentInfo.cells, d, dim.segments.length).map(x => x.n);
+  const nC = c.reduce((a, b) => a + b, 0), nT = t.reduce((a, b) => a + b, 0), N = nC + nT;
+  let chi2 = 0;
+  dim.segments.forEach((seg, k) => {
+    const pooled = (c[k] + t[k]) / N;
+    if (!(pooled > 0)) return;
+    chi2 += (c[k] - nC * pooled) ** 2 / (nC * pooled) + (t[k] - nT * pooled) ** 2 / (nT * pooled);
+  });
+  const df = dim.segments.length - 1;
+  const p = chiSquareSF(chi2, df);
+  return {
+    dimId, arm, chi2, df, p, differs: p < SRM_ALPHA,
+    segments: dim.segments.map((seg, k) => ({ id: seg.id, label: seg.label, shareC: c[k] / Math.max(1, nC), shareT: t[k] / Math.max(1, nT) })),
+  };
+}
+
+// Per-segment effect of one metric along one dimension, Holm-adjusted across segments, with
+// Cochran's Q for heterogeneity of the relative lift and a Simpson's paradox check: the
+// mix-standardized lift (every segment weighted by the pooled mix) vs the naive overall lift.
+export function segmentBreakdown(aggregates, segmentInfo, key, dimId, { arm = "Experiment", alpha = 0.05, catalog = DEFAULT_METRICS } = {}){
+  const d = segmentInfo.dims.findIndex(x => x.id === dimId);
+  const dim = segmentInfo.dims[d];
+  const agg = aggregates[key];
+  if (!dim || !agg) return null;
+  const size = dim.segments.length;
+  const seg = (k, armId) => collapseCells(aggregates[k].segments[armId], segmentInfo.cells, d, size);
+  const metric = catalog.find(m => m.key === key);
+
+  let rows;
+  if (agg.isRatio) {
+    const numMetric = catalog.find(m => m.key === agg.num), denMetric = catalog.find(m => m.key === agg.den);
+    const [numC, numT, denC, denT] = [seg(agg.num, "Control"), seg(agg.num, arm), seg(agg.den, "Control"), seg(agg.den, arm)];
+    rows = dim.segments.map((sg, k) => {
+      const nC = numC[k].n, nT = numT[k].n;
+      const s = computeRatioStats({ numMetric, denMetric, nC, nT,
+        numC: numC[k].sum / Math.max(1, nC), denC: denC[k].sum / Math.max(1, nC), numT: numT[k].sum / Math.max(1, nT), denT: denT[k].sum / Math.max(1, nT) });
+      return { id: sg.id, label: sg.label, nC, nT, ...s };
+    });
+  } else {
+    const [c, t] = [seg(key, "Control"), seg(key, arm)];
+    rows = dim.segments.map((sg, k) => {
+      const nC = c[k].n, nT = t[k].n;
+      const muC = c[k].sum / Math.max(1, nC), muT = t[k].sum / Math.max(1, nT);
+      const s = computeStats({ muC, liftPct: muC > 0 ? muT / muC - 1 : 0, nC: Math.max(1, nC), nT: Math.max(1, nT), metric });
+      return { id: sg.id, label: sg.label, nC, nT, ...s };
+    });
+  }
+  const NC = rows.reduce((a, r) => a + r.nC, 0), NT = rows.reduce((a, r) => a + r.nT, 0);
+  rows = adjustManyToOne(rows.map(r => ({ ...r, shareC: r.nC / Math.max(1, NC), shareT: r.nT / Math.max(1, NT) })), { method: "HOLM", alpha });
+
+  // Cochran's Q on relative lift (comparable across segments with different baselines)
+  const usable = rows.filter(r => r.muC > 0 && r.se > 0 && r.nC > 0 && r.nT > 0);
+  let heterogeneity = null;
+  if (usable.length >= 2) {
+    const w = usable.map(r => (r.muC / r.se) ** 2);
+    const sw = w.reduce((a, b) => a + b, 0);
+    const pooled = usable.reduce((a, r, i) => a + w[i] * r.lift, 0) / sw;
+    const Q = usable.reduce((a, r, i) => a + w[i] * (r.lift - pooled) ** 2, 0);
+    const df = usable.length - 1;
+    const p = chiSquareSF(Q, df);
+    heterogeneity = { Q, df, p, I2: Q > 0 ? Math.max(0, (Q - df) / Q) : 0, pooledLift: pooled, significant: p < alpha };
+  }
+
+  // Simpson's paradox: re-weight the segment means by the pooled mix
+  const pooledShare = rows.map(r => (r.nC + r.nT) / Math.max(1, NC + NT));
+  const stdC = rows.reduce((a, r, k) => a + pooledShare[k] * r.muC, 0);
+  const stdT = rows.reduce((a, r, k) => a + pooledShare[k] * r.muT, 0);
+  const standardizedLift = stdC > 0 ? stdT / stdC - 1 : 0;
+  const overallLift = agg.muC > 0 ? (arm === "Experiment" ? agg.muT : agg.variants?.[arm]?.muT ?? agg.muT) / agg.muC - 1 : 0;
+  const mix = segmentMixCheck(aggregates, segmentInfo, dimId, arm);
+  const signs = usable.map(r => Math.sign(r.lift));
+  const reversal = (Math.sign(standardizedLift) !== Math.sign(overallLift) && overallLift !== 0 && standardizedLift !== 0)
+    || (signs.length > 0 && signs.every(x => x === signs[0] && x !== 0) && Math.sign(overallLift) === -signs[0]);
+  return {
+    key, dimId, dimLabel: dim.label, arm, rows, heterogeneity, mix,
+    simpson: { overallLift, standardizedLift, reversal, warn: !!mix?.differs || reversal },
+  };
+}
+
+// ===================== Data import ===================== //
+// Columns every imported daily row must carry (besides any extra columns)
+export function requiredImportColumns(catalog = DEFAULT_METRICS){
+  return ["date", ...catalog.map(m => m.key)];
+}
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimal CSV parser: quoted fields, escaped quotes ("") and CRLF. Returns [{ line, cells }]
+function parseCSV(text){
+  const rows = [];
+  let row = [], field = "", inQuotes = false, line = 1, rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i+1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else { if (ch === "\n") line++; field += ch; }
+    } else if (ch === '"') inQuotes = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i+1] === "\n") i++;
+      row.push(field);
+      if (row.some(c => c.trim() !== "")) rows.push({ line: rowLine, cells: row });
+      row = []; field = ""; line++; rowLine = line;
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(c => c.trim() !== "")) rows.push({ line: rowLine, cells: row });
+  return rows;
+}
+
+function parseISODate(raw){
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(raw ?? "").trim());
+  if (!m) return null;
+  const t = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const iso = new Date(t).toISOString().slice(0, 10);
+  return iso === m[0] ? { iso, t } : null; // rejects e.g. 2024-02-31
+}
+
+// Parse + validate a daily export (CSV or JSON array / { rows: [...] }).
+// Bad rows are dropped and reported; missing required columns are fatal.
+export function parseDailyImport(text, fileName = "", catalog = DEFAULT_METRICS){
+  const required = requiredImportColumns(catalog);
+  const report = { fileName, rows: [], errors: [], badRows: [], gaps: [], extraColumns: [] };
+  const trimmed = String(text || "").trim();
+  if (!trimmed) { report.errors.push("File is empty"); return report; }
+
+  let header, records;
+  if (/\.json$/i.test(fileName) || trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    let parsed;
+    try { parsed = JSON.parse(trimmed); }
+    catch (e) { report.errors.push(`Invalid JSON: ${e.message}`); return report; }
+    const arr = Array.isArray(parsed) ? parsed : parsed?.rows;
+    if (!Array.isArray(arr)) { report.errors.push("JSON must be an array of daily rows or { rows: [...] }"); return report; }
+    header = [...new Set(arr.flatMap(r => (r && typeof r === "object") ? Object.keys(r) : []))];
+    records = arr.map((r, i) => ({ line: i + 1, values: (r && typeof r === "object") ? r : {} }));
+  } else {
+    const table = parseCSV(trimmed);
+    header = (table[0]?.cells || []).map(h => h.trim());
+    records = table.slice(1).map(r => ({
+      line: r.line,
+      values: Object.fromEntries(header.map((h, j) => [h, r.cells[j]])),
+    }));
+  }
+
+  // Case-insensitive mapping of source columns onto canonical metric keys
+  const canonical = new Map(required.map(k => [k.toLowerCase(), k]));
+  const colMap = {};
+  header.forEach(h => { if (h) colMap[h] = canonical.get(h.toLowerCase()) || h; });
+  const present = new Set(Object.values(colMap));
+  const missing = required.filter(k => !present.has(k));
+  if (missing.length) { report.errors.push(`Missing required column(s): ${missing.join(", ")}`); return report; }
+  report.extraColumns = Object.values(colMap).filter(k => !required.includes(k));
+
+  const seen = new Set();
+  const parsedRows = [];
+  records.forEach(({ line, values }) => {
+    const row = {};
+    Object.entries(values).forEach(([h, v]) => { if (colMap[h]) row[colMap[h]] = v; });
+    const date = parseISODate(row.date);
+    if (!date) { report.badRows.push({ line, reason: `invalid date "${row.date ?? ""}" (expected YYYY-MM-DD)` }); return; }
+    if (seen.has(date.iso)) { report.badRows.push({ line, reason: `duplicate date ${date.iso}` }); return; }
+
+    const out = { date: date.iso };
+    for (const m of catalog) {
+      const raw = row[m.key];
+      const x = (raw === "" || raw == null) ? NaN : Number(raw);
+      if (!Number.isFinite(x) || x < 0 || (m.key === COHORT_KEY && x <= 0)) {
+        report.badRows.push({ line, reason: `${m.key} is not a valid count ("${raw ?? ""}")` });
+        return;
+      }
+      out[m.key] = x;
+    }
+    report.extraColumns.forEach(k => {
+      const raw = row[k];
+      const x = (typeof raw === "string" && raw.trim() === "") ? NaN : Number(raw);
+      out[k] = Number.isFinite(x) ? x : raw;
+    });
+    seen.add(date.iso);
+    parsedRows.push({ ...out, _t: date.t });
+  });
+
+  parsedRows.sort((a, b) => a._t - b._t);
+  for (let i = 1; i < parsedRows.length; i++) {
+    const missingDays = Math.round((parsedRows[i]._t - parsedRows[i-1]._t) / DAY_MS) - 1;
+    if (missingDays > 0) report.gaps.push({ after: parsedRows[i-1].date, before: parsedRows[i].date, missingDays });
+  }
+  report.rows = parsedRows.map(({ _t, ...row }) => ({ ...row, label: formatDateLabel(row.date) }));
+  if (report.rows.length < 2) report.errors.push("Need at least 2 valid daily rows");
+  return report;
+}
+
+// ===================== A/B Stats & Simulation ===================== //
+export const DEFAULT_CONFIDENCE = 0.95; // results-table CIs; alpha = 1 − confidence
+
+// Two-sided normal critical value for a confidence level (1.96 at 95%)
+export function zCritical(conf = DEFAULT_CONFIDENCE){
+  return invNorm(1 - (1 - conf) / 2);
+}
+
+export function basePerUser(metricKey, data){
+  const totals = data.reduce((acc, d)=>{ acc.metric += d[metricKey]; acc.users += d.DAU; return acc; }, {metric:0, users:0});
+  return totals.users > 0 ? totals.metric / totals.users : 0;
+}
+
+export function basePerUserUntil(metricKey, data, endIndex){
+  const slice = data.slice(0, Math.max(0, endIndex));
+  if (slice.length === 0) return basePerUser(metricKey, data);
+  const totals = slice.reduce((acc, d)=>{ acc.metric += d[metricKey]; acc.users += d.DAU; return acc; }, {metric:0, users:0});
+  return totals.users > 0 ? totals.metric / totals.users : basePerUser(metricKey, data);
+}
+
+// Per-user rate of a metric on one day of the history (fallback when the day has no users)
+export function dayRate(metricKey, row, fallback){
+  return row?.DAU > 0 && Number.isFinite(row[metricKey]) ? row[metricKey] / row.DAU : fallback;
+}
+
+export function deriveDataDrivenLift(metricKey, data, seed){
+  // Deterministic "random" lift driven by both seed and data totals — endless possibilities when data regenerates
+  const sum = data.reduce((s,d)=> s + d[metricKey], 0);
+  const mixedSeed = (seed ^ 0x9e3779b9) ^ (sum | 0);
+  const r = createPRNG(mixedSeed);
+  const lift = 0.10 + 0.10 * boxMuller(r); // ~N(0.10, 0.10)
+  return clamp(lift, -0.5, 2.0);
+}
+
+// metric: catalog entry — picks the per-user variance model (Poisson-ish, +0.05 inflation, by default)
+export function computeStats({ muC, liftPct, nC, nT, varBoost=0.05, metric = null, conf = DEFAULT_CONFIDENCE }){
+  const muT = muC * (1 + liftPct);
+  const varC = metricVariance(metric, muC, varBoost);
+  const varT = metricVariance(metric, muT, varBoost);
+  const diff = muT - muC;
+  const se = Math.sqrt(varT / nT + varC / nC);
+  const z = se > 0 ? diff / se : 0;
+  const p = twoTailedP(z);
+  const ciLow = diff - zCritical(conf) * se;
+  const ciHigh = diff + zCritical(conf) * se;
+  return { muC, muT, diff, se, z, p, ciLow, ciHigh, lift: diff / muC };
+}
+
+// Extra treatment arms beyond Control/Experiment (A/B/n). Column suffix = arm id.
+export const MAX_VARIANTS = 4;
+export const VARIANT_IDS = ["VariantC", "VariantD", "VariantE", "VariantF"];
+
+export function variantLabel(id){
+  return id === "Experiment" ? "Experiment" : id.replace(/^Variant/, "Variant ");
+}
+
+// Binomial draw: exact for small n, normal approximation otherwise
+function sampleBinomial(n, p, r){
+  if (n <= 0 || p <= 0) return 0;
+  if (p >= 1) return n;
+  if (n * p * (1 - p) < 9) {
+    let k = 0;
+    for (let j = 0; j < n; j++) if (r() < p) k++;
+    return k;
+  }
+  return clamp(Math.round(n * p + Math.sqrt(n * p * (1 - p)) * boxMuller(r)), 0, n);
+}
+
+// Assignment bugs for SRM practice: a share of Experiment users is lost on the affected days
+export const ASSIGNMENT_BUGS = [
+  { id: "NONE", label: "None" },
+  { id: "WEEKEND", label: "Weekends" },
+  { id: "LAUNCH", label: "First 3 days" },
+  { id: "ALL", label: "Every day" },
+];
+const DROPPED_USER_ACTIVITY = 0.5; // dropped users are half as active as the average user
+
+function assignmentBugActive(mode, row, dayInTest){
+  if (mode === "ALL") return true;
+  if (mode === "LAUNCH") return dayInTest < 3;
+  if (mode === "WEEKEND") { const wd = new Date(`${row.date}T00:00:00Z`).getUTCDay(); return wd === 0 || wd === 6; }
+  return false;
+}
+
+// Per-day cohort sizes: each DAU is randomly assigned to an arm by the day's traffic share
+// (multinomial via conditional binomials); the assignment bug then drops Experiment users.
+// ramp: { schedule, control } — see rampPhases / allocationForDay. counts.phase / counts.shares
+// record the day's ramp phase and allocation.
+export function assignCohorts(data, { seed, startIndex, splitC, splitT, variants = [], bug = null, ramp = null }){
+  const phases = rampPhases(ramp?.schedule, data.length - startIndex);
+  return data.map((row, i) => {
+    if (i < startIndex) return null;
+    const r = seededStream(`${seed}:assign:${i}`);
+    const { phase, shares } = allocationForDay(i - startIndex, phases, { splitC, splitT, variants, control: ramp?.control });
+    const arms = Object.entries(shares);
+    const counts = { dropped: 0, dropFrac: 0, phase, shares };
+    let left = Math.max(0, Math.floor(row.DAU)), mass = 1;
+    arms.forEach(([id, share]) => {
+      const p = clamp(share, 0, 1);
+      const n = mass > 0 ? sampleBinomial(left, clamp(p / mass, 0, 1), r) : 0;
+      counts[id] = n; left -= n; mass -= p;
+    });
+    if (bug && bug.mode !== "NONE" && bug.dropPct > 0 && assignmentBugActive(bug.mode, row, i - startIndex)) {
+      counts.dropped = Math.round(counts.Experiment * clamp(bug.dropPct, 0, 1));
+      counts.Experiment -= counts.dropped;
+      counts.dropFrac = clamp(bug.dropPct, 0, 1);
+    }
+    return counts;
+  });
+}
+
+// ===================== Ramp-up ===================== //
+// A ramp runs the first days of the test at lower Experiment allocations (e.g. 1% → 5% → 20%)
+// before the configured split. schedule: [{ days, pct }], pct = Experiment share of DAU.
+export const RAMP_CONTROL_MODES = [
+  { id: "SCALE", label: "Control ramps with Experiment" }, // every arm × pct/splitT: same mix of days in each arm
+  { id: "FIXED", label: "Control at full split from day 1" }, // Experiment's users pile up in later days
+];
+// How the results table combines the phases
+export const RAMP_POOLING = [
+  { id: "POOLED", label: "Pooled (naive)" },
+  { id: "STRATIFIED", label: "Stratified by phase" },
+  { id: "FINAL", label: "Final phase only" },
+];
+
+// Phases over the test window: [{ start, end, pct }] (0-based day-in-test, end exclusive);
+// the last phase (pct null) runs the configured split. Phases past the window are cut off.
+export function rampPhases(schedule, testLen){
+  const phases = [];
+  let day = 0;
+  (schedule || []).forEach(({ days, pct }) => {
+    const n = Math.max(0, Math.min(Math.round(days), testLen - day));
+    if (n > 0) phases.push({ start: day, end: day + n, pct });
+    day += n;
+  });
+  if (day < testLen || phases.length === 0) phases.push({ start: day, end: testLen, pct: null });
+  return phases;
+}
+
+// Traffic shares on one day of the test: { phase, shares: { Control, Experiment, ...variants } }
+export function allocationForDay(dayInTest, phases, { splitC, splitT, variants = [], control = "SCALE" }){
+  const phase = Math.max(0, phases.findIndex(p => dayInTest >= p.start && dayInTest < p.end));
+  const pct = phases[phase]?.pct;
+  const k = pct == null || !(splitT > 0) ? 1 : clamp(pct / splitT, 0, 1);
+  const shares = {
+    Control: control === "FIXED" ? splitC : splitC * k,
+    Experiment: pct == null ? splitT : Math.min(pct, splitT),
+  };
+  variants.forEach(v => { shares[v.id] = v.split * k; });
+  return { phase, shares };
+}
+
+// Per-arm mean and effective N over the test window; value(i, armId) is the arm's day total.
+// POOLED: all users alike. STRATIFIED weights each ramp phase's mean by its share of all
+// assigned users (the same weights in every arm), so a changing allocation can't tilt one arm
+// towards particular days; FINAL keeps only the last phase.
+function armMeans(value, cohorts, phaseCount, startIndex, armIds, pooling = "POOLED", skip = new Set()){
+  const stratify = phaseCount > 1 && pooling !== "POOLED";
+  const acc = Array.from({ length: stratify ? phaseCount : 1 }, () => ({ users: 0, arms: Object.fromEntries(armIds.map(id => [id, { sum: 0, n: 0 }])) }));
+  for (let i = startIndex; i < cohorts.length; i++) {
+    if (skip.has(i)) continue;
+    const a = acc[stratify ? cohorts[i].phase : 0];
+    armIds.forEach(id => {
+      a.arms[id].sum += value(i, id) || 0;
+      a.arms[id].n += cohorts[i][id] || 0;
+      a.users += cohorts[i][id] || 0;
+    });
+  }
+  const usable = acc.filter(a => armIds.every(id => a.arms[id].n > 0));
+  const kept = pooling === "FINAL" ? usable.slice(-1) : usable;
+  const total = kept.reduce((s, a) => s + a.users, 0);
+  if (!total) return Object.fromEntries(armIds.map(id => [id, { mu: 0, n: 0 }]));
+  return Object.fromEntries(armIds.map(id => {
+    let mu = 0, invN = 0;
+    kept.forEach(a => {
+      const w = a.users / total, { sum, n } = a.arms[id];
+      mu += w * sum / n;
+      invN += w * w / n;
+    });
+    return [id, { mu, n: invN > 0 ? 1 / invN : 0 }];
+  }));
+}
+
+// Default backfilled pre-period for simulateAB's prePeriod (two weeks, no pre-existing gap)
+export const DEFAULT_PRE_PERIOD = { days: 14, bias: 0 };
+
+// cupedRho: true per-user correlation of a metric's pre-period and test-window values; > 0 simulates
+//   the CUPED covariate, aggregates[key].covariate = { [id]: sample moments } (see drawCovariate)
+// variants: [{ id, split, liftScale }] — each arm's true lift is liftScale × the data-driven lift
+// ratios: [{ key, num, den }] — derived from the simulated numerator/denominator arms
+// bug: { mode, dropPct } — optional assignment bug (see ASSIGNMENT_BUGS)
+// catalog: metric catalog — baseline lift, guardrail role/direction and variance model per metric
+// aaMode: A/A test — every metric (and arm) gets zero true lift, ignoring catalog and data-driven lifts
+// segments: dimensions (see SEGMENT_DIMENSIONS) to simulate users in; each arm's daily cohort is
+//   split across the crossed segments and every metric is drawn per segment. null → identical users.
+// ramp: { schedule, control, pooling } — ramp-up allocation (see rampPhases) and how the
+//   aggregates combine its phases (RAMP_POOLING); null → the configured split every day
+// Heavy-tailed metrics (isUnitDrawn) are drawn user by user; their values over the test window are
+// returned per arm as histograms in units[key][arm] (see armUnits).
+// population: { salt, visitRate, maxUsers } — simulate a persistent user population instead (simulateUsers)
+// exclude: day indices left out of the analysis (e.g. flagged anomalies). They are still simulated
+//   with the same draws, and charted; the aggregates, unit values and daysInTest skip them.
+// prePeriod: { days, bias } — backfill every arm over the days before the test (no treatment, the
+//   configured split); aggregates[key].pre = { days, arms: { [id]: { mu, n } } }. bias gives
+//   Experiment's users a pre-existing per-user offset of bias × the metric's pre-period mean, before
+//   and during the test. Not simulated with a population.
+export function simulateAB(data, { seed, splitC, splitT, testLen, enforceNoDecline, cupedRho = 0, variants = [], ratios = [], bug = null, catalog = DEFAULT_METRICS, aaMode = false, segments = null, ramp = null, population = null, exclude = null, prePeriod = null }){
+  if (population) return simulateUsers(data, { seed, splitC, splitT, testLen, enforceNoDecline, variants, ratios, catalog, aaMode, population, exclude });
+  const len = data.length;
+  const startIndex = Math.max(0, len - testLen);
+  const excluded = excludedDays(exclude, startIndex, len), skip = new Set(excluded);
+  const out = data.map(row => ({ ...row }));
+  const aggregates = {};
+  const cohorts = assignCohorts(data, { seed, startIndex, splitC, splitT, variants, bug, ramp });
+  const armIds = ["Control", "Experiment", ...variants.map(v => v.id)];
+  const phases = rampPhases(ramp?.schedule, len - startIndex);
+  const preStart = prePeriod ? Math.max(0, startIndex - Math.round(prePeriod.days)) : startIndex;
+  const preShares = { Control: splitC, Experiment: splitT, ...Object.fromEntries(variants.map(v => [v.id, v.split])) };
+
+  // Segment mode: per-day cell counts per arm. Users an assignment bug drops come
+  // disproportionately from segments with a high dropWeight, so the arms' mixes drift apart.
+  const cells = segments ? segmentCells(segments) : null;
+  const cellCounts = cells ? cohorts.map((c, i) => {
+    if (!c) return null;
+    const r = seededStream(`${seed}:segments:${i}`);
+    const shares = cellShares(data[i], segments, cells);
+    return Object.fromEntries(armIds.map(id => {
+      let probs = shares;
+      if (id === "Experiment" && c.dropFrac > 0) {
+        const meanDrop = shares.reduce((a, p, k) => a + p * cells[k].drop, 0);
+        probs = shares.map((p, k) => p * Math.max(0, 1 - c.dropFrac * cells[k].drop / meanDrop));
+      }
+      return [id, splitIntoCells(c[id], probs, r)];
+    }));
+  }) : null;
+
+  // Segment mode: the arm's daily total is the sum of per-cell draws; per-cell sums are kept
+  function drawCells(m, muPre, liftDay, counts, r, acc, tally, offset = 0){
+    let total = 0;
+    counts.forEach((n, k) => {
+      if (m.key === COHORT_KEY) { total += n; acc[k].sum += n; acc[k].n += n; return; }
+      const mu = Math.max(0, muPre * cells[k].base * (1 + liftDay * cells[k].lift) + offset);
+      if (tally) {
+        const x = drawUnitTotal(m, mu, n, r, tally);
+        total += x; acc[k].sum += x; acc[k].n += n;
+        return;
+      }
+      const sd = Math.sqrt(Math.max(1e-9, metricVariance(m, mu) * n));
+      const x = n > 0 ? Math.max(0, Math.round(mu * n + sd * boxMuller(r))) : 0;
+      total += x; acc[k].sum += x; acc[k].n += n;
+    });
+    return total;
+  }
+  const emptyCells = () => cells.map(() => ({ sum: 0, n: 0 }));
+  const units = {};
+  // An excluded day draws into throwaway accumulators
+  const accOf = (acc, i) => acc && skip.has(i) ? (acc instanceof Map ? new Map() : emptyCells()) : acc;
+
+  catalog.forEach(m => {
+    const key = m.key;
+    const muC_pre = basePerUserUntil(key, data, startIndex);
+    let lift = aaMode ? 0 : (m.lift ?? deriveDataDrivenLift(key, data, seed));
+    if (enforceNoDecline && m.role === "guardrail" && isHarmful(m, lift)) lift = 0;
+    const offset = key === COHORT_KEY ? 0 : (prePeriod?.bias || 0) * muC_pre; // Experiment's pre-existing gap
+
+    const trueDailyLift = [];
+    // Expected (noise-free) arm totals per day, for the post-period noise CUPED correlates with
+    const expected = Object.fromEntries(armIds.map(id => [id, new Array(len).fill(0)]));
+    const segAcc = cells ? Object.fromEntries(armIds.map(id => [id, emptyCells()])) : null;
+    const tallies = isUnitDrawn(m) ? Object.fromEntries(armIds.map(id => [id, new Map()])) : null;
+
+    for (let i = 0; i < len; i++) {
+      out[i][`${key}_Control`] = null;
+      out[i][`${key}_Experiment`] = null;
+    }
+
+    for (let i = startIndex; i < len; i++) {
+      const r = seededStream(`${seed}:${key}:${i}`);
+      const nC_day = cohorts[i].Control;
+      const nT_day = cohorts[i].Experiment;
+      // Users lost to an assignment bug skew less active, so the survivors look better
+      const d = cohorts[i].dropFrac;
+      const survivorBias = d > 0 ? (1 - DROPPED_USER_ACTIVITY * d) / (1 - d) : 1;
+      const liftDay = liftAt(lift, m.trajectory, i - startIndex);
+      trueDailyLift.push(liftDay);
+      // Both arms follow the day's per-user rate from the history (day-to-day wobble)
+      const muDay = dayRate(key, data[i], muC_pre);
+      expected.Control[i] = muDay * nC_day;
+      const muE = Math.max(0, muDay * (1 + liftDay) + offset);
+      expected.Experiment[i] = muE * nT_day;
+
+      if (cells) {
+        // The survivors' shifted segment mix stands in for survivorBias here
+        out[i][`${key}_Control`] = drawCells(m, muDay, 0, cellCounts[i].Control, r, accOf(segAcc.Control, i), accOf(tallies?.Control, i));
+        out[i][`${key}_Experiment`] = drawCells(m, muDay, liftDay, cellCounts[i].Experiment, r, accOf(segAcc.Experiment, i), accOf(tallies?.Experiment, i), offset);
+        continue;
+      }
+
+      if (tallies) {
+        out[i][`${key}_Control`] = drawUnitTotal(m, muDay, nC_day, r, accOf(tallies.Control, i));
+        out[i][`${key}_Experiment`] = drawUnitTotal(m, muE * survivorBias, nT_day, r, accOf(tallies.Experiment, i));
+        continue;
+      }
+
+      // Special-case DAU to be exactly the cohort sizes
+      if (key === COHORT_KEY) {
+        out[i][`${key}_Control`] = nC_day;
+        out[i][`${key}_Experiment`] = nT_day;
+        continue;
+      }
+
+      const varPerUserC = metricVariance(m, muDay);
+      const varPerUserE = metricVariance(m, muE * survivorBias);
+
+      const meanC = muDay * nC_day;
+      const meanE = muE * survivorBias * nT_day;
+
+      const sdC = Math.sqrt(Math.max(1e-9, varPerUserC * nC_day));
+      const sdE = Math.sqrt(Math.max(1e-9, varPerUserE * nT_day));
+
+      const sampleC = Math.max(0, Math.round(meanC + sdC * boxMuller(r)));
+      const sampleE = Math.max(0, Math.round(meanE + sdE * boxMuller(r)));
+
+      out[i][`${key}_Control`] = sampleC;
+      out[i][`${key}_Experiment`] = sampleE;
+    }
+
+    const daysInTest = Math.max(1, len - startIndex - excluded.length);
+    const means = (value) => armMeans(value, cohorts, phases.length, startIndex, armIds, ramp?.pooling, skip);
+    const observed = means((i, id) => out[i][`${key}_${id}`]);
+    const noiseFree = means((i, id) => expected[id][i]);
+    const { mu: muC_real, n: NtotC } = observed.Control;
+    const { mu: muT_real, n: NtotT } = observed.Experiment;
+    const lift_real = muC_real > 0 ? (muT_real / muC_real - 1) : 0;
+
+    // Pre-period covariate (CUPED): every user also has a pre-period value, correlated cupedRho with
+    // their test-window value; Experiment's carries the pre-existing gap too (see drawCovariate)
+    const rho = clamp(cupedRho, 0, 0.99);
+    const covariate = rho > 0 && key !== COHORT_KEY ? {} : null;
+    const addCovariate = (id, muX, muY, noiseY, n) => {
+      if (covariate) covariate[id] = drawCovariate(m, { muX, muY, noiseY, n, rho }, seededStream(`${seed}:${key}:cuped:${id}`));
+    };
+    addCovariate("Control", muC_pre, noiseFree.Control.mu, muC_real - noiseFree.Control.mu, NtotC);
+    addCovariate("Experiment", muC_pre + offset, noiseFree.Experiment.mu, muT_real - noiseFree.Experiment.mu, NtotT);
+
+    // Additional treatment arms: own traffic share, scaled lift and noise stream
+    const variantAgg = {};
+    variants.forEach(v => {
+      const col = `${key}_${v.id}`;
+      let liftV = lift * v.liftScale;
+      if (enforceNoDecline && m.role === "guardrail" && isHarmful(m, liftV)) liftV = 0;
+      for (let i = 0; i < len; i++) out[i][col] = null;
+      for (let i = startIndex; i < len; i++) {
+        const nV_day = cohorts[i][v.id];
+        const r = seededStream(`${seed}:${key}:${v.id}:${i}`);
+        const liftDay = liftAt(liftV, m.trajectory, i - startIndex);
+        const muDay = dayRate(key, data[i], muC_pre);
+        expected[v.id][i] = muDay * (1 + liftDay) * nV_day;
+        if (cells) { out[i][col] = drawCells(m, muDay, liftDay, cellCounts[i][v.id], r, accOf(segAcc[v.id], i), accOf(tallies?.[v.id], i)); continue; }
+        if (key === COHORT_KEY) { out[i][col] = nV_day; continue; }
+        if (tallies) { out[i][col] = drawUnitTotal(m, muDay * (1 + liftDay), nV_day, r, accOf(tallies[v.id], i)); continue; }
+        const meanV = muDay * (1 + liftDay) * nV_day;
+        const sdV = Math.sqrt(Math.max(1e-9, metricVariance(m, muDay * (1 + liftDay)) * nV_day));
+        out[i][col] = Math.max(0, Math.round(meanV + sdV * boxMuller(r)));
+      }
+      const { mu: muV_real, n: NtotV } = means((i, id) => out[i][`${key}_${id}`])[v.id];
+      const noiseFreeV = means((i, id) => expected[id][i])[v.id];
+      addCovariate(v.id, muC_pre, noiseFreeV.mu, muV_real - noiseFreeV.mu, NtotV);
+      variantAgg[v.id] = { muT: muV_real, NtotT: NtotV, liftPct: muC_real > 0 ? muV_real / muC_real - 1 : 0 };
+    });
+
+    // Pre-period: every arm untreated, daily columns plus each arm's mean over the days
+    let pre = null;
+    if (preStart < startIndex) {
+      const acc = Object.fromEntries(armIds.map(id => [id, { sum: 0, n: 0 }]));
+      for (let i = preStart; i < startIndex; i++) {
+        const r = seededStream(`${seed}:${key}:pre:${i}`);
+        const muDay = dayRate(key, data[i], muC_pre);
+        armIds.forEach(id => {
+          const n = Math.round((data[i][COHORT_KEY] || 0) * preShares[id]);
+          const mu = Math.max(0, muDay + (id === "Experiment" ? offset : 0));
+          const x = key === COHORT_KEY ? n
+            : isUnitDrawn(m) ? drawUnitTotal(m, mu, n, r)
+            : n > 0 ? Math.max(0, Math.round(mu * n + Math.sqrt(Math.max(1e-9, metricVariance(m, mu) * n)) * boxMuller(r))) : 0;
+          out[i][`${key}_${id}`] = x;
+          acc[id].sum += x; acc[id].n += n;
+        });
+      }
+      pre = { days: startIndex - preStart, arms: Object.fromEntries(armIds.map(id => [id, { mu: acc[id].n > 0 ? acc[id].sum / acc[id].n : 0, n: acc[id].n }])) };
+    }
+
+    aggregates[key] = { muC: muC_real, muT: muT_real, liftPct: lift_real, startIndex, daysInTest, NtotC, NtotT, muPre: muC_pre, covariate, trueDailyLift, variants: variantAgg, segments: segAcc, pre };
+    if (tallies) units[key] = Object.fromEntries(armIds.map(id => [id, unitHistogram(tallies[id])]));
+  });
+
+  addRatios(out, aggregates, ratios, variants, startIndex);
+  return { simData: out, aggregates, startIndex, cohorts, phases, segments: cells ? { dims: segments, cells } : null, units, excluded };
+}
+
+// Sorted, de-duplicated excluded day indices inside the test window
+function excludedDays(exclude, startIndex, len){
+  return [...new Set(exclude || [])].filter(i => Number.isInteger(i) && i >= startIndex && i < len).sort((a, b) => a - b);
+}
+
+// Ratio metrics: per-arm sum(numerator) / sum(denominator) of the simulated base metrics
+function addRatios(out, aggregates, ratios, variants, startIndex){
+  const armCols = ["Control", "Experiment", ...variants.map(v => v.id)];
+  ratios.forEach(({ key, num, den }) => {
+    for (let i = 0; i < out.length; i++) {
+      const row = out[i];
+      row[key] = row[den] > 0 ? row[num] / row[den] : null;
+      armCols.forEach(c => {
+        const d = row[`${den}_${c}`];
+        row[`${key}_${c}`] = d > 0 ? row[`${num}_${c}`] / d : null;
+      });
+    }
+    const a = aggregates[num], b = aggregates[den];
+    const ratioOf = (x, y) => y > 0 ? x / y : 0;
+    aggregates[key] = {
+      isRatio: true, num, den, startIndex, daysInTest: a.daysInTest, NtotC: a.NtotC, NtotT: a.NtotT,
+      numC: a.muC, denC: b.muC, numT: a.muT, denT: b.muT,
+      muC: ratioOf(a.muC, b.muC), muT: ratioOf(a.muT, b.muT), muPre: ratioOf(a.muPre, b.muPre),
+      variants: Object.fromEntries(variants.map(v => {
+        const av = a.variants[v.id], bv = b.variants[v.id];
+        return [v.id, { NtotT: av.NtotT, numT: av.muT, denT: bv.muT, muT: ratioOf(av.muT, bv.muT) }];
+      })),
+    };
+  });
+}
+
+// ===================== User-level simulation ===================== //
+// simulateAB's default draws each day's cohorts afresh, so a user who comes back on five days counts
+// as five units and the effective N (user-days) is inflated. With a population, simulateUsers follows
+// a fixed set of users instead: each has a daily visit probability (heterogeneous, scaled so the
+// expected visitors match the day's DAU) and an activity level that multiplies every metric's rate on
+// each visit. Assignment is deterministic, as in production: hash(salt : user id) picks one of
+// ASSIGNMENT_BUCKETS buckets, and the traffic split maps bucket ranges to arms. Users keep their arm
+// on every visit. The results table analyzes per-user totals over the window of the distinct users
+// who visited (exposed users), next to the naive pooled user-day estimate.
+export const ASSIGNMENT_BUCKETS = 10000;
+export const DEFAULT_POPULATION = { salt: "exp-1", visitRate: 0.35 };
+const VISIT_SHAPE = 1.5; // gamma shape of the users' visit propensities (smaller = more uneven)
+const ACTIVITY_SHAPE = 2; // gamma shape of the users' activity levels
+
+// Bucket in [0, 1) of a user id under an experiment salt
+export function userBucket(userId, salt){
+  return (mix32(hashStr(`${salt}:${userId}`)) % ASSIGNMENT_BUCKETS) / ASSIGNMENT_BUCKETS;
+}
+
+// Arm of a bucket: consecutive ranges of the shares in order (Control, Experiment, variants…); null
+// when it falls in the unassigned remainder
+export function armForBucket(bucket, shares){
+  let edge = 0;
+  for (const [id, share] of Object.entries(shares)) {
+    edge += share;
+    if (bucket < edge) return id;
+  }
+  return null;
+}
+
+// population: { salt, visitRate, maxUsers } — visitRate is the mean daily visit probability, which sets
+// the population size (mean DAU / visitRate). The cost grows with users × days × metrics, so maxUsers
+// (optional) simulates only a random sample of that many users: cohorts, totals and every test then
+// describe the sample, not the whole population. Ramp-ups, segments, assignment bugs and CUPED do not apply.
+// exclude: as in simulateAB — visits on those days do not count towards exposure or the per-user totals.
+// Since the draws do not depend on it, the same pass also returns full: the result with every day kept
+// (null when no day is excluded).
+// Returns simulateAB's shape, with cohorts / DAU columns counting each day's visitors, aggregates over
+// exposed users (userLevel: true), plus users: { size, simulated, salt, visitRate, exposed, userDays, perUser, dayStats }
+// (size is the population, simulated the users actually drawn).
+export function simulateUsers(data, { seed, splitC, splitT, testLen, enforceNoDecline, variants = [], ratios = [], catalog = DEFAULT_METRICS, aaMode = false, population, exclude = null }){
+  const len = data.length;
+  const startIndex = Math.max(0, len - testLen);
+  const excluded = excludedDays(exclude, startIndex, len), skip = new Set(excluded);
+  const daysInTest = Math.max(1, len - startIndex);
+  const salt = String(population.salt ?? DEFAULT_POPULATION.salt);
+  const visitRate = clamp(population.visitRate ?? DEFAULT_POPULATION.visitRate, 0.01, 1);
+  const shares = { Control: splitC, Experiment: splitT, ...Object.fromEntries(variants.map(v => [v.id, v.split])) };
+  const armIds = Object.keys(shares);
+  const out = data.map(row => ({ ...row }));
+
+  const meanDAU = Math.max(1, data.slice(startIndex).reduce((a, d) => a + (d[COHORT_KEY] || 0), 0) / daysInTest);
+  const size = Math.max(1, Math.round(meanDAU / visitRate));
+  // Users are drawn independently, so the first `simulated` ids are a uniform random sample
+  const simulated = population.maxUsers > 0 ? Math.min(size, Math.floor(population.maxUsers)) : size;
+  const pr = seededStream(`${seed}:users`);
+  const propensity = new Float64Array(simulated), activity = new Float64Array(simulated), armOf = new Array(simulated);
+  for (let u = 0; u < simulated; u++) {
+    propensity[u] = visitRate * sampleGamma(VISIT_SHAPE, pr) / VISIT_SHAPE;
+    activity[u] = sampleGamma(ACTIVITY_SHAPE, pr) / ACTIVITY_SHAPE;
+    armOf[u] = armForBucket(userBucket(`u${u}`, salt), shares);
+  }
+
+  const metrics = catalog.filter(m => m.key !== COHORT_KEY).map(m => {
+    const muPre = basePerUserUntil(m.key, data, startIndex);
+    let lift = aaMode ? 0 : (m.lift ?? deriveDataDrivenLift(m.key, data, seed));
+    if (enforceNoDecline && m.role === "guardrail" && isHarmful(m, lift)) lift = 0;
+    const armLift = { Control: 0, Experiment: lift };
+    variants.forEach(v => {
+      let liftV = lift * v.liftScale;
+      if (enforceNoDecline && m.role === "guardrail" && isHarmful(m, liftV)) liftV = 0;
+      armLift[v.id] = liftV;
+    });
+    return { m, muPre, armLift, trueDailyLift: [] };
+  });
+  const blankStats = () => Object.fromEntries(armIds.map(id => [id, { n: 0, sum: 0, sumSq: 0 }]));
+  // Per-user tallies over the analyzed days; with excluded days a second set over every day, so the
+  // "with every day kept" comparison comes out of the same pass instead of a second simulation
+  const blankTally = () => ({
+    visits: new Uint16Array(simulated), totals: metrics.map(() => new Float64Array(simulated)),
+    dayStats: Object.fromEntries(metrics.map(({ m }) => [m.key, blankStats()])),
+  });
+  const tally = blankTally(), tallyAll = excluded.length ? blankTally() : null;
+  const cohorts = data.map(() => null);
+
+  for (let i = 0; i < len; i++) armIds.forEach(id => { catalog.forEach(m => { out[i][`${m.key}_${id}`] = null; }); });
+  for (let i = startIndex; i < len; i++) {
+    const day = i - startIndex, scale = (data[i][COHORT_KEY] || 0) / meanDAU;
+    const vr = seededStream(`${seed}:users:visits:${i}`);
+    const today = metrics.map((x, j) => ({
+      x, j, r: seededStream(`${seed}:users:${x.m.key}:${i}`), mu: dayRate(x.m.key, data[i], x.muPre),
+      lift: Object.fromEntries(armIds.map(id => [id, liftAt(x.armLift[id], x.m.trajectory, day)])),
+      sums: Object.fromEntries(armIds.map(id => [id, 0])),
+    }));
+    const visitors = Object.fromEntries(armIds.map(id => [id, 0]));
+    // an excluded day's visits are charted but only analyzed in the every-day tallies
+    const into = [skip.has(i) ? null : tally, tallyAll].filter(Boolean);
+    for (let u = 0; u < simulated; u++) {
+      if (vr() >= Math.min(1, propensity[u] * scale)) continue;
+      const arm = armOf[u];
+      if (!arm) continue;
+      visitors[arm]++;
+      into.forEach(t => { t.visits[u]++; });
+      today.forEach(({ x, j, r, mu, lift, sums }) => {
+        const muUser = mu * activity[u] * (1 + lift[arm]);
+        const v = drawUnitValue(x.m, x.m.variance === "BINARY" ? clamp(muUser, 0, 1) : muUser, r);
+        sums[arm] += v;
+        into.forEach(t => {
+          t.totals[j][u] += v;
+          const st = t.dayStats[x.m.key][arm];
+          st.n++; st.sum += v; st.sumSq += v * v;
+        });
+      });
+    }
+    cohorts[i] = { ...visitors, dropped: 0, dropFrac: 0, phase: 0, shares };
+    armIds.forEach(id => { out[i][`${COHORT_KEY}_${id}`] = visitors[id]; });
+    today.forEach(({ x, lift, sums }) => {
+      x.trueDailyLift.push(lift.Experiment);
+      armIds.forEach(id => { out[i][`${x.m.key}_${id}`] = x.m.variance === "LOGNORMAL" ? Math.round(sums[id] * 100) / 100 : sums[id]; });
+    });
+  }
+
+  // Per-user window totals of one tally's exposed users, per arm, and the aggregates on that scale:
+  // means of the window totals over exposed users; muPre is the pre-period rate times the mean visits
+  // per exposed user
+  const summarize = ({ visits, totals, dayStats }, daysAnalyzed) => {
+    const members = Object.fromEntries(armIds.map(id => [id, []]));
+    for (let u = 0; u < simulated; u++) if (armOf[u] && visits[u] > 0) members[armOf[u]].push(u);
+    const pick = (values, arm) => Float64Array.from(members[arm], u => values[u]);
+    const perUser = Object.fromEntries(armIds.map(id => [id, {
+      [COHORT_KEY]: pick(visits, id),
+      ...Object.fromEntries(metrics.map((x, j) => [x.m.key, pick(totals[j], id)])),
+    }]));
+    const exposed = Object.fromEntries(armIds.map(id => [id, members[id].length]));
+    const userDays = Object.fromEntries(armIds.map(id => [id, perUser[id][COHORT_KEY].reduce((a, b) => a + b, 0)]));
+    const exposedAll = armIds.reduce((a, id) => a + exposed[id], 0);
+    const visitsPerUser = exposedAll > 0 ? armIds.reduce((a, id) => a + userDays[id], 0) / exposedAll : 0;
+
+    const aggregates = {};
+    const mean = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+    [{ m: catalog.find(m => m.key === COHORT_KEY), muPre: 1, trueDailyLift: [] }, ...metrics].forEach(x => {
+      if (!x.m) return;
+      const key = x.m.key, muPre = x.muPre * visitsPerUser;
+      const muC = mean(perUser.Control[key]), muT = mean(perUser.Experiment[key]);
+      aggregates[key] = {
+        muC, muT, liftPct: muC > 0 ? muT / muC - 1 : 0, startIndex, daysInTest: Math.max(1, daysAnalyzed), NtotC: exposed.Control, NtotT: exposed.Experiment,
+        muPre, covariate: null, trueDailyLift: x.trueDailyLift, segments: null, userLevel: true,
+        variants: Object.fromEntries(variants.map(v => {
+          const muV = mean(perUser[v.id][key]);
+          return [v.id, { muT: muV, NtotT: exposed[v.id], liftPct: muC > 0 ? muV / muC - 1 : 0 }];
+        })),
+      };
+    });
+    addRatios(out, aggregates, ratios, variants, startIndex);
+    return { aggregates, users: { size, simulated, salt, visitRate, exposed, userDays, perUser, dayStats } };
+  };
+
+  const base = { simData: out, startIndex, cohorts, phases: rampPhases(null, len - startIndex), segments: null, units: {} };
+  // full: the same test with every day kept (only when days are excluded)
+  const full = tallyAll ? { ...base, ...summarize(tallyAll, daysInTest), excluded: [] } : null;
+  return { ...base, ...summarize(tally, daysInTest - excluded.length), excluded, full };
+}
+
+// Ratio-metric stats on per-user totals: delta method with the observed variances and covariance
+function userRatioStats(users, num, den, arm, conf){
+  const armStats = (id) => {
+    const y = users.perUser[id][num], x = users.perUser[id][den], n = y.length;
+    let my = 0, mx = 0;
+    for (let j = 0; j < n; j++) { my += y[j]; mx += x[j]; }
+    my /= n; mx /= n;
+    let vy = 0, vx = 0, cxy = 0;
+    for (let j = 0; j < n; j++) { vy += (y[j] - my) ** 2; vx += (x[j] - mx) ** 2; cxy += (y[j] - my) * (x[j] - mx); }
+    const d = Math.max(1, n - 1);
+    return { n, mu: mx > 0 ? my / mx : 0, v: ratioUnitVariance({ muY: my, muX: mx, varY: vy / d, varX: vx / d, covXY: cxy / d }) };
+  };
+  const c = armStats("Control"), t = armStats(arm);
+  const diff = t.mu - c.mu, se = Math.sqrt(c.v / c.n + t.v / t.n);
+  const z = se > 0 ? diff / se : 0;
+  return { muC: c.mu, muT: t.mu, diff, se, z, p: twoTailedP(z), ciLow: diff - zCritical(conf) * se, ciHigh: diff + zCritical(conf) * se, lift: c.mu > 0 ? diff / c.mu : 0 };
+}
+
+// Pre-period balance: the arms' backfilled pre-period means, z-test on the model variance
+// ({ muC, muT, diff, se, p, lift, nC, nT, days }). Difference-in-differences: the post-period diff
+// minus the pre-period diff, so a gap the arms already had before the test drops out; both periods
+// on the model variance (whatever the row's own method), and their variances add because the days'
+// draws are independent. did: { diff, se, p, ciLow, ciHigh, lift } with lift = diff / post Control mean.
+function prePeriodStats(pre, arm, post, metric, conf){
+  const c = pre.arms.Control, t = pre.arms[arm];
+  const v = (mu, n) => metricVariance(metric, mu) / n;
+  if (!(c?.n > 0 && t?.n > 0 && post.nC > 0 && post.nT > 0)) return { balance: null, did: null };
+  const preDiff = t.mu - c.mu, preSe = Math.sqrt(v(c.mu, c.n) + v(t.mu, t.n));
+  const postSe = Math.sqrt(v(post.muC, post.nC) + v(post.muT, post.nT));
+  if (!(preSe > 0 && postSe > 0)) return { balance: null, did: null };
+  const balance = { muC: c.mu, muT: t.mu, diff: preDiff, se: preSe, p: twoTailedP(preDiff / preSe), lift: c.mu > 0 ? preDiff / c.mu : 0, nC: c.n, nT: t.n, days: pre.days };
+  const diff = (post.muT - post.muC) - preDiff, se = Math.sqrt(postSe * postSe + preSe * preSe), k = zCritical(conf);
+  const did = { diff, se, p: twoTailedP(diff / se), ciLow: diff - k * se, ciHigh: diff + k * se, lift: post.muC > 0 ? diff / post.muC : 0 };
+  return { balance, did };
+}
+
+// Sample moments of an arm's n per-user (X, Y) pairs for CUPED: X the pre-period value (mean muX),
+// Y the test-window value (mean muY), correlation rho, sds from the metric's variance model. X̄ is
+// drawn given the arm's realized Ȳ (noiseY = Ȳ − E[Ȳ]), so a chance imbalance in X tracks the
+// noise CUPED removes; the sample covariance matrix is Wishart(n − 1, Σ)/(n − 1) (Bartlett).
+// → { n, meanX, varX, varY, covXY }, or null when either sd is 0
+function drawCovariate(metric, { muX, muY, noiseY, n, rho }, r){
+  const sx = Math.sqrt(metricVariance(metric, Math.max(0, muX))), sy = Math.sqrt(metricVariance(metric, muY));
+  if (!(sx > 0 && sy > 0 && n > 2)) return null;
+  const resid = Math.sqrt(1 - rho * rho);
+  const meanX = muX + rho * (sx / sy) * noiseY + resid * sx / Math.sqrt(n) * boxMuller(r);
+  const c1 = Math.sqrt(2 * sampleGamma((n - 1) / 2, r)), c2 = Math.sqrt(2 * sampleGamma((n - 2) / 2, r));
+  const ay = sy * (rho * c1 + resid * boxMuller(r)); // second row of L·B: (ay, resid·sy·c2)
+  return {
+    n, meanX,
+    varX: (sx * c1) ** 2 / (n - 1),
+    varY: (ay * ay + (resid * sy * c2) ** 2) / (n - 1),
+    covXY: sx * c1 * ay / (n - 1),
+  };
+}
+
+// Delta method: n·Var(Ȳ/X̄) ≈ σY²/μX² − 2·μY·σXY/μX³ + μY²·σX²/μX⁴
+function ratioUnitVariance({ muY, muX, varY, varX, covXY }){
+  if (!(muX > 0)) return NaN;
+  return Math.max(0, varY / (muX * muX) - 2 * muY * covXY / Math.pow(muX, 3) + muY * muY * varX / Math.pow(muX, 4));
+}
+
+// numMetric/denMetric: catalog entries (their variance models give σY², σX²)
+export function ratioArmVariance(numMetric, denMetric, muY, muX, { varBoost=0.05, corr=RATIO_NUM_DEN_CORR } = {}){
+  const varY = metricVariance(numMetric, muY, varBoost), varX = metricVariance(denMetric, muX, varBoost);
+  return ratioUnitVariance({ muY, muX, varY, varX, covXY: corr * Math.sqrt(varY * varX) });
+}
+
+// Ratio-metric counterpart of computeStats (same result shape), delta-method SE
+export function computeRatioStats({ numMetric, denMetric, numC, denC, numT, denT, nC, nT, varBoost=0.05, conf = DEFAULT_CONFIDENCE }){
+  const muC = denC > 0 ? numC / denC : 0;
+  const muT = denT > 0 ? numT / denT : 0;
+  const diff = muT - muC;
+  const se = Math.sqrt(ratioArmVariance(numMetric, denMetric, numC, denC, { varBoost }) / nC + ratioArmVariance(numMetric, denMetric, numT, denT, { varBoost }) / nT);
+  const z = se > 0 ? diff / se : 0;
+  const p = twoTailedP(z);
+  return { muC, muT, diff, se, z, p, ciLow: diff - zCritical(conf) * se, ciHigh: diff + zCritical(conf) * se, lift: muC > 0 ? diff / muC : 0 };
+}
+
+// CUPED: regress out the pre-period covariate X. control/arm: the arms' sample moments
+// { n, meanX, varX, varY, covXY } (simulateAB's covariate). theta = cov(X,Y)/var(X) is estimated
+// from both arms pooled; the adjusted diff is diff − theta·(X̄T − X̄C), and varianceRemoved is the
+// estimated share of the diff's variance the covariate explains (the SE shrinks by it).
+export function cupedAdjust(stats, { control, arm, conf = DEFAULT_CONFIDENCE }){
+  if (!control || !arm || !(stats.se > 0)) return null;
+  const wC = control.n - 1, wT = arm.n - 1;
+  const varX = wC * control.varX + wT * arm.varX, varY = wC * control.varY + wT * arm.varY;
+  if (!(varX > 0 && varY > 0)) return null;
+  const covXY = wC * control.covXY + wT * arm.covXY;
+  const theta = covXY / varX;
+  const adjusted = (c) => Math.max(0, c.varY - 2 * theta * c.covXY + theta * theta * c.varX) / c.n;
+  const varianceRemoved = 1 - (adjusted(control) + adjusted(arm)) / (control.varY / control.n + arm.varY / arm.n);
+  const diff = stats.diff - theta * (arm.meanX - control.meanX);
+  const se = stats.se * Math.sqrt(Math.max(0, 1 - varianceRemoved));
+  const z = diff / se;
+  return {
+    diff, se, z, p: twoTailedP(z),
+    ciLow: diff - zCritical(conf) * se, ciHigh: diff + zCritical(conf) * se,
+    lift: stats.muC > 0 ? diff / stats.muC : 0,
+    theta, rho: covXY / Math.sqrt(varX * varY), varianceRemoved,
+  };
+}
+
+// Per-metric A/B result over the test window (one results-table row).
+// arm = "Experiment" or an extra variant id; always compared against Control.
+// conf: confidence level of the CIs. sim: { simData, cohorts, startIndex, units } from simulateAB — needed
+// by the unit-level inference methods (catalog inference other than "Z") and winsorization; without it
+// they fall back to Z on the model variance.
+// Winsorization caps both arms at the catalog quantile of the pooled per-user values, then runs the
+// metric's method on the capped values ("Z" on their observed variance). The row's winsor field
+// { q, cap, rawLift, rawDiff, varianceRatio } shows what capping moved: the estimate (bias) and the
+// variance of the diff (capped / raw). A quantile that falls on a zero (mostly-zero metrics) or on the
+// largest value caps nothing.
+// Under simulateUsers (sim.users) rows are on distinct exposed users' window totals ("Z" on their
+// observed variance unless the catalog picks another method); naive is the pooled user-day estimate
+// { muC, muT, lift, se, p, ciLow, ciHigh, nC, nT } that treats every visit as an independent unit.
+// With a backfilled pre-period (simulateAB's prePeriod) base-metric rows also carry balance, the
+// pre-period comparison of the arms, and did, the difference-in-differences estimate (see prePeriodStats).
+export function analyzeMetric(key, { data, aggregates, seed, cupedRho = 0, arm = "Experiment", catalog = DEFAULT_METRICS, conf = DEFAULT_CONFIDENCE, sim = null }){
+  const label = metricLabel(key, catalog);
+  const metric = catalog.find(m => m.key === key);
+  const base = aggregates[key];
+  const agg = (arm === "Experiment" || !base) ? base : { ...base, ...base.variants?.[arm] };
+  if (base?.isRatio) {
+    const nC = base.NtotC || 1, nT = agg.NtotT || 1;
+    const numMetric = catalog.find(m => m.key === base.num), denMetric = catalog.find(m => m.key === base.den);
+    const s = sim?.users ? userRatioStats(sim.users, base.num, base.den, arm, conf)
+      : computeRatioStats({ numMetric, denMetric, numC: base.numC, denC: base.denC, numT: agg.numT, denT: agg.denT, nC, nT, conf });
+    return { key, label, arm, armLabel: variantLabel(arm), nC, nT, muPre: base.muPre, ...s, inference: "Z", cuped: null, isRatio: true, direction: numMetric?.direction ?? "increase" };
+  }
+  const muC = agg?.muC ?? basePerUser(key, data);
+  const muT = agg?.muT ?? muC * (1 + (metric?.lift ?? deriveDataDrivenLift(key, data, seed)));
+  const liftPct = (muC > 0) ? (muT / muC - 1) : 0;
+  let nCtrl = agg?.NtotC || 1, nExp = agg?.NtotT || 1;
+  let s = { ...computeStats({ muC, liftPct, nC: nCtrl, nT: nExp, varBoost: 0.05, metric, conf }), inference: "Z" };
+  const method = metric?.inference ?? "Z";
+  let winsor = null, naive = null;
+  if ((method !== "Z" || metric?.winsor != null || sim?.users) && sim) {
+    let ctrlUnits = armUnits(sim, key, "Control", { seed, metric }), armUnitsT = armUnits(sim, key, arm, { seed, metric });
+    if (ctrlUnits && armUnitsT) {
+      const pooled = mergeHistograms(ctrlUnits, armUnitsT);
+      const cap = metric.winsor != null ? histogramQuantile(pooled, metric.winsor) : 0;
+      const raw = cap > 0 && cap < pooled.values[pooled.values.length - 1] ? unitInference("Z", ctrlUnits, armUnitsT, { conf }) : null;
+      if (raw) { ctrlUnits = capHistogram(ctrlUnits, cap); armUnitsT = capHistogram(armUnitsT, cap); }
+      s = unitInference(method, ctrlUnits, armUnitsT, { conf, seed: `${seed}:${key}:${arm}` });
+      nCtrl = ctrlUnits.n; nExp = armUnitsT.n;
+      if (raw) winsor = { q: metric.winsor, cap, rawLift: raw.lift, rawDiff: raw.diff, varianceRatio: raw.se > 0 ? (s.se / raw.se) ** 2 : NaN };
+    }
+  }
+  const day = sim?.users?.dayStats[key];
+  if (day && day.Control.n > 1 && day[arm]?.n > 1) {
+    const z = unitInference("Z", day.Control, day[arm], { conf });
+    naive = { muC: z.muC, muT: z.muT, lift: z.lift, se: z.se, p: z.p, ciLow: z.ciLow, ciHigh: z.ciHigh, nC: day.Control.n, nT: day[arm].n };
+  }
+  const cuped = (cupedRho > 0 && base?.covariate) ? cupedAdjust(s, { control: base.covariate.Control, arm: base.covariate[arm], conf }) : null;
+  const { balance, did } = base?.pre ? prePeriodStats(base.pre, arm, { muC, muT, nC: agg.NtotC, nT: agg.NtotT }, metric, conf) : { balance: null, did: null };
+  return { key, label, arm, armLabel: variantLabel(arm), nC: nCtrl, nT: nExp, muPre: agg?.muPre ?? muC, ...s, winsor, naive, cuped, balance, did, direction: metric?.direction ?? "increase" };
+}
+
+// ===================== Unit-level inference ===================== //
+// Heavy-tailed metrics come with their simulated per-user values (simulateAB's units). For the rest
+// simulateAB keeps only each arm's daily totals, and the unit-level methods rebuild per-user values that
+// add up to them, spread by the metric's variance model: POISSON puts each event on a uniformly random
+// user of the day, OVERDISPERSED on a user drawn by Exp(1) activity weights (σ² ≈ μ + μ²), BINARY
+// makes the day's total the number of converted users. Every day of the window is pooled (ramp phases
+// and segments are not stratified). Values are small counts, so an arm is kept as a histogram:
+// { values, counts, n, sum, sumSq }.
+export const BOOTSTRAP_RESAMPLES = 2000;
+export const PERMUTATIONS = 2000;
+
+function spreadDayTotal(metric, total, n, r, tally){
+  const add = (v, c) => { if (c > 0) tally.set(v, (tally.get(v) || 0) + c); };
+  if (metric?.variance === "BINARY") {
+    const k = clamp(total, 0, n);
+    add(1, k); add(0, n - k);
+    return;
+  }
+  const perUser = new Uint32Array(n);
+  if (metric?.variance === "OVERDISPERSED") {
+    const cum = new Float64Array(n);
+    let acc = 0;
+    for (let j = 0; j < n; j++) { acc -= Math.log(Math.max(1e-12, r())); cum[j] = acc; }
+    for (let e = 0; e < total; e++) {
+      const u = r() * acc;
+      let lo = 0, hi = n - 1;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (cum[mid] < u) lo = mid + 1; else hi = mid; }
+      perUser[lo]++;
+    }
+  } else {
+    for (let e = 0; e < total; e++) perUser[Math.min(n - 1, Math.floor(r() * n))]++;
+  }
+  const day = new Map();
+  for (let j = 0; j < n; j++) day.set(perUser[j], (day.get(perUser[j]) || 0) + 1);
+  day.forEach((c, v) => add(v, c));
+}
+
+function unitHistogram(tally){
+  const values = [...tally.keys()].sort((a, b) => a - b);
+  const counts = values.map(v => tally.get(v));
+  let n = 0, sum = 0, sumSq = 0;
+  values.forEach((v, k) => { n += counts[k]; sum += v * counts[k]; sumSq += v * v * counts[k]; });
+  return { values, counts, n, sum, sumSq };
+}
+
+// Per-user values of one arm over the test window (per-user totals under simulateUsers); null when
+// the metric has no per-user variance (or is drawn per user but sim carries no units)
+export function armUnits(sim, key, arm, { seed, metric = null } = {}){
+  if (sim.users) { // DAU here: days each user visited
+    const values = sim.users.perUser[arm]?.[key];
+    if (!values || (key !== COHORT_KEY && metric?.variance === "COHORT")) return null;
+    const tally = new Map();
+    values.forEach(v => tally.set(v, (tally.get(v) || 0) + 1));
+    const h = unitHistogram(tally);
+    return h.n > 1 ? h : null;
+  }
+  if (key === COHORT_KEY || metric?.variance === "COHORT") return null;
+  if (isUnitDrawn(metric)) { const h = sim.units?.[key]?.[arm]; return h?.n > 1 ? h : null; }
+  const { simData, cohorts, startIndex } = sim;
+  const r = seededStream(`${seed}:units:${key}:${arm}`);
+  const tally = new Map(), skip = new Set(sim.excluded || []);
+  for (let i = startIndex; i < simData.length; i++) {
+    if (skip.has(i)) continue;
+    const n = cohorts[i]?.[arm] || 0;
+    if (n > 0) spreadDayTotal(metric, Math.max(0, Math.round(simData[i][`${key}_${arm}`] || 0)), n, r, tally);
+  }
+  const h = unitHistogram(tally);
+  return h.n > 1 ? h : null;
+}
+
+// Regularized incomplete beta I_x(a, b), continued fraction (modified Lentz)
+function betaInc(x, a, b){
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) return 1 - betaInc(1 - x, b, a);
+  const tiny = 1e-300, front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+  for (let m = 1; m <= 2000; m++) {
+    for (const num of [m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)), -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))]) {
+      d = 1 + num * d; d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + num / c; if (Math.abs(c) < tiny) c = tiny;
+      h *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-13) break;
+  }
+  return front * h / a;
+}
+
+// Two-tailed p of Student's t with df degrees of freedom
+export function tTwoTailedP(t, df){
+  if (!(df > 0)) return NaN;
+  return df > 1e7 ? twoTailedP(t) : clamp(betaInc(df / (df + t * t), df / 2, 0.5), 0, 1);
+}
+
+export function studentTCDF(t, df){
+  const tail = tTwoTailedP(t, df) / 2;
+  return t >= 0 ? 1 - tail : tail;
+}
+
+// Inverse of studentTCDF (bisection)
+export function invStudentT(p, df){
+  if (p <= 0 || p >= 1 || !(df > 0)) return NaN;
+  let lo = -1, hi = 1;
+  while (studentTCDF(lo, df) > p && lo > -1e12) lo *= 2;
+  while (studentTCDF(hi, df) < p && hi < 1e12) hi *= 2;
+  for (let it = 0; it < 100; it++) {
+    const mid = (lo + hi) / 2;
+    if (studentTCDF(mid, df) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function logChoose(n, k){
+  return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+// Binomial draw for resampling: inversion while the variance is small, normal approximation beyond
+function drawBinomial(n, p, r){
+  if (n <= 0 || p <= 0) return 0;
+  if (p >= 1) return n;
+  if (p > 0.5) return n - drawBinomial(n, 1 - p, r);
+  if (n * p * (1 - p) >= 30) return clamp(Math.round(n * p + Math.sqrt(n * p * (1 - p)) * boxMuller(r)), 0, n);
+  const s = p / (1 - p), a = (n + 1) * s;
+  let pmf = Math.pow(1 - p, n), u = r(), k = 0;
+  while (u > pmf && k < n) { u -= pmf; k++; pmf *= a / k - s; }
+  return k;
+}
+
+// How many of `draws` units taken without replacement from N fall among the K marked ones
+function drawHypergeometric(N, K, draws, r){
+  if (draws <= 0 || K <= 0) return 0;
+  if (K >= N) return draws;
+  if (2 * K > N) return draws - drawHypergeometric(N, N - K, draws, r);
+  const lo = Math.max(0, draws - (N - K)), hi = Math.min(draws, K);
+  const mean = draws * K / N, v = mean * (1 - K / N) * (N - draws) / Math.max(1, N - 1);
+  if (v >= 30) return clamp(Math.round(mean + Math.sqrt(v) * boxMuller(r)), lo, hi);
+  let pmf = Math.exp(logChoose(K, lo) + logChoose(N - K, draws - lo) - logChoose(N, draws)), u = r(), k = lo;
+  while (u > pmf && k < hi) { u -= pmf; pmf *= (K - k) * (draws - k) / ((k + 1) * (N - K - draws + k + 1)); k++; }
+  return k;
+}
+
+// Sum of a bootstrap resample of a histogram (multinomial via conditional binomials)
+function resampleSum(h, r){
+  let left = h.n, mass = h.n, sum = 0;
+  for (let k = 0; k < h.values.length && left > 0; k++) {
+    const c = drawBinomial(left, h.counts[k] / mass, r);
+    sum += c * h.values[k]; left -= c; mass -= h.counts[k];
+  }
+  return sum;
+}
+
+// Sum of `draws` units relabelled at random from the pooled histogram (multivariate hypergeometric)
+function permutedSum(pooled, draws, r){
+  let N = pooled.n, left = draws, sum = 0;
+  for (let k = 0; k < pooled.values.length && left > 0; k++) {
+    const c = drawHypergeometric(N, pooled.counts[k], left, r);
+    sum += c * pooled.values[k]; left -= c; N -= pooled.counts[k];
+  }
+  return sum;
+}
+
+function mergeHistograms(a, b){
+  const tally = new Map();
+  [a, b].forEach(h => h.values.forEach((v, k) => tally.set(v, (tally.get(v) || 0) + h.counts[k])));
+  return unitHistogram(tally);
+}
+
+// Smallest value with at least a share q of the units at or below it
+function histogramQuantile(h, q){
+  let below = 0;
+  for (let k = 0; k < h.values.length; k++) {
+    below += h.counts[k];
+    if (below >= q * h.n) return h.values[k];
+  }
+  return h.values[h.values.length - 1];
+}
+
+function capHistogram(h, cap){
+  const tally = new Map();
+  h.values.forEach((v, k) => { const x = Math.min(v, cap); tally.set(x, (tally.get(x) || 0) + h.counts[k]); });
+  return unitHistogram(tally);
+}
+
+// Arm vs Control on per-user values (armUnits histograms), in computeStats' shape plus inference
+// (and df / resamples). se is the observed-variance (Welch) SE for every method, which the
+// normal-theory steps downstream (arm adjustment, CUPED, non-inferiority) build on; z is Welch's t or
+// the normal score of the method's p. MWU and PERM give no interval (ciLow/ciHigh NaN).
+export function unitInference(method, ctrl, arm, { conf = DEFAULT_CONFIDENCE, seed = 0 } = {}){
+  const alpha = 1 - conf;
+  const muC = ctrl.sum / ctrl.n, muT = arm.sum / arm.n, diff = muT - muC;
+  const varOf = (h) => Math.max(0, (h.sumSq - h.sum * h.sum / h.n) / (h.n - 1));
+  const vC = varOf(ctrl) / ctrl.n, vT = varOf(arm) / arm.n, se = Math.sqrt(vC + vT);
+  const out = { muC, muT, diff, se, lift: muC > 0 ? diff / muC : 0, inference: method };
+  const score = (p) => Math.sign(diff) * (p < 1e-15 ? 8 : invNorm(1 - p / 2));
+  if (!(se > 0)) return { ...out, z: 0, p: 1, ciLow: diff, ciHigh: diff };
+
+  if (method === "WELCH") {
+    const df = (vC + vT) * (vC + vT) / (vC * vC / (ctrl.n - 1) + vT * vT / (arm.n - 1));
+    const t = diff / se, q = invStudentT(1 - alpha / 2, df);
+    return { ...out, z: t, p: tTwoTailedP(t, df), ciLow: diff - q * se, ciHigh: diff + q * se, df };
+  }
+
+  if (method === "MWU") {
+    // Midranks over the merged histograms; tie-corrected, continuity-corrected normal approximation
+    const pooled = mergeHistograms(ctrl, arm), N = pooled.n;
+    const inArm = new Map(arm.values.map((v, k) => [v, arm.counts[k]]));
+    let below = 0, rankSum = 0, ties = 0;
+    pooled.values.forEach((v, k) => {
+      const t = pooled.counts[k];
+      rankSum += (inArm.get(v) || 0) * (below + (t + 1) / 2);
+      ties += t * t * t - t;
+      below += t;
+    });
+    const U = rankSum - arm.n * (arm.n + 1) / 2, dev = U - ctrl.n * arm.n / 2;
+    const sd = Math.sqrt(ctrl.n * arm.n / 12 * ((N + 1) - ties / (N * (N - 1))));
+    const z = sd > 0 ? Math.sign(dev) * Math.max(0, Math.abs(dev) - 0.5) / sd : 0;
+    return { ...out, z, p: twoTailedP(z), ciLow: NaN, ciHigh: NaN, probSuperiority: U / (ctrl.n * arm.n) };
+  }
+
+  if (method === "PERM") {
+    const r = seededStream(`${seed}:perm`), pooled = mergeHistograms(ctrl, arm);
+    const tol = 1e-9 * (Math.abs(muC) + Math.abs(muT) + 1e-12);
+    let extreme = 0;
+    for (let b = 0; b < PERMUTATIONS; b++) {
+      const sumT = permutedSum(pooled, arm.n, r);
+      if (Math.abs(sumT / arm.n - (pooled.sum - sumT) / ctrl.n) >= Math.abs(diff) - tol) extreme++;
+    }
+    const p = (1 + extreme) / (PERMUTATIONS + 1);
+    return { ...out, z: score(p), p, ciLow: NaN, ciHigh: NaN, resamples: PERMUTATIONS };
+  }
+
+  if (method === "BOOT_PCT" || method === "BOOT_BCA") {
+    const r = seededStream(`${seed}:boot`), B = BOOTSTRAP_RESAMPLES;
+    const boot = new Float64Array(B);
+    for (let b = 0; b < B; b++) boot[b] = resampleSum(arm, r) / arm.n - resampleSum(ctrl, r) / ctrl.n;
+    boot.sort();
+    const quantile = (q) => {
+      const x = clamp(q, 0, 1) * (B - 1), i = Math.floor(x), f = x - i;
+      return i + 1 < B ? boot[i] * (1 - f) + boot[i + 1] * f : boot[B - 1];
+    };
+    const share = (x) => { // share of resamples below x, ties counted half
+      let lt = 0, eq = 0;
+      for (let b = 0; b < B; b++) { if (boot[b] < x) lt++; else if (boot[b] === x) eq++; }
+      return clamp((lt + eq / 2) / B, 0.5 / B, 1 - 0.5 / B);
+    };
+    let levels = [alpha / 2, 1 - alpha / 2], oneSided = share(0);
+    if (method === "BOOT_BCA") {
+      // Bias correction z0 from the resamples; acceleration from the empirical influence values
+      // of the difference in means: (v − μT)/nT in the arm, −(v − μC)/nC in Control
+      const z0 = invNorm(share(diff));
+      let s2 = 0, s3 = 0;
+      [[arm, muT, 1], [ctrl, muC, -1]].forEach(([h, mu, sign]) => h.values.forEach((v, k) => {
+        const l = sign * (v - mu) / h.n;
+        s2 += h.counts[k] * l * l; s3 += h.counts[k] * l * l * l;
+      }));
+      const acc = s2 > 0 ? s3 / (6 * Math.pow(s2, 1.5)) : 0;
+      levels = levels.map(q => { const w = z0 + invNorm(q); return stdNormCDF(z0 + w / (1 - acc * w)); });
+      // p: the alpha at which a BCa bound reaches 0 (the same mapping, inverted)
+      const y = invNorm(oneSided) - z0;
+      oneSided = stdNormCDF(y / (1 + acc * y) - z0);
+    }
+    const p = clamp(2 * Math.min(oneSided, 1 - oneSided), 1 / (B + 1), 1);
+    return { ...out, z: score(p), p, ciLow: quantile(levels[0]), ciHigh: quantile(levels[1]), resamples: B };
+  }
+
+  const z = diff / se; // "Z" on observed variance
+  return { ...out, z, p: twoTailedP(z), ciLow: diff - zCritical(conf) * se, ciHigh: diff + zCritical(conf) * se };
+}
+
+// ===================== Sample ratio mismatch (SRM) ===================== //
+export const SRM_ALPHA = 0.001; // conventional SRM threshold — a real mismatch is rarely subtle
+
+// ln Γ(z), Lanczos approximation (g = 7)
+function logGamma(z){
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  z -= 1;
+  let x = c[0];
+  for (let i = 1; i < 9; i++) x += c[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+// Regularized upper incomplete gamma Q(a, x): series below a+1, continued fraction above
+function gammaQ(a, x){
+  if (x <= 0) return 1;
+  const lead = -x + a * Math.log(x) - logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a, term = sum;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) { term *= x / (a + n); sum += term; }
+    return Math.max(0, 1 - sum * Math.exp(lead));
+  }
+  let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return Math.exp(lead) * h;
+}
+
+export function chiSquareSF(x, df){
+  return gammaQ(df / 2, x / 2);
+}
+
+// Pearson goodness-of-fit of observed arm counts against the configured shares
+export function srmTest(observed, shares){
+  const n = observed.reduce((s, x) => s + x, 0);
+  const w = shares.reduce((s, x) => s + x, 0);
+  if (n <= 0 || w <= 0) return { n, chi2: 0, df: observed.length - 1, p: 1, expected: observed.map(() => 0) };
+  const expected = shares.map(x => n * x / w);
+  const chi2 = observed.reduce((s, o, k) => s + (expected[k] > 0 ? (o - expected[k]) ** 2 / expected[k] : 0), 0);
+  const df = observed.length - 1;
+  return { n, chi2, df, p: chiSquareSF(chi2, df), expected };
+}
+
+// SRM over the test window and per day, from the simulated DAU cohort columns
+// cohorts (optional, from simulateAB): per-day configured shares, needed when a ramp changes them
+// With a user-level simulation the overall test counts distinct exposed users: the same user's visits
+// on different days are not independent draws, so pooled user-days would raise false alarms.
+export function srmCheck(simData, startIndex, armShares, cohorts = null, users = null){
+  const ids = armShares.map(a => a.id), shares = armShares.map(a => a.split);
+  const totals = ids.map(() => 0), expected = ids.map(() => 0);
+  const daily = simData.slice(startIndex).map((row, d) => {
+    const observed = ids.map(id => row[`DAU_${id}`] || 0);
+    const dayShares = cohorts?.[startIndex + d]?.shares ? ids.map(id => cohorts[startIndex + d].shares[id] ?? 0) : shares;
+    const n = observed.reduce((a, b) => a + b, 0), mass = dayShares.reduce((a, b) => a + b, 0);
+    observed.forEach((x, k) => { totals[k] += x; expected[k] += mass > 0 ? n * dayShares[k] / mass : 0; });
+    const t = srmTest(observed, dayShares);
+    return { date: row.date, label: row.label, observed, ...t, flagged: t.p < SRM_ALPHA };
+  });
+  const overall = users
+    ? { observed: ids.map(id => users.exposed[id] || 0), ...srmTest(ids.map(id => users.exposed[id] || 0), shares) }
+    : { observed: totals, ...srmTest(totals, expected) };
+  return { ids, shares, overall, daily, flagged: overall.p < SRM_ALPHA, flaggedDays: daily.filter(d => d.flagged).length };
+}
+
+// ===================== Many-to-one comparisons (A/B/n) ===================== //
+// P(max_i |Z_i| <= c) when every Z_i shares the control arm: corr(Z_i, Z_j) = λ_i·λ_j with
+// λ_i = sqrt(n_i / (n_i + n_C)). One-factor representation → 1-D integral (Simpson's rule).
+function dunnettCoverage(c, lambdas){
+  const M = 160, lo = -8, h = 16 / M;
+  let sum = 0;
+  for (let j = 0; j <= M; j++) {
+    const w0 = lo + j * h;
+    let prod = 1;
+    for (const l of lambdas) {
+      const sd = Math.sqrt(1 - l * l);
+      prod *= stdNormCDF((c - l * w0) / sd) - stdNormCDF((-c - l * w0) / sd);
+    }
+    sum += (j === 0 || j === M ? 1 : (j % 2 ? 4 : 2)) * stdNormPDF(w0) * prod;
+  }
+  return sum * h / 3;
+}
+
+export function dunnettCritical(alpha, lambdas){
+  let lo = 0, hi = 10;
+  for (let it = 0; it < 60; it++) {
+    const mid = (lo + hi) / 2;
+    if (dunnettCoverage(mid, lambdas) < 1 - alpha) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Two-sided per-comparison alpha used for sizing k equal-allocation treatment arms
+export function perComparisonAlpha(alpha, k, method){
+  if (k <= 1) return alpha;
+  if (method === "DUNNETT") {
+    const c = dunnettCritical(alpha, new Array(k).fill(Math.SQRT1_2));
+    return 2 * (1 - stdNormCDF(c));
+  }
+  return alpha / k; // Holm's first step (Bonferroni)
+}
+
+// Adjust one metric's treatment-vs-control comparisons for multiplicity.
+// Adds pAdj plus simultaneous CIs (Dunnett critical value, or Bonferroni for Holm); rows tested
+// without an interval (ciLow NaN) keep none.
+export function adjustManyToOne(rows, { method = "DUNNETT", alpha = 0.05 } = {}){
+  const k = rows.length;
+  if (k <= 1) return rows.map(r => ({ ...r, pAdj: r.p, ciLowAdj: r.ciLow, ciHighAdj: r.ciHigh }));
+  if (method === "DUNNETT") {
+    const lambdas = rows.map(r => Math.sqrt(r.nT / (r.nT + r.nC)));
+    const c = dunnettCritical(alpha, lambdas);
+    return rows.map(r => ({
+      ...r,
+      pAdj: clamp(1 - dunnettCoverage(Math.abs(r.z), lambdas), 0, 1),
+      ...widenedCI(r, c),
+    }));
+  }
+  const order = rows.map((r, i) => i).sort((a, b) => rows[a].p - rows[b].p);
+  const pAdj = new Array(k);
+  let running = 0;
+  order.forEach((idx, rank) => {
+    running = Math.max(running, Math.min(1, (k - rank) * rows[idx].p));
+    pAdj[idx] = running;
+  });
+  const zB = invNorm(1 - alpha / (2 * k));
+  return rows.map((r, i) => ({ ...r, pAdj: pAdj[i], ...widenedCI(r, zB) }));
+}
+
+function widenedCI(r, crit){
+  const ok = Number.isFinite(r.ciLow);
+  return { ciLowAdj: ok ? r.diff - crit * r.se : NaN, ciHighAdj: ok ? r.diff + crit * r.se : NaN };
+}
+
+export function pFmt(p){
+  return p < 0.0001 ? "<0.0001" : p.toFixed(4);
+}
+
+// ===================== Multiple testing across metrics ===================== //
+export const MT_CORRECTIONS = [
+  { id: "NONE", label: "None" },
+  { id: "BONFERRONI", label: "Bonferroni" },
+  { id: "HOLM", label: "Holm" },
+  { id: "HOCHBERG", label: "Hochberg" },
+  { id: "BH", label: "Benjamini–Hochberg (FDR)" },
+];
+export const MT_SCOPES = [
+  { id: "FAMILY", label: "within each family" },
+  { id: "GUARDRAIL", label: "within guardrails only" },
+  { id: "SUCCESS", label: "within success metrics only" },
+  { id: "ALL", label: "across all metrics" },
+];
+
+// Adjusted p-values for one set of hypotheses (same order as ps)
+export function adjustPValues(ps, method){
+  const m = ps.length;
+  if (method === "NONE" || m <= 1) return ps.slice();
+  if (method === "BONFERRONI") return ps.map(p => Math.min(1, m * p));
+  const asc = ps.map((p, i) => i).sort((a, b) => ps[a] - ps[b]);
+  const out = new Array(m);
+  if (method === "HOLM") { // step-down: running max of (m − rank)·p
+    let running = 0;
+    asc.forEach((idx, rank) => { running = Math.max(running, Math.min(1, (m - rank) * ps[idx])); out[idx] = running; });
+    return out;
+  }
+  // Step-up procedures: running min from the largest p down
+  const factor = method === "BH" ? (rank) => m / (rank + 1) : (rank) => m - rank;
+  let running = 1;
+  for (let rank = m - 1; rank >= 0; rank--) {
+    const idx = asc[rank];
+    running = Math.min(running, Math.min(1, factor(rank) * ps[idx]));
+    out[idx] = running;
+  }
+  return out;
+}
+
+// Per-comparison alpha for the matching confidence intervals. Holm and Hochberg have no CIs of their
+// own, so they get Bonferroni's; BH gets false-coverage-rate intervals (Benjamini–Yekutieli 2005):
+// level 1 − R·α/m with R the number of discoveries (R = 0 → Bonferroni).
+export function correctedAlpha(pAdjusted, method, alpha = 0.05){
+  const m = pAdjusted.length;
+  if (method === "NONE" || m <= 1) return alpha;
+  if (method === "BH") return Math.max(1, pAdjusted.filter(p => p < alpha).length) * alpha / m;
+  return alpha / m;
+}
+
+// Correct across metrics on top of the within-metric arm adjustment (adjustManyToOne).
+// families: { Guardrail: rows, Success: rows, ... } of adjusted results rows; scope picks which
+// families are corrected and whether together (ALL) or one at a time. Each treatment arm is its own
+// set of hypotheses; rows without variance (DAU, the cohort size) are not tests and don't count. Adds pMT, ciLowMT/ciHighMT (widened to the corrected alpha) and alphaMT to every
+// row; rows outside the scope keep their arm-adjusted values.
+export function correctAcrossMetrics(families, { method = "NONE", scope = "FAMILY", alpha = 0.05, armMethod = "DUNNETT" } = {}){
+  const inScope = name => scope === "ALL" || scope === "FAMILY" || name.toUpperCase() === scope;
+  const groups = scope === "ALL"
+    ? [Object.keys(families)]
+    : Object.keys(families).filter(inScope).map(name => [name]);
+  const alphaOf = new Map(), pOf = new Map();
+  groups.forEach(names => {
+    const rows = names.flatMap(name => families[name]);
+    [...new Set(rows.map(r => r.arm))].forEach(arm => {
+      const set = rows.filter(r => r.arm === arm && r.se > 0);
+      const adjusted = adjustPValues(set.map(r => r.pAdj ?? r.p), method);
+      const a = correctedAlpha(adjusted, method, alpha);
+      set.forEach((r, i) => { pOf.set(r, adjusted[i]); alphaOf.set(r, a); });
+    });
+  });
+  const out = {};
+  Object.entries(families).forEach(([name, rows]) => {
+    out[name] = rows.map(r => {
+      if (!alphaOf.has(r)) return { ...r, pMT: r.pAdj ?? r.p, ciLowMT: r.ciLowAdj ?? r.ciLow, ciHighMT: r.ciHighAdj ?? r.ciHigh, alphaMT: alpha };
+      const a = alphaOf.get(r), metricRows = rows.filter(o => o.key === r.key);
+      if (metricRows.length <= 1) {
+        if (a === alpha) return { ...r, pMT: pOf.get(r), ciLowMT: r.ciLowAdj ?? r.ciLow, ciHighMT: r.ciHighAdj ?? r.ciHigh, alphaMT: a }; // nothing to widen
+        const { ciLowAdj, ciHighAdj } = widenedCI(r, invNorm(1 - a / 2));
+        return { ...r, pMT: pOf.get(r), ciLowMT: ciLowAdj, ciHighMT: ciHighAdj, alphaMT: a };
+      }
+      // Re-run the arm adjustment for this metric at the corrected alpha to get the CI width
+      const widened = adjustManyToOne(metricRows, { method: armMethod, alpha: a }).find(o => o.arm === r.arm);
+      return { ...r, pMT: pOf.get(r), ciLowMT: widened.ciLowAdj, ciHighMT: widened.ciHighAdj, alphaMT: a };
+    });
+  });
+  return out;
+}
+
+// ===================== Guardrails & ship decision ===================== //
+export const DEFAULT_NI_MARGIN = 0.01; // guardrails without a catalog margin may get 1% worse
+export const VERDICTS = {
+  SHIP: { label: "Ship", tone: "good" },
+  NO_SHIP: { label: "Don't ship", tone: "bad" },
+  INCONCLUSIVE: { label: "Inconclusive", tone: "neutral" },
+};
+
+// One-sided non-inferiority test on a results row. H0: the arm is worse than Control by at least
+// margin (relative, in the metric's harmful direction); rejecting it at alpha means non-inferior.
+// status: PASS (non-inferior), FAIL (worse than the margin, also at one-sided alpha) or INCONCLUSIVE.
+// bound is the worst plausible relative lift (one-sided 1−alpha). Null when the row has no variance.
+export function nonInferiority(row, { margin = DEFAULT_NI_MARGIN, alpha = 0.05 } = {}){
+  if (!(row.se > 0) || !(row.muC > 0)) return null;
+  const sign = row.direction === "decrease" ? -1 : 1; // orient so that positive = better
+  const delta = margin * row.muC;
+  const zA = invNorm(1 - alpha);
+  const z = (sign * row.diff + delta) / row.se;
+  const p = 1 - stdNormCDF(z);
+  const best = sign * row.diff + zA * row.se;
+  const status = p < alpha ? "PASS" : best < -delta ? "FAIL" : "INCONCLUSIVE";
+  return { margin, alpha, z, p, bound: sign * (sign * row.diff - zA * row.se) / row.muC, status };
+}
+
+// Verdict for one treatment arm. success: that arm's success-metric rows; guardrails: its guardrail
+// rows carrying .ni from nonInferiority. Success metrics are judged on the arm-adjusted p (pAdj) at the
+// rule's alpha, split Bonferroni-style across metrics for CO_PRIMARY / ANY_OF like the sizer assumes.
+// Guardrails need no multiplicity correction: every one of them has to pass (intersection–union).
+export function shipDecision({ success = [], guardrails = [], rule = "PRIMARY", primary = null, alpha = 0.05, srmFlagged = false }){
+  const reasons = [];
+  const add = (tone, text) => reasons.push({ tone, text });
+  const tested = rule === "PRIMARY" ? success.filter(r => r.key === primary) : success;
+  const alphaRule = rule === "PRIMARY" ? alpha : alpha / Math.max(1, tested.length);
+  const outcomes = tested.map(r => {
+    const p = r.pAdj ?? r.p;
+    return { key: r.key, label: r.label, lift: r.lift, p, outcome: p < alphaRule ? (isHarmful(r, r.lift) ? "LOSS" : "WIN") : "FLAT" };
+  });
+  const wins = outcomes.filter(o => o.outcome === "WIN"), losses = outcomes.filter(o => o.outcome === "LOSS");
+  const ruleMet = outcomes.length > 0 && (rule === "ANY_OF" ? wins.length > 0 : wins.length === outcomes.length);
+
+  if (srmFlagged) add("bad", "Sample ratio mismatch — the assignment is broken, so no result can be trusted.");
+  if (!outcomes.length) add("neutral", rule === "PRIMARY" ? `Primary metric ${primary ?? ""} is not among the selected success metrics.` : "No success metric selected.");
+  outcomes.forEach(o => add(
+    o.outcome === "WIN" ? "good" : o.outcome === "LOSS" ? "bad" : "neutral",
+    `${o.label}: ${percentFmt(o.lift)} (p ${pFmt(o.p)}) — ${o.outcome === "WIN" ? "significant improvement" : o.outcome === "LOSS" ? "significantly worse" : `not significant at α ${Number(alphaRule.toPrecision(3))}`}.`
+  ));
+  if (outcomes.length) add(ruleMet ? "good" : "neutral", `Decision rule ${rule}${rule === "PRIMARY" ? "" : ` (${wins.length}/${outcomes.length} metrics won)`} ${ruleMet ? "met" : "not met"}.`);
+
+  const gated = guardrails.filter(r => r.ni);
+  const failed = gated.filter(r => r.ni.status === "FAIL"), unsure = gated.filter(r => r.ni.status === "INCONCLUSIVE");
+  gated.forEach(r => add(
+    r.ni.status === "PASS" ? "good" : r.ni.status === "FAIL" ? "bad" : "neutral",
+    `${r.label}: worst plausible lift ${percentFmt(r.ni.bound)} vs margin −${percentFmt(r.ni.margin, 1)} — ${r.ni.status === "PASS" ? "non-inferior" : r.ni.status === "FAIL" ? "worse than the margin" : "can't rule out a drop beyond the margin"}.`
+  ));
+  guardrails.filter(r => !r.ni).forEach(r => add("neutral", `${r.label}: no per-user variance — not tested.`));
+
+  const verdict = srmFlagged ? "INCONCLUSIVE"
+    : failed.length || losses.length ? "NO_SHIP"
+    : ruleMet && !unsure.length ? "SHIP"
+    : "INCONCLUSIVE";
+  return { verdict, ...VERDICTS[verdict], ruleMet, alphaRule, outcomes, reasons };
+}
+
+// ===================== Readout ===================== //
+// Everything the results table and the ship decision show, from a simulateAB result. Shared by the
+// playground and the command-line tool so both produce the same numbers.
+// families: metric keys per family, { Guardrail, Success, Diagnostic, Ratio }
+// mt: correction across metrics ({ method, scope }); rule: decision rule ({ rule, primary, alpha })
+// conf: confidence level of the table (its alpha also drives the arm and cross-metric corrections);
+// sim: { simData, cohorts, startIndex } for the unit-level inference methods (see analyzeMetric)
+export function analyzeResults({ data, aggregates, seed, catalog = DEFAULT_METRICS, families, arms = ["Experiment"], cupedRho = 0, mcMethod = "DUNNETT", mt = { method: "NONE", scope: "FAMILY" }, srmFlagged = false, rule = { rule: "PRIMARY", primary: null, alpha: 0.05 }, conf = DEFAULT_CONFIDENCE, sim = null }){
+  const alpha = 1 - conf;
+  // One row per treatment arm vs Control, adjusted for the number of arms within each metric
+  const analyzeKey = (key) => adjustManyToOne(
+    arms.map(arm => analyzeMetric(key, { data, aggregates, seed, cupedRho, arm, catalog, conf, sim })),
+    { method: mcMethod, alpha }
+  ).map(r => ({ ...r, alpha, untrusted: srmFlagged }));
+  const niMarginOf = (key) => catalog.find(m => m.key === key)?.niMargin ?? DEFAULT_NI_MARGIN;
+  // Corrected across metrics on top of the per-metric arm adjustment (pMT / ciLowMT / ciHighMT)
+  const results = correctAcrossMetrics({
+    Guardrail: (families.Guardrail || []).flatMap(analyzeKey).map(r => ({ ...r, ni: nonInferiority(r, { margin: niMarginOf(r.key), alpha: rule.alpha }) })),
+    Success: (families.Success || []).flatMap(analyzeKey),
+    Diagnostic: (families.Diagnostic || []).flatMap(analyzeKey),
+    Ratio: (families.Ratio || []).flatMap(analyzeKey),
+  }, { method: mt.method, scope: mt.scope, alpha, armMethod: mcMethod });
+  const decisions = arms.map(arm => ({ arm, armLabel: variantLabel(arm), ...shipDecision({
+    success: results.Success.filter(r => r.arm === arm),
+    guardrails: results.Guardrail.filter(r => r.arm === arm),
+    rule: rule.rule, primary: rule.primary, alpha: rule.alpha, srmFlagged,
+  }) }));
+  return { ...results, decisions };
+}
+
+// ===================== Sizing & duration planning ===================== //
+// n per arm for a decision rule on success metrics (what DecisionRuleSizer shows). CO_PRIMARY and
+// ANY_OF split alpha Bonferroni-style across the metrics; extra arms split it per comparison.
+// CO_PRIMARY needs the largest n, ANY_OF is satisfied by the smallest.
+export function ruleSampleSizes({ data, catalog = DEFAULT_METRICS, keys, rule = "PRIMARY", primary, alpha = 0.05, power = 0.8, mdePct = 0.1, varianceFactor = 1, comparisons = 1, mcMethod = "DUNNETT" }){
+  const alphaRule = rule === "PRIMARY" ? alpha : alpha / Math.max(1, keys.length);
+  const alphaAdj = perComparisonAlpha(alphaRule, comparisons, mcMethod);
+  const rows = keys.map(k => {
+    const moments = metricMoments(catalog.find(m => m.key === k), basePerUser(k, data));
+    const { mu, cap } = moments, sigma2 = moments.sigma2 * varianceFactor; // varianceFactor < 1 under CUPED
+    const mdeAbs = mu * Math.max(0, mdePct); // under winsorization: the lift on the capped mean
+    return { key: k, label: metricLabel(k, catalog), mu, sigma2, cap, mdeAbs, alphaAdj, n: computeSampleSize({ sigma2, mdeAbs, alpha: alphaAdj, power }) };
+  });
+  const primaryRow = rows.find(r => r.key === primary) || rows[0];
+  const recommendedN = rule === "PRIMARY" ? primaryRow?.n ?? NaN
+    : rule === "CO_PRIMARY" ? rows.reduce((m, r) => Math.max(m, r.n || 0), 0)
+    : rows.reduce((m, r) => (m === 0 ? r.n || 0 : Math.min(m, r.n || 0)), 0);
+  return { rule, rows, primaryRow, recommendedN };
+}
+
+// Power of the rule with n per arm, on the same terms as the sizing: the binding metric for
+// CO_PRIMARY, the easiest one for ANY_OF
+export function rulePowerAtN(sizing, n){
+  const powers = (sizing.rule === "PRIMARY" ? [sizing.primaryRow].filter(Boolean) : sizing.rows)
+    .map(r => powerAtN({ sigma2: r.sigma2, mdeAbs: r.mdeAbs, alpha: r.alphaAdj, n }));
+  if (!powers.length) return 0;
+  return sizing.rule === "ANY_OF" ? Math.max(...powers) : Math.min(...powers);
+}
+
+// Forecast DAU for the days after the history: classical multiplicative decomposition over the last
+// lookback days — a centred 7-day moving average, day-of-week indices (DAU / moving average,
+// averaged per weekday) and a straight-line trend fitted to the deseasonalized series.
+export function forecastDAU(data, horizon, { lookback = 56 } = {}){
+  const hist = data.slice(-Math.max(14, lookback)).map(r => ({ dau: Number(r[COHORT_KEY]) || 0, weekday: new Date(`${r.date}T00:00:00`).getDay() }));
+  const ratios = Array.from({ length: 7 }, () => []);
+  for (let i = 3; i < hist.length - 3; i++) {
+    const ma = hist.slice(i - 3, i + 4).reduce((a, r) => a + r.dau, 0) / 7;
+    if (ma > 0) ratios[hist[i].weekday].push(hist[i].dau / ma);
+  }
+  const raw = ratios.map(rs => rs.length ? rs.reduce((a, b) => a + b, 0) / rs.length : 1);
+  const norm = raw.reduce((a, b) => a + b, 0) / 7;
+  const seasonal = raw.map(x => x / norm);
+
+  // OLS trend on the deseasonalized history, t = 0 … len-1
+  const y = hist.map(r => r.dau / seasonal[r.weekday]);
+  const len = y.length, tBar = (len - 1) / 2, yBar = y.reduce((a, b) => a + b, 0) / len;
+  let sxy = 0, sxx = 0;
+  y.forEach((v, t) => { sxy += (t - tBar) * (v - yBar); sxx += (t - tBar) * (t - tBar); });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+
+  const last = new Date(`${data[data.length - 1].date}T00:00:00`);
+  const days = Array.from({ length: horizon }, (_, h) => {
+    const d = new Date(last);
+    d.setDate(last.getDate() + h + 1);
+    const date = d.toISOString().slice(0, 10);
+    const trend = yBar + slope * (len + h - tBar);
+    return { day: h + 1, date, label: formatDateLabel(date), dau: Math.max(0, trend * seasonal[d.getDay()]) };
+  });
+  return { days, seasonal, slope, level: yBar + slope * (len - 1 - tBar) };
+}
+
+// Days until each arm (share of forecast DAU) reaches n users, plus the same rounded up to whole
+// weeks so every weekday is equally represented. daysNeeded is null if the horizon is too short.
+export function planDuration(forecast, { n, share }){
+  let cum = 0, daysNeeded = null;
+  const curve = forecast.days.map(f => {
+    cum += f.dau * share;
+    if (daysNeeded == null && cum >= n) daysNeeded = f.day;
+    return { day: f.day, label: f.label, dau: f.dau, nPerArm: cum };
+  });
+  return { daysNeeded, weeks: daysNeeded == null ? null : Math.ceil(daysNeeded / 7), days: daysNeeded == null ? null : Math.ceil(daysNeeded / 7) * 7, curve };
+}
+
+// ===================== Sequential testing ===================== //
+export function stdNormPDF(x){
+  return 0.3989422804014327 * Math.exp(-x*x/2);
+}
+
+// Cumulative alpha spent by information fraction t (Lan–DeMets spending functions)
+function alphaSpent(t, alpha, type){
+  if (t <= 0) return 0;
+  if (t >= 1) return alpha;
+  if (type === "POCOCK") return alpha * Math.log(1 + (Math.E - 1) * t);
+  return 4 * (1 - stdNormCDF(invNorm(1 - alpha/4) / Math.sqrt(t))); // O'Brien–Fleming-type, α/2 per side
+}
+
+// Two-sided group-sequential z boundaries for looks at information fractions `fractions`
+// (increasing, last = 1). Recursive numerical integration of the score process on a grid:
+// at each look the continuation density is propagated and the boundary is placed so the
+// crossing probability under H0 equals that look's alpha increment.
+export function spendingBoundaries(fractions, alpha, type){
+  const G = 801, L = 8, h = (2 * L) / (G - 1);
+  const grid = Array.from({ length: G }, (_, i) => -L + i * h);
+  let dens = null, tPrev = 0, spentPrev = 0;
+  return fractions.map(t => {
+    const sd = Math.sqrt(Math.max(1e-12, t - tPrev));
+    const next = new Array(G).fill(0);
+    if (!dens) {
+      for (let i = 0; i < G; i++) next[i] = stdNormPDF(grid[i] / sd) / sd;
+    } else {
+      const reach = Math.ceil((6 * sd) / h);
+      for (let j = 0; j < G; j++) {
+        if (dens[j] === 0) continue;
+        const w = dens[j] * h;
+        for (let i = Math.max(0, j - reach); i <= Math.min(G - 1, j + reach); i++) {
+          next[i] += w * stdNormPDF((grid[i] - grid[j]) / sd) / sd;
+        }
+      }
+    }
+    const spent = alphaSpent(t, alpha, type);
+    const budget = Math.max(0, spent - spentPrev);
+    // Walk inward from both tails until the tail mass reaches the budget
+    let mass = 0, b = L;
+    for (let i = 0; i < (G - 1) / 2; i++) {
+      const pair = (next[i] + next[G - 1 - i]) * h;
+      if (mass + pair >= budget) { b = Math.abs(grid[i]) + h/2 - h * ((budget - mass) / (pair || 1)); break; }
+      mass += pair;
+    }
+    for (let i = 0; i < G; i++) if (Math.abs(grid[i]) > b) next[i] = 0;
+    dens = next; tPrev = t; spentPrev = spent;
+    return b / Math.sqrt(t); // S-scale → z-scale
+  });
+}
+
+// Day-by-day cumulative analysis of one metric over the test window. For MSPRT the
+// always-valid p-value uses a normal mixture with prior sd tau (absolute units) on the diff;
+// for OBF/POCOCK the boundary comes from the alpha-spending function above.
+export function sequentialAnalysis(simData, startIndex, key, { method = "MSPRT", alpha = 0.05, tauPct = 0.10, metric = null } = {}){
+  const rows = [];
+  let sumC = 0, sumT = 0, nC = 0, nT = 0;
+  for (let i = startIndex; i < simData.length; i++) {
+    const r = simData[i];
+    sumC += r[`${key}_Control`] || 0; sumT += r[`${key}_Experiment`] || 0;
+    nC += r.DAU_Control || 0; nT += r.DAU_Experiment || 0;
+    if (nC === 0 || nT === 0) continue;
+    const muC = sumC / nC, muT = sumT / nT;
+    const s = computeStats({ muC, liftPct: muC > 0 ? muT / muC - 1 : 0, nC, nT, varBoost: 0.05, metric });
+    rows.push({ date: r.date, label: r.label, day: i - startIndex + 1, nC, nT, muC, se: s.se, z: s.z, p: s.p, lift: s.lift });
+  }
+  if (rows.length === 0) return { rows, firstStop: null, firstNaive: null };
+
+  const zNaive = invNorm(1 - alpha/2);
+  if (method === "MSPRT") {
+    let pav = 1;
+    rows.forEach(row => {
+      const tau2 = Math.pow(tauPct * row.muC, 2);
+      const V = row.se * row.se; // variance of the diff estimate
+      if (!(tau2 > 0) || !(V > 0)) { row.pAlwaysValid = pav; row.boundary = NaN; return; }
+      const logLambda = 0.5 * Math.log(V / (V + tau2)) + (tau2 * row.z * row.z) / (2 * (V + tau2));
+      pav = Math.min(pav, Math.exp(-logLambda));
+      row.pAlwaysValid = Math.min(1, pav);
+      // |z| at which the mixture likelihood ratio reaches 1/alpha
+      row.boundary = Math.sqrt((2 * (V + tau2) / tau2) * (Math.log(1 / alpha) + 0.5 * Math.log((V + tau2) / V)));
+    });
+  } else {
+    const total = rows[rows.length - 1].nC + rows[rows.length - 1].nT;
+    const fractions = rows.map(row => (row.nC + row.nT) / total);
+    const bounds = spendingBoundaries(fractions, alpha, method);
+    rows.forEach((row, i) => { row.boundary = bounds[i]; });
+  }
+  rows.forEach(row => {
+    row.crossed = Number.isFinite(row.boundary) && Math.abs(row.z) >= row.boundary;
+    row.naiveSig = Math.abs(row.z) >= zNaive;
+    row.upper = Number.isFinite(row.boundary) ? Math.min(row.boundary, 10) : null;
+    row.lower = row.upper != null ? -row.upper : null;
+  });
+  return {
+    rows,
+    zNaive,
+    firstStop: rows.find(r => r.crossed) || null,
+    firstNaive: rows.find(r => r.naiveSig) || null,
+  };
+}
+
+// ===================== Daily lift & trend ===================== //
+// Lift estimated from each day's cohorts alone, plus a weighted least-squares slope of the daily
+// lift over the test window. A significant slope means the effect is not constant: novelty
+// (shrinking towards the long-run value) or learning (growing).
+export function dailyLiftAnalysis(simData, startIndex, key, { alpha = 0.05, metric = null, trueDailyLift = [] } = {}){
+  const zc = invNorm(1 - alpha / 2);
+  const rows = [];
+  for (let i = startIndex; i < simData.length; i++) {
+    const r = simData[i];
+    const nC = r.DAU_Control || 0, nT = r.DAU_Experiment || 0;
+    if (nC === 0 || nT === 0) continue;
+    const muC = (r[`${key}_Control`] || 0) / nC, muT = (r[`${key}_Experiment`] || 0) / nT;
+    if (!(muC > 0)) continue;
+    const s = computeStats({ muC, liftPct: muT / muC - 1, nC, nT, varBoost: 0.05, metric });
+    const liftSE = s.se / muC;
+    rows.push({
+      date: r.date, label: r.label, day: i - startIndex + 1, nC, nT,
+      lift: s.lift, liftSE, ciLow: s.lift - zc * liftSE, ciHigh: s.lift + zc * liftSE, p: s.p,
+      trueLift: trueDailyLift[i - startIndex] ?? null,
+    });
+  }
+  return { rows, alpha, trend: liftTrend(rows, alpha) };
+}
+
+// WLS fit lift = a + b·day with weights 1/SE²; tests b = 0
+function liftTrend(rows, alpha){
+  const pts = rows.filter(r => r.liftSE > 0);
+  if (pts.length < 3) return null;
+  let sw = 0, sx = 0, sy = 0;
+  pts.forEach(r => { const w = 1 / (r.liftSE * r.liftSE); sw += w; sx += w * r.day; sy += w * r.lift; });
+  const xBar = sx / sw, yBar = sy / sw;
+  let sxx = 0, sxy = 0;
+  pts.forEach(r => { const w = 1 / (r.liftSE * r.liftSE); sxx += w * (r.day - xBar) ** 2; sxy += w * (r.day - xBar) * (r.lift - yBar); });
+  if (!(sxx > 0)) return null;
+  const slope = sxy / sxx, slopeSE = Math.sqrt(1 / sxx);
+  const z = slope / slopeSE, p = twoTailedP(z);
+  const intercept = yBar - slope * xBar;
+  rows.forEach(r => { r.fit = intercept + slope * r.day; });
+  // Shrinking in magnitude (towards zero) reads as novelty, growing as learning
+  const pattern = p >= alpha ? "FLAT" : Math.sign(slope) === Math.sign(yBar) ? "GROWING" : "DECAYING";
+  return { slope, slopeSE, z, p, intercept, meanLift: yBar, significant: p < alpha, pattern };
+}
+
+// ===================== Bayesian analysis ===================== //
+// Posterior of the relative lift for one results row.
+//  GAMMA_POISSON: per-user rates λ ~ Gamma(a0 + events, b0 + users), prior worth `priorUsers`
+//    users at the pre-period rate; log(λT/λC) is approximated as normal (digamma/trigamma).
+//  NORMAL: lift_hat ~ N(lift, (se/μC)²) with a N(priorMean, priorSd²) prior on the lift.
+// "Beat" and loss follow the metric's direction (row.direction = "decrease" → a drop is the win)
+export function bayesLift(row, { model = "GAMMA_POISSON", priorUsers = 100, priorMean = 0, priorSd = 0.10, credMass = 0.95 } = {}){
+  const zc = invNorm(1 - (1 - credMass) / 2);
+  const lowerIsBetter = row.direction === "decrease";
+  if (model === "GAMMA_POISSON") {
+    const a0 = priorUsers * Math.max(1e-9, row.muPre), b0 = priorUsers;
+    const aC = a0 + row.muC * row.nC, bC = b0 + row.nC;
+    const aT = a0 + row.muT * row.nT, bT = b0 + row.nT;
+    const eLog = (a, b) => Math.log(a) - 1 / (2 * a) - Math.log(b);
+    const vLog = (a) => 1 / a + 1 / (2 * a * a);
+    const m = eLog(aT, bT) - eLog(aC, bC);
+    const sd = Math.sqrt(vLog(aT) + vLog(aC));
+    if (!(sd > 0)) return null;
+    return {
+      model, m, sd,
+      mean: Math.exp(m + sd * sd / 2) - 1,
+      ciLow: Math.exp(m - zc * sd) - 1, ciHigh: Math.exp(m + zc * sd) - 1,
+      pBeat: stdNormCDF((lowerIsBetter ? -m : m) / sd),
+      // E[max(0, -(e^Y - 1))] for Y ~ N(m, sd²); E[max(0, e^Y - 1)] when lower is better
+      expectedLoss: Math.max(0, lowerIsBetter
+        ? Math.exp(m + sd * sd / 2) * stdNormCDF(m / sd + sd) - stdNormCDF(m / sd)
+        : stdNormCDF(-m / sd) - Math.exp(m + sd * sd / 2) * stdNormCDF(-m / sd - sd)),
+      density: (x) => x > -1 ? stdNormPDF((Math.log(1 + x) - m) / sd) / (sd * (1 + x)) : 0,
+      range: [Math.exp(m - 4 * sd) - 1, Math.exp(m + 4 * sd) - 1],
+    };
+  }
+  const liftHat = row.muC > 0 ? row.diff / row.muC : 0;
+  const sL = row.muC > 0 ? row.se / row.muC : NaN;
+  if (!(sL > 0) || !(priorSd > 0)) return null;
+  const prec = 1 / (priorSd * priorSd) + 1 / (sL * sL);
+  const sd = Math.sqrt(1 / prec);
+  const mean = (priorMean / (priorSd * priorSd) + liftHat / (sL * sL)) / prec;
+  return {
+    model, mean, sd,
+    ciLow: mean - zc * sd, ciHigh: mean + zc * sd,
+    pBeat: stdNormCDF((lowerIsBetter ? -mean : mean) / sd),
+    // E[max(0, -lift)], or E[max(0, lift)] when lower is better
+    expectedLoss: sd * stdNormPDF(mean / sd) + (lowerIsBetter ? mean * stdNormCDF(mean / sd) : -mean * stdNormCDF(-mean / sd)),
+    density: (x) => stdNormPDF((x - mean) / sd) / sd,
+    range: [mean - 4 * sd, mean + 4 * sd],
+  };
+}
+
+export function posteriorCurve(post, points = 81){
+  const [lo, hi] = post.range;
+  return Array.from({ length: points }, (_, i) => {
+    const x = lo + (hi - lo) * i / (points - 1);
+    return { x, lift: x * 100, density: post.density(x) };
+  });
+}
+
+// ===================== Monte Carlo power ===================== //
+// Re-runs simulateAB + computeStats over many seeds for one metric, once with a fixed true lift
+// and once with zero lift, to check the closed-form sizing against the actual simulator.
+export function histogram(values, { bins = 30, range = null } = {}){
+  const finite = values.filter(Number.isFinite);
+  if (!finite.length) return [];
+  let [lo, hi] = range || [Math.min(...finite), Math.max(...finite)];
+  if (!(hi > lo)) { lo -= 0.5; hi += 0.5; }
+  const width = (hi - lo) / bins;
+  const counts = new Array(bins).fill(0);
+  finite.forEach(v => { counts[clamp(Math.floor((v - lo) / width), 0, bins - 1)]++; });
+  return counts.map((count, i) => ({ x0: lo + i * width, x1: lo + (i + 1) * width, mid: lo + (i + 0.5) * width, count }));
+}
+
+function summarizeRuns(runs, alpha){
+  const n = runs.length;
+  const hits = runs.filter(r => r.p < alpha).length;
+  const rate = n ? hits / n : NaN;
+  const lifts = runs.map(r => r.lift);
+  const mean = lifts.reduce((s, x) => s + x, 0) / Math.max(1, n);
+  const sd = Math.sqrt(lifts.reduce((s, x) => s + (x - mean) ** 2, 0) / Math.max(1, n - 1));
+  return { runs: n, rejections: hits, rate, rateSE: Math.sqrt(rate * (1 - rate) / Math.max(1, n)), liftMean: mean, liftSd: sd };
+}
+
+// config: { metricKey, trueLift, alpha, runs, seed, splitC, splitT, testLen, cupedRho, catalog, segments, ramp, population, exclude, prePeriod }
+// onProgress(done, total) is called every ~2% of the simulations. With a population (simulateUsers)
+// there is no closed-form counterpart on the per-user scale: theoreticalPower and requiredN are NaN.
+export function runPowerSimulation(data, config, onProgress = () => {}){
+  const { metricKey, trueLift, alpha = 0.05, runs = 500, seed = 1, splitC, splitT, testLen, cupedRho = 0, catalog = DEFAULT_METRICS, segments = null, ramp = null, population = null, exclude = null, prePeriod = null } = config;
+  const metric = catalog.find(m => m.key === metricKey);
+  if (!metric || metric.key === COHORT_KEY) throw new Error(`Cannot simulate power for "${metricKey}"`);
+  const cohort = catalog.find(m => m.key === COHORT_KEY);
+  const scenarios = [["alt", trueLift], ["null", 0]];
+  const total = runs * scenarios.length, step = Math.max(1, Math.floor(total / 50));
+  const results = { alt: [], null: [] };
+  let done = 0, nC = 0, nT = 0;
+
+  scenarios.forEach(([name, lift]) => {
+    // Fixed true lift via the catalog; only DAU + the metric are simulated. A winsorized metric is
+    // tested on its capped per-user values, with Z (resampling methods would multiply the cost).
+    const simCatalog = [cohort, { ...metric, lift, inference: "Z" }];
+    for (let r = 0; r < runs; r++) {
+      const runSeed = hashStr(`power:${seed}:${r}`);
+      const { aggregates, ...sim } = simulateAB(data, { seed: runSeed, splitC, splitT, testLen, enforceNoDecline: false, cupedRho, catalog: simCatalog, segments, ramp, population, exclude, prePeriod });
+      const row = analyzeMetric(metric.key, { data, aggregates, seed: runSeed, cupedRho, catalog: simCatalog, sim: metric.winsor != null || sim.users ? sim : null });
+      const est = row.cuped || row;
+      results[name].push({ p: est.p, lift: est.lift });
+      if (name === "alt") { nC += row.nC; nT += row.nT; }
+      if (++done % step === 0 || done === total) onProgress(done, total);
+    }
+  });
+
+  // Closed-form view at the same (average) sample sizes
+  const avgNC = nC / runs, avgNT = nT / runs;
+  const muPre = basePerUserUntil(metric.key, data, Math.max(0, data.length - testLen));
+  const varianceFactor = 1 - cupedRho * cupedRho;
+  const momentsC = metricMoments(metric, muPre), momentsT = metricMoments(metric, muPre * (1 + trueLift));
+  const sigma2 = momentsC.sigma2 * varianceFactor;
+  const effect = Math.abs(momentsT.mu - momentsC.mu);
+  const se = Math.sqrt(sigma2 / avgNC + momentsT.sigma2 * varianceFactor / avgNT);
+  const zA = invNorm(1 - alpha / 2);
+  const theoreticalPower = se > 0 && !population ? stdNormCDF(effect / se - zA) + stdNormCDF(-effect / se - zA) : NaN;
+
+  const allLifts = [...results.alt, ...results.null].map(r => r.lift);
+  const range = [Math.min(...allLifts), Math.max(...allLifts)];
+  return {
+    metricKey: metric.key, trueLift, alpha, runs,
+    nC: avgNC, nT: avgNT,
+    power: summarizeRuns(results.alt, alpha),
+    typeI: summarizeRuns(results.null, alpha),
+    theoreticalPower,
+    requiredN: population ? NaN : computeSampleSize({ sigma2, mdeAbs: effect, alpha, power: 0.8 }),
+    liftHistogram: histogram(results.alt.map(r => r.lift), { range }).map((b, i) => ({
+      ...b, alt: b.count, null: histogram(results.null.map(r => r.lift), { range })[i]?.count ?? 0,
+    })),
+  };
+}
+
+// ===================== A/A diagnostics ===================== //
+// Under zero true lift p-values should be Uniform(0, 1): alpha of them below alpha, a flat
+// histogram and a QQ plot on the diagonal. Departures point at a wrong variance model.
+export const AA_FLAG_ALPHA = 0.001; // like SRM: only flag departures that are unlikely to be chance
+
+// Kolmogorov distribution tail P(K > x)
+function kolmogorovSF(x){
+  if (!(x > 0)) return 1;
+  let s = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * x * x);
+    s += term;
+    if (Math.abs(term) < 1e-12) break;
+  }
+  return clamp(s, 0, 1);
+}
+
+// One-sample Kolmogorov–Smirnov test of p-values against Uniform(0, 1)
+export function ksUniform(values){
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (!n) return { d: NaN, p: NaN };
+  let d = 0;
+  sorted.forEach((v, i) => { d = Math.max(d, (i + 1) / n - v, v - i / n); });
+  const sn = Math.sqrt(n);
+  return { d, p: kolmogorovSF((sn + 0.12 + 0.11 / sn) * d) };
+}
+
+// Sorted p-values against uniform quantiles, thinned to at most `points` pairs
+export function qqUniform(values, points = 100){
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const n = sorted.length;
+  const step = Math.max(1, Math.floor(n / points));
+  const out = [];
+  for (let i = 0; i < n; i += step) out.push({ expected: (i + 0.5) / n, observed: sorted[i] });
+  return out;
+}
+
+// config: { runs, alpha, seed, splitC, splitT, testLen, cupedRho, ratios, catalog, segments, ramp, population, exclude, prePeriod }
+// Every catalog metric (except DAU) and ratio is tested on each run.
+export function runAASimulation(data, config, onProgress = () => {}){
+  const { alpha = 0.05, runs = 500, seed = 1, splitC, splitT, testLen, cupedRho = 0, ratios = [], catalog = DEFAULT_METRICS, segments = null, ramp = null, population = null, exclude = null, prePeriod = null } = config;
+  const keys = [...catalog.filter(m => m.key !== COHORT_KEY).map(m => m.key), ...ratios.map(r => r.key)];
+  if (!keys.length) throw new Error("No metrics to test");
+  // As in runPowerSimulation: winsorized metrics on their capped per-user values, with Z
+  const zCatalog = catalog.map(m => ({ ...m, inference: "Z" }));
+  const pValues = Object.fromEntries(keys.map(k => [k, []]));
+  const step = Math.max(1, Math.floor(runs / 50));
+
+  for (let r = 0; r < runs; r++) {
+    const runSeed = hashStr(`aa:${seed}:${r}`);
+    const { aggregates, ...sim } = simulateAB(data, { seed: runSeed, splitC, splitT, testLen, enforceNoDecline: false, cupedRho, ratios, catalog, aaMode: true, segments, ramp, population, exclude, prePeriod });
+    keys.forEach(k => {
+      const winsorized = zCatalog.find(m => m.key === k)?.winsor != null;
+      const row = analyzeMetric(k, { data, aggregates, seed: runSeed, cupedRho, catalog: zCatalog, sim: winsorized || sim.users ? sim : null });
+      pValues[k].push((row.cuped || row).p);
+    });
+    if ((r + 1) % step === 0 || r + 1 === runs) onProgress(r + 1, runs);
+  }
+
+  // Binomial check of the false-positive count against alpha, plus KS for the whole shape
+  const expectedSE = Math.sqrt(alpha * (1 - alpha) / runs);
+  const metrics = keys.map(k => {
+    const ps = pValues[k];
+    const rejections = ps.filter(p => p < alpha).length;
+    const rate = rejections / runs;
+    const rateP = twoTailedP((rate - alpha) / expectedSE);
+    const ks = ksUniform(ps);
+    return {
+      key: k, label: metricLabel(k, catalog), runs, rejections, rate,
+      rateSE: Math.sqrt(rate * (1 - rate) / runs), rateP, ks,
+      flagged: rateP < AA_FLAG_ALPHA || ks.p < AA_FLAG_ALPHA,
+      pHistogram: histogram(ps, { bins: 20, range: [0, 1] }),
+      qq: qqUniform(ps),
+    };
+  });
+  return { alpha, runs, metrics, flagged: metrics.filter(m => m.flagged).map(m => m.key) };
+}
@@ -0,0 +1,17 @@
+// Monte Carlo simulations off the main thread.
+// in:  { kind: "power" | "aa", data, config }  (see runPowerSimulation / runAASimulation)
+// out: { type: "progress", done, total } … then { type: "done", result } or { type: "error", message }
+// Cancelling is done by the page terminating the worker.
+import { runPowerSimulation, runAASimulation } from "./abEngine.js";
+
+const RUNNERS = { power: runPowerSimulation, aa: runAASimulation };
+
+self.onmessage = (e) => {
+  const { kind = "power", data, config } = e.data;
+  try {
+    const result = RUNNERS[kind](data, config, (done, total) => self.postMessage({ type: "progress", done, total }));
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,233 @@
+// Export formats: CSV tables and the Markdown / HTML experiment readout.
+// No React / DOM access, so it can be tested under Node.
+import {
+  numberFmt,
+  percentFmt,
+  LIFT_TRAJECTORIES,
+  RAMP_CONTROL_MODES,
+  RAMP_POOLING,
+  MT_CORRECTIONS,
+  MT_SCOPES,
+  INFERENCE_METHODS,
+  BOOTSTRAP_RESAMPLES,
+  PERMUTATIONS,
+  VARIANCE_MODELS,
+  DIST_PARAMS,
+  DEFAULT_METRICS,
+  distParams,
+  isUnitDrawn,
+  SCENARIO_EVENTS,
+  variantLabel,
+  ASSIGNMENT_BUGS,
+  pFmt,
+} from "./abEngine.js";
+
+// "[lo, hi]", or "–" for a test without an interval (Mann–Whitney, permutation)
+export function ciFmt(lo, hi, digits = 2){
+  return Number.isFinite(lo) ? `[${numberFmt(lo, digits)}, ${numberFmt(hi, digits)}]` : "–";
+}
+
+// Confidence level as "95%" / "99.5%"
+export function levelFmt(conf){
+  return `${Number((conf * 100).toFixed(2))}%`;
+}
+
+// Winsorization quantile as "p99" / "p99.9"
+export function winsorFmt(q){
+  return `p${Number((q * 100).toFixed(2))}`;
+}
+
+// "p99.9 cap 12.3 · raw lift +4.1% · var −62%" for a winsorized row, else null
+export function winsorSummary(r, digits = 2){
+  if (!r.winsor) return null;
+  const { q, cap, rawLift, varianceRatio } = r.winsor;
+  return `${winsorFmt(q)} cap ${numberFmt(cap, digits)} · raw lift ${percentFmt(rawLift)} · var ${Number.isFinite(varianceRatio) ? `${varianceRatio <= 1 ? "−" : "+"}${percentFmt(Math.abs(1 - varianceRatio), 0)}` : "–"}`;
+}
+
+// "naive user-days: lift +3.1%, p 0.0123" under the user-level simulation, else null
+function naiveSummary(r){
+  return r.naive ? `naive user-days: lift ${percentFmt(r.naive.lift)}, p ${pFmt(r.naive.p)}` : null;
+}
+
+// "pre-period gap +2.9% (p 0.0004), DiD lift +0.4%, p 0.61" with a backfilled pre-period, else null
+function preSummary(r){
+  return r.balance ? `pre-period gap ${percentFmt(r.balance.lift)} (p ${pFmt(r.balance.p)}), DiD lift ${percentFmt(r.did.lift)}, p ${pFmt(r.did.p)}` : null;
+}
+
+// Short name of the test behind a results row (null for rows without variance, e.g. DAU)
+export function inferenceLabel(r){
+  if (!(r.se > 0)) return null;
+  if (r.isRatio) return "delta-method z";
+  return INFERENCE_METHODS.find(m => m.id === r.inference)?.short ?? "z-test";
+}
+
+export function inferenceNote(conf){
+  return `z-test: SE from the catalog variance model (Poisson-ish with +0.05 inflation by default), CI = diff ± z·SE. `
+    + `The other methods use the simulated per-user values: Welch t (observed variances, Welch–Satterthwaite df), Mann–Whitney U (ranks, no CI), `
+    + `bootstrap percentile / BCa (${BOOTSTRAP_RESAMPLES} resamples) and a permutation test (${PERMUTATIONS} relabellings, no CI). `
+    + `Winsorized metrics cap every user's value at a quantile of both arms' pooled values and test the capped values (z-test on their observed variance). `
+    + `CIs at ${levelFmt(conf)}; two-tailed p.`;
+}
+
+export function csvEscape(v){
+  if (v == null) return "";
+  const str = String(v);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCSV(rows, columns){
+  const lines = [columns.map(csvEscape).join(",")];
+  rows.forEach(r => lines.push(columns.map(c => csvEscape(r[c])).join(",")));
+  return lines.join("\n") + "\n";
+}
+
+export const STATS_EXPORT_COLUMNS = ["family", "metric", "label", "arm", "inference", "controlMean", "experimentMean", "diff", "lift", "confidence", "ciLow", "ciHigh", "p", "z", "nControl", "nExperiment",
+  "pAdjusted", "ciLowAdjusted", "ciHighAdjusted", "pCorrected", "ciLowCorrected", "ciHighCorrected", "cupedDiff", "cupedLift", "cupedCiLow", "cupedCiHigh", "cupedP", "cupedTheta", "cupedVarianceRemoved", "winsorQuantile", "winsorCap", "rawLift", "winsorVarianceRatio", "naiveLift", "naiveCiLow", "naiveCiHigh", "naiveP", "naiveNControl", "naiveNExperiment", "preLift", "preP", "didLift", "didCiLow", "didCiHigh", "didP", "niMargin", "niBound", "niP", "niStatus", "untrustworthy"];
+
+export function statsExportRows(results){
+  return results.map(r => ({
+    family: r.family, metric: r.key, label: r.label, arm: r.armLabel, inference: r.isRatio ? "DELTA" : r.inference,
+    controlMean: r.muC, experimentMean: r.muT, diff: r.diff, lift: r.lift,
+    confidence: 1 - r.alpha, ciLow: r.ciLow, ciHigh: r.ciHigh, p: r.p, z: r.z,
+    nControl: r.nC, nExperiment: r.nT,
+    pAdjusted: r.pAdj, ciLowAdjusted: r.ciLowAdj, ciHighAdjusted: r.ciHighAdj,
+    pCorrected: r.pMT, ciLowCorrected: r.ciLowMT, ciHighCorrected: r.ciHighMT,
+    cupedDiff: r.cuped?.diff, cupedLift: r.cuped?.lift, cupedCiLow: r.cuped?.ciLow, cupedCiHigh: r.cuped?.ciHigh,
+    cupedP: r.cuped?.p, cupedTheta: r.cuped?.theta, cupedVarianceRemoved: r.cuped?.varianceRemoved,
+    naiveLift: r.naive?.lift, naiveCiLow: r.naive?.ciLow, naiveCiHigh: r.naive?.ciHigh, naiveP: r.naive?.p, naiveNControl: r.naive?.nC, naiveNExperiment: r.naive?.nT,
+    preLift: r.balance?.lift, preP: r.balance?.p, didLift: r.did?.lift, didCiLow: r.did?.ciLow, didCiHigh: r.did?.ciHigh, didP: r.did?.p,
+    winsorQuantile: r.winsor?.q, winsorCap: r.winsor?.cap, rawLift: r.winsor?.rawLift, winsorVarianceRatio: r.winsor?.varianceRatio,
+    niMargin: r.ni?.margin, niBound: r.ni?.bound, niP: r.ni?.p, niStatus: r.ni?.status,
+    untrustworthy: r.untrusted ? "SRM" : "",
+  }));
+}
+
+// Daily series: baseline plus the simulated _Control/_Experiment (and extra arm) columns for every metric
+export function dailyExportColumns(armIds = [], ratioKeys = [], catalog = DEFAULT_METRICS){
+  return ["date", ...[...catalog.map(m => m.key), ...ratioKeys].flatMap(k => [k, `${k}_Control`, `${k}_Experiment`, ...armIds.map(id => `${k}_${id}`)])];
+}
+
+export function dailyExportRows(simData, armIds = [], ratioKeys = [], catalog = DEFAULT_METRICS){
+  const cols = dailyExportColumns(armIds, ratioKeys, catalog);
+  return simData.map(row => Object.fromEntries(cols.map(c => [c, row[c] ?? null])));
+}
+
+function reportConfigLines(cfg){
+  return [
+    ["Data source", cfg.dataSource],
+    ["Days of history", cfg.days],
+    ["Seed", cfg.seed],
+    ["Traffic split", [`Control ${percentFmt(cfg.splitC, 0)}`, `Experiment ${percentFmt(cfg.splitT, 0)}`,
+      ...(cfg.variants || []).map(v => `${variantLabel(v.id)} ${percentFmt(v.split, 0)} (lift ×${v.liftScale})`)].join(" / ")],
+    ...((cfg.variants || []).length ? [["Multiple arms", `${cfg.variants.length + 1} treatments vs Control, ${cfg.mcMethod === "DUNNETT" ? "Dunnett" : "Holm"} adjusted`]] : []),
+    ["Confidence level", levelFmt(cfg.conf)],
+    ...(cfg.mt && cfg.mt.method !== "NONE" ? [["Multiple testing", `${MT_CORRECTIONS.find(c => c.id === cfg.mt.method)?.label} ${MT_SCOPES.find(c => c.id === cfg.mt.scope)?.label}`]] : []),
+    ["Test window", `${cfg.testStart} → ${cfg.testEnd} (${cfg.daysInTest} days)`],
+    ...((cfg.events || []).length ? [["Scenario events", cfg.events.map(e => {
+      const def = SCENARIO_EVENTS.find(d => d.id === e.type);
+      return `${def.label} from ${e.start} for ${e.days} d (${def.sizeLabel.toLowerCase()} ${percentFmt(e.size, 0)}${e.metric ? `, ${e.metric}` : ""})`;
+    }).join("; ")]] : []),
+    ...((cfg.excluded || []).length ? [["Excluded days", `${cfg.excluded.join(", ")} — anomalous (robust |z| > ${cfg.anomalyThreshold}), left out of the analysis`]] : []),
+    ["Guardrails cannot decline", cfg.enforceNoDecline ? "yes" : "no"],
+    ...(cfg.aaMode ? [["A/A test", "yes — zero true lift for every metric"]] : []),
+    ...(cfg.ramp ? [["Ramp-up", `${cfg.phases.map(ph => `${percentFmt(ph.pct ?? cfg.splitT, 1)} × ${ph.end - ph.start} d`).join(" → ")}; ${RAMP_CONTROL_MODES.find(o => o.id === cfg.ramp.control)?.label.toLowerCase()}; analysis ${RAMP_POOLING.find(o => o.id === cfg.ramp.pooling)?.label.toLowerCase()}`]] : []),
+    ...(cfg.prePeriod ? [["Pre-period", `${cfg.prePeriod.days} backfilled days before the test${cfg.prePeriod.bias ? `, Experiment ${percentFmt(cfg.prePeriod.bias, 1)} vs Control from before assignment` : ""}; balance check and difference-in-differences per metric`]] : []),
+    ...(cfg.users ? [["Unit of analysis", `distinct users: ${cfg.users.size.toLocaleString()}-user population${cfg.users.simulated < cfg.users.size ? ` (random sample of ${cfg.users.simulated.toLocaleString()} simulated)` : ""}, mean visit probability ${cfg.users.visitRate}, hash bucketing with salt "${cfg.users.salt}"; ${Object.entries(cfg.users.exposed).map(([id, n]) => `${variantLabel(id)} ${n.toLocaleString()} users / ${cfg.users.userDays[id].toLocaleString()} user-days`).join(", ")}`]] : []),
+    ...(cfg.segments ? [["User segments", cfg.segments.dims.map(d => `${d.label} (${d.segments.map(sg => sg.label).join("/")})`).join(", ")]] : []),
+    ...((cfg.catalog || []).some(m => m.trajectory) ? [["Lift trajectories", cfg.catalog.filter(m => m.trajectory).map(m =>
+      `${m.label}: ${LIFT_TRAJECTORIES.find(t => t.id === m.trajectory.shape)?.label.toLowerCase()} from ${m.trajectory.start}× over ${m.trajectory.days} d`).join("; ")]] : []),
+    ...((cfg.catalog || []).some(m => isUnitDrawn(m)) ? [["Heavy-tailed metrics", cfg.catalog.filter(m => isUnitDrawn(m)).map(m =>
+      `${m.label}: ${VARIANCE_MODELS.find(v => v.id === m.variance)?.label.toLowerCase()} (${Object.entries(distParams(m)).map(([k, v]) => `${DIST_PARAMS[k].label} ${v}`).join(", ")})`).join("; ")]] : []),
+    ...((cfg.catalog || []).some(m => m.winsor != null) ? [["Winsorization", cfg.catalog.filter(m => m.winsor != null).map(m => `${m.label} at ${winsorFmt(m.winsor)}`).join(", ")]] : []),
+    ...((cfg.ratios || []).length ? [["Ratio metrics", cfg.ratios.map(r => r.label).join(", ") + " (delta-method SE)"]] : []),
+    ["CUPED", cfg.cupedRho > 0 ? `on (simulated pre/post correlation ρ = ${cfg.cupedRho}; θ and the variance removed estimated per metric)` : "off"],
+    ...(cfg.bug && cfg.bug.mode !== "NONE" ? [["Injected assignment bug", `${ASSIGNMENT_BUGS.find(b => b.id === cfg.bug.mode)?.label}: ${percentFmt(cfg.bug.dropPct, 0)} of Experiment users dropped`]] : []),
+    ...(cfg.srm ? [["Sample ratio check", `χ² = ${cfg.srm.overall.chi2.toFixed(2)} (df ${cfg.srm.overall.df}), p = ${pFmt(cfg.srm.overall.p)}${cfg.srm.flagged ? " — SRM DETECTED, results untrustworthy" : ""}`]] : []),
+    ["Decision rule", cfg.rule.rule === "PRIMARY" ? `PRIMARY (${cfg.rule.primary})` : cfg.rule.rule],
+    ...(cfg.decisions ? [["Verdict", cfg.decisions.map(d => `${cfg.decisions.length > 1 ? `${d.armLabel}: ` : ""}${d.label}`).join(" / ")]] : []),
+    ["Sizing α / power / MDE", `${cfg.rule.alpha} / ${cfg.rule.power} / ${percentFmt(cfg.rule.mdePct, 1)}`],
+    ["Link", cfg.link],
+  ];
+}
+
+// Catalog labels and arm names are user text: one line, and "|" escaped inside table cells
+function mdLine(v){
+  return String(v).replace(/\s*[\r\n]+\s*/g, " ");
+}
+export function mdCell(v){
+  return mdLine(v).replace(/\|/g, "\\|");
+}
+
+// Verdict reason marks, shared with the ship-decision panel
+export const REASON_MARK = { good: "✓", bad: "✗", neutral: "•" };
+
+export function buildReportMarkdown(cfg, results){
+  const lines = [
+    `# Experiment readout — ${cfg.testStart} → ${cfg.testEnd}`,
+    "",
+    "## Configuration",
+    "",
+    ...reportConfigLines(cfg).map(([k, v]) => `- **${k}:** ${mdLine(v)}`),
+  ];
+  (cfg.decisions || []).forEach(d => lines.push("", `## Decision${cfg.decisions.length > 1 ? ` — ${mdLine(d.armLabel)}` : ""}: ${d.label}`, "",
+    ...d.reasons.map(r => `- ${REASON_MARK[r.tone]} ${mdLine(r.text)}`)));
+  ["Guardrail", "Success", "Diagnostic", "Ratio"].forEach(family => {
+    const rows = results.filter(r => r.family === family);
+    if (!rows.length) return;
+    const cuped = cfg.cupedRho > 0, level = levelFmt(cfg.conf);
+    lines.push("", `## ${family} metrics`, "",
+      `| Metric | Method | Control mean | Experiment mean | Lift | Diff ${level} CI | p-value | Z / t | N (C / E) |${cuped ? ` CUPED diff [${level} CI] | CUPED p | Var. removed |` : ""}`,
+      `|---|---|---:|---:|---:|---|---:|---:|---:|${cuped ? "---|---:|---:|" : ""}`);
+    const adjusted = cfg.variants?.length || (cfg.mt && cfg.mt.method !== "NONE");
+    rows.forEach(r => lines.push(`| ${mdCell(r.label)}${adjusted ? ` (${cfg.variants?.length ? `${mdCell(r.armLabel)}, ` : ""}adj. p ${pFmt(r.pMT ?? r.pAdj)})` : ""}${r.winsor ? ` (${winsorSummary(r)})` : ""}${r.naive ? ` (${naiveSummary(r)})` : ""}${r.balance ? ` (${preSummary(r)})` : ""} | ${inferenceLabel(r) ?? "–"} | ${numberFmt(r.muC)} | ${numberFmt(r.muT)} | ${percentFmt(r.lift)} | ${ciFmt(r.ciLow, r.ciHigh)} | ${pFmt(r.p)} | ${r.z.toFixed(2)} | ${r.nC.toLocaleString()} / ${r.nT.toLocaleString()} |`
+      + (cuped ? (r.cuped ? ` ${numberFmt(r.cuped.diff)} [${numberFmt(r.cuped.ciLow)}, ${numberFmt(r.cuped.ciHigh)}] | ${pFmt(r.cuped.p)} | ${percentFmt(r.cuped.varianceRemoved, 1)} |` : " – | – | – |") : "")));
+  });
+  lines.push("", `_${inferenceNote(cfg.conf)}_`, "");
+  return lines.join("\n");
+}
+
+export function htmlEscape(v){
+  return String(v).replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+}
+
+export function buildReportHTML(cfg, results){
+  const title = `Experiment readout — ${cfg.testStart} → ${cfg.testEnd}`;
+  const sections = ["Guardrail", "Success", "Diagnostic", "Ratio"].map(family => {
+    const rows = results.filter(r => r.family === family);
+    if (!rows.length) return "";
+    const cuped = cfg.cupedRho > 0, level = levelFmt(cfg.conf), alpha = 1 - cfg.conf;
+    const cupedCells = r => !cuped ? "" : r.cuped
+      ? `<td>${numberFmt(r.cuped.diff)} [${numberFmt(r.cuped.ciLow)}, ${numberFmt(r.cuped.ciHigh)}]</td><td class="${r.cuped.p < alpha ? "sig" : ""}">${pFmt(r.cuped.p)}</td><td>${percentFmt(r.cuped.varianceRemoved, 1)}</td>`
+      : "<td>–</td><td>–</td><td>–</td>";
+    const adjusted = cfg.variants?.length || (cfg.mt && cfg.mt.method !== "NONE");
+    const body = rows.map(r => `<tr><td>${htmlEscape(r.label)}${adjusted ? ` <small>(${cfg.variants?.length ? `${htmlEscape(r.armLabel)}, ` : ""}adj. p ${pFmt(r.pMT ?? r.pAdj)})</small>` : ""}${r.winsor ? ` <small>(${htmlEscape(winsorSummary(r))})</small>` : ""}${r.naive ? ` <small>(${htmlEscape(naiveSummary(r))})</small>` : ""}${r.balance ? ` <small>(${htmlEscape(preSummary(r))})</small>` : ""}</td><td>${inferenceLabel(r) ?? "–"}</td><td>${numberFmt(r.muC)}</td><td>${numberFmt(r.muT)}</td><td>${percentFmt(r.lift)}</td><td>${ciFmt(r.ciLow, r.ciHigh)}</td><td class="${r.p < alpha ? "sig" : ""}">${pFmt(r.p)}</td><td>${r.z.toFixed(2)}</td><td>${r.nC.toLocaleString()} / ${r.nT.toLocaleString()}</td>${cupedCells(r)}</tr>`).join("\n");
+    return `<h2>${family} metrics</h2>
+<table><thead><tr><th>Metric</th><th>Method</th><th>Control mean</th><th>Experiment mean</th><th>Lift</th><th>Diff ${level} CI</th><th>p-value</th><th>Z / t</th><th>N (C / E)</th>${cuped ? `<th>CUPED diff [${level} CI]</th><th>CUPED p</th><th>Var. removed</th>` : ""}</tr></thead>
+<tbody>
+${body}
+</tbody></table>`;
+  }).join("\n");
+  const config = reportConfigLines(cfg).map(([k, v]) => `<tr><th>${htmlEscape(k)}</th><td>${htmlEscape(v)}</td></tr>`).join("\n");
+  const decisions = (cfg.decisions || []).map(d => `<h2>Decision${cfg.decisions.length > 1 ? ` — ${htmlEscape(d.armLabel)}` : ""}: ${htmlEscape(d.label)}</h2>
+<ul>${d.reasons.map(r => `<li>${REASON_MARK[r.tone]} ${htmlEscape(r.text)}</li>`).join("")}</ul>`).join("\n");
+  return `<!doctype html>
+<html lang="en"><head><meta charset="UTF-8"><title>${htmlEscape(title)}</title>
+<style>
+body{font-family:system-ui,sans-serif;max-width:960px;margin:2rem auto;padding:0 1rem;color:#111827}
+table{border-collapse:collapse;width:100%;margin:.5rem 0 1.5rem;font-size:14px}
+th,td{border-bottom:1px solid #e5e7eb;padding:6px 10px;text-align:left}
+thead th{color:#4b5563}
+td.sig{font-weight:600;color:#4f46e5}
+.note{font-size:12px;color:#6b7280}
+</style></head><body>
+<h1>${htmlEscape(title)}</h1>
+<h2>Configuration</h2>
+<table><tbody>
+${config}
+</tbody></table>
+${decisions}
+${sections}
+<p class="note">${htmlEscape(inferenceNote(cfg.conf))}</p>
+</body></html>
+`;
+}
@@ -0,0 +1,254 @@
+// Shareable link state: every playground setting as a typed, validated URL hash parameter.
+// No React / DOM access, so it can be tested under Node.
+import {
+  clamp,
+  percentFmt,
+  MT_CORRECTIONS,
+  MT_SCOPES,
+  DEFAULT_METRICS,
+  metricsByRole,
+  validateCatalog,
+  ratioKey,
+  parseRatioKey,
+  SCENARIO_EVENTS,
+  MAX_EVENTS,
+  MAX_VARIANTS,
+} from "./abEngine.js";
+
+// Test window length for a series of `days` days: at least one day, and at least one day of
+// history before it (the pre-period the lifts and CUPED are computed from)
+export function clampTestLen(testLen, days){
+  return clamp(Math.round(Number(testLen)) || 1, 1, Math.max(1, days - 1));
+}
+
+// URL param → type/range for every playground setting. Out-of-range numbers are clamped,
+// unparseable or unknown values are rejected (default kept); both produce a visible notice.
+// Metric params are checked against the link's metric catalog (catalog: true / a role id).
+const RULE_IDS = ["PRIMARY", "CO_PRIMARY", "ANY_OF"];
+export const MAX_RAMP_PHASES = 6;
+const MT_IDS = MT_CORRECTIONS.map(c => c.id);
+const MT_SCOPE_IDS = MT_SCOPES.map(c => c.id);
+const URL_STATE_SCHEMA = {
+  days:      { type: "int",   min: 7, max: 365 },
+  seed:      { type: "int",   min: 0, max: 4294967295 },
+  metrics:   { type: "keys",  catalog: true, allowRatio: true },
+  ratios:    { type: "ratios" }, // "Likes/VideoViews,Logins/DAU"
+  splitC:    { type: "float", min: 0, max: 1 },
+  splitT:    { type: "float", min: 0, max: 1 },
+  testLen:   { type: "int",   min: 1, max: 365 },
+  noDecline: { type: "bool" },
+  aa:        { type: "bool" },   // A/A test: zero true lift everywhere
+  seg:       { type: "bool" },   // simulate user segments (SEGMENT_DIMENSIONS)
+  users:     { type: "bool" },   // persistent user population with hash bucketing (simulateUsers)
+  salt:      { type: "string", pattern: /^[\w.-]{1,40}$/ }, // experiment salt of the bucketing hash
+  visit:     { type: "float", min: 0.05, max: 1 }, // mean daily visit probability of the population
+  events:    { type: "events" }, // scenario events: "TYPE:daysAgo:days:size[:metric],…"
+  anomZ:     { type: "float", min: 2, max: 50 }, // robust z-score above which a day is anomalous
+  dropAnom:  { type: "bool" },   // leave anomalous test-window days out of the analysis
+  pre:       { type: "int",   min: 1, max: 365 }, // backfilled pre-period length in days (absent = off)
+  preBias:   { type: "float", min: -0.5, max: 0.5 }, // pre-existing gap of Experiment over Control
+  ramp:      { type: "ramp" },   // ramp-up phases before the full split: "days:expShare,days:expShare"
+  rampCtl:   { type: "enum",  allowed: ["SCALE", "FIXED"] },
+  pool:      { type: "enum",  allowed: ["POOLED", "STRATIFIED", "FINAL"] },
+  arms:      { type: "arms" },   // extra treatment arms: "share:liftScale,share:liftScale"
+  mc:        { type: "enum",  allowed: ["DUNNETT", "HOLM"] },
+  mt:        { type: "enum",  allowed: MT_IDS },   // correction across metrics in the results table
+  mtScope:   { type: "enum",  allowed: MT_SCOPE_IDS },
+  conf:      { type: "float", min: 0.5, max: 0.999 }, // confidence level of the results table
+  cuped:     { type: "bool" },
+  rho:       { type: "float", min: 0, max: 0.99 },
+  bug:       { type: "enum",  allowed: ["NONE", "WEEKEND", "LAUNCH", "ALL"] }, // assignment bug (SRM practice)
+  bugDrop:   { type: "float", min: 0, max: 0.9 },
+  // DecisionRuleSizer
+  rule:      { type: "enum",  allowed: RULE_IDS },
+  primary:   { type: "enum",  catalog: "success" },
+  alpha:     { type: "float", min: 0.0001, max: 0.5 },
+  power:     { type: "float", min: 0.5, max: 0.999 },
+  mde:       { type: "float", min: 0, max: 10 },
+  // SampleSizeControls
+  ssMetric:  { type: "enum",  catalog: true, allowRatio: true },
+  ssAlpha:   { type: "float", min: 0.0001, max: 0.5 },
+  ssPower:   { type: "float", min: 0.5, max: 0.999 },
+  ssMde:     { type: "float", min: 0, max: 10 },
+  ssVar:     { type: "float", min: 1e-12, max: 1e12 },
+  // BayesianPanel
+  bayes:     { type: "bool" },   // Bayesian view shown
+  bModel:    { type: "enum",  allowed: ["GAMMA_POISSON", "NORMAL"] },
+  bPrior:    { type: "float", min: 0, max: 1e7 },    // Gamma prior strength (users)
+  bMean:     { type: "float", min: -1, max: 1 },     // normal prior lift mean
+  bSd:       { type: "float", min: 0.001, max: 10 }, // normal prior lift sd
+  bLoss:     { type: "float", min: 0, max: 1 },      // expected-loss ship threshold
+  // SequentialPanel
+  seqMetric: { type: "enum",  catalog: true },
+  seqMethod: { type: "enum",  allowed: ["MSPRT", "OBF", "POCOCK"] },
+  seqAlpha:  { type: "float", min: 0.0001, max: 0.5 },
+  seqTau:    { type: "float", min: 0.001, max: 10 },
+  catalog:   { type: "catalog" }, // metric catalog edits vs DEFAULT_METRICS (see encodeCatalogParam); absent = default
+};
+
+// The link's metric catalog: one entry per metric in order — the key alone for an unchanged
+// default metric, else the key plus the fields that differ from it (new metrics in full) — as
+// base64url JSON. null for the default catalog.
+const DEFAULT_CATALOG = validateCatalog(DEFAULT_METRICS).catalog;
+
+export function encodeCatalogParam(catalog){
+  const normalized = validateCatalog(catalog).catalog ?? catalog;
+  const defaults = new Map(DEFAULT_CATALOG.map(m => [m.key, m]));
+  const entries = normalized.map(m => {
+    const d = defaults.get(m.key);
+    if (!d) return m;
+    const changed = Object.keys(m).filter(k => JSON.stringify(m[k]) !== JSON.stringify(d[k]));
+    return changed.length ? Object.fromEntries([["key", m.key], ...changed.map(k => [k, m[k]])]) : m.key;
+  });
+  if (entries.length === DEFAULT_CATALOG.length && entries.every((e, i) => e === DEFAULT_CATALOG[i].key)) return null;
+  const bytes = new TextEncoder().encode(JSON.stringify(entries));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeCatalogParam(raw){
+  try {
+    const bin = atob(raw.replace(/-/g, "+").replace(/_/g, "/"));
+    const entries = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+    if (!Array.isArray(entries)) return { catalog: null, errors: ["not a list of metrics"] };
+    const defaults = new Map(DEFAULT_CATALOG.map(m => [m.key, m]));
+    return validateCatalog(entries.map(e => typeof e === "string" ? defaults.get(e) ?? { key: e } : { ...defaults.get(e?.key), ...e }));
+  } catch {
+    return { catalog: null, errors: ["not readable"] };
+  }
+}
+
+function parseUrlParam(name, raw, catalog = DEFAULT_METRICS){
+  const spec = URL_STATE_SCHEMA[name];
+  const allowed = spec.catalog === true ? catalog.map(m => m.key) : spec.catalog ? metricsByRole(catalog, spec.catalog) : spec.allowed;
+  const isAllowed = (k) => allowed.includes(k) || (spec.allowRatio && parseRatioKey(k, catalog) != null);
+  if (spec.type === "keys") {
+    const keys = raw.split(",").filter(Boolean);
+    const unknown = keys.filter(k => !isAllowed(k));
+    return { value: keys.filter(isAllowed), notice: unknown.length ? `${name}: ignored unknown metric(s) ${unknown.join(", ")}` : null };
+  }
+  if (spec.type === "ratios") {
+    const parts = raw.split(",").filter(Boolean);
+    const defs = [], bad = [];
+    parts.forEach(part => {
+      const [num, den] = part.split("/");
+      if (parseRatioKey(ratioKey(num, den), catalog)) defs.push({ num, den }); else bad.push(part);
+    });
+    return { value: defs, notice: bad.length ? `${name}: ignored invalid ratio(s) ${bad.join(", ")}` : null };
+  }
+  if (spec.type === "arms") {
+    const parts = raw.split(",").filter(Boolean);
+    const arms = [], bad = [];
+    parts.slice(0, MAX_VARIANTS).forEach(part => {
+      const [share, scale] = part.split(":").map(Number);
+      if (!Number.isFinite(share) || !Number.isFinite(scale)) { bad.push(part); return; }
+      arms.push({ split: clamp(share, 0, 1), liftScale: clamp(scale, -2, 5) });
+    });
+    const notes = [];
+    if (bad.length) notes.push(`ignored malformed arm(s) ${bad.join(", ")}`);
+    if (parts.length > MAX_VARIANTS) notes.push(`only ${MAX_VARIANTS} extra arms supported`);
+    return { value: arms, notice: notes.length ? `${name}: ${notes.join("; ")}` : null };
+  }
+  if (spec.type === "catalog") {
+    const { catalog: value, errors } = decodeCatalogParam(raw);
+    return value ? { value } : { notice: `${name}: ${errors[0]} — the default metric catalog is used` };
+  }
+  if (spec.type === "events") {
+    const parts = raw.split(",").filter(Boolean);
+    const events = [], bad = [];
+    parts.slice(0, MAX_EVENTS).forEach(part => {
+      const [type, ago, days, size, metric] = part.split(":");
+      const def = SCENARIO_EVENTS.find(e => e.id === type);
+      const nums = [ago, days, size].map(Number);
+      if (!def || nums.some(x => !Number.isFinite(x)) || (metric && !catalog.some(m => m.key === metric))) { bad.push(part); return; }
+      events.push({ type, ago: clamp(Math.round(nums[0]), 0, 3650), days: clamp(Math.round(nums[1]), 1, 60), size: clamp(nums[2], 0, def.maxSize), metric: def.metric ? metric || null : null });
+    });
+    const notes = [];
+    if (bad.length) notes.push(`ignored malformed event(s) ${bad.join(", ")}`);
+    if (parts.length > MAX_EVENTS) notes.push(`only ${MAX_EVENTS} events supported`);
+    return { value: events, notice: notes.length ? `${name}: ${notes.join("; ")}` : null };
+  }
+  if (spec.type === "ramp") {
+    const parts = raw.split(",").filter(Boolean);
+    const phases = [], bad = [];
+    parts.slice(0, MAX_RAMP_PHASES).forEach(part => {
+      const [days, pct] = part.split(":").map(Number);
+      if (!Number.isFinite(days) || !Number.isFinite(pct)) { bad.push(part); return; }
+      phases.push({ days: clamp(Math.round(days), 1, 365), pct: clamp(pct, 0, 1) });
+    });
+    const notes = [];
+    if (bad.length) notes.push(`ignored malformed phase(s) ${bad.join(", ")}`);
+    if (parts.length > MAX_RAMP_PHASES) notes.push(`only ${MAX_RAMP_PHASES} ramp phases supported`);
+    return { value: phases, notice: notes.length ? `${name}: ${notes.join("; ")}` : null };
+  }
+  if (spec.type === "enum") {
+    return isAllowed(raw) ? { value: raw } : { notice: `${name}: "${raw}" is not one of ${allowed.join(", ")} — ignored` };
+  }
+  if (spec.type === "string") {
+    return spec.pattern.test(raw) ? { value: raw } : { notice: `${name}: "${raw}" is not a valid value — ignored` };
+  }
+  if (spec.type === "bool") {
+    if (raw === "1" || raw === "true") return { value: true };
+    if (raw === "0" || raw === "false") return { value: false };
+    return { notice: `${name}: "${raw}" is not a boolean — ignored` };
+  }
+  const x = Number(raw);
+  if (raw.trim() === "" || !Number.isFinite(x)) return { notice: `${name}: "${raw}" is not a number — ignored` };
+  const v = spec.type === "int" ? Math.round(x) : x;
+  const c = clamp(v, spec.min, spec.max);
+  return { value: c, notice: c !== x ? `${name}: ${raw} out of range [${spec.min}, ${spec.max}] — clamped to ${c}` : null };
+}
+
+// Read the playground config from a location hash ("#days=90&seed=42&…").
+// Returns only the params present and valid, plus notices for anything clamped/rejected.
+// Metric params are checked against the link's own catalog (the default one when it has none).
+export function readUrlState(hash){
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const values = {}, notices = [];
+  let catalog = DEFAULT_METRICS;
+  if (params.has("catalog")) {
+    const { value, notice } = parseUrlParam("catalog", params.get("catalog"));
+    if (value) catalog = values.catalog = value;
+    if (notice) notices.push(notice);
+  }
+  params.forEach((raw, name) => {
+    if (name === "catalog") return;
+    if (!URL_STATE_SCHEMA[name]) { notices.push(`Unknown link parameter "${name}" — ignored`); return; }
+    const { value, notice } = parseUrlParam(name, raw, catalog);
+    if (value !== undefined) values[name] = value;
+    if (notice) notices.push(notice);
+  });
+  // Cross-field constraints
+  if (values.testLen != null && values.days != null && values.testLen !== clampTestLen(values.testLen, values.days)) {
+    notices.push(`testLen: ${values.testLen} leaves no history before the test in ${values.days} days — clamped`);
+    values.testLen = clampTestLen(values.testLen, values.days);
+  }
+  // Only shares the link sets are checked (the 50/50 default on its own is fine)
+  const c = values.splitC ?? 0.5, t = values.splitT ?? 0.5;
+  const v = (values.arms || []).reduce((sum, a) => sum + a.split, 0);
+  const setsShares = values.splitC != null || values.splitT != null || values.arms?.length > 0;
+  if (setsShares && c + t + v > 0.98 + 1e-9) {
+    const f = 0.98 / (c + t + v);
+    notices.push(`traffic shares add up to ${percentFmt(c + t + v, 0)}, over 98% — rescaled`);
+    values.splitC = c * f;
+    values.splitT = t * f;
+    if (values.arms) values.arms = values.arms.map(a => ({ ...a, split: a.split * f }));
+  }
+  return { values, notices };
+}
+
+export function serializeUrlState(values){
+  const params = new URLSearchParams();
+  Object.keys(URL_STATE_SCHEMA).forEach(name => {
+    const v = values[name];
+    if (v == null || v === "") return;
+    if (name === "ratios") params.set(name, v.map(r => `${r.num}/${r.den}`).join(","));
+    else if (name === "events") { if (v.length) params.set(name, v.map(e => [e.type, e.ago, e.days, Number(e.size.toPrecision(4)), ...(e.metric ? [e.metric] : [])].join(":")).join(",")); }
+    else if (name === "ramp") { if (v.length) params.set(name, v.map(p => `${p.days}:${Number(p.pct.toPrecision(4))}`).join(",")); }
+    else if (name === "arms") { if (v.length) params.set(name, v.map(a => `${Number(a.split.toPrecision(4))}:${Number(a.liftScale.toPrecision(4))}`).join(",")); }
+    else if (Array.isArray(v)) params.set(name, v.join(","));
+    else if (typeof v === "boolean") params.set(name, v ? "1" : "0");
+    else if (typeof v === "number") params.set(name, String(Number(v.toPrecision(6))));
+    else params.set(name, String(v));
+  });
+  return params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":").replace(/%2F/g, "/");
+}
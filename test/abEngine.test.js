@@ -0,0 +1,532 @@
+// Known-answer checks for the engine, the link state, the export formats and the abp command-line
+// tool. Run with `npm test` (node --test).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import {
+  DEFAULT_METRICS, validateCatalog, generateData, simulateAB, analyzeMetric, parseDailyImport,
+  spendingBoundaries, sequentialAnalysis, cupedAdjust, dunnettCritical, adjustManyToOne, srmCheck, SRM_ALPHA,
+  nonInferiority, shipDecision, adjustPValues,
+  computeSampleSize, powerAtN, ruleSampleSizes, rulePowerAtN, forecastDAU, planDuration,
+  unitInference, PERMUTATIONS, BOOTSTRAP_RESAMPLES, createPRNG, seededStream, drawUnitValue,
+  userBucket, armForBucket, ASSIGNMENT_BUCKETS, detectAnomalies, ANOMALY_THRESHOLD,
+} from "../src/abEngine.js";
+import { readUrlState, serializeUrlState, encodeCatalogParam } from "../src/urlState.js";
+import { csvEscape, toCSV, mdCell, htmlEscape } from "../src/report.js";
+
+// armUnits' histogram shape { values, counts, n, sum, sumSq } of a list of per-user values
+function hist(xs){
+  const tally = new Map();
+  xs.forEach(x => tally.set(x, (tally.get(x) || 0) + 1));
+  const values = [...tally.keys()].sort((a, b) => a - b);
+  return { values, counts: values.map(v => tally.get(v)), n: xs.length, sum: xs.reduce((a, b) => a + b, 0), sumSq: xs.reduce((a, b) => a + b * b, 0) };
+}
+const repeat = (v, k) => Array(k).fill(v);
+const near = (actual, expected, tol, what) => assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} is not within ${tol} of ${expected}`);
+
+// ===================== Data import ===================== //
+test("CSV import maps columns, drops bad rows with their line and reports gaps", () => {
+  const catalog = DEFAULT_METRICS.filter(m => ["DAU", "Sessions"].includes(m.key));
+  const csv = [
+    "Date,dau,Sessions,Note",
+    '2024-03-01,100,150,"launch, day 1"',
+    "2024-03-02,0,10,x",
+    "2024-02-31,5,5,",
+    '2024-03-04,120,"1""0",',
+    "2024-03-01,110,160,dup",
+    '2024-03-05,130,170,"two\nlines"',
+  ].join("\r\n");
+  const report = parseDailyImport(csv, "export.csv", catalog);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.rows, [
+    { date: "2024-03-01", DAU: 100, Sessions: 150, Note: "launch, day 1", label: "3/1" },
+    { date: "2024-03-05", DAU: 130, Sessions: 170, Note: "two\nlines", label: "3/5" },
+  ]);
+  assert.deepEqual(report.badRows.map(b => b.line), [3, 4, 5, 6]);
+  assert.match(report.badRows[0].reason, /^DAU is not a valid count/);
+  assert.match(report.badRows[1].reason, /^invalid date "2024-02-31"/);
+  assert.equal(report.badRows[2].reason, 'Sessions is not a valid count ("1"0")');
+  assert.equal(report.badRows[3].reason, "duplicate date 2024-03-01");
+  assert.deepEqual(report.gaps, [{ after: "2024-03-01", before: "2024-03-05", missingDays: 3 }]);
+  assert.deepEqual(report.extraColumns, ["Note"]);
+});
+
+test("JSON import needs every catalog column and two valid days", () => {
+  const catalog = DEFAULT_METRICS.filter(m => ["DAU", "Sessions"].includes(m.key));
+  const missing = parseDailyImport(JSON.stringify({ rows: [{ date: "2024-01-01", DAU: 5 }] }), "export.json", catalog);
+  assert.deepEqual(missing.errors, ["Missing required column(s): Sessions"]);
+  const short = parseDailyImport('[{ "date": "2024-01-01", "DAU": 5, "Sessions": 3 }]', "", catalog);
+  assert.deepEqual(short.errors, ["Need at least 2 valid daily rows"]);
+  assert.match(parseDailyImport("[{", "export.json", catalog).errors[0], /^Invalid JSON/);
+  assert.deepEqual(parseDailyImport("  ", "export.csv", catalog).errors, ["File is empty"]);
+});
+
+// ===================== Shareable URL state ===================== //
+test("a link round-trips through serializeUrlState and readUrlState", () => {
+  const catalog = [...DEFAULT_METRICS.map(m => m.key === "Sessions" ? { ...m, baseline: 3 } : m),
+    { key: "Follows", label: "Follows", color: "#111111", role: "success", direction: "increase", baseline: 0.2, variance: "POISSON", lift: 0.05 }];
+  const values = {
+    days: 60, seed: 7, metrics: ["Sessions", "Follows", "Likes_per_VideoViews"], ratios: [{ num: "Likes", den: "VideoViews" }],
+    splitC: 0.45, splitT: 0.35, testLen: 21, noDecline: false, aa: true, arms: [{ split: 0.1, liftScale: 0.5 }], mc: "HOLM",
+    cuped: true, rho: 0.7, bug: "WEEKEND", bugDrop: 0.25, rule: "CO_PRIMARY", primary: "Follows", alpha: 0.01, mde: 0.05,
+    bayes: true, bModel: "NORMAL", bSd: 0.2, seqMetric: "Follows", seqMethod: "OBF",
+  };
+  const hash = serializeUrlState({ ...values, catalog: encodeCatalogParam(catalog) });
+  const { values: read, notices } = readUrlState(`#${hash}`);
+  assert.deepEqual(notices, []);
+  const { catalog: readCatalog, ...rest } = read;
+  assert.deepEqual(rest, values);
+  assert.deepEqual(readCatalog, validateCatalog(catalog).catalog);
+  assert.equal(encodeCatalogParam(DEFAULT_METRICS), null, "the default catalog stays out of the link");
+});
+
+test("a link's bad params are clamped or dropped, each with a notice", () => {
+  const { values, notices } = readUrlState("#days=30&testLen=40&seed=7&metrics=Sessions,Bogus&mc=SOMETIMES&aa=maybe&zzz=1&rho=2");
+  assert.deepEqual(values, { days: 30, testLen: 29, seed: 7, metrics: ["Sessions"], rho: 0.99 });
+  assert.deepEqual(notices, [
+    "metrics: ignored unknown metric(s) Bogus",
+    'mc: "SOMETIMES" is not one of DUNNETT, HOLM — ignored',
+    'aa: "maybe" is not a boolean — ignored',
+    'Unknown link parameter "zzz" — ignored',
+    "rho: 2 out of range [0, 0.99] — clamped to 0.99",
+    "testLen: 40 leaves no history before the test in 30 days — clamped",
+  ]);
+  const shares = readUrlState("#splitC=0.6&splitT=0.6");
+  assert.deepEqual(shares.values, { splitC: 0.49, splitT: 0.49 });
+  assert.deepEqual(shares.notices, ["traffic shares add up to 120%, over 98% — rescaled"]);
+});
+
+// ===================== Export ===================== //
+test("CSV, Markdown and HTML escaping", () => {
+  assert.equal(csvEscape("plain"), "plain");
+  assert.equal(csvEscape("a,b"), '"a,b"');
+  assert.equal(csvEscape('say "hi"'), '"say ""hi"""');
+  assert.equal(csvEscape("two\nlines"), '"two\nlines"');
+  assert.equal(csvEscape(null), "");
+  assert.equal(csvEscape(0.5), "0.5");
+  assert.equal(toCSV([{ a: 1, b: "x,y" }, { a: null, b: 2 }], ["a", "b"]), 'a,b\n1,"x,y"\n,2\n');
+  assert.equal(mdCell("Likes | Views\r\n (new)"), "Likes \\| Views (new)");
+  assert.equal(htmlEscape('<b class="x">R&D</b>'), "&lt;b class=&quot;x&quot;&gt;R&amp;D&lt;/b&gt;");
+});
+
+// ===================== Sequential testing ===================== //
+test("alpha-spending boundaries match Lan–DeMets tables", () => {
+  // Five equally spaced looks, two-sided α = 0.05 (gsDesign sfLDOF / ldbounds Pocock type)
+  const looks = [0.2, 0.4, 0.6, 0.8, 1];
+  [4.877, 3.357, 2.680, 2.290, 2.031].forEach((b, i) => near(spendingBoundaries(looks, 0.05, "OBF")[i], b, 0.005, `OBF look ${i + 1}`));
+  [2.438, 2.427, 2.410, 2.397, 2.386].forEach((b, i) => near(spendingBoundaries(looks, 0.05, "POCOCK")[i], b, 0.005, `Pocock look ${i + 1}`));
+  // A single look spends all of α: the fixed-sample 1.96
+  near(spendingBoundaries([1], 0.05, "OBF")[0], 1.96, 0.002, "single look");
+});
+
+test("mSPRT p-value matches the normal-mixture formula and never increases", () => {
+  const data = generateData({ days: 60, seed: 3 });
+  const catalog = DEFAULT_METRICS.map(m => m.key === "Sessions" ? { ...m, lift: 0.02 } : m);
+  const { simData, startIndex } = simulateAB(data, { seed: 1, splitC: 0.5, splitT: 0.5, testLen: 21, enforceNoDecline: false, catalog });
+  const metric = catalog.find(m => m.key === "Sessions");
+  const first = sequentialAnalysis(simData, startIndex, "Sessions", { metric }).rows[0];
+  // With prior sd τ equal to the first look's SE, Λ = √½·exp(z²/4): p = √2·exp(−z²/4), and the
+  // boundary is |z| = √(4·(ln(1/α) + ½ln 2))
+  const { rows } = sequentialAnalysis(simData, startIndex, "Sessions", { metric, alpha: 0.05, tauPct: first.se / first.muC });
+  near(rows[0].pAlwaysValid, Math.min(1, Math.SQRT2 * Math.exp(-rows[0].z * rows[0].z / 4)), 1e-12, "first p");
+  near(rows[0].boundary, Math.sqrt(4 * (Math.log(20) + 0.5 * Math.log(2))), 1e-12, "first boundary");
+  rows.slice(1).forEach((r, i) => assert.ok(r.pAlwaysValid <= rows[i].pAlwaysValid, `p rose on day ${r.day}`));
+  rows.forEach(r => assert.equal(r.crossed, Math.abs(r.z) >= r.boundary));
+});
+
+// ===================== CUPED ===================== //
+test("CUPED pools θ across the arms and shrinks the SE by the variance it explains", () => {
+  // θ = pooled cov(X,Y)/var(X) = (1 + 2)/(2 + 2) = 0.75; each arm's residual variance
+  // varY − 2θ·covXY + θ²·varX is 2.625 (Control) and 1.125 (arm), against varY = 3
+  const control = { n: 101, meanX: 1, varX: 2, varY: 3, covXY: 1 }, arm = { n: 101, meanX: 1.2, varX: 2, varY: 3, covXY: 2 };
+  const stats = { diff: 0.5, se: Math.sqrt(6 / 101), muC: 5 };
+  const c = cupedAdjust(stats, { control, arm, conf: 0.95 });
+  near(c.theta, 0.75, 1e-12, "θ");
+  near(c.diff, 0.5 - 0.75 * 0.2, 1e-12, "adjusted diff");
+  near(c.varianceRemoved, 1 - (2.625 + 1.125) / 6, 1e-12, "variance removed");
+  near(c.se, stats.se * Math.sqrt(3.75 / 6), 1e-12, "SE");
+  near(c.rho, 3 / Math.sqrt(4 * 6), 1e-12, "pooled ρ");
+  assert.equal(cupedAdjust({ ...stats, se: 0 }, { control, arm }), null);
+});
+
+test("the simulated covariate removes about ρ² of the variance", () => {
+  const data = generateData({ days: 60, seed: 4 });
+  const sim = simulateAB(data, { seed: 2, splitC: 0.5, splitT: 0.5, testLen: 14, enforceNoDecline: false, cupedRho: 0.6 });
+  const row = analyzeMetric("Sessions", { data, aggregates: sim.aggregates, seed: 2, cupedRho: 0.6 });
+  near(row.cuped.varianceRemoved, 0.36, 0.05, "variance removed");
+  assert.ok(row.cuped.se < row.se);
+});
+
+// ===================== Many-to-one comparisons (A/B/n) ===================== //
+test("Dunnett critical values match the table for equal arms", () => {
+  // Two-sided α = 0.05, infinite df: 2.21 (2 arms), 2.35 (3), 2.44 (4)
+  [[2, 2.212], [3, 2.349], [4, 2.442]].forEach(([k, c]) => near(dunnettCritical(0.05, Array(k).fill(Math.SQRT1_2)), c, 1e-3, `${k} arms`));
+});
+
+test("many-to-one adjustment: Dunnett and Holm", () => {
+  const row = (z, p) => ({ z, p, diff: z, se: 1, ciLow: z - 1.96, ciHigh: z + 1.96, nC: 1000, nT: 1000 });
+  const c = dunnettCritical(0.05, [Math.SQRT1_2, Math.SQRT1_2]);
+  const dunnett = adjustManyToOne([row(c, 0.027), row(0.5, 0.617)], { method: "DUNNETT", alpha: 0.05 });
+  near(dunnett[0].pAdj, 0.05, 1e-4, "p at the critical value");
+  near(dunnett[0].ciLowAdj, 0, 1e-12, "CI touches 0 at the critical value");
+  // Holm on p = .01, .04, .03: 3·.01, max(.03, 2·.03), max(.06, .04)
+  const holm = adjustManyToOne([row(2.58, 0.01), row(2.05, 0.04), row(2.17, 0.03)], { method: "HOLM", alpha: 0.05 });
+  [0.03, 0.06, 0.06].forEach((p, i) => near(holm[i].pAdj, p, 1e-12, `Holm p ${i + 1}`));
+  near(holm[0].ciHighAdj - holm[0].diff, 2.3940, 1e-4, "Bonferroni half-width z(1 − α/6)");
+  assert.equal(adjustManyToOne([row(2, 0.0455)])[0].pAdj, 0.0455);
+});
+
+// ===================== SRM ===================== //
+test("SRM χ² on the cohort counts, per day and overall", () => {
+  const simData = [
+    { date: "2024-01-01", label: "1/1", DAU_Control: 5300, DAU_Experiment: 4700 },
+    { date: "2024-01-02", label: "1/2", DAU_Control: 5100, DAU_Experiment: 4900 },
+  ];
+  const srm = srmCheck(simData, 0, [{ id: "Control", split: 0.5 }, { id: "Experiment", split: 0.5 }]);
+  // 300² / 5000 · 2 = 36 and 100² / 5000 · 2 = 4 (p = 2·(1 − Φ(2)) = 0.0455); overall 400² / 10000 · 2 = 32
+  assert.deepEqual(srm.daily.map(d => d.chi2), [36, 4]);
+  near(srm.daily[1].p, 0.0455, 1e-4, "day 2 p");
+  assert.equal(srm.overall.chi2, 32);
+  assert.ok(srm.overall.p < SRM_ALPHA && srm.flagged);
+  assert.equal(srm.flaggedDays, 1);
+  // Counts in the configured 5:3 ratio are no mismatch
+  const uneven = srmCheck([{ date: "2024-01-01", label: "1/1", DAU_Control: 5000, DAU_Experiment: 3000 }], 0, [{ id: "Control", split: 0.5 }, { id: "Experiment", split: 0.3 }]);
+  assert.equal(uneven.overall.chi2, 0);
+  assert.equal(uneven.flagged, false);
+});
+
+// ===================== Ship decision ===================== //
+test("non-inferiority: pass, inconclusive and fail against the margin", () => {
+  // margin 2% of μC = 0.02, SE 0.01, one-sided z(0.95) = 1.6449
+  const row = (diff, direction = "increase") => ({ diff, se: 0.01, muC: 1, direction });
+  const pass = nonInferiority(row(0), { margin: 0.02, alpha: 0.05 });
+  assert.equal(pass.status, "PASS");
+  near(pass.z, 2, 1e-12, "z");
+  near(pass.p, 0.02275, 1e-5, "p");
+  near(pass.bound, -0.016449, 1e-6, "worst plausible lift");
+  assert.equal(nonInferiority(row(-0.005), { margin: 0.02 }).status, "INCONCLUSIVE");
+  assert.equal(nonInferiority(row(-0.04), { margin: 0.02 }).status, "FAIL");
+  // For a lower-is-better metric a rise is the harm
+  assert.equal(nonInferiority(row(0.04, "decrease"), { margin: 0.02 }).status, "FAIL");
+  assert.equal(nonInferiority(row(-0.04, "decrease"), { margin: 0.02 }).status, "PASS");
+  assert.equal(nonInferiority({ ...row(0), se: 0 }), null);
+});
+
+test("ship verdict follows the decision rule, guardrails and SRM", () => {
+  const win = { key: "Likes", label: "Likes", lift: 0.05, p: 0.01, direction: "increase" };
+  const weak = { key: "Shares", label: "Shares", lift: 0.03, p: 0.03, direction: "increase" };
+  const pass = { label: "DAU", ni: { status: "PASS", bound: -0.001, margin: 0.005 } };
+  const decide = (opts) => shipDecision({ success: [win, weak], guardrails: [pass], primary: "Likes", alpha: 0.05, ...opts }).verdict;
+  assert.equal(decide({ rule: "PRIMARY" }), "SHIP");
+  // CO_PRIMARY tests both at α/2 = 0.025, so Shares (p 0.03) is flat; ANY_OF needs one win
+  assert.equal(decide({ rule: "CO_PRIMARY" }), "INCONCLUSIVE");
+  assert.equal(decide({ rule: "ANY_OF" }), "SHIP");
+  assert.equal(decide({ rule: "PRIMARY", guardrails: [{ ...pass, ni: { ...pass.ni, status: "FAIL" } }] }), "NO_SHIP");
+  assert.equal(decide({ rule: "PRIMARY", guardrails: [{ ...pass, ni: { ...pass.ni, status: "INCONCLUSIVE" } }] }), "INCONCLUSIVE");
+  assert.equal(decide({ rule: "ANY_OF", success: [win, { ...weak, lift: -0.04, p: 0.001 }] }), "NO_SHIP");
+  assert.equal(decide({ rule: "PRIMARY", srmFlagged: true }), "INCONCLUSIVE");
+});
+
+// ===================== Multiple testing across metrics ===================== //
+test("adjusted p-values match R's p.adjust", () => {
+  // p.adjust(c(.01, .04, .03, .005), method)
+  const ps = [0.01, 0.04, 0.03, 0.005];
+  const expected = {
+    BONFERRONI: [0.04, 0.16, 0.12, 0.02],
+    HOLM: [0.03, 0.06, 0.06, 0.02],
+    HOCHBERG: [0.03, 0.04, 0.04, 0.02],
+    BH: [0.02, 0.04, 0.04, 0.02],
+  };
+  Object.entries(expected).forEach(([method, adj]) => adj.forEach((p, i) => near(adjustPValues(ps, method)[i], p, 1e-12, `${method} p ${i + 1}`)));
+  assert.deepEqual(adjustPValues(ps, "NONE"), ps);
+  assert.deepEqual(adjustPValues([0.2], "BH"), [0.2]);
+});
+
+// ===================== Sizing & duration planning ===================== //
+test("sample size per arm: 2σ²(z₁₋α/₂ + z_power)²/δ²", () => {
+  // σ² = 1, δ = 0.1: 2 · (1.95996 + 0.84162)² / 0.01 = 1569.8
+  assert.equal(computeSampleSize({ sigma2: 1, mdeAbs: 0.1, alpha: 0.05, power: 0.8 }), 1570);
+  near(powerAtN({ sigma2: 1, mdeAbs: 0.1, alpha: 0.05, n: 1570 }), 0.8, 1e-3, "power at that n");
+});
+
+test("decision-rule sizing splits α across metrics and arms", () => {
+  const data = generateData({ days: 60, seed: 3 });
+  const base = { data, keys: ["VideoViews", "Shares"], primary: "Shares", alpha: 0.05, power: 0.8, mdePct: 0.05 };
+  const primary = ruleSampleSizes({ ...base, rule: "PRIMARY" });
+  assert.equal(primary.recommendedN, primary.rows.find(r => r.key === "Shares").n);
+  const r0 = primary.rows[0];
+  assert.equal(r0.n, computeSampleSize({ sigma2: r0.sigma2, mdeAbs: r0.mdeAbs, alpha: 0.05, power: 0.8 }));
+
+  const co = ruleSampleSizes({ ...base, rule: "CO_PRIMARY" }), any = ruleSampleSizes({ ...base, rule: "ANY_OF" });
+  co.rows.forEach(r => assert.equal(r.alphaAdj, 0.025));
+  assert.equal(co.recommendedN, Math.max(...co.rows.map(r => r.n)));
+  assert.equal(any.recommendedN, Math.min(...any.rows.map(r => r.n)));
+  // At its recommended n each rule reaches the target power, and not one user earlier
+  [co, any, primary].forEach(s => {
+    assert.ok(rulePowerAtN(s, s.recommendedN) >= 0.8, `${s.rule} power at n`);
+    assert.ok(rulePowerAtN(s, s.recommendedN - 1) < 0.8 + 1e-3, `${s.rule} power below n`);
+  });
+  // Two arms under Dunnett: the per-comparison α of the equal-arm critical value 2.2121
+  const arms = ruleSampleSizes({ ...base, rule: "PRIMARY", comparisons: 2, mcMethod: "DUNNETT" });
+  near(arms.primaryRow.alphaAdj, 0.02696, 1e-4, "per-comparison α");
+});
+
+test("DAU forecast recovers a weekly pattern and a straight trend", () => {
+  const days = (n, dau) => Array.from({ length: n }, (_, t) => {
+    const d = new Date(Date.UTC(2024, 0, 1 + t)); // 2024-01-01 is a Monday
+    return { date: d.toISOString().slice(0, 10), DAU: dau(t, new Date(`${d.toISOString().slice(0, 10)}T00:00:00`).getDay()) };
+  });
+  const weekly = [0.7, 1.1, 1.1, 1, 1, 1, 1.1]; // by getDay(), averaging 1
+  const seasonal = forecastDAU(days(56, (t, wd) => 1000 * weekly[wd]), 14);
+  near(seasonal.slope, 0, 1e-9, "slope");
+  seasonal.days.forEach(f => near(f.dau, 1000 * weekly[new Date(`${f.date}T00:00:00`).getDay()], 1e-6, `DAU on ${f.date}`));
+  const trend = forecastDAU(days(56, t => 500 + 10 * t), 7);
+  near(trend.slope, 10, 1e-9, "slope");
+  trend.days.forEach(f => near(f.dau, 500 + 10 * (55 + f.day), 1e-6, `DAU on day ${f.day}`));
+});
+
+test("duration plan: days to reach n per arm, rounded up to whole weeks", () => {
+  const forecast = { days: Array.from({ length: 28 }, (_, h) => ({ day: h + 1, label: `d${h + 1}`, dau: 1000 })) };
+  // 500 users per arm a day: 3200 is reached on day 7, 3600 on day 8
+  const seven = planDuration(forecast, { n: 3200, share: 0.5 });
+  assert.equal(seven.daysNeeded, 7);
+  assert.equal(seven.weeks, 1);
+  assert.equal(seven.days, 7);
+  const eight = planDuration(forecast, { n: 3600, share: 0.5 });
+  assert.equal(eight.daysNeeded, 8);
+  assert.equal(eight.days, 14);
+  assert.equal(eight.curve[7].nPerArm, 4000);
+  assert.equal(planDuration(forecast, { n: 20000, share: 0.5 }).daysNeeded, null);
+});
+
+// ===================== Command-line tool ===================== //
+const ABP = fileURLToPath(new URL("../bin/abp.js", import.meta.url));
+function abp(...args){
+  const { status, stdout, stderr } = spawnSync(process.execPath, [ABP, ...args], { encoding: "utf8" });
+  return { status, stdout, stderr };
+}
+
+test("abp rejects bad arguments with exit code 2 and a pointer to --help", () => {
+  [
+    [["--bogus"], /Unknown option '--bogus'/],
+    [["frobnicate"], /Unknown command "frobnicate"/],
+    [["analyze"], /analyze needs a data file/],
+    [["simulate", "--window", "0"], /--window must be an integer between 1 and 89/],
+    [["simulate", "--split", "0.6,0.6"], /--split shares add up to more than 1/],
+    [["simulate", "--mt", "sometimes"], /--mt must be one of none, bonferroni, holm, hochberg, bh/],
+    [["size", "--metric", "Nope"], /Unknown metric\(s\): Nope/],
+    [["size", "--metric", "Shares", "--metrics", "Likes"], /Use either --metric or --metrics/],
+  ].forEach(([args, message]) => {
+    const { status, stdout, stderr } = abp(...args);
+    assert.equal(status, 2, args.join(" "));
+    assert.equal(stdout, "");
+    assert.match(stderr, message);
+    assert.match(stderr, /Run abp --help for usage/);
+  });
+  const help = abp();
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: abp <command>/);
+});
+
+test("abp size reports the engine's sample size", () => {
+  const { status, stdout } = abp("size", "--metric", "Shares", "--mde", "0.05", "--seed", "3", "--days", "60", "--json");
+  assert.equal(status, 0);
+  const out = JSON.parse(stdout);
+  const sizing = ruleSampleSizes({ data: generateData({ days: 60, seed: 3 }), keys: ["Shares"], primary: "Shares", mdePct: 0.05 });
+  assert.equal(out.rule, "PRIMARY");
+  assert.equal(out.recommendedN, sizing.recommendedN);
+  assert.equal(out.metrics[0].n, sizing.rows[0].n);
+});
+
+// ===================== Unit-level inference ===================== //
+test("Welch t matches the textbook value", () => {
+  // x = 1..5, y = 2, 4, …, 10: t = 1.8974, df = 5.8824, p = 0.1075 (R: t.test(y, x))
+  const w = unitInference("WELCH", hist([1, 2, 3, 4, 5]), hist([2, 4, 6, 8, 10]), { conf: 0.95 });
+  near(w.diff, 3, 1e-12, "diff");
+  near(w.z, 1.8974, 1e-4, "t");
+  near(w.df, 5.8824, 1e-4, "df");
+  near(w.p, 0.1075, 1e-4, "p");
+  near(w.ciLow, -0.8877, 1e-3, "CI low");
+  near(w.ciHigh, 6.8877, 1e-3, "CI high");
+});
+
+test("Mann–Whitney U matches the normal approximation by hand", () => {
+  // U = 9 of 9 pairs; σ = √(3·3·7/12), continuity-corrected z = (4.5 − 0.5)/σ = 1.7457
+  const m = unitInference("MWU", hist([1, 2, 3]), hist([4, 5, 6]));
+  assert.equal(m.probSuperiority, 1);
+  near(m.z, 1.7457, 1e-4, "z");
+  near(m.p, 0.0809, 1e-4, "p");
+  assert.ok(Number.isNaN(m.ciLow) && Number.isNaN(m.ciHigh));
+});
+
+test("permutation p is never below 1/(B+1)", () => {
+  const ctrl = hist([...repeat(0, 30), ...repeat(1, 30)]), arm = hist([...repeat(5, 30), ...repeat(6, 30)]);
+  const separated = unitInference("PERM", ctrl, arm, { seed: 1 });
+  assert.equal(separated.resamples, PERMUTATIONS);
+  assert.equal(separated.p, 1 / (PERMUTATIONS + 1));
+  const identical = unitInference("PERM", hist([0, 1, 2, 3, 1]), hist([0, 1, 2, 3, 1]), { seed: 1 });
+  assert.equal(identical.p, 1);
+});
+
+test("bootstrap p is never below 1/(B+1) and BCa agrees with Welch on symmetric data", () => {
+  const separated = unitInference("BOOT_BCA", hist([...repeat(0, 30), ...repeat(1, 30)]), hist([...repeat(5, 30), ...repeat(6, 30)]), { seed: 1 });
+  assert.ok(separated.p >= 1 / (BOOTSTRAP_RESAMPLES + 1));
+  assert.ok(separated.p < 0.01);
+
+  // 400 rounded N(20, 3²) vs N(21, 3²) users: the resampling CIs sit within 0.05 of Welch's
+  const r = createPRNG(7);
+  const draw = (mu) => Array.from({ length: 400 }, () => Math.round(mu + 3 * Math.sqrt(-2 * Math.log(r())) * Math.cos(2 * Math.PI * r())));
+  const ctrl = hist(draw(20)), arm = hist(draw(21));
+  const welch = unitInference("WELCH", ctrl, arm);
+  ["BOOT_PCT", "BOOT_BCA"].forEach(method => {
+    const b = unitInference(method, ctrl, arm, { seed: 3 });
+    assert.ok(b.ciLow < b.diff && b.diff < b.ciHigh, `${method} CI misses the estimate`);
+    near(b.ciLow, welch.ciLow, 0.05, `${method} CI low`);
+    near(b.ciHigh, welch.ciHigh, 0.05, `${method} CI high`);
+    assert.deepEqual(unitInference(method, ctrl, arm, { seed: 3 }), b, `${method} is not reproducible for a seed`);
+  });
+});
+
+// ===================== Heavy-tailed metrics ===================== //
+// Mean, variance and zero share of n draws of one user-day
+function moments(metric, mu, n = 50000){
+  const r = seededStream("moments");
+  let sum = 0, sumSq = 0, zeros = 0;
+  for (let i = 0; i < n; i++) {
+    const v = drawUnitValue(metric, mu, r);
+    sum += v; sumSq += v * v; if (v === 0) zeros++;
+  }
+  const mean = sum / n;
+  return { n, mean, variance: (sumSq - n * mean * mean) / (n - 1), zeros: zeros / n };
+}
+
+test("negative binomial draws have mean μ and variance μ + μ²/k", () => {
+  const m = moments({ variance: "NEGBIN", dist: { k: 0.5 } }, 2);
+  near(m.mean, 2, 4 * Math.sqrt(10 / m.n), "mean");
+  near(m.variance, 10, 0.5, "variance");
+});
+
+test("zero-inflated Poisson draws have the structural zeros on top of Poisson's", () => {
+  // π = 0.6 and mean 1, so λ = 2.5: P(0) = π + (1 − π)e^−λ, variance = λ(1 − π)(1 + πλ)
+  const m = moments({ variance: "ZIP", dist: { zeroShare: 0.6 } }, 1);
+  near(m.zeros, 0.6 + 0.4 * Math.exp(-2.5), 0.01, "zero share");
+  near(m.mean, 1, 4 * Math.sqrt(2.5 / m.n), "mean");
+  near(m.variance, 2.5, 0.15, "variance");
+});
+
+test("zero-inflated lognormal draws keep the metric's mean", () => {
+  const m = moments({ variance: "LOGNORMAL", dist: { zeroShare: 0.9, logSd: 1 } }, 0.5);
+  near(m.zeros, 0.9, 0.01, "zero share");
+  near(m.mean, 0.5, 4 * Math.sqrt(m.variance / m.n), "mean");
+});
+
+test("winsorization caps both arms at the pooled quantile", () => {
+  // Pooled: 196 zeros, three 1s and one 1000, so the 0.99 quantile is 1 and capping leaves the arms equal
+  const catalog = DEFAULT_METRICS.map(m => m.key === "Revenue" ? { ...m, winsor: 0.99, inference: "Z" } : m);
+  const ctrl = hist([...repeat(0, 98), 1, 1000]), arm = hist([...repeat(0, 98), 1, 1]);
+  const row = analyzeMetric("Revenue", {
+    data: generateData({ days: 30, seed: 1 }), seed: 1, catalog,
+    aggregates: { Revenue: { muC: ctrl.sum / ctrl.n, muT: arm.sum / arm.n, NtotC: ctrl.n, NtotT: arm.n, variants: {} } },
+    sim: { units: { Revenue: { Control: ctrl, Experiment: arm } } },
+  });
+  assert.equal(row.winsor.cap, 1);
+  near(row.winsor.rawDiff, -9.99, 1e-9, "raw diff");
+  assert.equal(row.diff, 0);
+  assert.ok(row.winsor.varianceRatio < 0.01);
+  assert.equal(row.nC, 100);
+});
+
+// ===================== User-level simulation ===================== //
+test("hash bucketing is stable for a salt and reshuffles under a new one", () => {
+  const ids = Array.from({ length: 10000 }, (_, u) => `u${u}`);
+  const buckets = ids.map(id => userBucket(id, "exp-1"));
+  assert.deepEqual(ids.map(id => userBucket(id, "exp-1")), buckets);
+  buckets.forEach(b => assert.ok(b >= 0 && b < 1 && Math.abs(b * ASSIGNMENT_BUCKETS - Math.round(b * ASSIGNMENT_BUCKETS)) < 1e-6));
+  const shares = { Control: 0.5, Experiment: 0.3, B: 0.1 };
+  const arms = buckets.map(b => armForBucket(b, shares));
+  Object.entries(shares).forEach(([id, share]) => near(arms.filter(a => a === id).length / ids.length, share, 0.02, `${id} share`));
+  near(arms.filter(a => a === null).length / ids.length, 0.1, 0.02, "unassigned share");
+  // a new salt is a new, independent split: half the users of a 50/50 test keep their arm
+  const half = { Control: 0.5, Experiment: 0.5 };
+  const kept = ids.filter(id => armForBucket(userBucket(id, "exp-1"), half) === armForBucket(userBucket(id, "exp-2"), half)).length;
+  near(kept / ids.length, 0.5, 0.02, "arms kept under a new salt");
+});
+
+test("arms follow the hash whatever the simulation seed", () => {
+  // Small traffic so every user is simulated; with the same salt only visits and values change
+  const data = generateData({ days: 30, seed: 5 }).map(d => ({ ...d, DAU: Math.round(d.DAU / 20) }));
+  const config = { splitC: 0.5, splitT: 0.5, testLen: 7, enforceNoDecline: false, population: { salt: "exp-1", visitRate: 1 } };
+  const a = simulateAB(data, { ...config, seed: 1 }), b = simulateAB(data, { ...config, seed: 2 });
+  assert.equal(a.users.size, b.users.size);
+  // exposed users are a subset of each arm's hashed users, whichever seed drew the visits
+  const hashed = Array.from({ length: a.users.size }, (_, u) => armForBucket(userBucket(`u${u}`, "exp-1"), { Control: 0.5, Experiment: 0.5 }));
+  const count = (arm) => hashed.filter(x => x === arm).length;
+  [a, b].forEach((sim, k) => ["Control", "Experiment"].forEach(arm => {
+    assert.ok(sim.users.exposed[arm] <= count(arm), `seed ${k + 1}: more ${arm} users than hash to it`);
+    near(sim.users.exposed[arm] / (sim.users.exposed.Control + sim.users.exposed.Experiment), count(arm) / hashed.length, 0.05, `${arm} share, seed ${k + 1}`);
+  }));
+});
+
+test("maxUsers simulates a sample of the population", () => {
+  const data = generateData({ days: 30, seed: 5 });
+  const config = { seed: 1, splitC: 0.5, splitT: 0.5, testLen: 7, enforceNoDecline: false };
+  const full = simulateAB(data, { ...config, population: { salt: "exp-1", visitRate: 0.35 } });
+  const sample = simulateAB(data, { ...config, population: { salt: "exp-1", visitRate: 0.35, maxUsers: 500 } });
+  assert.equal(sample.users.size, full.users.size);
+  assert.equal(full.users.simulated, full.users.size);
+  assert.equal(sample.users.simulated, 500);
+  assert.ok(sample.users.exposed.Control + sample.users.exposed.Experiment <= 500);
+  // the sample's per-user means estimate the population's
+  near(sample.aggregates.Sessions.muC, full.aggregates.Sessions.muC, 0.25 * full.aggregates.Sessions.muC, "Sessions per user");
+});
+
+test("excluded days come with the every-day result from the same pass", () => {
+  const data = generateData({ days: 30, seed: 5 });
+  const config = { seed: 1, splitC: 0.5, splitT: 0.5, testLen: 7, enforceNoDecline: false, population: { salt: "exp-1", visitRate: 0.35 } };
+  const kept = simulateAB(data, config), dropped = simulateAB(data, { ...config, exclude: [25, 27] });
+  assert.equal(kept.full, null);
+  assert.deepEqual(dropped.excluded, [25, 27]);
+  assert.deepEqual(dropped.full.aggregates, kept.aggregates);
+  assert.deepEqual(dropped.full.users.exposed, kept.users.exposed);
+  assert.ok(dropped.users.userDays.Control < kept.users.userDays.Control);
+});
+
+// ===================== Anomaly detection ===================== //
+test("robust z flags an injected spike and drop and nothing on clean data", () => {
+  const data = generateData({ days: 60, seed: 11 });
+  assert.deepEqual(detectAnomalies(data, { keys: ["DAU", "Sessions"] }).days, []);
+  const shocked = data.map((d, i) => i === 40 ? { ...d, DAU: d.DAU * 3 } : i === 50 ? { ...d, Sessions: Math.round(d.Sessions * 0.2) } : d);
+  const found = detectAnomalies(shocked, { keys: ["DAU", "Sessions"] });
+  assert.deepEqual(found.days, [{ index: 40, keys: ["DAU"] }, { index: 50, keys: ["Sessions"] }]);
+  const [spike] = found.byMetric.DAU, [drop] = found.byMetric.Sessions;
+  assert.ok(spike.z > ANOMALY_THRESHOLD && drop.z < -ANOMALY_THRESHOLD);
+  near(spike.expected, data[40].DAU, 0.1 * data[40].DAU, "expected DAU on the spike");
+  near(drop.expected, data[50].Sessions, 0.25 * data[50].Sessions, "expected Sessions on the drop");
+});
+
+// ===================== Pre-period and difference-in-differences ===================== //
+test("difference-in-differences recovers the injected lift under a pre-existing gap", () => {
+  // Experiment's users start 5% ahead and the treatment adds another 5%: the post-period lift is
+  // about 10%, the pre-period is unbalanced, and DiD should land on the 5%
+  const data = generateData({ days: 60, seed: 11 });
+  const catalog = DEFAULT_METRICS.map(m => m.key === "Sessions" ? { ...m, lift: 0.05 } : m);
+  [1, 2, 3].forEach(seed => {
+    const sim = simulateAB(data, { seed, splitC: 0.5, splitT: 0.5, testLen: 14, enforceNoDecline: false, catalog, prePeriod: { days: 14, bias: 0.05 } });
+    const row = analyzeMetric("Sessions", { data, aggregates: sim.aggregates, seed, catalog });
+    const effect = 0.05 * sim.aggregates.Sessions.muC;
+    assert.ok(row.did.ciLow < effect && effect < row.did.ciHigh, `seed ${seed}: DiD CI [${row.did.ciLow}, ${row.did.ciHigh}] misses ${effect}`);
+    assert.ok(row.lift > 0.08, `seed ${seed}: post-period lift ${row.lift} should carry the gap`);
+    assert.ok(row.balance.p < 0.01, `seed ${seed}: the pre-period gap went unnoticed`);
+  });
+});
+
+test("without a gap the pre-period is balanced and DiD agrees with the plain lift", () => {
+  const data = generateData({ days: 60, seed: 11 });
+  const catalog = DEFAULT_METRICS.map(m => m.key === "Sessions" ? { ...m, lift: 0.05 } : m);
+  const sim = simulateAB(data, { seed: 1, splitC: 0.5, splitT: 0.5, testLen: 14, enforceNoDecline: false, catalog, prePeriod: { days: 14, bias: 0 } });
+  const row = analyzeMetric("Sessions", { data, aggregates: sim.aggregates, seed: 1, catalog });
+  assert.ok(row.balance.p > 0.01);
+  near(row.did.lift, row.lift, 0.03, "DiD vs plain lift");
+  assert.ok(row.did.se > row.se, "DiD subtracts a noisy pre-period, so its SE is the larger");
+});